@@ -157,7 +157,8 @@ class LibreOfficeController extends EventEmitter {
       'first': 'Home',
       'last': 'End',
       'exit': 'Escape',
-      'fullscreen': 'F5'
+      'fullscreen': 'F5',
+      'enter': 'Return'
     };
     
     const keyToSend = keyMap[key.toLowerCase()] || CONSTANTS.KEYS[key.toUpperCase()] || key;
@@ -193,7 +194,8 @@ class LibreOfficeController extends EventEmitter {
       'Home': '{HOME}',
       'End': '{END}',
       'Escape': '{ESC}',
-      'F5': '{F5}'
+      'F5': '{F5}',
+      'Return': '{ENTER}'
     };
     
     const psKey = keyMap[key] || key;
@@ -223,7 +225,8 @@ class LibreOfficeController extends EventEmitter {
       'Home': 'key code 115',
       'End': 'key code 119',
       'Escape': 'key code 53',
-      'F5': 'key code 96'
+      'F5': 'key code 96',
+      'Return': 'key code 36'
     };
     
     const appleScriptKey = keyMap[key] || `keystroke "${key}"`;
@@ -253,7 +256,8 @@ class LibreOfficeController extends EventEmitter {
       'Home': 'Home',
       'End': 'End',
       'Escape': 'Escape',
-      'F5': 'F5'
+      'F5': 'F5',
+      'Return': 'Return'
     };
     
     const xdotoolKey = keyMap[key] || key;
@@ -305,6 +309,27 @@ class LibreOfficeController extends EventEmitter {
     this.emit('slide-changed', 'last');
   }
 
+  /**
+   * Jump to a slide by number
+   * Impress jumps when the slide number is typed followed by Enter during a show.
+   * It numbers slides by their position in the deck, hidden slides included, and
+   * shows a hidden slide when its number is typed; callers that should stay on
+   * visible slides check slideOrder first. Emits 'slide-jumped' with the number
+   * ('slide-changed' reports the direction of relative moves)
+   * @param {number} slideNumber - One-based slide number (hidden slides count)
+   */
+  async goToSlide(slideNumber) {
+    if (!Number.isInteger(slideNumber) || slideNumber < 1) {
+      throw new Error('Invalid slide number');
+    }
+
+    for (const digit of String(slideNumber)) {
+      await this.sendKey(digit);
+    }
+    await this.sendKey('enter');
+    this.emit('slide-jumped', slideNumber);
+  }
+
   /**
    * Exit presentation and stop LibreOffice
    */
@@ -5,15 +5,31 @@ const PPTProcessor = require('./ppt/processor');
 const LibreOfficeController = require('./libreoffice/controller');
 const RendererMode = require('./modes/renderer');
 const SceneMode = require('./modes/scene');
+const MediaMode = require('./modes/media');
+const HybridMode = require('./modes/hybrid');
+const ShowDocument = require('./show/document');
+const ShowJournal = require('./show/journal');
+const AutoAdvance = require('./show/auto-advance');
+const ShowController = require('./show/controller');
+const CueEngine = require('./show/cue-engine');
+const LiveHistory = require('./show/history');
+const ShowClock = require('./show/clock');
+const CONSTANTS = require('./utils/constants');
+const SettingsStore = require('./utils/settings');
 
 let mainWindow;
 let obsController;
 let pptProcessor;
 let libreOfficeController;
-let rendererMode;
-let sceneMode;
-let currentMode = null;
-let currentProgram = null;
+let showDocument;
+let journal;
+let pendingRecovery = null;
+let showController;
+let autoAdvance;
+let cueEngine;
+let liveHistory;
+let showClock;
+let settings;
 
 function createWindow() {
   mainWindow = new BrowserWindow({
@@ -29,6 +45,12 @@ function createWindow() {
 
   mainWindow.loadFile(path.join(__dirname, 'renderer', 'index.html'));
 
+  // The title shows the open show, so keep the page from replacing it
+  mainWindow.on('page-title-updated', (event) => {
+    event.preventDefault();
+  });
+  updateWindowTitle();
+
   // Open DevTools in development mode
   if (process.argv.includes('--dev')) {
     mainWindow.webContents.openDevTools();
@@ -36,24 +58,39 @@ function createWindow() {
 
   mainWindow.on('closed', () => {
     mainWindow = null;
-    // Cleanup mode controllers
-    if (currentMode) {
-      currentMode = null;
-    }
   });
 }
 
-app.whenReady().then(() => {
-  createWindow();
+app.whenReady().then(async () => {
+  // Settings decide where the program library lives, so load them first
+  settings = new SettingsStore(path.join(app.getPath('userData'), CONSTANTS.SETTINGS.FILE));
+  await settings.load();
   
   // Initialize controllers
   obsController = new OBSController();
-  pptProcessor = new PPTProcessor();
+  pptProcessor = new PPTProcessor(getLibraryPath());
   libreOfficeController = new LibreOfficeController();
+  await migrateLegacyLibrary();
+  
+  // Reopen the show from last time before anything can edit it
+  showDocument = new ShowDocument(path.join(app.getPath('userData'), CONSTANTS.SHOW.AUTOSAVE_FILE));
+  await openStartupShow();
+  
+  // A journal left behind means the last session did not quit cleanly
+  journal = new ShowJournal(path.join(app.getPath('userData'), CONSTANTS.SHOW.JOURNAL_FILE));
+  pendingRecovery = await journal.load();
+  
+  // The show controller creates a mode controller per loaded program
+  showController = new ShowController(pptProcessor, showDocument, createModeController);
+  autoAdvance = new AutoAdvance(showController);
+  showClock = new ShowClock(showController);
+  
+  // Cues and the scene controls carry out the same actions
+  liveHistory = new LiveHistory();
+  cueEngine = new CueEngine(showDocument.cueList);
+  registerCueActions();
   
-  // Initialize mode controllers
-  rendererMode = new RendererMode(libreOfficeController, obsController);
-  sceneMode = new SceneMode(obsController);
+  createWindow();
   
   // Setup LibreOffice event listeners
   libreOfficeController.on('started', () => {
@@ -93,6 +130,87 @@ app.whenReady().then(() => {
     }
   });
 
+  // Auto-advance changes the clip without the operator, so report it
+  showController.on('scene-changed', (index) => {
+    if (mainWindow && showController.currentProgram &&
+        showController.currentProgram.mode === CONSTANTS.MODES.MEDIA) {
+      mainWindow.webContents.send('media:clip-changed', index);
+    }
+  });
+  
+  // Rundown handovers load the next program without the operator clicking it
+  showController.on('program-changed', (program, entryId) => {
+    if (mainWindow) {
+      mainWindow.webContents.send('show:program-changed', { program, entryId });
+    }
+  });
+  
+  showController.on('state-changed', journalLiveState);
+  
+  // Undo only goes back within what has been on air since the program started
+  showController.on('state-changed', () => {
+    if (!showController.onAir) {
+      liveHistory.clear();
+    }
+  });
+  
+  liveHistory.on('changed', (canUndo) => {
+    if (mainWindow) {
+      mainWindow.webContents.send('scene:undo-available', canUndo);
+    }
+  });
+  
+  // Loops step through their acts by themselves, so the UI shows when one is on air
+  showController.on('loop-changed', (loop) => {
+    if (mainWindow) {
+      mainWindow.webContents.send('show:loop-changed', loop);
+    }
+  });
+  
+  // Timed acts move on without the operator, so the UI follows the countdown
+  autoAdvance.on('changed', (status) => {
+    if (mainWindow) {
+      mainWindow.webContents.send('autoadvance:status', status);
+    }
+  });
+  
+  // Every window gets the timers, so a second (e.g. stage manager) window can show them too
+  showClock.on('changed', (status) => {
+    BrowserWindow.getAllWindows().forEach(window => window.webContents.send('clock:status', status));
+  });
+  
+  autoAdvance.on('advance-failed', (error) => {
+    if (mainWindow) {
+      mainWindow.webContents.send('autoadvance:failed', error.message);
+    }
+  });
+  
+  // GO on a cue can change a lot at once, and wait actions finish later
+  cueEngine.on('changed', (status) => {
+    if (mainWindow) {
+      mainWindow.webContents.send('cue:status', status);
+    }
+  });
+  
+  showController.on('handover-failed', (error) => {
+    if (mainWindow) {
+      mainWindow.webContents.send('show:handover-failed', error.message);
+    }
+  });
+
+  showDocument.on('changed', () => {
+    updateWindowTitle();
+    if (mainWindow) {
+      mainWindow.webContents.send('show:changed', describeShow());
+    }
+  });
+  
+  showDocument.on('autosave-failed', (error) => {
+    if (mainWindow) {
+      mainWindow.webContents.send('show:autosave-failed', error.message);
+    }
+  });
+
   app.on('activate', () => {
     if (BrowserWindow.getAllWindows().length === 0) {
       createWindow();
@@ -100,9 +218,71 @@ app.whenReady().then(() => {
   });
 });
 
+/**
+ * Create a mode controller for a program mode
+ * @param {string} mode - Program mode (one of CONSTANTS.MODES)
+ * @returns {EventEmitter} Mode controller
+ * @throws {Error} If the mode is unknown
+ */
+function createModeController(mode) {
+  switch (mode) {
+    case CONSTANTS.MODES.RENDERER:
+      return new RendererMode(libreOfficeController, obsController);
+    case CONSTANTS.MODES.SCENE:
+      return new SceneMode(obsController);
+    case CONSTANTS.MODES.MEDIA:
+      return new MediaMode(obsController);
+    case CONSTANTS.MODES.HYBRID:
+      return new HybridMode(libreOfficeController, obsController);
+    default:
+      throw new Error(`Invalid mode: ${mode}`);
+  }
+}
+
+/**
+ * Get the program library location: the user's choice, or <userData>/library
+ * @returns {string} Library root directory
+ */
+function getLibraryPath() {
+  return settings.get('libraryPath') || getDefaultLibraryPath();
+}
+
+/**
+ * Get the default program library location
+ * @returns {string} Library root directory
+ */
+function getDefaultLibraryPath() {
+  return path.join(app.getPath('userData'), CONSTANTS.PATHS.LIBRARY);
+}
+
+/**
+ * Move programs from the legacy ./data directory (inside the app, read-only in
+ * packaged builds) into the current library, once
+ * @returns {Promise<void>}
+ */
+async function migrateLegacyLibrary() {
+  if (settings.get('legacyDataMigrated')) {
+    return;
+  }
+  
+  try {
+    const { moved, skipped } = await pptProcessor.migrateLibrary(PPTProcessor.legacyDataDir);
+    if (moved.length > 0 || skipped.length > 0) {
+      console.log(`Moved ${moved.length} program(s) from ${PPTProcessor.legacyDataDir}` +
+        (skipped.length > 0 ? `, skipped ${skipped.join(', ')}` : ''));
+    }
+    await settings.set('legacyDataMigrated', true);
+  } catch (error) {
+    console.error('Error migrating legacy program data:', error);
+  }
+}
+
 app.on('window-all-closed', async () => {
   // Cleanup resources before quitting
   try {
+    if (showDocument) {
+      await showDocument.flush();
+    }
     if (libreOfficeController && libreOfficeController.isRunning) {
       await libreOfficeController.stop();
     }
@@ -118,6 +298,21 @@ app.on('window-all-closed', async () => {
   }
 });
 
+// A clean exit leaves nothing to recover. The journal goes when the app quits
+// rather than when its windows close, as on macOS the app keeps running
+let journalCleared = false;
+app.on('before-quit', (event) => {
+  if (!journal || journalCleared) {
+    return;
+  }
+  
+  event.preventDefault();
+  journal.clear().finally(() => {
+    journalCleared = true;
+    app.quit();
+  });
+});
+
 // IPC Handlers
 
 // OBS Connection
@@ -129,6 +324,11 @@ ipcMain.handle('obs:connect', async (event, config) => {
     }
     
     await obsController.connect(config);
+    
+    // Remember the address with the show, so the venue machine connects to the same OBS
+    if (config && config.address) {
+      showDocument.setSetting('obsAddress', config.address);
+    }
     return { success: true };
   } catch (error) {
     return { success: false, error: error.message };
@@ -150,6 +350,9 @@ ipcMain.handle('obs:status', async () => {
 
 // PPT Processing
 ipcMain.handle('ppt:import', async (event, filePaths, options = {}) => {
+  const results = [];
+  const conflicts = [];
+  const droppedCues = [];
   try {
     // Validate inputs
     if (!Array.isArray(filePaths) || filePaths.length === 0) {
@@ -160,25 +363,88 @@ ipcMain.handle('ppt:import', async (event, filePaths, options = {}) => {
       return { success: false, error: 'Invalid options object' };
     }
     
-    const results = [];
-    for (const filePath of filePaths) {
+    pptProcessor.resetCancel();
+    
+    for (let i = 0; i < filePaths.length; i++) {
+      const filePath = filePaths[i];
       if (typeof filePath !== 'string') {
         continue; // Skip invalid paths
       }
-      const result = await pptProcessor.processFile(filePath, options);
-      results.push(result);
+      
+      const onProgress = createImportProgressForwarder(i, filePaths.length);
+      pptProcessor.on('progress', onProgress);
+      try {
+        const result = await pptProcessor.processFile(filePath, options);
+        results.push(result);
+        // An updated program's acts may have moved; cues follow them
+        if (result.refresh) {
+          droppedCues.push(...showDocument.remapProgramActs(result.id, result.refresh.actMap));
+        }
+      } catch (error) {
+        // Decks already in the library are reported back so the user can choose
+        // how to resolve each one; the rest of the batch continues
+        if (!error.conflict) {
+          throw error;
+        }
+        conflicts.push(error.conflict);
+      } finally {
+        pptProcessor.removeListener('progress', onProgress);
+      }
     }
-    return { success: true, programs: results };
+
+    // Replacing or updating may have removed or rewritten the loaded program
+    let unloadedProgramId = null;
+    if (options.onConflict) {
+      showController.discardPreloaded();
+    }
+    const loaded = showController.currentProgram;
+    if (loaded && options.onConflict && (
+      results.some(program => program.id === loaded.id) ||
+      !await pptProcessor.programExists(loaded.id))) {
+      unloadedProgramId = loaded.id;
+      await unloadCurrentProgram();
+    }
+
+    return { success: true, programs: results, conflicts, unloadedProgramId, droppedCues };
   } catch (error) {
+    if (error.cancelled) {
+      return { success: false, cancelled: true, error: error.message, programs: results };
+    }
     return { success: false, error: error.message };
   }
 });
 
+/**
+ * Create a PPTProcessor 'progress' listener that forwards staged progress
+ * to the renderer, tagged with the file's position in the batch
+ * @param {number} fileIndex - Zero-based position of the file in the batch
+ * @param {number} fileCount - Number of files in the batch
+ * @returns {Function} Progress listener
+ */
+function createImportProgressForwarder(fileIndex, fileCount) {
+  return (progress) => {
+    if (mainWindow) {
+      mainWindow.webContents.send('ppt:import-progress', {
+        ...progress,
+        fileIndex,
+        fileCount
+      });
+    }
+  };
+}
+
+ipcMain.handle('ppt:cancel', async () => {
+  pptProcessor.cancel();
+  return { success: true };
+});
+
 ipcMain.handle('ppt:select', async () => {
   const result = await dialog.showOpenDialog(mainWindow, {
     properties: ['openFile', 'multiSelections'],
     filters: [
-      { name: 'PowerPoint Files', extensions: ['ppt', 'pptx'] }
+      { name: 'Presentations and PDFs', extensions: ['ppt', 'pptx', 'odp', 'pdf'] },
+      { name: 'Presentation Files', extensions: ['ppt', 'pptx', 'odp'] },
+      { name: 'PDF Files', extensions: ['pdf'] }
     ]
   });
   
@@ -188,6 +454,18 @@ ipcMain.handle('ppt:select', async () => {
   return { success: false };
 });
 
+// Folders of slide images are imported through ppt:import like decks
+ipcMain.handle('ppt:select-folder', async () => {
+  const result = await dialog.showOpenDialog(mainWindow, {
+    properties: ['openDirectory', 'multiSelections']
+  });
+  
+  if (!result.canceled) {
+    return { success: true, filePaths: result.filePaths };
+  }
+  return { success: false };
+});
+
 // Program Management
 ipcMain.handle('program:load', async (event, programId) => {
   try {
@@ -196,21 +474,8 @@ ipcMain.handle('program:load', async (event, programId) => {
       return { success: false, error: 'Invalid program ID' };
     }
     
-    const program = await pptProcessor.loadProgram(programId);
-    if (program) {
-      currentProgram = program;
-      
-      // Load into appropriate mode based on program.mode
-      if (program.mode === 'renderer') {
-        currentMode = rendererMode;
-        await rendererMode.loadProgram(program);
-      } else if (program.mode === 'scene') {
-        currentMode = sceneMode;
-        if (obsController.connected) {
-          await sceneMode.loadProgram(program);
-        }
-      }
-    }
+    // Loads into a mode controller matching program.mode
+    const program = await showController.loadProgram(programId);
     return { success: true, program };
   } catch (error) {
     return { success: false, error: error.message };
@@ -226,101 +491,1199 @@ ipcMain.handle('program:list', async () => {
   }
 });
 
-// Scene Control
-ipcMain.handle('scene:next', async () => {
+ipcMain.handle('program:delete', async (event, programId) => {
   try {
-    if (currentMode) {
-      await currentMode.next();
-    } else {
-      throw new Error('No program loaded');
+    if (typeof programId !== 'string' || programId.trim() === '') {
+      return { success: false, error: 'Invalid program ID' };
+    }
+    
+    // Unload first so nothing keeps using files that are about to disappear
+    if (isCurrentProgram(programId)) {
+      await unloadCurrentProgram();
     }
+    showController.discardPreloaded(programId);
+    
+    await pptProcessor.deleteProgram(programId);
+    showDocument.removeProgram(programId);
     return { success: true };
   } catch (error) {
     return { success: false, error: error.message };
   }
 });
 
-ipcMain.handle('scene:prev', async () => {
+ipcMain.handle('program:rename', async (event, programId, newName) => {
   try {
-    if (currentMode) {
-      await currentMode.prev();
-    } else {
-      throw new Error('No program loaded');
+    if (typeof programId !== 'string' || programId.trim() === '') {
+      return { success: false, error: 'Invalid program ID' };
     }
-    return { success: true };
+    if (typeof newName !== 'string' || newName.trim() === '') {
+      return { success: false, error: 'Invalid program name' };
+    }
+    
+    const program = await pptProcessor.renameProgram(programId, newName);
+    if (isCurrentProgram(programId)) {
+      showController.currentProgram.name = program.name;
+    }
+    return { success: true, program };
   } catch (error) {
     return { success: false, error: error.message };
   }
 });
 
-ipcMain.handle('scene:jump', async (event, sceneIndex) => {
+ipcMain.handle('program:duplicate', async (event, programId) => {
   try {
-    // Validate sceneIndex
-    if (typeof sceneIndex !== 'number' || sceneIndex < 0 || !Number.isInteger(sceneIndex)) {
-      return { success: false, error: 'Invalid scene index' };
+    if (typeof programId !== 'string' || programId.trim() === '') {
+      return { success: false, error: 'Invalid program ID' };
+    }
+    
+    const program = await pptProcessor.duplicateProgram(programId);
+    return { success: true, program };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('program:set-mode', async (event, programId, mode) => {
+  try {
+    if (typeof programId !== 'string' || programId.trim() === '') {
+      return { success: false, error: 'Invalid program ID' };
+    }
+    if (!Object.values(CONSTANTS.MODES).includes(mode)) {
+      return { success: false, error: 'Invalid mode' };
     }
     
-    if (currentMode && currentMode.jumpToScene) {
-      await currentMode.jumpToScene(sceneIndex);
-    } else {
-      throw new Error('Jump not supported in current mode');
+    // The loaded mode controller no longer matches; the operator reloads the program
+    if (isCurrentProgram(programId)) {
+      await unloadCurrentProgram();
+    }
+    showController.discardPreloaded(programId);
+    
+    // Switching to scene mode may run slide extraction, reported like an import
+    pptProcessor.resetCancel();
+    const onProgress = createImportProgressForwarder(0, 1);
+    pptProcessor.on('progress', onProgress);
+    try {
+      const program = await pptProcessor.setProgramMode(programId, mode);
+      return { success: true, program };
+    } finally {
+      pptProcessor.removeListener('progress', onProgress);
     }
-    return { success: true };
   } catch (error) {
+    if (error.cancelled) {
+      return { success: false, cancelled: true, error: error.message };
+    }
     return { success: false, error: error.message };
   }
 });
 
-ipcMain.handle('scene:start', async (event, options) => {
+ipcMain.handle('program:export', async (event, programId) => {
   try {
-    // Validate options
+    if (typeof programId !== 'string' || programId.trim() === '') {
+      return { success: false, error: 'Invalid program ID' };
+    }
+
+    const program = await pptProcessor.loadProgram(programId);
+    const result = await dialog.showSaveDialog(mainWindow, {
+      defaultPath: `${program.name}.${CONSTANTS.BUNDLE.EXTENSION}`,
+      filters: [
+        { name: 'StageForge Program', extensions: [CONSTANTS.BUNDLE.EXTENSION] }
+      ]
+    });
+    
+    if (result.canceled || !result.filePath) {
+      return { success: false, canceled: true };
+    }
+    
+    const filePath = await pptProcessor.exportProgram(programId, result.filePath);
+    return { success: true, filePath };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('media:select', async () => {
+  const result = await dialog.showOpenDialog(mainWindow, {
+    properties: ['openFile', 'multiSelections'],
+    filters: [
+      { name: 'Video and Audio', extensions: ['mp4', 'avi', 'mov', 'mkv', 'webm', 'mp3', 'wav', 'm4a', 'aac', 'ogg', 'flac'] }
+    ]
+  });
+  
+  if (!result.canceled) {
+    return { success: true, filePaths: result.filePaths };
+  }
+  return { success: false };
+});
+
+ipcMain.handle('program:create-media', async (event, filePaths, options = {}) => {
+  try {
+    if (!Array.isArray(filePaths) || filePaths.length === 0 || filePaths.some(p => typeof p !== 'string')) {
+      return { success: false, error: 'Invalid file paths' };
+    }
     if (options && typeof options !== 'object') {
       return { success: false, error: 'Invalid options object' };
     }
     
-    if (currentMode) {
-      await currentMode.start(options);
-    } else {
-      throw new Error('No program loaded');
+    pptProcessor.resetCancel();
+    const onProgress = createImportProgressForwarder(0, 1);
+    pptProcessor.on('progress', onProgress);
+    try {
+      const program = await pptProcessor.createMediaProgram(filePaths, options || {});
+      return { success: true, program };
+    } finally {
+      pptProcessor.removeListener('progress', onProgress);
     }
-    return { success: true };
   } catch (error) {
+    if (error.cancelled) {
+      return { success: false, cancelled: true, error: error.message };
+    }
     return { success: false, error: error.message };
   }
 });
 
-ipcMain.handle('scene:stop', async () => {
+ipcMain.handle('program:set-auto-advance', async (event, programId, enabled) => {
   try {
-    if (currentMode) {
-      await currentMode.stop();
+    if (typeof programId !== 'string' || programId.trim() === '') {
+      return { success: false, error: 'Invalid program ID' };
     }
-    return { success: true };
+    if (typeof enabled !== 'boolean') {
+      return { success: false, error: 'Invalid auto-advance flag' };
+    }
+    
+    const program = await pptProcessor.setProgramAutoAdvance(programId, enabled);
+    showController.discardPreloaded(programId);
+    if (isCurrentProgram(programId)) {
+      showController.currentProgram.autoAdvance = program.autoAdvance;
+      showController.currentMode.setAutoAdvance(program.autoAdvance);
+    }
+    return { success: true, program };
   } catch (error) {
     return { success: false, error: error.message };
   }
 });
 
-ipcMain.handle('scene:blackout', async () => {
+ipcMain.handle('program:set-act-live', async (event, programId, actIndex, live) => {
   try {
-    await obsController.activateBlackout();
-    return { success: true };
+    if (typeof programId !== 'string' || programId.trim() === '') {
+      return { success: false, error: 'Invalid program ID' };
+    }
+    if (!Number.isInteger(actIndex) || actIndex < 0) {
+      return { success: false, error: 'Invalid act index' };
+    }
+    if (typeof live !== 'boolean') {
+      return { success: false, error: 'Invalid live flag' };
+    }
+    
+    const program = await pptProcessor.setActLive(programId, actIndex, live);
+    showController.discardPreloaded(programId);
+    if (isCurrentProgram(programId)) {
+      showController.currentProgram.acts[actIndex].live = live;
+      if (showController.currentMode.setActLive) {
+        await showController.currentMode.setActLive(actIndex, live);
+      }
+    }
+    return { success: true, program };
   } catch (error) {
     return { success: false, error: error.message };
   }
 });
 
-ipcMain.handle('scene:current', async () => {
+ipcMain.handle('program:set-act-name', async (event, programId, actIndex, customName) => {
   try {
-    if (currentMode) {
-      const status = currentMode.getStatus();
-      return { success: true, status };
+    if (typeof programId !== 'string' || programId.trim() === '') {
+      return { success: false, error: 'Invalid program ID' };
     }
-    return { success: false, error: 'No mode active' };
+    if (!Number.isInteger(actIndex) || actIndex < 0) {
+      return { success: false, error: 'Invalid act index' };
+    }
+    if (customName !== null && typeof customName !== 'string') {
+      return { success: false, error: 'Invalid act name' };
+    }
+    
+    const program = await pptProcessor.setActName(programId, actIndex, customName);
+    showController.discardPreloaded(programId);
+    if (isCurrentProgram(programId)) {
+      const act = showController.currentProgram.acts[actIndex];
+      if (program.acts[actIndex].customName) {
+        act.customName = program.acts[actIndex].customName;
+      } else {
+        delete act.customName;
+      }
+    }
+    return { success: true, program };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('program:set-act-durations', async (event, programId, durations) => {
+  try {
+    if (typeof programId !== 'string' || programId.trim() === '') {
+      return { success: false, error: 'Invalid program ID' };
+    }
+    if (!durations || typeof durations !== 'object') {
+      return { success: false, error: 'Invalid durations' };
+    }
+    
+    const program = await pptProcessor.setActDurations(programId, durations);
+    showController.discardPreloaded(programId);
+    if (isCurrentProgram(programId)) {
+      for (const actIndex of Object.keys(durations)) {
+        showController.currentProgram.acts[actIndex].timing = program.acts[actIndex].timing;
+      }
+      autoAdvance.reload();
+      showClock.refresh();
+    }
+    return { success: true, program };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('program:set-loops', async (event, programId, loops) => {
+  try {
+    if (typeof programId !== 'string' || programId.trim() === '') {
+      return { success: false, error: 'Invalid program ID' };
+    }
+    if (!Array.isArray(loops)) {
+      return { success: false, error: 'Invalid loops' };
+    }
+    
+    const program = await pptProcessor.setProgramLoops(programId, loops);
+    showController.discardPreloaded(programId);
+    if (isCurrentProgram(programId) && showController.currentMode.setLoops) {
+      showController.currentMode.setLoops(program.loops || []);
+    }
+    return { success: true, program };
   } catch (error) {
     return { success: false, error: error.message };
   }
 });
 
+ipcMain.handle('program:select-bundle', async () => {
+  const result = await dialog.showOpenDialog(mainWindow, {
+    properties: ['openFile', 'multiSelections'],
+    filters: [
+      { name: 'StageForge Program', extensions: [CONSTANTS.BUNDLE.EXTENSION] }
+    ]
+  });
+  
+  if (!result.canceled) {
+    return { success: true, filePaths: result.filePaths };
+  }
+  return { success: false };
+});
+
+ipcMain.handle('program:import-bundle', async (event, filePaths, options = {}) => {
+  const results = [];
+  const conflicts = [];
+  try {
+    if (!Array.isArray(filePaths) || filePaths.length === 0) {
+      return { success: false, error: 'Invalid file paths' };
+    }
+    
+    for (const filePath of filePaths) {
+      if (typeof filePath !== 'string') {
+        continue; // Skip invalid paths
+      }
+      
+      try {
+        results.push(await pptProcessor.importProgramBundle(filePath, options));
+      } catch (error) {
+        if (!error.conflict) {
+          throw error;
+        }
+        conflicts.push(error.conflict);
+      }
+    }
+    
+    // Replacing removes or rewrites the loaded program (or the preloaded one)
+    let unloadedProgramId = null;
+    showController.discardPreloaded();
+    const loaded = showController.currentProgram;
+    if (loaded && (
+      results.some(program => program.id === loaded.id) ||
+      !await pptProcessor.programExists(loaded.id))) {
+      unloadedProgramId = loaded.id;
+      await unloadCurrentProgram();
+    }
+    
+    return { success: true, programs: results, conflicts, unloadedProgramId };
+  } catch (error) {
+    return { success: false, error: error.message, programs: results };
+  }
+});
+
+// Library Management
+ipcMain.handle('library:info', async () => {
+  return {
+    success: true,
+    path: pptProcessor.dataDir,
+    defaultPath: getDefaultLibraryPath(),
+    isDefault: !settings.get('libraryPath')
+  };
+});
+
+ipcMain.handle('library:choose-location', async () => {
+  const result = await dialog.showOpenDialog(mainWindow, {
+    properties: ['openDirectory', 'createDirectory']
+  });
+  
+  if (!result.canceled && result.filePaths.length > 0) {
+    return { success: true, path: result.filePaths[0] };
+  }
+  return { success: false };
+});
+
+ipcMain.handle('library:set-location', async (event, libraryPath, options = {}) => {
+  if (libraryPath !== null && (typeof libraryPath !== 'string' || !path.isAbsolute(libraryPath))) {
+    return { success: false, error: 'Invalid library location' };
+  }
+  
+  const previousDir = pptProcessor.dataDir;
+  try {
+    // Loaded programs point into the old location
+    await unloadCurrentProgram();
+    await pptProcessor.setDataDir(libraryPath || getDefaultLibraryPath());
+    
+    let moved = [];
+    let skipped = [];
+    if (options.moveExisting) {
+      ({ moved, skipped } = await pptProcessor.migrateLibrary(previousDir));
+    }
+    
+    await settings.set('libraryPath', libraryPath);
+    return { success: true, path: pptProcessor.dataDir, moved, skipped };
+  } catch (error) {
+    await pptProcessor.setDataDir(previousDir).catch(() => {});
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('library:usage', async () => {
+  try {
+    const usage = await pptProcessor.getStorageUsage();
+    return { success: true, usage };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('program:refresh-preview', async (event, programId) => {
+  try {
+    const summary = await pptProcessor.previewRefresh(programId);
+    return { success: true, summary };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('program:refresh', async (event, programId) => {
+  try {
+    // Scenes built from the old slides are stale; the operator reloads the program
+    if (isCurrentProgram(programId)) {
+      await unloadCurrentProgram();
+    }
+    showController.discardPreloaded(programId);
+    
+    pptProcessor.resetCancel();
+    const onProgress = createImportProgressForwarder(0, 1);
+    pptProcessor.on('progress', onProgress);
+    try {
+      const program = await pptProcessor.refreshProgram(programId);
+      const droppedCues = showDocument.remapProgramActs(programId, program.refresh.actMap);
+      return { success: true, program, droppedCues };
+    } finally {
+      pptProcessor.removeListener('progress', onProgress);
+    }
+  } catch (error) {
+    if (error.cancelled) {
+      return { success: false, cancelled: true, error: error.message };
+    }
+    return { success: false, error: error.message };
+  }
+});
+
+/**
+ * Stop and unload the current program
+ * Anything preloaded for the rundown is dropped too, as it may be stale
+ * @returns {Promise<void>}
+ */
+async function unloadCurrentProgram() {
+  showController.discardPreloaded();
+  await showController.unload();
+}
+
+/**
+ * Check whether a program is the one currently loaded
+ * @param {string} programId - Program identifier
+ * @returns {boolean} True if the program is loaded
+ */
+function isCurrentProgram(programId) {
+  return showController.currentProgram !== null && showController.currentProgram.id === programId;
+}
+
+// Scene Control
+/**
+ * Register what each cue action does with the cue engine
+ * The scene:* handlers below dispatch these same actions
+ */
+function registerCueActions() {
+  const ACTIONS = CONSTANTS.CUES.ACTIONS;
+  
+  // At the end of a program this rolls into the next rundown entry
+  cueEngine.registerAction(ACTIONS.NEXT, recordForUndo(() => showController.next()));
+  cueEngine.registerAction(ACTIONS.PREV, recordForUndo(() => showController.prev()));
+  cueEngine.registerAction(ACTIONS.ACT, recordForUndo(({ act }) => showController.jumpToScene(act)));
+  cueEngine.registerAction(ACTIONS.BLACKOUT, recordForUndo(async () => {
+    await obsController.activateBlackout();
+    showController.markBlackout();
+  }));
+  cueEngine.registerAction(ACTIONS.START_PROGRAM, startProgramAction);
+  cueEngine.registerAction(ACTIONS.STOP_PROGRAM, () => showController.stop());
+  cueEngine.registerAction(ACTIONS.PLAY_MEDIA, async ({ programId, clip }) => {
+    liveHistory.clear();
+    const program = await showController.loadProgram(programId);
+    if (program.mode !== CONSTANTS.MODES.MEDIA) {
+      throw new Error(`Not a media program: ${program.name}`);
+    }
+    await showController.start({ display: showDocument.settings.display, startAt: clip });
+  });
+  cueEngine.registerAction(ACTIONS.TRANSITION, ({ name, duration }) => obsController.setTransition(name, duration));
+}
+
+/**
+ * Start a program: a rundown entry, a program from the library, or the loaded one
+ * @param {Object} action - Start action ({ entryId, programId, act, display }, all optional)
+ * @returns {Promise<void>}
+ * @throws {Error} If the entry does not exist or the program cannot be loaded or started
+ */
+async function startProgramAction({ entryId, programId, act, display }) {
+  liveHistory.clear();
+  const options = {
+    display: display !== undefined ? display : showDocument.settings.display,
+    startAt: act
+  };
+  
+  if (entryId) {
+    const index = showDocument.rundown.indexOf(entryId);
+    if (index === -1) {
+      throw new Error('Rundown entry not found');
+    }
+    await showController.startEntry(index, options);
+    return;
+  }
+  if (programId && !isCurrentProgram(programId)) {
+    await showController.loadProgram(programId);
+  }
+  await showController.start(options);
+}
+
+/**
+ * Wrap an action handler so the transition it makes can be undone
+ * @param {Function} handler - Action handler
+ * @returns {Function} Action handler that records the live state it leaves
+ */
+function recordForUndo(handler) {
+  return async (action) => {
+    const before = await captureLiveState();
+    await handler(action);
+    const after = await captureLiveState();
+    if (before && after) {
+      liveHistory.record(before, after);
+    }
+  };
+}
+
+/**
+ * Describe what is on air, including the scene OBS has on program
+ * @returns {Promise<Object|null>} Live state ({ programId, entryId, mode, actIndex,
+ *   blackout, obsScene }), or null if nothing is on air
+ */
+async function captureLiveState() {
+  const status = showController.getStatus();
+  if (!status || !status.onAir) {
+    return null;
+  }
+  
+  let obsScene = null;
+  if (obsController.connected) {
+    try {
+      obsScene = (await obsController.getCurrentScene()).name;
+    } catch (error) {
+      console.error('Error reading OBS program scene:', error);
+    }
+  }
+  
+  return {
+    programId: status.programId,
+    entryId: status.entryId,
+    mode: status.mode,
+    actIndex: showController.getCurrentActIndex(),
+    blackout: status.blackout,
+    obsScene
+  };
+}
+
+/**
+ * Go back to the live state before the last transition, with the exact
+ * OBS scene that was on program then (the blackout scene included)
+ * @returns {Promise<Object|null>} { program, state }, or null if there is nothing to undo
+ * @throws {Error} If the program, act or OBS scene cannot be brought back
+ */
+async function undoLiveState() {
+  const state = liveHistory.pop();
+  if (!state) {
+    return null;
+  }
+  
+  const program = await showController.restore(state);
+  if (state.blackout) {
+    await obsController.activateBlackout();
+    showController.markBlackout();
+  } else if (state.obsScene && obsController.connected) {
+    const current = await obsController.getCurrentScene();
+    if (current.name !== state.obsScene) {
+      await obsController.switchToScene(state.obsScene);
+    }
+  }
+  return { program, state };
+}
+
+ipcMain.handle('scene:next', async () => {
+  try {
+    await cueEngine.dispatch({ type: CONSTANTS.CUES.ACTIONS.NEXT });
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('scene:prev', async () => {
+  try {
+    await cueEngine.dispatch({ type: CONSTANTS.CUES.ACTIONS.PREV });
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('scene:jump', async (event, sceneIndex) => {
+  try {
+    // Validate sceneIndex
+    if (typeof sceneIndex !== 'number' || sceneIndex < 0 || !Number.isInteger(sceneIndex)) {
+      return { success: false, error: 'Invalid scene index' };
+    }
+    
+    await cueEngine.dispatch({ type: CONSTANTS.CUES.ACTIONS.ACT, act: sceneIndex });
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('scene:start', async (event, options) => {
+  try {
+    // Validate options
+    if (options && typeof options !== 'object') {
+      return { success: false, error: 'Invalid options object' };
+    }
+    
+    // Starts the loaded program
+    await cueEngine.dispatch({ type: CONSTANTS.CUES.ACTIONS.START_PROGRAM, display: (options || {}).display });
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('scene:stop', async () => {
+  try {
+    await cueEngine.dispatch({ type: CONSTANTS.CUES.ACTIONS.STOP_PROGRAM });
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('scene:blackout', async () => {
+  try {
+    await cueEngine.dispatch({ type: CONSTANTS.CUES.ACTIONS.BLACKOUT });
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('scene:exit-loop', async () => {
+  try {
+    // Goes to the loop's exit act, or hands over to the next rundown entry
+    await showController.exitLoop();
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('scene:undo', async () => {
+  try {
+    const result = await undoLiveState();
+    if (!result) {
+      return { success: false, error: 'Nothing to undo' };
+    }
+    
+    const { program, state } = result;
+    return { success: true, program, actIndex: state.actIndex, blackout: state.blackout };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('scene:current', async () => {
+  try {
+    const status = showController.getStatus();
+    if (status) {
+      return { success: true, status };
+    }
+    return { success: false, error: 'No mode active' };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Show Rundown
+/**
+ * Rundown entries joined with the name and mode of the programs they reference
+ * @returns {Promise<Object>} { entries, currentEntryId }
+ */
+async function describeRundown() {
+  const programs = new Map((await pptProcessor.listPrograms()).map(program => [program.id, program]));
+  const entries = showDocument.rundown.entries.map(entry => {
+    const program = programs.get(entry.programId);
+    return {
+      ...entry,
+      programName: program ? program.name : entry.programId,
+      mode: program ? program.mode : null,
+      missing: !program || program.corrupt === true
+    };
+  });
+  return { entries, currentEntryId: showController.currentEntryId };
+}
+
+ipcMain.handle('rundown:get', async () => {
+  try {
+    return { success: true, ...await describeRundown() };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('rundown:add', async (event, programId, settings) => {
+  try {
+    if (typeof programId !== 'string' || programId.trim() === '') {
+      return { success: false, error: 'Invalid program ID' };
+    }
+    if (!await pptProcessor.programExists(programId)) {
+      return { success: false, error: `Program not found: ${programId}` };
+    }
+    
+    const entry = showDocument.rundown.addEntry(programId, settings || {});
+    await showController.refreshPreload();
+    return { success: true, entry };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('rundown:remove', async (event, entryId) => {
+  try {
+    showDocument.rundown.removeEntry(entryId);
+    // The entry after the current one may have changed
+    await showController.refreshPreload();
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('rundown:move', async (event, entryId, toIndex) => {
+  try {
+    if (!Number.isInteger(toIndex) || toIndex < 0) {
+      return { success: false, error: 'Invalid rundown position' };
+    }
+    
+    showDocument.rundown.moveEntry(entryId, toIndex);
+    await showController.refreshPreload();
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('rundown:update', async (event, entryId, settings) => {
+  try {
+    const entry = showDocument.rundown.updateEntry(entryId, settings);
+    return { success: true, entry };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('rundown:start-entry', async (event, entryId, options) => {
+  try {
+    if (options && typeof options !== 'object') {
+      return { success: false, error: 'Invalid options object' };
+    }
+    
+    const index = showDocument.rundown.indexOf(entryId);
+    if (index === -1) {
+      return { success: false, error: 'Rundown entry not found' };
+    }
+    
+    liveHistory.clear();
+    const program = await showController.startEntry(index, options || {});
+    return { success: true, program };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Cue List
+ipcMain.handle('cue:list', async () => {
+  return { success: true, cues: showDocument.cueList.cues, status: cueEngine.getStatus() };
+});
+
+ipcMain.handle('cue:add', async (event, cue, index) => {
+  try {
+    if (index !== undefined && !Number.isInteger(index)) {
+      return { success: false, error: 'Invalid position' };
+    }
+    
+    const created = showDocument.cueList.addCue(cue, index);
+    return { success: true, cue: created };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('cue:update', async (event, cueId, changes) => {
+  try {
+    if (!changes || typeof changes !== 'object') {
+      return { success: false, error: 'Invalid cue' };
+    }
+    
+    const cue = showDocument.cueList.updateCue(cueId, changes);
+    return { success: true, cue };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('cue:remove', async (event, cueId) => {
+  try {
+    showDocument.cueList.removeCue(cueId);
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('cue:move', async (event, cueId, toIndex) => {
+  try {
+    if (!Number.isInteger(toIndex) || toIndex < 0) {
+      return { success: false, error: 'Invalid position' };
+    }
+    
+    showDocument.cueList.moveCue(cueId, toIndex);
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('cue:standby', async (event, cueId) => {
+  try {
+    if (cueId !== null && typeof cueId !== 'string') {
+      return { success: false, error: 'Invalid cue ID' };
+    }
+    
+    cueEngine.setStandby(cueId);
+    return { success: true, status: cueEngine.getStatus() };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('cue:go', async () => {
+  try {
+    const cue = await cueEngine.go();
+    return { success: true, cue };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Show Files
+/**
+ * Open the show the operator left off with: an autosaved untitled show,
+ * otherwise the most recently used show file
+ * @returns {Promise<void>}
+ */
+async function openStartupShow() {
+  if (!await showDocument.restoreAutosave()) {
+    const [lastShow] = settings.get('recentShows') || [];
+    if (lastShow) {
+      try {
+        await showDocument.open(lastShow);
+      } catch (error) {
+        console.error('Error reopening last show:', error.message);
+      }
+    }
+  }
+  applyShowSettings();
+}
+
+/**
+ * Apply the open show's settings to the controllers
+ */
+function applyShowSettings() {
+  libreOfficeController.setDisplay(showDocument.settings.display);
+}
+
+/**
+ * Show the open show's name, and whether it has unsaved changes, in the window title
+ */
+function updateWindowTitle() {
+  if (!mainWindow || !showDocument) {
+    return;
+  }
+  
+  const name = showDocument.name || 'Untitled Show';
+  mainWindow.setTitle(`${name}${showDocument.dirty ? ' •' : ''} - StageForge`);
+  if (process.platform === 'darwin') {
+    mainWindow.setDocumentEdited(showDocument.dirty);
+  }
+}
+
+/**
+ * State of the open show for the renderer
+ * @returns {Object} { filePath, name, dirty, settings, recentShows }
+ */
+function describeShow() {
+  return {
+    filePath: showDocument.filePath,
+    name: showDocument.name,
+    dirty: showDocument.dirty,
+    settings: showDocument.settings,
+    recentShows: settings.get('recentShows') || []
+  };
+}
+
+/**
+ * Put a show file at the top of the recent shows list
+ * @param {string} filePath - Path to the .sfshow file
+ * @returns {Promise<void>}
+ */
+async function addRecentShow(filePath) {
+  const recent = (settings.get('recentShows') || []).filter(recentPath => recentPath !== filePath);
+  await settings.set('recentShows', [filePath, ...recent].slice(0, CONSTANTS.SHOW.MAX_RECENT));
+}
+
+/**
+ * Drop a show file from the recent shows list (e.g. after it could not be opened)
+ * @param {string} filePath - Path to the .sfshow file
+ * @returns {Promise<void>}
+ */
+async function removeRecentShow(filePath) {
+  const recent = settings.get('recentShows') || [];
+  await settings.set('recentShows', recent.filter(recentPath => recentPath !== filePath));
+}
+
+/**
+ * Replace the open show with a show file (or a new show when no file is given)
+ * The loaded program is unloaded, since the new show may set it up differently
+ * @param {string|null} filePath - Path to the .sfshow file
+ * @returns {Promise<void>}
+ * @throws {Error} If the file cannot be opened
+ */
+async function switchShow(filePath) {
+  if (filePath) {
+    await showDocument.open(filePath);
+    await addRecentShow(filePath);
+  } else {
+    await showDocument.create();
+  }
+  await unloadCurrentProgram();
+  cueEngine.reset();
+  showClock.resetShow();
+  applyShowSettings();
+}
+
+ipcMain.handle('show:get', async () => {
+  return { success: true, show: describeShow() };
+});
+
+ipcMain.handle('show:new', async () => {
+  try {
+    await switchShow(null);
+    return { success: true, show: describeShow() };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('show:open', async () => {
+  try {
+    const result = await dialog.showOpenDialog(mainWindow, {
+      properties: ['openFile'],
+      filters: [
+        { name: 'StageForge Show', extensions: [CONSTANTS.SHOW.EXTENSION] }
+      ]
+    });
+    
+    if (result.canceled || result.filePaths.length === 0) {
+      return { success: false, canceled: true };
+    }
+    
+    await switchShow(result.filePaths[0]);
+    return { success: true, show: describeShow() };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('show:open-recent', async (event, filePath) => {
+  try {
+    if (typeof filePath !== 'string' || filePath.trim() === '') {
+      return { success: false, error: 'Invalid show file path' };
+    }
+    
+    try {
+      await switchShow(filePath);
+    } catch (error) {
+      // Moved or deleted shows would otherwise stay in the list forever
+      if (error.code === 'ENOENT') {
+        await removeRecentShow(filePath);
+      }
+      throw error;
+    }
+    return { success: true, show: describeShow() };
+  } catch (error) {
+    return { success: false, error: error.message, show: describeShow() };
+  }
+});
+
+ipcMain.handle('show:save', async () => {
+  try {
+    // An untitled show has no file yet, so this is Save As
+    if (!showDocument.filePath) {
+      return await saveShowAs();
+    }
+    
+    await showDocument.save();
+    return { success: true, show: describeShow() };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('show:save-as', async () => {
+  try {
+    return await saveShowAs();
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+/**
+ * Ask for a file name and save the show there
+ * @returns {Promise<Object>} IPC result ({ success, canceled, show })
+ */
+async function saveShowAs() {
+  const result = await dialog.showSaveDialog(mainWindow, {
+    defaultPath: `${showDocument.name || 'Untitled Show'}.${CONSTANTS.SHOW.EXTENSION}`,
+    filters: [
+      { name: 'StageForge Show', extensions: [CONSTANTS.SHOW.EXTENSION] }
+    ]
+  });
+  
+  if (result.canceled || !result.filePath) {
+    return { success: false, canceled: true };
+  }
+  
+  await showDocument.saveAs(result.filePath);
+  await addRecentShow(result.filePath);
+  return { success: true, show: describeShow() };
+}
+
+ipcMain.handle('show:set-act-settings', async (event, programId, actIndex, actSettings) => {
+  try {
+    if (typeof programId !== 'string' || programId.trim() === '') {
+      return { success: false, error: 'Invalid program ID' };
+    }
+    if (!Number.isInteger(actIndex) || actIndex < 0) {
+      return { success: false, error: 'Invalid act index' };
+    }
+    if (!actSettings || typeof actSettings !== 'object') {
+      return { success: false, error: 'Invalid act settings' };
+    }
+    
+    const loaded = isCurrentProgram(programId);
+    const program = loaded ? showController.currentProgram : await pptProcessor.loadProgram(programId);
+    const act = program.acts[actIndex];
+    if (!act) {
+      return { success: false, error: 'Act not found' };
+    }
+    
+    const saved = showDocument.setActSettings(programId, act, actSettings);
+    // The loaded program carries the show's act settings; keep it in step
+    if (loaded) {
+      for (const [field, value] of Object.entries(actSettings)) {
+        if (value === null) {
+          delete act[field];
+        }
+      }
+      Object.assign(act, saved);
+    }
+    showController.discardPreloaded(programId);
+    return { success: true, settings: saved };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Auto-Advance and Rehearsal
+ipcMain.handle('autoadvance:status', async () => {
+  return { success: true, status: autoAdvance.getStatus() };
+});
+
+ipcMain.handle('autoadvance:pause', async () => {
+  autoAdvance.pause();
+  return { success: true, status: autoAdvance.getStatus() };
+});
+
+ipcMain.handle('autoadvance:resume', async () => {
+  autoAdvance.resume();
+  return { success: true, status: autoAdvance.getStatus() };
+});
+
+ipcMain.handle('autoadvance:skip', async () => {
+  try {
+    await autoAdvance.skip();
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('rehearsal:start', async () => {
+  autoAdvance.startRehearsal();
+  return { success: true };
+});
+
+ipcMain.handle('rehearsal:stop', async () => {
+  try {
+    // Name the recorded acts so the operator can review them before saving
+    const programs = new Map();
+    const recordings = [];
+    for (const recording of autoAdvance.stopRehearsal()) {
+      if (!programs.has(recording.programId)) {
+        programs.set(recording.programId, await pptProcessor.loadProgram(recording.programId).catch(() => null));
+      }
+      const program = programs.get(recording.programId);
+      if (program && program.acts[recording.actIndex]) {
+        recordings.push({
+          ...recording,
+          programName: program.name,
+          actName: program.acts[recording.actIndex].customName || program.acts[recording.actIndex].name
+        });
+      }
+    }
+    return { success: true, recordings };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Show Clock
+ipcMain.handle('clock:status', async () => {
+  return { success: true, status: showClock.getStatus() };
+});
+
+ipcMain.handle('clock:reset-show', async () => {
+  showClock.resetShow();
+  return { success: true, status: showClock.getStatus() };
+});
+
+// Crash Recovery
+/**
+ * Journal what is on air, or remove the journal when nothing is
+ */
+function journalLiveState() {
+  const status = showController.getStatus();
+  if (!status || !status.onAir) {
+    journal.clear();
+    return;
+  }
+  
+  journal.record({
+    showFile: showDocument.filePath,
+    programId: status.programId,
+    programName: showController.currentProgram.name,
+    entryId: status.entryId,
+    mode: status.mode,
+    actIndex: showController.getCurrentActIndex(),
+    onAir: true,
+    blackout: status.blackout,
+    display: showController.startOptions.display
+  });
+}
+
+ipcMain.handle('recovery:get', async () => {
+  return { success: true, state: pendingRecovery };
+});
+
+ipcMain.handle('recovery:resume', async (event, obsConfig) => {
+  try {
+    if (!pendingRecovery) {
+      return { success: false, error: 'Nothing to resume' };
+    }
+    if (obsConfig && typeof obsConfig !== 'object') {
+      return { success: false, error: 'Invalid configuration object' };
+    }
+    
+    const state = pendingRecovery;
+    // The rundown and act settings the program ran with belong to its show
+    if (state.showFile && state.showFile !== showDocument.filePath) {
+      await switchShow(state.showFile);
+    }
+    if (!obsController.connected) {
+      await obsController.connect(obsConfig || {});
+    }
+    
+    const display = Number.isInteger(state.display) ? state.display : showDocument.settings.display;
+    const program = await showController.resume(state, { display });
+    if (state.blackout) {
+      await obsController.activateBlackout();
+      showController.markBlackout();
+    }
+    
+    pendingRecovery = null;
+    return { success: true, program, actIndex: state.actIndex, blackout: state.blackout === true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('recovery:dismiss', async () => {
+  pendingRecovery = null;
+  // Anything started since launch has already replaced the old journal
+  if (!showController.onAir) {
+    await journal.clear();
+  }
+  return { success: true };
+});
+
 // Display Management
 ipcMain.handle('display:list', async () => {
   try {
@@ -347,6 +1710,7 @@ ipcMain.handle('display:set', async (event, displayIndex) => {
     }
     
     libreOfficeController.setDisplay(displayIndex);
+    showDocument.setSetting('display', displayIndex);
     return { success: true };
   } catch (error) {
     return { success: false, error: error.message };
@@ -0,0 +1,169 @@
+const CONSTANTS = require('../utils/constants');
+const SceneMode = require('./scene');
+
+/**
+ * HybridMode - Mode D: Static scenes with live slides
+ * Static acts are shown as image scenes like SceneMode; acts flagged live are
+ * played in LibreOffice, positioned on that slide, and shown through the
+ * window-capture scene used by RendererMode
+ * This mode is ideal for mostly static decks with a few animated slides
+ */
+class HybridMode extends SceneMode {
+  /**
+   * Create a HybridMode controller
+   * @param {LibreOfficeController} libreOfficeController - LibreOffice controller instance
+   * @param {OBSController} obsController - OBS controller instance
+   */
+  constructor(libreOfficeController, obsController) {
+    super(obsController);
+    this.lo = libreOfficeController;
+    this.captureScene = null;
+    this.display = 0;
+  }
+
+  /**
+   * Create one image scene per act plus the LibreOffice capture scene
+   * @private
+   * @param {Object} program - Program object with acts array
+   * @returns {Promise<void>}
+   * @throws {Error} If not connected to OBS or scene creation fails
+   */
+  async _createScenes(program) {
+    await super._createScenes(program);
+
+    for (const scene of this.scenes) {
+      scene.live = program.acts[scene.actIndex].live === true;
+    }
+
+    this.captureScene = `${CONSTANTS.SCENE_PREFIX}${program.id}${CONSTANTS.RENDERER_SUFFIX}`;
+    try {
+      await this.sceneFactory.createScene(this.captureScene);
+      await this.sceneFactory.addWindowCapture(this.captureScene);
+      this.emit('obs-capture-ready', this.captureScene);
+    } catch (error) {
+      console.error('Error setting up OBS capture:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Take over the program's image scenes and capture scene left in OBS
+   * @private
+   * @param {Object} program - Program object with acts array
+   * @returns {Promise<boolean>} True if every scene exists
+   */
+  async _adoptScenes(program) {
+    const captureScene = `${CONSTANTS.SCENE_PREFIX}${program.id}${CONSTANTS.RENDERER_SUFFIX}`;
+    if (!await this.sceneFactory.sceneExists(captureScene) || !await super._adoptScenes(program)) {
+      return false;
+    }
+
+    for (const scene of this.scenes) {
+      scene.live = program.acts[scene.actIndex].live === true;
+    }
+    this.captureScene = captureScene;
+    return true;
+  }
+
+  /**
+   * Start presentation (jump to first scene)
+   * LibreOffice is launched up front when any act is live, so the first live act
+   * does not wait for it to start
+   * @param {Object} options - Start options
+   * @param {number} options.display - Display index for LibreOffice (default: 0)
+   * @param {number} [options.startAt] - Zero-based act to start at (default: first visible act)
+   * @returns {Promise<void>}
+   */
+  async start(options = {}) {
+    this.display = options.display || 0;
+
+    if (this.scenes.some(scene => scene.live) && !this.lo.isRunning) {
+      await this.lo.launch(this.currentProgram.filePath, { display: this.display });
+    }
+
+    await super.start(options);
+  }
+
+  /**
+   * Stop presentation and close LibreOffice if it was launched
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (this.lo.isRunning) {
+      await this.lo.stop();
+    }
+    await super.stop();
+  }
+
+  /**
+   * Flag a loaded act as live or static
+   * The change applies straight away if the act is on air
+   * @param {number} actIndex - Zero-based act index
+   * @param {boolean} live - True to play the act live
+   * @returns {Promise<void>}
+   */
+  async setActLive(actIndex, live) {
+    const scene = this.scenes[actIndex];
+    if (!scene) {
+      return;
+    }
+
+    scene.live = Boolean(live);
+    if (this.currentProgram && this.currentProgram.acts[actIndex]) {
+      this.currentProgram.acts[actIndex].live = scene.live;
+    }
+
+    if (actIndex === this.currentSceneIndex) {
+      await this._jumpToScene(actIndex);
+    }
+  }
+
+  /**
+   * Jump to specific scene by index
+   * Live acts move LibreOffice to the act's slide and switch OBS to the capture scene
+   * @private
+   * @param {number} sceneIndex - Zero-based scene index
+   * @returns {Promise<Object>} Scene object
+   * @throws {Error} If not connected to OBS, invalid scene index, or LibreOffice fails to start
+   */
+  async _jumpToScene(sceneIndex) {
+    const scene = this.scenes[sceneIndex];
+    if (!scene || !scene.live) {
+      return super._jumpToScene(sceneIndex);
+    }
+
+    if (!this.obs || !this.obs.connected) {
+      throw new Error('Not connected to OBS');
+    }
+
+    // Acts follow presentation order, hidden slides included, so the act index
+    // is also the slide number LibreOffice expects (a hidden slide is shown,
+    // as its image would be in a scene act)
+    if (!this.lo.isRunning) {
+      await this.lo.launch(this.currentProgram.filePath, { display: this.display });
+    }
+    await this.lo.goToSlide(scene.actIndex + 1);
+
+    await this.sceneFactory.switchToScene(this.captureScene);
+    this.currentSceneIndex = sceneIndex;
+    this._updateLoop();
+
+    this.emit('scene-changed', sceneIndex);
+    return scene;
+  }
+
+  /**
+   * Get current status of hybrid mode
+   * @returns {Object} Status object with mode info, scene list, and LibreOffice state
+   */
+  getStatus() {
+    return {
+      ...super.getStatus(),
+      mode: CONSTANTS.MODES.HYBRID,
+      running: this.lo.isRunning,
+      liveActs: this.scenes.filter(scene => scene.live).length
+    };
+  }
+}
+
+module.exports = HybridMode;
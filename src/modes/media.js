@@ -0,0 +1,245 @@
+const CONSTANTS = require('../utils/constants');
+const SceneMode = require('./scene');
+
+/**
+ * MediaMode - Mode C: Media playlist
+ * Plays a sequence of video/audio clips, one OBS scene per clip
+ * This mode is ideal for intro videos and performance backing tracks
+ * Navigation and loops are inherited from SceneMode; clips can advance on their
+ * own when OBS reports that playback has ended
+ */
+class MediaMode extends SceneMode {
+  /**
+   * Create a MediaMode controller
+   * @param {OBSController} obsController - OBS controller instance
+   */
+  constructor(obsController) {
+    super(obsController);
+    this.autoAdvance = false;
+    this.mediaInputs = new Map();
+    this._onPlaybackEnded = (data) => this._handlePlaybackEnded(data);
+  }
+
+  /**
+   * Load and setup a program in media mode
+   * @param {Object} program - Program object with one clip per act
+   * @param {Object} [options] - Load options (see SceneMode#loadProgram)
+   * @returns {Promise<Object>} Loaded program object
+   * @throws {Error} If no program provided
+   */
+  async loadProgram(program, options = {}) {
+    this.autoAdvance = program ? Boolean(program.autoAdvance) : false;
+    return super.loadProgram(program, options);
+  }
+
+  /**
+   * Describe the scene of a clip, named as _createScenes and OBSSceneFactory name it
+   * @private
+   * @param {Object} program - Program object with acts array
+   * @param {number} index - Zero-based act index
+   * @returns {Object} Scene data
+   */
+  _describeScene(program, index) {
+    const act = program.acts[index];
+    const sceneName = `${CONSTANTS.SCENE_PREFIX}${program.id}${CONSTANTS.ACT_PREFIX}${index + 1}`;
+
+    let mediaInput = null;
+    if ((act.videos || [])[0]) {
+      mediaInput = `${sceneName}_Video`;
+    } else if ((act.audio || [])[0]) {
+      mediaInput = `${sceneName}_Audio`;
+    }
+
+    return {
+      name: sceneName,
+      actIndex: index,
+      actName: act.name,
+      hidden: act.hidden === true,
+      mediaInput
+    };
+  }
+
+  /**
+   * Take over the program's scenes left in OBS, and the clip inputs in them
+   * @private
+   * @param {Object} program - Program object with acts array
+   * @returns {Promise<boolean>} True if every scene exists
+   */
+  async _adoptScenes(program) {
+    if (!await super._adoptScenes(program)) {
+      return false;
+    }
+
+    this.mediaInputs = new Map();
+    for (const scene of this.scenes) {
+      if (scene.mediaInput) {
+        this.mediaInputs.set(scene.mediaInput, scene.actIndex);
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Create one OBS scene per clip
+   * Video clips fill the canvas; audio clips play over a black background
+   * @private
+   * @param {Object} program - Program object with acts array
+   * @returns {Promise<void>}
+   * @throws {Error} If not connected to OBS or scene creation fails
+   */
+  async _createScenes(program) {
+    if (!this.obs || !this.obs.connected) {
+      throw new Error('Not connected to OBS');
+    }
+
+    this.scenes = [];
+    this.mediaInputs = new Map();
+
+    for (let i = 0; i < program.acts.length; i++) {
+      const act = program.acts[i];
+      const sceneName = `${CONSTANTS.SCENE_PREFIX}${program.id}${CONSTANTS.ACT_PREFIX}${i + 1}`;
+      const videoPath = (act.videos || [])[0];
+      const audioPath = (act.audio || [])[0];
+
+      try {
+        await this.sceneFactory.createScene(sceneName);
+
+        // Clips always play once from the top, so the end of playback is reported
+        let inputName = null;
+        if (videoPath) {
+          inputName = await this.sceneFactory.addVideoSource(sceneName, videoPath);
+        } else if (audioPath) {
+          await this.sceneFactory.addColorSource(sceneName);
+          inputName = await this.sceneFactory.addAudioSource(sceneName, audioPath, {
+            looping: false,
+            restartOnActivate: true
+          });
+        }
+
+        if (inputName) {
+          this.mediaInputs.set(inputName, i);
+        }
+
+        this.scenes.push({
+          name: sceneName,
+          actIndex: i,
+          actName: act.name,
+          hidden: act.hidden === true,
+          mediaInput: inputName
+        });
+      } catch (error) {
+        console.error(`Error creating scene for clip ${i}:`, error);
+        throw error;
+      }
+    }
+
+    this.emit('scenes-created', this.scenes);
+  }
+
+  /**
+   * Start playback (jump to the first clip) and listen for clips ending
+   * @param {Object} [options] - Start options (see SceneMode#start)
+   * @returns {Promise<void>}
+   */
+  async start(options = {}) {
+    this._detachPlaybackListener();
+    if (this.obs && this.obs.obs) {
+      this.obs.obs.on('MediaInputPlaybackEnded', this._onPlaybackEnded);
+    }
+    await super.start(options);
+  }
+
+  /**
+   * Stop playback and stop listening for clips ending
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    this._detachPlaybackListener();
+    await super.stop();
+  }
+
+  /**
+   * Turn advancing to the next clip when one finishes on or off
+   * @param {boolean} enabled - True to auto-advance
+   */
+  setAutoAdvance(enabled) {
+    this.autoAdvance = Boolean(enabled);
+    if (this.activeLoop) {
+      // Clips of a loop switch between dwelling and playing to the end
+      this._updateLoop();
+    }
+    this.emit('auto-advance-changed', this.autoAdvance);
+  }
+
+  /**
+   * Handle OBS reporting that a media input finished playing
+   * Only the clip on air counts; clips ending in scenes that are not live are ignored
+   * @private
+   * @param {Object} data - Event data ({ inputName })
+   * @returns {Promise<void>}
+   */
+  async _handlePlaybackEnded(data) {
+    const index = this.mediaInputs.get(data && data.inputName);
+    if (index === undefined || index !== this.currentSceneIndex) {
+      return;
+    }
+
+    this.emit('clip-ended', index);
+    if (!this.autoAdvance) {
+      return;
+    }
+
+    const nextIndex = this.activeLoop
+      ? this._findNextInLoop(index)
+      : this._findVisibleScene(index + 1, 1);
+    if (nextIndex === -1) {
+      this.emit('playlist-ended');
+      return;
+    }
+
+    try {
+      await this._jumpToScene(nextIndex);
+    } catch (error) {
+      console.error('Error advancing to next clip:', error);
+    }
+  }
+
+  /**
+   * How long a clip of the active loop stays on air
+   * With auto-advance on, clips loop when they finish playing rather than after a dwell time
+   * @private
+   * @param {number} sceneIndex - Zero-based scene index
+   * @returns {number|null} Milliseconds, or null if the clip's end (or the operator) moves on
+   */
+  _getLoopDwell(sceneIndex) {
+    const scene = this.scenes[sceneIndex];
+    if (this.autoAdvance && scene && scene.mediaInput) {
+      return null;
+    }
+    return super._getLoopDwell(sceneIndex);
+  }
+
+  /**
+   * Stop listening for OBS playback events
+   * @private
+   */
+  _detachPlaybackListener() {
+    if (this.obs && this.obs.obs) {
+      this.obs.obs.off('MediaInputPlaybackEnded', this._onPlaybackEnded);
+    }
+  }
+
+  /**
+   * Get current status of media mode
+   * @returns {Object} Status object with mode info, clip count, and scene list
+   */
+  getStatus() {
+    return {
+      ...super.getStatus(),
+      mode: CONSTANTS.MODES.MEDIA,
+      autoAdvance: this.autoAdvance
+    };
+  }
+}
+
+module.exports = MediaMode;
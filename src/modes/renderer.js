@@ -26,21 +26,26 @@ class RendererMode extends EventEmitter {
   /**
    * Load and prepare a program for renderer mode
    * @param {Object} program - Program object with file path and metadata
+   * @param {Object} [options] - Load options
+   * @param {boolean} [options.reuseScenes] - Use the capture scene already in OBS if there is one
    * @returns {Promise<Object>} Loaded program object
    * @throws {Error} If no program provided
    */
-  async loadProgram(program) {
+  async loadProgram(program, options = {}) {
     if (!program) {
       throw new Error('No program provided');
     }
 
     this.currentProgram = program;
-    this.currentSlideIndex = 0;
+    this.currentSlideIndex = Math.max(this._findVisibleSlide(0, 1), 0);
 
     // Ensure OBS has a capture scene for LibreOffice window
     if (this.obs && this.obs.connected) {
       this.sceneFactory = new OBSSceneFactory(this.obs.obs, config);
-      await this._setupOBSCapture(program);
+      const sceneName = `${CONSTANTS.SCENE_PREFIX}${program.id}${CONSTANTS.RENDERER_SUFFIX}`;
+      if (!options.reuseScenes || !await this.sceneFactory.sceneExists(sceneName)) {
+        await this._setupOBSCapture(program);
+      }
     }
 
     this.emit('program-loaded', program);
@@ -71,6 +76,7 @@ class RendererMode extends EventEmitter {
    * Start presentation playback
    * @param {Object} options - Start options
    * @param {number} options.display - Display index for presentation (default: 0)
+   * @param {number} [options.startAt] - Zero-based slide to start at (default: first visible slide)
    * @returns {Promise<void>}
    * @throws {Error} If no program loaded
    */
@@ -84,6 +90,15 @@ class RendererMode extends EventEmitter {
       display: options.display || 0
     });
 
+    // Slide numbers count hidden slides, like the tracked index; LibreOffice
+    // would show a hidden slide it is sent to, so start at the next visible one
+    const startAt = Number.isInteger(options.startAt) ? this._findVisibleSlide(options.startAt, 1) : -1;
+    if (startAt > 0) {
+      await this.lo.goToSlide(startAt + 1);
+      this.currentSlideIndex = startAt;
+      this.emit('slide-changed', this.currentSlideIndex);
+    }
+
     // Switch OBS to capture scene if connected
     if (this.obs && this.obs.connected && this.sceneFactory) {
       const sceneName = `${CONSTANTS.SCENE_PREFIX}${this.currentProgram.id}${CONSTANTS.RENDERER_SUFFIX}`;
@@ -103,17 +118,21 @@ class RendererMode extends EventEmitter {
    */
   async stop() {
     await this.lo.stop();
-    this.currentSlideIndex = 0;
+    this.currentSlideIndex = Math.max(this._findVisibleSlide(0, 1), 0);
     this.emit('stopped');
   }
 
   /**
    * Advance to next slide
+   * LibreOffice skips hidden slides itself, so the tracked index does too
    * @returns {Promise<void>}
    */
   async next() {
     await this.lo.nextSlide();
-    this.currentSlideIndex++;
+    const nextIndex = this._findVisibleSlide(this.currentSlideIndex + 1, 1);
+    if (nextIndex !== -1) {
+      this.currentSlideIndex = nextIndex;
+    }
     this.emit('slide-changed', this.currentSlideIndex);
   }
 
@@ -122,20 +141,38 @@ class RendererMode extends EventEmitter {
    * @returns {Promise<void>}
    */
   async prev() {
-    if (this.currentSlideIndex > 0) {
+    const prevIndex = this._findVisibleSlide(this.currentSlideIndex - 1, -1);
+    if (prevIndex !== -1) {
       await this.lo.prevSlide();
-      this.currentSlideIndex--;
+      this.currentSlideIndex = prevIndex;
       this.emit('slide-changed', this.currentSlideIndex);
     }
   }
 
+  /**
+   * Go to a slide, e.g. to bring back the one on air before an undo
+   * @param {number} slideIndex - Zero-based slide index
+   * @returns {Promise<void>}
+   * @throws {Error} If the slide index is invalid or the slide is hidden
+   */
+  async goToSlide(slideIndex) {
+    // LibreOffice would show a hidden slide it is sent to
+    if (!Number.isInteger(slideIndex) || this._findVisibleSlide(slideIndex, 1) !== slideIndex) {
+      throw new Error('Invalid slide index');
+    }
+
+    await this.lo.goToSlide(slideIndex + 1);
+    this.currentSlideIndex = slideIndex;
+    this.emit('slide-changed', this.currentSlideIndex);
+  }
+
   /**
    * Jump to first slide
    * @returns {Promise<void>}
    */
   async first() {
     await this.lo.firstSlide();
-    this.currentSlideIndex = 0;
+    this.currentSlideIndex = Math.max(this._findVisibleSlide(0, 1), 0);
     this.emit('slide-changed', this.currentSlideIndex);
   }
 
@@ -145,12 +182,43 @@ class RendererMode extends EventEmitter {
    */
   async last() {
     await this.lo.lastSlide();
-    if (this.currentProgram) {
-      this.currentSlideIndex = this.currentProgram.slideCount - 1;
+    // Leave the index alone if the slide count could not be determined at import
+    if (this.currentProgram && this.currentProgram.slideCount) {
+      this.currentSlideIndex = Math.max(this._findVisibleSlide(this.currentProgram.slideCount - 1, -1), 0);
       this.emit('slide-changed', this.currentSlideIndex);
     }
   }
 
+  /**
+   * Check whether the last visible slide is showing (next() has nowhere to go)
+   * Never true when the slide count could not be determined at import
+   * @returns {boolean} True if no visible slide follows the current one
+   */
+  isAtEnd() {
+    return this._findVisibleSlide(this.currentSlideIndex + 1, 1) === -1;
+  }
+
+  /**
+   * Find the nearest non-hidden slide starting at an index
+   * Uses program.slideOrder when available; without it every slide counts as visible,
+   * and an unknown slide count leaves the forward search unbounded
+   * @private
+   * @param {number} fromIndex - Index to start searching at
+   * @param {number} step - Search direction (1 forward, -1 backward)
+   * @returns {number} Slide index, or -1 if none found
+   */
+  _findVisibleSlide(fromIndex, step) {
+    const slideCount = (this.currentProgram && this.currentProgram.slideCount) || Infinity;
+    const slideOrder = (this.currentProgram && this.currentProgram.slideOrder) || [];
+
+    for (let i = fromIndex; i >= 0 && i < slideCount; i += step) {
+      if (!slideOrder[i] || !slideOrder[i].hidden) {
+        return i;
+      }
+    }
+    return -1;
+  }
+
   /**
    * Get current status of renderer mode
    * @returns {Object} Status object with mode info, slide count, and playback state
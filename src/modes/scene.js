@@ -7,6 +7,11 @@ const config = require('../../config.json');
  * SceneMode - Mode B: PPT-to-Scenes
  * Converts PPT slides to images and creates OBS scenes
  * This mode is ideal for simple slide shows without animations
+ * Ranges of acts can be marked as loops (program.loops): while one of their acts
+ * is on air the range cycles by itself, each act dwelling for its own duration
+ * (act.timing.duration) or the loop's, until exitLoop() leaves it.
+ * Emits 'loop-changed' with the active loop (see getStatus) when entering, holding
+ * or leaving one
  */
 class SceneMode extends EventEmitter {
   /**
@@ -20,16 +25,23 @@ class SceneMode extends EventEmitter {
     this.currentProgram = null;
     this.currentSceneIndex = -1;
     this.scenes = [];
+    this.loops = [];
+    this.activeLoop = null;
+    this.loopHeld = false;
+    this._loopTimer = null;
   }
 
   /**
    * Load and setup a program in scene mode
    * Creates OBS scenes from program's slide images
    * @param {Object} program - Program object with acts array
+   * @param {Object} [options] - Load options
+   * @param {boolean} [options.reuseScenes] - Use the program's scenes already in OBS
+   *   (e.g. after a crash) and only create them if any are missing
    * @returns {Promise<Object>} Loaded program object
    * @throws {Error} If no program provided
    */
-  async loadProgram(program) {
+  async loadProgram(program, options = {}) {
     if (!program) {
       throw new Error('No program provided');
     }
@@ -37,11 +49,15 @@ class SceneMode extends EventEmitter {
     this.currentProgram = program;
     this.currentSceneIndex = -1;
     this.scenes = [];
+    this._leaveLoop();
+    this.loops = Array.isArray(program.loops) ? program.loops : [];
 
     // Create OBS scenes from program acts
     if (this.obs && this.obs.connected) {
       this.sceneFactory = new OBSSceneFactory(this.obs.obs, config);
-      await this._createScenes(program);
+      if (!options.reuseScenes || !await this._adoptScenes(program)) {
+        await this._createScenes(program);
+      }
     }
 
     this.emit('program-loaded', program);
@@ -75,21 +91,18 @@ class SceneMode extends EventEmitter {
           await this.sceneFactory.addImageSource(sceneName, act.imagePath);
         }
         
-        const sceneData = {
-          name: sceneName,
-          actIndex: i,
-          actName: act.name
-        };
+        // Slide audio plays whenever the slide's scene is live
+        const audio = act.audio || [];
+        for (let a = 0; a < audio.length; a++) {
+          await this.sceneFactory.addAudioSource(sceneName, audio[a], {}, `${sceneName}_Audio${a + 1}`);
+        }
+        
+        const sceneData = this._describeScene(program, i);
         
-        // If act has video, create a subscene for it
-        if (act.hasVideo && act.videoPath) {
-          const videoSubsceneName = await this.sceneFactory.createVideoSubscene(
-            sceneName, 
-            act.videoPath, 
-            0
-          );
-          sceneData.videoSubscene = videoSubsceneName;
-          sceneData.hasVideo = true;
+        // One subscene per video the slide uses
+        const videos = act.videos || [];
+        for (let v = 0; v < videos.length; v++) {
+          await this.sceneFactory.createVideoSubscene(sceneName, videos[v], v);
         }
         
         this.scenes.push(sceneData);
@@ -103,13 +116,61 @@ class SceneMode extends EventEmitter {
     this.emit('scenes-created', this.scenes);
   }
 
+  /**
+   * Describe the scene of an act, named as _createScenes and OBSSceneFactory name it
+   * @private
+   * @param {Object} program - Program object with acts array
+   * @param {number} index - Zero-based act index
+   * @returns {Object} Scene data
+   */
+  _describeScene(program, index) {
+    const act = program.acts[index];
+    const sceneName = `${CONSTANTS.SCENE_PREFIX}${program.id}${CONSTANTS.ACT_PREFIX}${index + 1}`;
+    const videos = act.videos || [];
+
+    return {
+      name: sceneName,
+      actIndex: index,
+      actName: act.name,
+      hidden: act.hidden === true,
+      hasAudio: (act.audio || []).length > 0,
+      videoSubscenes: videos.map((video, v) => `${sceneName}_Video${v + 1}`),
+      hasVideo: videos.length > 0
+    };
+  }
+
+  /**
+   * Take over the program's scenes left in OBS (e.g. by a session that crashed)
+   * @private
+   * @param {Object} program - Program object with acts array
+   * @returns {Promise<boolean>} True if every scene exists; false leaves nothing adopted
+   */
+  async _adoptScenes(program) {
+    const scenes = program.acts.map((act, index) => this._describeScene(program, index));
+
+    for (const scene of scenes) {
+      for (const sceneName of [scene.name, ...(scene.videoSubscenes || [])]) {
+        if (!await this.sceneFactory.sceneExists(sceneName)) {
+          return false;
+        }
+      }
+    }
+
+    this.scenes = scenes;
+    return true;
+  }
+
   /**
    * Start presentation (jump to first scene)
+   * @param {Object} [options] - Start options
+   * @param {number} [options.startAt] - Zero-based act to start at (default: first visible act)
    * @returns {Promise<void>}
    */
-  async start() {
+  async start(options = {}) {
     if (this.scenes.length > 0) {
-      await this._jumpToScene(0);
+      const firstVisible = this._findVisibleScene(0, 1);
+      const startAt = Number.isInteger(options.startAt) ? this._clampIndex(options.startAt) : firstVisible;
+      await this._jumpToScene(startAt !== -1 ? startAt : 0);
       this.emit('started', this.currentProgram);
     }
   }
@@ -120,29 +181,71 @@ class SceneMode extends EventEmitter {
    */
   async stop() {
     this.currentSceneIndex = -1;
+    this._leaveLoop();
     this.emit('stopped');
   }
 
   /**
-   * Advance to next scene
+   * Advance to next scene, skipping hidden slides
+   * Inside a loop this wraps around to the loop's first act; use exitLoop() to leave it
    * @returns {Promise<void>}
    * @throws {Error} If no scenes loaded
    */
   async next() {
     this._validateScenesLoaded();
-    const nextIndex = Math.min(this.currentSceneIndex + 1, this.scenes.length - 1);
-    await this._jumpToScene(nextIndex);
+    if (this.activeLoop) {
+      await this._jumpToScene(this._findNextInLoop(this.currentSceneIndex));
+      return;
+    }
+    const nextIndex = this._findVisibleScene(this.currentSceneIndex + 1, 1);
+    await this._jumpToScene(nextIndex !== -1 ? nextIndex : this._clampIndex(this.currentSceneIndex));
   }
 
   /**
-   * Go to previous scene
+   * Go to previous scene, skipping hidden slides
    * @returns {Promise<void>}
    * @throws {Error} If no scenes loaded
    */
   async prev() {
     this._validateScenesLoaded();
-    const prevIndex = Math.max(this.currentSceneIndex - 1, 0);
-    await this._jumpToScene(prevIndex);
+    const prevIndex = this._findVisibleScene(this.currentSceneIndex - 1, -1);
+    await this._jumpToScene(prevIndex !== -1 ? prevIndex : this._clampIndex(this.currentSceneIndex));
+  }
+
+  /**
+   * Jump to specific scene by index
+   * Hidden slides can still be reached this way
+   * @param {number} sceneIndex - Zero-based scene index
+   * @returns {Promise<Object>} Scene object
+   */
+  async jumpToScene(sceneIndex) {
+    return this._jumpToScene(sceneIndex);
+  }
+
+  /**
+   * Find the nearest non-hidden scene starting at an index
+   * @private
+   * @param {number} fromIndex - Index to start searching at
+   * @param {number} step - Search direction (1 forward, -1 backward)
+   * @returns {number} Scene index, or -1 if none found
+   */
+  _findVisibleScene(fromIndex, step) {
+    for (let i = fromIndex; i >= 0 && i < this.scenes.length; i += step) {
+      if (!this.scenes[i].hidden) {
+        return i;
+      }
+    }
+    return -1;
+  }
+
+  /**
+   * Clamp an index into the valid scene range
+   * @private
+   * @param {number} index - Scene index
+   * @returns {number} Clamped index
+   */
+  _clampIndex(index) {
+    return Math.min(Math.max(index, 0), this.scenes.length - 1);
   }
 
   /**
@@ -164,17 +267,191 @@ class SceneMode extends EventEmitter {
     const scene = this.scenes[sceneIndex];
     await this.sceneFactory.switchToScene(scene.name);
     this.currentSceneIndex = sceneIndex;
+    this._updateLoop();
     
     this.emit('scene-changed', sceneIndex);
     return scene;
   }
 
+  /**
+   * Replace the loops of the loaded program
+   * Takes effect straight away: the act on air starts (or stops) looping
+   * @param {Array<Object>} loops - Loops ({ start, end, dwell, exitTo })
+   */
+  setLoops(loops) {
+    this.loops = Array.isArray(loops) ? loops : [];
+    if (this.currentProgram) {
+      this.currentProgram.loops = this.loops;
+    }
+    if (this.currentSceneIndex !== -1) {
+      this._updateLoop();
+    } else {
+      this._leaveLoop();
+    }
+  }
+
+  /**
+   * Leave the active loop for its exit: the act set as its exitTo, or else the
+   * first visible act after it
+   * @returns {Promise<boolean>} True if an act was put on air; false if the loop
+   *   exits to the next program (exitTo is CONSTANTS.LOOPS.EXIT_NEXT_PROGRAM, or
+   *   no act follows it), which is up to the show controller
+   * @throws {Error} If no loop is active or the exit act cannot be put on air
+   */
+  async exitLoop() {
+    if (!this.activeLoop) {
+      throw new Error('Not in a loop');
+    }
+
+    const exitIndex = this._getLoopExit(this.activeLoop);
+    if (exitIndex === -1) {
+      return false;
+    }
+    await this._jumpToScene(exitIndex);
+    return true;
+  }
+
+  /**
+   * Hold the active loop on its current act (e.g. while the blackout scene is on air)
+   * Looping continues with the next scene change
+   */
+  holdLoop() {
+    if (this.activeLoop && !this.loopHeld) {
+      this._clearLoopTimer();
+      this.loopHeld = true;
+      this.emit('loop-changed', this._describeLoop());
+    }
+  }
+
+  /**
+   * Enter, stay in or leave a loop after the act on air changed, and schedule
+   * the loop's next step
+   * @private
+   */
+  _updateLoop() {
+    this._clearLoopTimer();
+    const loop = this.loops.find(candidate =>
+      this.currentSceneIndex >= candidate.start && this.currentSceneIndex <= candidate.end) || null;
+    const changed = loop !== this.activeLoop || this.loopHeld;
+
+    this.activeLoop = loop;
+    this.loopHeld = false;
+    if (changed) {
+      this.emit('loop-changed', this._describeLoop());
+    }
+    if (!loop) {
+      return;
+    }
+
+    const nextIndex = this._findNextInLoop(this.currentSceneIndex);
+    const dwell = this._getLoopDwell(this.currentSceneIndex);
+    if (nextIndex !== this.currentSceneIndex && dwell !== null) {
+      this._loopTimer = setTimeout(() => this._stepLoop(nextIndex), dwell);
+    }
+  }
+
+  /**
+   * Move the active loop on to its next act
+   * @private
+   * @param {number} sceneIndex - Zero-based scene index
+   * @returns {Promise<void>}
+   */
+  async _stepLoop(sceneIndex) {
+    this._loopTimer = null;
+    try {
+      await this._jumpToScene(sceneIndex);
+    } catch (error) {
+      console.error('Error advancing loop:', error);
+    }
+  }
+
+  /**
+   * How long an act of the active loop stays on air
+   * @private
+   * @param {number} sceneIndex - Zero-based scene index
+   * @returns {number|null} Milliseconds, or null if the act waits for the operator
+   */
+  _getLoopDwell(sceneIndex) {
+    const act = this.currentProgram.acts[sceneIndex];
+    const duration = act && act.timing ? act.timing.duration : null;
+    return Number.isInteger(duration) && duration > 0 ? duration : this.activeLoop.dwell;
+  }
+
+  /**
+   * Find the act that follows one in the active loop, wrapping around and
+   * skipping hidden slides
+   * @private
+   * @param {number} sceneIndex - Zero-based scene index
+   * @returns {number} Scene index (the same index if the loop has no other visible act)
+   */
+  _findNextInLoop(sceneIndex) {
+    const { start, end } = this.activeLoop;
+    const length = end - start + 1;
+    for (let step = 1; step < length; step++) {
+      const index = start + ((sceneIndex - start + step) % length);
+      if (this.scenes[index] && !this.scenes[index].hidden) {
+        return index;
+      }
+    }
+    return sceneIndex;
+  }
+
+  /**
+   * Find where a loop exits to
+   * @private
+   * @param {Object} loop - Loop ({ start, end, exitTo })
+   * @returns {number} Scene index, or -1 to exit to the next program
+   */
+  _getLoopExit(loop) {
+    if (Number.isInteger(loop.exitTo)) {
+      return this._clampIndex(loop.exitTo);
+    }
+    if (loop.exitTo === CONSTANTS.LOOPS.EXIT_NEXT_PROGRAM) {
+      return -1;
+    }
+    return this._findVisibleScene(loop.end + 1, 1);
+  }
+
+  /**
+   * Describe the active loop for status reports
+   * @private
+   * @returns {Object|null} { start, end, dwell, exitTo, held }, or null outside a loop
+   */
+  _describeLoop() {
+    return this.activeLoop ? { ...this.activeLoop, held: this.loopHeld } : null;
+  }
+
+  /**
+   * Leave the active loop, if any, without changing scenes
+   * @private
+   */
+  _leaveLoop() {
+    this._clearLoopTimer();
+    this.loopHeld = false;
+    if (this.activeLoop) {
+      this.activeLoop = null;
+      this.emit('loop-changed', null);
+    }
+  }
+
+  /**
+   * Cancel the loop's pending step
+   * @private
+   */
+  _clearLoopTimer() {
+    if (this._loopTimer) {
+      clearTimeout(this._loopTimer);
+      this._loopTimer = null;
+    }
+  }
+
   /**
    * Jump to first scene
    * @returns {Promise<void>}
    */
   async first() {
-    await this._jumpToScene(0);
+    const firstVisible = this._findVisibleScene(0, 1);
+    await this._jumpToScene(firstVisible !== -1 ? firstVisible : 0);
   }
 
   /**
@@ -183,10 +460,21 @@ class SceneMode extends EventEmitter {
    */
   async last() {
     if (this.scenes.length > 0) {
-      await this._jumpToScene(this.scenes.length - 1);
+      const lastVisible = this._findVisibleScene(this.scenes.length - 1, -1);
+      await this._jumpToScene(lastVisible !== -1 ? lastVisible : this.scenes.length - 1);
     }
   }
 
+  /**
+   * Check whether the last visible scene is on air (next() has nowhere to go)
+   * Never true inside a loop, where next() wraps around
+   * @returns {boolean} True if scenes are loaded and none follow the current one
+   */
+  isAtEnd() {
+    return this.scenes.length > 0 && !this.activeLoop &&
+      this._findVisibleScene(this.currentSceneIndex + 1, 1) === -1;
+  }
+
   /**
    * Validate that scenes are loaded
    * @private
@@ -200,7 +488,8 @@ class SceneMode extends EventEmitter {
 
   /**
    * Get current status of scene mode
-   * @returns {Object} Status object with mode info, scene count, and scene list
+   * @returns {Object} Status object with mode info, scene count, scene list, and
+   *   the active loop ({ start, end, dwell, exitTo, held }, or null)
    */
   getStatus() {
     return {
@@ -208,7 +497,8 @@ class SceneMode extends EventEmitter {
       programLoaded: this.currentProgram !== null,
       currentScene: this.currentSceneIndex,
       totalScenes: this.scenes.length,
-      scenes: this.scenes
+      scenes: this.scenes,
+      loop: this._describeLoop()
     };
   }
 }
@@ -216,6 +216,39 @@ class OBSController extends EventEmitter {
     this.currentSceneIndex = -1;
   }
 
+  /**
+   * Put a scene on air by name, e.g. the one that was live before an undo
+   * @param {string} sceneName - OBS scene name
+   * @returns {Promise<void>}
+   * @throws {Error} If not connected to OBS or the scene does not exist
+   */
+  async switchToScene(sceneName) {
+    if (!this.connected) {
+      throw new Error('Not connected to OBS');
+    }
+
+    await this.sceneFactory.switchToScene(sceneName);
+    this.currentSceneIndex = this.scenes.findIndex(scene => scene.name === sceneName);
+  }
+
+  /**
+   * Set the transition OBS uses for the following scene changes
+   * @param {string} transitionName - Name of a transition set up in OBS (e.g. Fade, Cut)
+   * @param {number} [duration] - Transition duration in milliseconds (default: leave as is)
+   * @returns {Promise<void>}
+   * @throws {Error} If not connected to OBS or OBS has no such transition
+   */
+  async setTransition(transitionName, duration) {
+    if (!this.connected) {
+      throw new Error('Not connected to OBS');
+    }
+
+    await this.obs.call('SetCurrentSceneTransition', { transitionName });
+    if (duration !== undefined) {
+      await this.obs.call('SetCurrentSceneTransitionDuration', { transitionDuration: duration });
+    }
+  }
+
   /**
    * Get currently active scene
    * @returns {Promise<Object>} Current scene info with name and index
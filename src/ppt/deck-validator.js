@@ -0,0 +1,239 @@
+const path = require('path');
+const { execFileSync } = require('child_process');
+const PPTXReader = require('./pptx-reader');
+const CONSTANTS = require('../utils/constants');
+
+// Relationship types whose target has to be present when the deck is shown
+const MEDIA_REL_TYPES = /\/(video|audio|media|image|oleObject)$/;
+
+// Font families installed on this machine (lower case), read once per session
+let installedFonts;
+
+/**
+ * DeckValidator - Inspects a PPTX archive for problems that typically break a
+ * deck on show day: linked media, fonts missing on the show machine, non-16:9 slide
+ * size, oversized or unsupported media files
+ */
+class DeckValidator extends PPTXReader {
+  /**
+   * Build the validation report
+   * @returns {Object} { checkedAt, issues: Array<{ code, severity, params }> } where
+   *   code is one of CONSTANTS.VALIDATION.CODES and params holds message details
+   */
+  getReport() {
+    const slides = this.getSlides();
+    const issues = [
+      ...this._checkLinkedMedia(slides),
+      ...this._checkFonts(),
+      ...this._checkSlideSize(),
+      ...this._checkMediaFiles(slides)
+    ];
+
+    return {
+      checkedAt: new Date().toISOString(),
+      issues: issues
+    };
+  }
+
+  /**
+   * Find media linked from outside the deck (TargetMode="External")
+   * @private
+   * @param {Array<Object>} slides - Slides in presentation order
+   * @returns {Array<Object>} Issues
+   */
+  _checkLinkedMedia(slides) {
+    const issues = [];
+    slides.forEach((slide, index) => {
+      for (const rel of Object.values(this._readRels(slide.file))) {
+        if (rel.external && MEDIA_REL_TYPES.test(rel.type)) {
+          issues.push(this._issue(CONSTANTS.VALIDATION.CODES.LINKED_MEDIA, CONSTANTS.VALIDATION.SEVERITY.ERROR, {
+            slide: index + 1,
+            target: rel.target
+          }));
+        }
+      }
+    });
+    return issues;
+  }
+
+  /**
+   * Find fonts used by the deck that are neither embedded in it nor installed here
+   * Covers fonts named in the theme, masters, layouts and slides. Standard Office
+   * fonts (CONSTANTS.VALIDATION.STANDARD_FONTS) are never reported; without
+   * fontconfig to list the installed fonts, every other font that is not embedded is
+   * @private
+   * @returns {Array<Object>} Issues (at most one, listing every font)
+   */
+  _checkFonts() {
+    const used = new Set();
+    const partPattern = /^ppt\/(slides|slideLayouts|slideMasters|theme)\/[^/]+\.xml$/;
+
+    for (const entry of this.zip.getEntries()) {
+      if (!partPattern.test(entry.entryName)) {
+        continue;
+      }
+      const xml = this.zip.readAsText(entry);
+      for (const tag of xml.match(/<a:(?:latin|ea|cs)\s[^>]*>/g) || []) {
+        const typeface = this._parseAttributes(tag).typeface;
+        // "+mj-lt" etc. refer to theme fonts, which are collected from the theme itself
+        if (typeface && !typeface.startsWith('+')) {
+          used.add(typeface);
+        }
+      }
+    }
+
+    const embedded = new Set();
+    const presentationXml = this._readText('ppt/presentation.xml') || '';
+    for (const element of this._findElements(presentationXml, 'p:embeddedFont')) {
+      const fontTag = this._findTags(element, 'p:font')[0];
+      if (fontTag) {
+        embedded.add(this._parseAttributes(fontTag).typeface);
+      }
+    }
+
+    const installed = this._getInstalledFonts();
+    const standard = new Set(CONSTANTS.VALIDATION.STANDARD_FONTS.map(font => font.toLowerCase()));
+    const missing = [...used]
+      .filter(font => !embedded.has(font) && !standard.has(font.toLowerCase()) && !installed.has(font.toLowerCase()))
+      .sort();
+    if (missing.length === 0) {
+      return [];
+    }
+    return [this._issue(CONSTANTS.VALIDATION.CODES.FONTS_NOT_EMBEDDED, CONSTANTS.VALIDATION.SEVERITY.WARNING, {
+      fonts: missing.join(', ')
+    })];
+  }
+
+  /**
+   * List the font families installed on this machine with fontconfig (fc-list)
+   * @private
+   * @returns {Set<string>} Lower-case family names, empty if fontconfig is not available
+   */
+  _getInstalledFonts() {
+    if (installedFonts) {
+      return installedFonts;
+    }
+
+    installedFonts = new Set();
+    try {
+      const output = execFileSync('fc-list', [':', 'family'], {
+        encoding: 'utf8',
+        timeout: CONSTANTS.TIMING.FONT_LIST_TIMEOUT_MS,
+        stdio: ['ignore', 'pipe', 'ignore']
+      });
+      // One font per line, listing every name of its family: "DejaVu Sans,DejaVu Sans Condensed"
+      for (const line of output.split('\n')) {
+        for (const family of line.split(/(?<!\\),/)) {
+          const name = family.replace(/\\(.)/g, '$1').trim().toLowerCase();
+          if (name) {
+            installedFonts.add(name);
+          }
+        }
+      }
+    } catch (error) {
+      // No fontconfig (e.g. Windows): only standard fonts are left out of the check
+    }
+    return installedFonts;
+  }
+
+  /**
+   * Check that the slide size matches the 16:9 output
+   * @private
+   * @returns {Array<Object>} Issues
+   */
+  _checkSlideSize() {
+    const presentationXml = this._readText('ppt/presentation.xml') || '';
+    const sizeTag = this._findTags(presentationXml, 'p:sldSz')[0];
+    if (!sizeTag) {
+      return [];
+    }
+
+    const attrs = this._parseAttributes(sizeTag);
+    const width = parseInt(attrs.cx, 10);
+    const height = parseInt(attrs.cy, 10);
+    if (!width || !height) {
+      return [];
+    }
+
+    const ratio = width / height;
+    const target = CONSTANTS.VALIDATION.TARGET_ASPECT_RATIO;
+    if (Math.abs(ratio - target) / target <= CONSTANTS.VALIDATION.ASPECT_RATIO_TOLERANCE) {
+      return [];
+    }
+    return [this._issue(CONSTANTS.VALIDATION.CODES.SLIDE_SIZE, CONSTANTS.VALIDATION.SEVERITY.WARNING, {
+      ratio: this._describeRatio(ratio)
+    })];
+  }
+
+  /**
+   * Check embedded media files for size and playable formats
+   * @private
+   * @param {Array<Object>} slides - Slides in presentation order
+   * @returns {Array<Object>} Issues
+   */
+  _checkMediaFiles(slides) {
+    // Media referenced as video or audio, with the first slide using it
+    const playableParts = new Map();
+    slides.forEach((slide, index) => {
+      for (const part of slide.media) {
+        if (!playableParts.has(part)) {
+          playableParts.set(part, index + 1);
+        }
+      }
+    });
+
+    const issues = [];
+    for (const entry of this.zip.getEntries()) {
+      if (!entry.entryName.startsWith('ppt/media/') || entry.isDirectory) {
+        continue;
+      }
+
+      const file = path.posix.basename(entry.entryName);
+      const size = entry.header.size;
+      const slide = playableParts.get(entry.entryName);
+      const isPlayable = slide !== undefined;
+
+      if (isPlayable && !CONSTANTS.EXTENSIONS.VIDEO.test(file) && !CONSTANTS.EXTENSIONS.AUDIO.test(file)) {
+        issues.push(this._issue(CONSTANTS.VALIDATION.CODES.UNSUPPORTED_MEDIA, CONSTANTS.VALIDATION.SEVERITY.WARNING, {
+          file: file,
+          slide: slide
+        }));
+      }
+
+      const limit = isPlayable ? CONSTANTS.VALIDATION.MAX_VIDEO_BYTES : CONSTANTS.VALIDATION.MAX_IMAGE_BYTES;
+      if (size > limit) {
+        issues.push(this._issue(CONSTANTS.VALIDATION.CODES.LARGE_MEDIA, CONSTANTS.VALIDATION.SEVERITY.WARNING, {
+          file: file,
+          sizeMB: Math.round(size / (1024 * 1024))
+        }));
+      }
+    }
+    return issues;
+  }
+
+  /**
+   * Describe an aspect ratio, using its common name where there is one
+   * @private
+   * @param {number} ratio - Width divided by height
+   * @returns {string} e.g. "4:3" or "1.50:1"
+   */
+  _describeRatio(ratio) {
+    const common = [[4, 3], [16, 10], [3, 2], [1, 1], [21, 9]];
+    const match = common.find(([w, h]) => Math.abs(ratio - w / h) < 0.01);
+    return match ? `${match[0]}:${match[1]}` : `${ratio.toFixed(2)}:1`;
+  }
+
+  /**
+   * Create an issue entry
+   * @private
+   * @param {string} code - One of CONSTANTS.VALIDATION.CODES
+   * @param {string} severity - One of CONSTANTS.VALIDATION.SEVERITY
+   * @param {Object} params - Message details
+   * @returns {Object} Issue
+   */
+  _issue(code, severity, params) {
+    return { code, severity, params };
+  }
+}
+
+module.exports = DeckValidator;
@@ -0,0 +1,83 @@
+const ZipXMLReader = require('./zip-xml-reader');
+
+/**
+ * ODPReader - Reads slide structure and text out of an OpenDocument presentation
+ * Returns the same slide shape as PPTXReader so both formats share one import path
+ */
+class ODPReader extends ZipXMLReader {
+  /**
+   * Get slides (draw:page elements) in presentation order
+   * @returns {Array<Object>} Slide objects: { slideId, file, hidden, title, notes, hash, animated }
+   */
+  getSlides() {
+    const contentXml = this._readText('content.xml');
+    if (!contentXml) {
+      return [];
+    }
+
+    const hiddenStyles = this._getHiddenPageStyles(contentXml);
+
+    return this._findElements(contentXml, 'draw:page').map(page => {
+      const attrs = this._parseAttributes(this._findTags(page, 'draw:page')[0]);
+      const notes = this._findElements(page, 'presentation:notes')[0] || '';
+      const slideContent = notes ? page.replace(notes, '') : page;
+
+      return {
+        // ODP has no stable slide id like PPTX's p:sldId; xml:id is only present if set
+        slideId: attrs['xml:id'] || attrs['draw:id'] || null,
+        file: null,
+        hidden: hiddenStyles.has(attrs['draw:style-name']),
+        title: this._extractFrameText(slideContent, 'title').join(' ').replace(/\s+/g, ' ').trim(),
+        notes: this._extractFrameText(notes, 'notes').join('\n').trim(),
+        hash: this._hashContents([page]),
+        // Effects and build steps live in an anim:par timeline on the page
+        animated: /<anim:par\b/.test(page)
+      };
+    });
+  }
+
+  /**
+   * Collect names of drawing-page styles that hide a slide
+   * @private
+   * @param {string} contentXml - content.xml content
+   * @returns {Set<string>} Hidden page style names
+   */
+  _getHiddenPageStyles(contentXml) {
+    const hidden = new Set();
+    for (const style of this._findElements(contentXml, 'style:style')) {
+      if (/presentation:visibility="hidden"/.test(style)) {
+        hidden.add(this._parseAttributes(this._findTags(style, 'style:style')[0])['style:name']);
+      }
+    }
+    return hidden;
+  }
+
+  /**
+   * Collect paragraph text from frames of a presentation class (title, notes, ...)
+   * @private
+   * @param {string} xml - XML fragment
+   * @param {string} presentationClass - presentation:class value
+   * @returns {Array<string>} Paragraph texts
+   */
+  _extractFrameText(xml, presentationClass) {
+    const paragraphs = [];
+    for (const frame of this._findElements(xml, 'draw:frame')) {
+      const frameTag = this._findTags(frame, 'draw:frame')[0];
+      if (this._parseAttributes(frameTag)['presentation:class'] !== presentationClass) {
+        continue;
+      }
+
+      for (const paragraph of this._findElements(frame, 'text:p')) {
+        const text = paragraph
+          .replace(/<text:line-break\s*\/>/g, '\n')
+          .replace(/<text:tab\s*\/>/g, '\t')
+          .replace(/<text:s(?:\s+text:c="(\d+)")?\s*\/>/g, (m, count) => ' '.repeat(count ? parseInt(count, 10) : 1))
+          .replace(/<[^>]+>/g, '');
+        paragraphs.push(this._decodeEntities(text));
+      }
+    }
+    return paragraphs;
+  }
+}
+
+module.exports = ODPReader;
@@ -0,0 +1,211 @@
+const path = require('path');
+const ZipXMLReader = require('./zip-xml-reader');
+
+// Slide elements that point at audio/video parts, and the relationship types they use
+const MEDIA_REFERENCE_TAGS = /<(?:a:videoFile|a:audioFile|a:quickTimeFile|a:wavAudioFile|p14:media|p:snd)\b[^>]*>/g;
+const MEDIA_REL_TYPES = /\/(video|audio|media)$/;
+
+// Animation timeline with at least one build step (p:timing holds p:par nodes per step)
+const ANIMATION_TIMING = /<p:timing\b[\s\S]*?<p:par\b/;
+
+/**
+ * PPTXReader - Reads slide structure and text out of a PPTX (OOXML) archive
+ */
+class PPTXReader extends ZipXMLReader {
+
+  /**
+   * Get slides in presentation order with their titles and speaker notes
+   * Order follows <p:sldIdLst> in presentation.xml, not slide file numbering
+   * @returns {Array<Object>} Slide objects: { slideId, file, hidden, title, notes, hash, media, animated }
+   */
+  getSlides() {
+    const presentationXml = this._readText('ppt/presentation.xml');
+    if (!presentationXml) {
+      return [];
+    }
+
+    const rels = this._readRels('ppt/presentation.xml');
+    const slides = [];
+
+    for (const tag of this._findTags(presentationXml, 'p:sldId')) {
+      const attrs = this._parseAttributes(tag);
+      const rel = rels[attrs['r:id']];
+      if (!rel) {
+        continue;
+      }
+
+      const file = rel.target;
+      const slideXml = this._readText(file) || '';
+      const slideTag = this._findTags(slideXml, 'p:sld')[0];
+
+      slides.push({
+        slideId: attrs.id,
+        file: file,
+        hidden: slideTag ? this._parseAttributes(slideTag).show === '0' : false,
+        title: this._extractTitle(slideXml),
+        notes: this._extractNotes(file),
+        hash: this._hashSlide(file, slideXml),
+        media: this._extractMediaParts(file, slideXml),
+        animated: ANIMATION_TIMING.test(slideXml)
+      });
+    }
+
+    return slides;
+  }
+
+  /**
+   * Extract the title placeholder text from a slide
+   * @private
+   * @param {string} slideXml - Slide XML content
+   * @returns {string} Title text, or empty string if the slide has no title
+   */
+  _extractTitle(slideXml) {
+    for (const shape of this._findElements(slideXml, 'p:sp')) {
+      const placeholder = this._findTags(shape, 'p:ph')[0];
+      if (!placeholder) {
+        continue;
+      }
+
+      const type = this._parseAttributes(placeholder).type;
+      if (type === 'title' || type === 'ctrTitle') {
+        return this._extractParagraphs(shape).join(' ').replace(/\s+/g, ' ').trim();
+      }
+    }
+    return '';
+  }
+
+  /**
+   * Extract speaker notes text for a slide via its notesSlide relationship
+   * @private
+   * @param {string} slideFile - Slide part name (e.g. ppt/slides/slide3.xml)
+   * @returns {string} Notes text with paragraphs separated by newlines
+   */
+  _extractNotes(slideFile) {
+    const notesRel = Object.values(this._readRels(slideFile))
+      .find(rel => rel.type.endsWith('/notesSlide'));
+    if (!notesRel) {
+      return '';
+    }
+
+    const notesXml = this._readText(notesRel.target);
+    if (!notesXml) {
+      return '';
+    }
+
+    // The notes body is the "body" placeholder; others hold the slide image and number
+    for (const shape of this._findElements(notesXml, 'p:sp')) {
+      const placeholder = this._findTags(shape, 'p:ph')[0];
+      if (placeholder && this._parseAttributes(placeholder).type === 'body') {
+        return this._extractParagraphs(shape).join('\n').trim();
+      }
+    }
+    return '';
+  }
+
+  /**
+   * List the embedded audio/video parts a slide uses
+   * Parts are taken from the slide's relationships, ordered by where the slide XML
+   * first references them (a:videoFile / a:audioFile links, p14:media embeds,
+   * transition sounds). A part linked by several relationships is listed once;
+   * externally linked media is skipped since there is nothing to extract.
+   * @private
+   * @param {string} slideFile - Slide part name
+   * @param {string} slideXml - Slide XML content
+   * @returns {Array<string>} Media part names (e.g. ppt/media/media1.mp4)
+   */
+  _extractMediaParts(slideFile, slideXml) {
+    const rels = this._readRels(slideFile);
+    const referenced = [];
+    for (const tag of slideXml.match(MEDIA_REFERENCE_TAGS) || []) {
+      const attrs = this._parseAttributes(tag);
+      referenced.push(attrs['r:link'], attrs['r:embed']);
+    }
+
+    // Media relationships the XML does not reference directly still belong to the slide
+    const relIds = [...referenced.filter(id => id && rels[id]), ...Object.keys(rels)];
+    const parts = [];
+    for (const id of relIds) {
+      const rel = rels[id];
+      if (!rel.external && MEDIA_REL_TYPES.test(rel.type) && !parts.includes(rel.target)) {
+        parts.push(rel.target);
+      }
+    }
+    return parts;
+  }
+
+  /**
+   * Fingerprint a slide: its XML plus every part it references inside the
+   * package (layout, images, media, notes), so editing any of them changes the hash
+   * @private
+   * @param {string} slideFile - Slide part name
+   * @param {string} slideXml - Slide XML content
+   * @returns {string} SHA-1 hex digest
+   */
+  _hashSlide(slideFile, slideXml) {
+    const targets = Object.values(this._readRels(slideFile))
+      .filter(rel => !rel.external)
+      .map(rel => rel.target)
+      .sort();
+    return this._hashContents([slideXml, ...targets.map(target => this._readBuffer(target))]);
+  }
+
+  /**
+   * Collect the text of each <a:p> paragraph in an XML fragment
+   * @private
+   * @param {string} xml - XML fragment
+   * @returns {Array<string>} Paragraph texts
+   */
+  _extractParagraphs(xml) {
+    return this._findElements(xml, 'a:p').map(paragraph => {
+      const runs = paragraph.match(/<a:t(?:\s[^>]*)?>[^<]*<\/a:t>|<a:br\s*\/>/g) || [];
+      return runs.map(run => {
+        if (run.startsWith('<a:br')) {
+          return '\n';
+        }
+        return this._decodeEntities(run.replace(/<[^>]+>/g, ''));
+      }).join('');
+    });
+  }
+
+  /**
+   * Read and resolve the relationships of a package part
+   * @private
+   * @param {string} partName - Part name (e.g. ppt/slides/slide1.xml)
+   * @returns {Object} Map of relationship id to { type, target, external }
+   */
+  _readRels(partName) {
+    const dir = path.posix.dirname(partName);
+    const relsXml = this._readText(`${dir}/_rels/${path.posix.basename(partName)}.rels`);
+    const rels = {};
+    if (!relsXml) {
+      return rels;
+    }
+
+    for (const tag of this._findTags(relsXml, 'Relationship')) {
+      const attrs = this._parseAttributes(tag);
+      const external = attrs.TargetMode === 'External';
+      rels[attrs.Id] = {
+        type: attrs.Type || '',
+        target: external ? attrs.Target : this._resolvePartName(dir, attrs.Target),
+        external: external
+      };
+    }
+    return rels;
+  }
+
+  /**
+   * Resolve a relationship target relative to the source part directory
+   * @private
+   * @param {string} baseDir - Directory of the source part
+   * @param {string} target - Relationship target
+   * @returns {string} Absolute part name without leading slash
+   */
+  _resolvePartName(baseDir, target) {
+    if (target.startsWith('/')) {
+      return target.substring(1);
+    }
+    return path.posix.normalize(path.posix.join(baseDir, target));
+  }
+}
+
+module.exports = PPTXReader;
@@ -1,22 +1,82 @@
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const fsSync = require('fs');
 const fs = require('fs').promises;
+const os = require('os');
 const path = require('path');
-const { execFile } = require('child_process');
-const { promisify } = require('util');
+const { pathToFileURL } = require('url');
+const { execFile, spawn } = require('child_process');
+const AdmZip = require('adm-zip');
 const CONSTANTS = require('../utils/constants');
+const config = require('../../config.json');
+const PPTXReader = require('./pptx-reader');
+const ODPReader = require('./odp-reader');
+const ProgramSchema = require('./program-schema');
+const DeckValidator = require('./deck-validator');
 
-const execFilePromise = promisify(execFile);
+/**
+ * Upgrades for program bundle manifests, keyed by the version they upgrade from
+ * (e.g. 1: manifest => manifest at version 2). Add an entry whenever
+ * CONSTANTS.BUNDLE.VERSION is bumped.
+ */
+const BUNDLE_MIGRATIONS = {};
+
+// Image folders are ordered the way people number files: slide2 before slide10
+const NATURAL_ORDER = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' });
+
+// Library location used before programs moved to the user data directory
+const LEGACY_DATA_DIR = path.join(__dirname, '../../', CONSTANTS.PATHS.DATA);
 
 /**
  * PPTProcessor - Handles PowerPoint file processing and program management
  * Supports both renderer mode (direct PPT playback) and scene mode (slide extraction)
+ * Emits 'progress' events ({ file, stage, current, total }) while importing
  */
-class PPTProcessor {
-  constructor() {
-    this.dataDir = path.join(__dirname, '../../', CONSTANTS.PATHS.DATA);
+class PPTProcessor extends EventEmitter {
+  /**
+   * Create a processor for a program library
+   * @param {string} [dataDir] - Library root (defaults to the legacy ./data directory)
+   */
+  constructor(dataDir = LEGACY_DATA_DIR) {
+    super();
+    this.activeChild = null;
+    this.cancelRequested = false;
+    this._setDirectories(dataDir);
+    this._ensureDirectories();
+  }
+
+  /**
+   * Library location used by versions that stored programs inside the app directory
+   * @returns {string} Legacy data directory
+   */
+  static get legacyDataDir() {
+    return LEGACY_DATA_DIR;
+  }
+
+  /**
+   * Switch to another library location, creating its directories
+   * @param {string} dataDir - New library root
+   * @returns {Promise<void>}
+   * @throws {Error} If the location cannot be created or written to
+   */
+  async setDataDir(dataDir) {
+    const resolved = path.resolve(dataDir);
+    await Promise.all([CONSTANTS.PATHS.PROGRAMS, CONSTANTS.PATHS.SLIDES, CONSTANTS.PATHS.VIDEOS]
+      .map(dir => fs.mkdir(path.join(resolved, dir), { recursive: true })));
+    await fs.access(resolved, fsSync.constants.W_OK);
+    this._setDirectories(resolved);
+  }
+
+  /**
+   * Set the library root and the directories derived from it
+   * @private
+   * @param {string} dataDir - Library root
+   */
+  _setDirectories(dataDir) {
+    this.dataDir = dataDir;
     this.programsDir = path.join(this.dataDir, CONSTANTS.PATHS.PROGRAMS);
     this.slidesDir = path.join(this.dataDir, CONSTANTS.PATHS.SLIDES);
     this.videosDir = path.join(this.dataDir, CONSTANTS.PATHS.VIDEOS);
-    this._ensureDirectories();
   }
 
   /**
@@ -37,13 +97,42 @@ class PPTProcessor {
     }
   }
 
+  /**
+   * Request cancellation of the import in progress
+   * Kills the running LibreOffice/pdftoppm child so a long conversion stops immediately;
+   * the interrupted program's partial directories are removed by processFile
+   */
+  cancel() {
+    this.cancelRequested = true;
+    if (this.activeChild) {
+      this._killProcessTree(this.activeChild);
+    }
+  }
+
+  /**
+   * Clear a previous cancellation request before starting a new import batch
+   */
+  resetCancel() {
+    this.cancelRequested = false;
+  }
+
   /**
    * Process a PowerPoint file and create a program
-   * @param {string} filePath - Path to PPT/PPTX file
+   * A PDF or a folder of images is imported the same way, one act per page or
+   * image, and always as a Scene mode program.
+   * If the deck is already in the library (same source path or same content),
+   * options.onConflict decides what happens; without it a conflict error is thrown
+   * @param {string} filePath - Path to PPT/PPTX/ODP/PDF file or image folder
    * @param {Object} options - Processing options
-   * @param {string} options.mode - Processing mode ('renderer' or 'scene')
+   * @param {string} options.mode - Processing mode ('renderer' or 'scene'); ignored for
+   *   PDFs and image folders
+   * @param {string} [options.onConflict] - One of CONSTANTS.IMPORT_CONFLICT:
+   *   'replace' deletes the existing program, 'keep-both' imports alongside it,
+   *   'update' re-imports into the existing program keeping its ID, name and mode
    * @returns {Promise<Object>} Program object with metadata
-   * @throws {Error} If file is invalid or processing fails
+   * @throws {Error} If file is invalid or processing fails; error.cancelled is set
+   *   if the import was cancelled, error.conflict ({ filePath, programId, name })
+   *   if the deck is already imported and no conflict resolution was given
    */
   async processFile(filePath, options = {}) {
     try {
@@ -54,60 +143,259 @@ class PPTProcessor {
       
       // Resolve absolute path to prevent directory traversal
       const resolvedPath = path.resolve(filePath);
-      
+
       // Check if file exists and is accessible
+      let stats;
       try {
-        await fs.access(resolvedPath);
+        stats = await fs.stat(resolvedPath);
       } catch (error) {
         throw new Error(`File not accessible: ${resolvedPath}`);
       }
+
+      const isImageFolder = stats.isDirectory();
+      const isPdf = !isImageFolder && CONSTANTS.EXTENSIONS.PDF.test(resolvedPath);
+      if (!isImageFolder && !isPdf && !CONSTANTS.EXTENSIONS.PRESENTATION.test(resolvedPath)) {
+        throw new Error(`Unsupported file type: ${path.extname(resolvedPath) || resolvedPath}`);
+      }
+      if (isImageFolder && (await this._listFolderImages(resolvedPath)).length === 0) {
+        throw new Error(`No images found in ${resolvedPath}`);
+      }
+
+      const onConflict = options.onConflict;
+      if (onConflict && !Object.values(CONSTANTS.IMPORT_CONFLICT).includes(onConflict)) {
+        throw new Error(`Invalid conflict resolution: ${onConflict}`);
+      }
       
-      const fileName = path.basename(resolvedPath, path.extname(resolvedPath));
-      const programId = this._sanitizeName(fileName);
-      const programDir = path.join(this.programsDir, programId);
-      const slideDir = path.join(this.slidesDir, programId);
-      const videoDir = path.join(this.videosDir, programId);
+      const fileName = isImageFolder
+        ? path.basename(resolvedPath)
+        : path.basename(resolvedPath, path.extname(resolvedPath));
+      // Pages and images have nothing for LibreOffice to play back
+      const mode = isImageFolder || isPdf ? CONSTANTS.MODES.SCENE : (options.mode || CONSTANTS.MODES.RENDERER);
+
+      this._throwIfCancelled();
+      this._emitProgress(resolvedPath, CONSTANTS.IMPORT_STAGES.COPYING);
+      const sourceHash = await this._hashSource(resolvedPath);
+
+      const existing = await this._findExistingProgram(resolvedPath, sourceHash);
+      if (existing && !onConflict) {
+        const error = new Error(`"${existing.name}" is already in the library`);
+        error.conflict = { filePath: resolvedPath, programId: existing.id, name: existing.name };
+        throw error;
+      }
+
+      const source = { path: resolvedPath, name: fileName, hash: sourceHash };
+
+      if (existing && onConflict === CONSTANTS.IMPORT_CONFLICT.UPDATE) {
+        return await this._updateProgramInPlace(existing, source);
+      }
+
+      const programId = await this._generateProgramId(fileName, sourceHash);
+      const program = await this._importProgram(source, programId, mode);
+
+      // Only drop the old program once its replacement is safely imported
+      if (existing && onConflict === CONSTANTS.IMPORT_CONFLICT.REPLACE) {
+        await this.deleteProgram(existing.id);
+      }
+
+      return program;
+    } catch (error) {
+      if (error.cancelled || error.conflict) {
+        throw error;
+      }
+      throw new Error(`Failed to process PPT file: ${error.message}`);
+    }
+  }
+
+  /**
+   * Import a deck into a new program directory
+   * Removes the program's directories again if the import does not complete
+   * @private
+   * @param {Object} source - Source deck: { path, name, hash }
+   * @param {string} programId - ID of the program to create
+   * @param {string} mode - Processing mode ('renderer' or 'scene')
+   * @returns {Promise<Object>} Program object with metadata
+   */
+  async _importProgram(source, programId, mode) {
+    const { programDir, slideDir, videoDir } = this._getProgramDirs(programId);
+    const createdDirs = [programDir, slideDir, videoDir];
 
+    try {
       // Create directories for this program
-      await Promise.all([
-        fs.mkdir(programDir, { recursive: true }),
-        fs.mkdir(slideDir, { recursive: true }),
-        fs.mkdir(videoDir, { recursive: true })
-      ]);
+      await Promise.all(createdDirs.map(dir => fs.mkdir(dir, { recursive: true })));
 
-      // Copy PPT file to program directory
-      const targetPath = path.join(programDir, path.basename(resolvedPath));
-      await fs.copyFile(resolvedPath, targetPath);
+      // Copy PPT file (or image folder) to program directory
+      const targetPath = path.join(programDir, path.basename(source.path));
+      await this._copySource(source.path, targetPath);
 
-      // Determine mode: default to 'renderer' if not specified
-      const mode = options.mode || CONSTANTS.MODES.RENDERER;
+      // Resolve authoritative slide order (shared by both modes for numbering)
+      this._emitProgress(targetPath, CONSTANTS.IMPORT_STAGES.COUNTING);
+      const slideInfo = await this._readSlideInfo(targetPath);
+      const slideOrder = this._buildSlideOrder(slideInfo);
 
-      // Extract acts (only needed for scene mode, but useful for metadata)
-      const acts = mode === CONSTANTS.MODES.SCENE 
-        ? await this._extractActs(targetPath, slideDir, videoDir) 
+      this._throwIfCancelled();
+      this._emitProgress(targetPath, CONSTANTS.IMPORT_STAGES.VALIDATING);
+      const validation = this._validateDeck(targetPath);
+
+      // Extract acts (only needed for scene and hybrid modes, but useful for metadata)
+      const acts = this._usesSlideImages(mode)
+        ? await this._extractActs(targetPath, slideDir, videoDir, slideInfo) 
         : [];
       
       // Get slide count (useful for both modes)
-      const slideCount = acts.length > 0 ? acts.length : await this._getSlideCount(targetPath);
+      const slideCount = slideOrder.length > 0
+        ? slideOrder.length
+        : acts.length > 0 ? acts.length : await this._getSlideCount(targetPath);
 
       const program = {
+        schemaVersion: CONSTANTS.PROGRAM_SCHEMA_VERSION,
         id: programId,
-        name: fileName,
+        name: source.name,
         filePath: targetPath,
+        sourcePath: source.path,
+        sourceHash: source.hash,
         mode: mode,
         createdAt: new Date().toISOString(),
         slideCount: slideCount,
+        slideOrder: slideOrder,
+        validation: validation,
         acts: acts
       };
 
       // Save program metadata
-      const metadataPath = path.join(programDir, 'metadata.json');
-      await fs.writeFile(metadataPath, JSON.stringify(program, null, 2));
+      this._throwIfCancelled();
+      this._emitProgress(targetPath, CONSTANTS.IMPORT_STAGES.SAVING);
+      await this._saveProgram(program);
 
       return program;
     } catch (error) {
-      throw new Error(`Failed to process PPT file: ${error.message}`);
+      await Promise.all(createdDirs.map(dir => fs.rm(dir, { recursive: true, force: true })));
+      throw error;
+    }
+  }
+
+  /**
+   * Re-import a deck into an existing program, keeping its ID, name, mode and creation date
+   * along with what the operator set up: auto-advance, loops (moved along with their
+   * acts) and the operator fields (CONSTANTS.ACT_OPERATOR_FIELDS) of acts whose slide
+   * is still in the deck.
+   * The deck is imported into staging directories first and swapped in with
+   * _swapIntoPlace, so the existing program stays intact if the import fails,
+   * is cancelled or cannot be saved
+   * @private
+   * @param {Object} existing - Existing program object
+   * @param {Object} source - Source deck: { path, name, hash }
+   * @returns {Promise<Object>} Updated program object, with where its acts went as
+   *   `refresh` ({ actMap, droppedLoops }, see refreshProgram)
+   */
+  async _updateProgramInPlace(existing, source) {
+    const stagingId = existing.id + CONSTANTS.PROGRAM_ID.STAGING_SUFFIX;
+    const stagingDirs = this._getProgramDirs(stagingId);
+    const targetDirs = this._getProgramDirs(existing.id);
+
+    await this.deleteProgram(stagingId).catch(() => {});
+    const staged = await this._importProgram(source, stagingId, existing.mode || CONSTANTS.MODES.RENDERER);
+
+    const moves = Object.keys(targetDirs).map(key => [stagingDirs[key], targetDirs[key]]);
+    const program = this._rewritePaths(staged, moves);
+    program.id = existing.id;
+    program.name = existing.name;
+    program.createdAt = existing.createdAt;
+    program.updatedAt = new Date().toISOString();
+    const matches = this._matchSlides(existing.slideOrder || [], program.slideOrder || []);
+    const actMap = this._buildActMap(this._countSlides(existing), matches);
+    program.acts = this._carryOverOperatorFields(program.acts, existing.acts || [], matches);
+    if (existing.autoAdvance !== undefined) {
+      program.autoAdvance = existing.autoAdvance;
+    }
+    if (existing.loops !== undefined) {
+      program.loops = existing.loops;
+    }
+    const droppedLoops = this._remapLoops(program, actMap);
+
+    try {
+      await this._swapIntoPlace(moves, () => this._saveProgram(program));
+    } catch (error) {
+      await Promise.all(Object.values(stagingDirs).map(dir => fs.rm(dir, { recursive: true, force: true })));
+      throw error;
+    }
+    return { ...program, refresh: { actMap, droppedLoops } };
+  }
+
+  /**
+   * Move staged files and directories into place, keeping the ones they replace
+   * aside (CONSTANTS.PROGRAM_ID.BACKUP_SUFFIX) until commit() has succeeded.
+   * If a move or commit() fails, everything moved in is removed again and the
+   * previous files are restored, so the program is left exactly as it was
+   * @private
+   * @param {Array<Array<string|null>>} moves - Pairs of [stagedPath, targetPath];
+   *   a null staged path only removes the target
+   * @param {Function} commit - Async callback run once everything is in place,
+   *   typically saving the program metadata
+   * @returns {Promise<*>} Result of commit()
+   * @throws {Error} The error of the failed move or commit()
+   */
+  async _swapIntoPlace(moves, commit) {
+    const swapped = [];
+    let result;
+
+    try {
+      for (const [stagedPath, targetPath] of moves) {
+        const backupPath = targetPath + CONSTANTS.PROGRAM_ID.BACKUP_SUFFIX;
+        if (await this._pathExists(backupPath)) {
+          // Left over from an interrupted swap: it is the only copy if the target is missing
+          if (await this._pathExists(targetPath)) {
+            await fs.rm(backupPath, { recursive: true, force: true });
+          } else {
+            await fs.rename(backupPath, targetPath);
+          }
+        }
+
+        const hasTarget = await this._pathExists(targetPath);
+        if (hasTarget) {
+          await fs.rename(targetPath, backupPath);
+        }
+        swapped.push({ targetPath, backupPath: hasTarget ? backupPath : null });
+        if (stagedPath) {
+          await fs.rename(stagedPath, targetPath);
+        }
+      }
+
+      result = await commit();
+    } catch (error) {
+      for (const { targetPath, backupPath } of swapped.reverse()) {
+        try {
+          await fs.rm(targetPath, { recursive: true, force: true });
+          if (backupPath) {
+            await fs.rename(backupPath, targetPath);
+          }
+        } catch (restoreError) {
+          console.error(`Could not restore ${targetPath}:`, restoreError);
+        }
+      }
+      throw error;
+    }
+
+    for (const { backupPath } of swapped) {
+      if (backupPath) {
+        await fs.rm(backupPath, { recursive: true, force: true }).catch((error) => {
+          console.error(`Could not remove ${backupPath}:`, error);
+        });
+      }
     }
+    return result;
+  }
+
+  /**
+   * Check whether a directory entry of the programs directory is a program,
+   * rather than staging or backup directories of an update in progress
+   * @private
+   * @param {fs.Dirent} entry - Directory entry
+   * @returns {boolean} True for program directories
+   */
+  _isProgramEntry(entry) {
+    return entry.isDirectory() &&
+      !entry.name.endsWith(CONSTANTS.PROGRAM_ID.STAGING_SUFFIX) &&
+      !entry.name.endsWith(CONSTANTS.PROGRAM_ID.BACKUP_SUFFIX);
   }
 
   /**
@@ -115,7 +403,7 @@ class PPTProcessor {
    * Fully implemented using ZIP parsing for PPTX files
    * @private
    * @param {string} pptPath - Path to PPT file
-   * @returns {Promise<number>} Number of slides in presentation
+   * @returns {Promise<number|null>} Number of slides in presentation, or null if unknown
    */
   async _getSlideCount(pptPath) {
     try {
@@ -123,8 +411,6 @@ class PPTProcessor {
       const ext = path.extname(pptPath).toLowerCase();
       
       if (ext === '.pptx') {
-        // Use adm-zip to read the PPTX structure
-        const AdmZip = require('adm-zip');
         const zip = new AdmZip(pptPath);
         
         // Try to get slide count from presentation.xml
@@ -146,12 +432,19 @@ class PPTProcessor {
         return slideFiles.length;
       }
       
+      // ODP files are ZIP archives too: count <draw:page> elements in content.xml
+      if (ext === '.odp') {
+        return new ODPReader(pptPath).getSlides().length;
+      }
+      
       // For older .ppt files, we need LibreOffice or similar
       // Fall back to LibreOffice inspection
       return await this._getSlideCountViaLibreOffice(pptPath);
     } catch (error) {
+      this._throwIfCancelled();
       console.error('Error getting slide count:', error);
-      return 5; // Default fallback
+      // Unknown rather than a guess: a wrong count breaks Renderer mode's last()
+      return null;
     }
   }
   
@@ -160,12 +453,28 @@ class PPTProcessor {
    * @private
    * @param {string} pptPath - Path to PPT file
    * @returns {Promise<number>} Number of slides
+   * @throws {Error} If LibreOffice is unavailable or conversion fails
    */
   async _getSlideCountViaLibreOffice(pptPath) {
-    // This would require LibreOffice UNO API or similar
-    // For now, return a default count
-    // In full implementation, use LibreOffice headless mode to get slide count
-    return 5;
+    const slides = await this._readSlideInfoViaLibreOffice(pptPath);
+    return slides.length;
+  }
+
+  /**
+   * Read slide info from a legacy .ppt by converting it to ODP with headless LibreOffice
+   * @private
+   * @param {string} pptPath - Path to PPT file
+   * @returns {Promise<Array<Object>>} Slide info objects in presentation order
+   * @throws {Error} If LibreOffice is unavailable or conversion fails
+   */
+  async _readSlideInfoViaLibreOffice(pptPath) {
+    const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'stageforge-'));
+    try {
+      const odpPath = await this._convertWithLibreOffice(pptPath, workDir, 'odp');
+      return new ODPReader(odpPath).getSlides();
+    } finally {
+      await fs.rm(workDir, { recursive: true, force: true });
+    }
   }
 
   /**
@@ -174,71 +483,42 @@ class PPTProcessor {
    * @param {string} pptPath - Path to PPT file
    * @param {string} slideDir - Directory for slide images
    * @param {string} videoDir - Directory for extracted videos
+   * @param {Array<Object>} [slideInfo] - Slide info in presentation order (see _readSlideInfo)
    * @returns {Promise<Array>} Array of act objects with image paths
    */
-  async _extractActs(pptPath, slideDir, videoDir) {
-    // This is a simplified implementation
-    // In a real implementation, you would:
-    // 1. Use LibreOffice or similar to convert PPT to images
-    // 2. Extract slide notes/metadata for act information
-    // 3. Generate thumbnails
-    // 4. Extract embedded videos
-    
-    const acts = [];
+  async _extractActs(pptPath, slideDir, videoDir, slideInfo = []) {
+    let acts = [];
     
     try {
-      // Try to use LibreOffice to convert slides (if available)
-      const converted = await this._convertWithLibreOffice(pptPath, slideDir);
+      // Convert every slide to its own image (requires LibreOffice and pdftoppm)
+      const images = await this._convertSlidesToImages(pptPath, slideDir, slideInfo.length);
       
-      if (converted) {
-        // Extract videos from PPT if any
-        await this._extractVideos(pptPath, videoDir);
+      if (images) {
+        // Extract videos and audio from PPT if any
+        this._throwIfCancelled();
+        this._emitProgress(pptPath, CONSTANTS.IMPORT_STAGES.EXTRACTING_MEDIA);
+        await this._extractMedia(pptPath, videoDir);
         
-        // List generated images
-        const files = await fs.readdir(slideDir);
-        const imageFiles = files.filter(f => CONSTANTS.EXTENSIONS.IMAGE.test(f));
-        
-        // Check for extracted videos
-        let videoFiles = [];
-        try {
-          const vFiles = await fs.readdir(videoDir);
-          videoFiles = vFiles.filter(f => CONSTANTS.EXTENSIONS.VIDEO.test(f));
-        } catch (err) {
-          // No videos directory or no videos
-        }
-        
-        imageFiles.sort().forEach((file, index) => {
-          const actData = {
-            index: index,
-            name: `Act ${index + 1}`,
-            imagePath: path.join(slideDir, file),
-            notes: ''
-          };
-          
-          // Check if this slide has an associated video
-          // Match pattern: video file contains "slide" followed by the slide number
-          const slideNumberPattern = new RegExp(`slide[_\\s-]?${index + 1}[_\\s-]?`, 'i');
-          const videoFile = videoFiles.find(v => slideNumberPattern.test(v));
-          if (videoFile) {
-            actData.videoPath = path.join(videoDir, videoFile);
-            actData.hasVideo = true;
-          }
-          
-          acts.push(actData);
-        });
+        acts = await this._buildActs(slideInfo, images, videoDir);
       }
     } catch (error) {
+      this._throwIfCancelled();
       console.error('Error extracting acts:', error);
     }
 
-    // If no acts were created, create placeholders
+    // If no acts were created, create one placeholder per slide
     if (acts.length === 0) {
-      for (let i = 0; i < 5; i++) {
+      const slideCount = slideInfo.length || await this._getSlideCount(pptPath);
+      for (let i = 0; i < slideCount; i++) {
+        const info = slideInfo[i] || {};
         acts.push({
           index: i,
-          name: `Act ${i + 1}`,
+          name: info.title || `Act ${i + 1}`,
           imagePath: null,
-          notes: 'Placeholder - image extraction not available'
+          notes: info.notes || 'Placeholder - image extraction not available',
+          videos: [],
+          audio: [],
+          live: info.animated === true
         });
       }
     }
@@ -247,191 +527,1987 @@ class PPTProcessor {
   }
 
   /**
-   * Convert PowerPoint slides to images using LibreOffice
+   * Check a deck for problems that would show up on show day (see DeckValidator)
    * @private
-   * @param {string} pptPath - Path to PPT file
-   * @param {string} outputDir - Output directory for images
-   * @returns {Promise<boolean>} True if conversion successful
+   * @param {string} pptPath - Path to presentation file
+   * @returns {Object|null} Validation report, or null if the format is not checked
+   *   (only PPTX is) or the deck could not be inspected
    */
-  async _convertWithLibreOffice(pptPath, outputDir) {
-    // Try to convert using LibreOffice if available
-    try {
-      const loPath = this._getLibreOfficePath();
-
-      await execFilePromise(loPath, [
-        '--headless',
-        '--convert-to', 'png',
-        '--outdir', outputDir,
-        pptPath
-      ], { timeout: CONSTANTS.TIMING.LO_CONVERSION_TIMEOUT_MS });
+  _validateDeck(pptPath) {
+    if (path.extname(pptPath).toLowerCase() !== '.pptx') {
+      return null;
+    }
 
-      return true;
+    try {
+      return new DeckValidator(pptPath).getReport();
     } catch (error) {
-      console.log('LibreOffice conversion not available, using placeholders');
-      return false;
+      console.error('Error validating deck:', error.message);
+      return null;
     }
   }
 
   /**
-   * Get platform-specific LibreOffice executable path
+   * Build act objects from slide info and per-slide image results
    * @private
-   * @returns {string} Path to LibreOffice executable
+   * @param {Array<Object>} slideInfo - Slide info in presentation order
+   * @param {Array<Object>} images - Image results in presentation order ({ imagePath, error })
+   * @param {string} videoDir - Directory holding the program's extracted videos and audio
+   * @returns {Promise<Array<Object>>} Act objects
    */
-  _getLibreOfficePath() {
-    return process.platform === 'win32' 
-      ? 'C:\\Program Files\\LibreOffice\\program\\soffice.exe'
-      : '/usr/bin/soffice';
+  async _buildActs(slideInfo, images, videoDir) {
+    // Check for extracted media
+    let mediaFiles = new Set();
+    try {
+      mediaFiles = new Set(await fs.readdir(videoDir));
+    } catch (err) {
+      // No videos directory or no media
+    }
+
+    const acts = [];
+    const actCount = Math.max(images.length, slideInfo.length);
+    for (let index = 0; index < actCount; index++) {
+      const info = slideInfo[index] || {};
+      const image = images[index] || { imagePath: null, error: 'Slide missing from exported PDF' };
+      const actData = {
+        index: index,
+        name: info.title || `Act ${index + 1}`,
+        imagePath: image.imagePath,
+        notes: info.notes || ''
+      };
+
+      if (image.error) {
+        actData.imageError = image.error;
+      }
+
+      if (info.slideId) {
+        actData.slideId = info.slideId;
+      }
+      if (slideInfo[index]) {
+        actData.hidden = info.hidden === true;
+      }
+      
+      // Animated slides play live from LibreOffice in hybrid mode
+      actData.live = info.animated === true;
+      
+      // Videos and audio this slide uses, from its own relationships (see
+      // PPTXReader); a clip shared by several slides is listed on each of them
+      const media = (info.media || [])
+        .map(part => path.posix.basename(part))
+        .filter(file => mediaFiles.has(file));
+      actData.videos = media
+        .filter(file => CONSTANTS.EXTENSIONS.VIDEO.test(file))
+        .map(file => path.join(videoDir, file));
+      actData.audio = media
+        .filter(file => CONSTANTS.EXTENSIONS.AUDIO.test(file))
+        .map(file => path.join(videoDir, file));
+      
+      acts.push(actData);
+    }
+    return acts;
   }
 
   /**
-   * Extract videos from PPT file
-   * Fully implemented using ZIP extraction for PPTX files
+   * Read slide titles, speaker notes and hidden flags in presentation order
+   * PPTX and ODP are parsed directly; legacy .ppt goes through LibreOffice.
+   * PDF pages and the images of an image folder are listed as slides too.
+   * @private
+   * @param {string} pptPath - Path to presentation file, PDF or image folder
+   * @returns {Promise<Array<Object>>} Slide info objects ({ slideId, file, hidden, title, notes, hash,
+   *   and for PPTX media }), empty if the file cannot be parsed
    */
-  async _extractVideos(pptPath, videoDir) {
+  async _readSlideInfo(pptPath) {
+    const ext = path.extname(pptPath).toLowerCase();
+
     try {
-      const ext = path.extname(pptPath).toLowerCase();
-      
-      // Only PPTX files can be processed (they're ZIP archives)
-      if (ext !== '.pptx') {
-        console.log('Video extraction only supported for .pptx files');
-        return;
+      if (await this._isDirectory(pptPath)) {
+        return await this._readImageFolderInfo(pptPath);
       }
-      
-      const AdmZip = require('adm-zip');
-      const zip = new AdmZip(pptPath);
-      const entries = zip.getEntries();
-      
-      // Extract all video files from ppt/media/ directory
-      let videoCount = 0;
-      for (const entry of entries) {
-        if (entry.entryName.startsWith('ppt/media/') && 
-            CONSTANTS.EXTENSIONS.VIDEO.test(entry.entryName)) {
-          const videoName = path.basename(entry.entryName);
-          const targetPath = path.join(videoDir, videoName);
-          
-          // Extract the video file
-          zip.extractEntryTo(entry, videoDir, false, true);
-          videoCount++;
-          
-          console.log(`Extracted video: ${videoName}`);
-        }
+      if (ext === '.pdf') {
+        return await this._readPdfInfo(pptPath);
       }
-      
-      if (videoCount > 0) {
-        console.log(`Extracted ${videoCount} video(s) from ${path.basename(pptPath)}`);
-        
-        // Try to associate videos with slides by parsing slide XMLs
-        await this._associateVideosWithSlides(zip, videoDir);
+      if (ext === '.pptx') {
+        return new PPTXReader(pptPath).getSlides();
+      }
+      if (ext === '.odp') {
+        return new ODPReader(pptPath).getSlides();
+      }
+      if (ext === '.ppt') {
+        return await this._readSlideInfoViaLibreOffice(pptPath);
       }
     } catch (error) {
-      console.error('Video extraction error:', error.message);
+      this._throwIfCancelled();
+      console.error('Error reading slide titles and notes:', error.message);
     }
+    return [];
   }
-  
+
+  /**
+   * List an image folder as slides, in natural file name order
+   * The file name stands in for the slide ID, so a refresh matches images by name
+   * and inserting an image does not mark the ones after it as changed
+   * @private
+   * @param {string} folderPath - Path to image folder
+   * @returns {Promise<Array<Object>>} Slide info objects titled after the file names
+   */
+  async _readImageFolderInfo(folderPath) {
+    const images = await this._listFolderImages(folderPath);
+    const slides = [];
+    for (const image of images) {
+      slides.push({
+        slideId: image,
+        file: image,
+        hidden: false,
+        title: path.basename(image, path.extname(image)),
+        notes: '',
+        hash: await this._hashFile(path.join(folderPath, image))
+      });
+    }
+    return slides;
+  }
+
+  /**
+   * List the pages of a PDF as slides
+   * Pages carry no fingerprint of their own, so each is hashed together with the
+   * whole file: any edit to the PDF marks every page as changed on refresh
+   * @private
+   * @param {string} pdfPath - Path to PDF file
+   * @returns {Promise<Array<Object>>} Slide info objects titled "Page N"
+   */
+  async _readPdfInfo(pdfPath) {
+    const pageCount = await this._getPdfPageCount(pdfPath);
+    const fileHash = await this._hashFile(pdfPath);
+    return Array.from({ length: pageCount }, (value, index) => ({
+      slideId: null,
+      file: null,
+      hidden: false,
+      title: `Page ${index + 1}`,
+      notes: '',
+      hash: crypto.createHash('sha1').update(`${fileHash}:${index + 1}`).digest('hex')
+    }));
+  }
+
+  /**
+   * List the slide images in a folder (top level only), in natural file name order
+   * @private
+   * @param {string} folderPath - Path to image folder
+   * @returns {Promise<Array<string>>} Image file names
+   */
+  async _listFolderImages(folderPath) {
+    const entries = await fs.readdir(folderPath, { withFileTypes: true });
+    return entries
+      .filter(entry => entry.isFile() && CONSTANTS.EXTENSIONS.IMAGE.test(entry.name))
+      .map(entry => entry.name)
+      .sort(NATURAL_ORDER.compare);
+  }
+
+  /**
+   * Build the slide order stored in program metadata
+   * @private
+   * @param {Array<Object>} slideInfo - Slide info in presentation order
+   * @returns {Array<Object>} Entries of { number, slideId, file, hidden, title, hash }, 1-based numbering
+   */
+  _buildSlideOrder(slideInfo) {
+    return slideInfo.map((info, index) => ({
+      number: index + 1,
+      slideId: info.slideId,
+      file: info.file,
+      hidden: info.hidden,
+      title: info.title,
+      hash: info.hash
+    }));
+  }
+
   /**
-   * Associate extracted videos with their corresponding slides
-   * by parsing slide XML files to find video references
+   * Convert every slide to its own PNG image
+   * Exports the deck to PDF with LibreOffice (hidden slides included, so page N
+   * is slide N), then rasterizes one page at a time so a failure only affects
+   * that slide. Images are written as slide_001.png, slide_002.png, ...
+   * A PDF is rasterized directly, and an image folder's images are copied as they are.
+   * @private
+   * @param {string} pptPath - Path to PPT file, PDF or image folder
+   * @param {string} outputDir - Output directory for images
+   * @param {number} [expectedCount] - Known slide count (0 to count PDF pages)
+   * @param {Array<number>} [pages] - 1-based slides to rasterize (default: all); results
+   *   are returned for these slides only
+   * @returns {Promise<Array<Object>|null>} Per-slide results ({ slide, imagePath, error }),
+   *   or null if the deck could not be exported at all
    */
-  async _associateVideosWithSlides(zip, videoDir) {
+  async _convertSlidesToImages(pptPath, outputDir, expectedCount = 0, pages = null) {
+    if (await this._isDirectory(pptPath)) {
+      await this._clearSlideImages(outputDir);
+      return this._copyFolderImages(pptPath, outputDir, pages);
+    }
+
+    const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'stageforge-'));
+
     try {
-      const entries = zip.getEntries();
-      const slideEntries = entries.filter(e => 
-        e.entryName.match(/^ppt\/slides\/slide\d+\.xml$/)
-      );
-      
-      // Parse each slide XML to find video references
-      for (const slideEntry of slideEntries) {
-        const slideNumber = slideEntry.entryName.match(/slide(\d+)\.xml$/)[1];
-        const slideXml = zip.readAsText(slideEntry);
-        
-        // Look for video references in the slide XML
-        // Video references typically appear as <p:video> or media references
-        if (slideXml.includes('<p:video') || slideXml.includes('r:embed')) {
-          // Extract media reference IDs
-          const mediaRefs = slideXml.match(/r:embed="rId(\d+)"/g);
-          
-          if (mediaRefs) {
-            // Parse the slide relationships to find actual media files
-            const relsPath = `ppt/slides/_rels/slide${slideNumber}.xml.rels`;
-            const relsEntry = zip.getEntry(relsPath);
-            
-            if (relsEntry) {
-              const relsXml = zip.readAsText(relsEntry);
-              
-              // Find video file references in relationships
-              const videoTargets = relsXml.match(/Target="\.\.\/media\/[^"]+\.(mp4|avi|mov|mkv|webm)"/gi);
-              
-              if (videoTargets) {
-                // Rename videos to associate with slide number
-                for (const target of videoTargets) {
-                  const mediaFile = target.match(/media\/([^"]+)/)[1];
-                  const oldPath = path.join(videoDir, mediaFile);
-                  const newPath = path.join(videoDir, `slide_${slideNumber}_${mediaFile}`);
-                  
-                  try {
-                    await fs.rename(oldPath, newPath);
-                    console.log(`Associated video with slide ${slideNumber}: ${mediaFile}`);
-                  } catch (err) {
-                    // File might already be renamed or not exist
-                  }
-                }
-              }
-            }
-          }
+      let pdfPath = pptPath;
+      if (!CONSTANTS.EXTENSIONS.PDF.test(pptPath)) {
+        try {
+          this._emitProgress(pptPath, CONSTANTS.IMPORT_STAGES.CONVERTING, 0, expectedCount);
+          pdfPath = await this._convertWithLibreOffice(pptPath, workDir, CONSTANTS.LIBREOFFICE.PDF_EXPORT_FILTER);
+        } catch (error) {
+          this._throwIfCancelled();
+          console.log(`LibreOffice conversion not available, using placeholders: ${error.message}`);
+          return null;
         }
       }
-    } catch (error) {
-      console.log('Could not associate videos with slides:', error.message);
+
+      await this._clearSlideImages(outputDir);
+
+      const pageCount = expectedCount || await this._countPdfPages(pdfPath);
+      const slides = pages || Array.from({ length: pageCount }, (value, index) => index + 1);
+      const width = config?.import?.slideImageWidth || CONSTANTS.SLIDES.DEFAULT_IMAGE_WIDTH;
+      const results = [];
+
+      for (const [position, slide] of slides.entries()) {
+        const baseName = `slide_${String(slide).padStart(3, '0')}`;
+        this._emitProgress(pptPath, CONSTANTS.IMPORT_STAGES.CONVERTING, position + 1, slides.length);
+        try {
+          await this._execTool(this._getPdfRasterizerPath(), [
+            '-png',
+            '-f', String(slide),
+            '-l', String(slide),
+            '-singlefile',
+            '-scale-to-x', String(width),
+            '-scale-to-y', '-1',
+            pdfPath,
+            path.join(outputDir, baseName)
+          ], { timeout: CONSTANTS.TIMING.SLIDE_RASTERIZE_TIMEOUT_MS });
+
+          results.push({ slide, imagePath: path.join(outputDir, `${baseName}.png`), error: null });
+        } catch (error) {
+          this._throwIfCancelled();
+          console.error(`Failed to export slide ${slide}:`, error.message);
+          results.push({ slide, imagePath: null, error: error.message });
+        }
+      }
+
+      const failed = results.filter(r => r.error).length;
+      console.log(`Exported ${slides.length - failed}/${slides.length} slide image(s) from ${path.basename(pptPath)}`);
+      return results;
+    } finally {
+      await fs.rm(workDir, { recursive: true, force: true });
     }
   }
 
   /**
-   * Load a program by ID
-   * @param {string} programId - Program identifier
-   * @returns {Promise<Object>} Program object with full metadata
-   * @throws {Error} If program not found or cannot be loaded
+   * Remove images left over from a previous import of this program
+   * @private
+   * @param {string} outputDir - Slide image directory
+   * @returns {Promise<void>}
    */
-  async loadProgram(programId) {
-    try {
-      const metadataPath = path.join(this.programsDir, programId, 'metadata.json');
-      const data = await fs.readFile(metadataPath, 'utf-8');
-      return JSON.parse(data);
-    } catch (error) {
-      throw new Error(`Failed to load program: ${error.message}`);
-    }
+  async _clearSlideImages(outputDir) {
+    const existing = await fs.readdir(outputDir);
+    await Promise.all(existing
+      .filter(f => CONSTANTS.EXTENSIONS.IMAGE.test(f))
+      .map(f => fs.unlink(path.join(outputDir, f))));
   }
 
   /**
-   * List all available programs
-   * @returns {Promise<Array>} Array of program summary objects
+   * Copy the images of an image folder as slide images (slide_001.jpg, ...),
+   * keeping each image's format
+   * @private
+   * @param {string} folderPath - Path to image folder
+   * @param {string} outputDir - Output directory for images
+   * @param {Array<number>} [pages] - 1-based images to copy (default: all)
+   * @returns {Promise<Array<Object>>} Per-slide results ({ slide, imagePath, error })
    */
-  async listPrograms() {
-    try {
-      const entries = await fs.readdir(this.programsDir, { withFileTypes: true });
-      const programPromises = entries
-        .filter(entry => entry.isDirectory())
-        .map(async (entry) => {
-          try {
-            const program = await this.loadProgram(entry.name);
-            return {
-              id: program.id,
-              name: program.name,
-              createdAt: program.createdAt,
-              actCount: program.acts ? program.acts.length : (program.slideCount || 0),
-              slideCount: program.slideCount,
-              mode: program.mode || CONSTANTS.MODES.RENDERER
-            };
-          } catch (error) {
-            console.error(`Error loading program ${entry.name}:`, error);
-            return null;
-          }
-        });
+  async _copyFolderImages(folderPath, outputDir, pages = null) {
+    const images = await this._listFolderImages(folderPath);
+    const slides = pages || images.map((image, index) => index + 1);
+    const results = [];
 
-      const programs = await Promise.all(programPromises);
-      return programs.filter(p => p !== null);
-    } catch (error) {
-      return [];
+    for (const [position, slide] of slides.entries()) {
+      this._throwIfCancelled();
+      this._emitProgress(folderPath, CONSTANTS.IMPORT_STAGES.CONVERTING, position + 1, slides.length);
+      const image = images[slide - 1];
+      const imagePath = image
+        ? path.join(outputDir, `slide_${String(slide).padStart(3, '0')}${path.extname(image).toLowerCase()}`)
+        : null;
+      try {
+        if (!image) {
+          throw new Error('Image missing from folder');
+        }
+        await fs.copyFile(path.join(folderPath, image), imagePath);
+        results.push({ slide, imagePath, error: null });
+      } catch (error) {
+        console.error(`Failed to copy image ${slide}:`, error.message);
+        results.push({ slide, imagePath: null, error: error.message });
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Convert a document with headless LibreOffice
+   * Uses a dedicated user profile so conversion works while a Renderer mode
+   * presentation is running
+   * @private
+   * @param {string} inputPath - Path to source document
+   * @param {string} outputDir - Output directory
+   * @param {string} format - LibreOffice --convert-to argument (e.g. 'pdf', 'odp')
+   * @returns {Promise<string>} Path to converted file
+   * @throws {Error} If LibreOffice is unavailable or conversion fails
+   */
+  async _convertWithLibreOffice(inputPath, outputDir, format) {
+    const profileDir = path.join(os.tmpdir(), CONSTANTS.LIBREOFFICE.CONVERSION_PROFILE_DIR);
+
+    await this._execTool(this._getLibreOfficePath(), [
+      `-env:UserInstallation=${pathToFileURL(profileDir).href}`,
+      '--headless',
+      '--convert-to', format,
+      '--outdir', outputDir,
+      inputPath
+    ], { timeout: CONSTANTS.TIMING.LO_CONVERSION_TIMEOUT_MS });
+
+    const extension = format.split(':')[0];
+    const outputPath = path.join(outputDir, `${path.basename(inputPath, path.extname(inputPath))}.${extension}`);
+    await fs.access(outputPath);
+    return outputPath;
+  }
+
+  /**
+   * Run an external tool, tracking the child process so cancel() can kill it
+   * Spawned in its own process group on POSIX so cancel() also reaches helpers
+   * the tool starts (the soffice launcher script runs soffice.bin as a child)
+   * @private
+   * @param {string} command - Executable path
+   * @param {Array<string>} args - Command-line arguments
+   * @param {Object} [options] - Options
+   * @param {number} [options.timeout] - Kill the tool after this many milliseconds
+   * @returns {Promise<Object>} Tool output ({ stdout, stderr })
+   * @throws {Error} If the tool fails, or a cancellation error if cancelled
+   */
+  _execTool(command, args, options = {}) {
+    this._throwIfCancelled();
+
+    return new Promise((resolve, reject) => {
+      const child = spawn(command, args, {
+        detached: process.platform !== 'win32',
+        stdio: ['ignore', 'pipe', 'pipe']
+      });
+      this.activeChild = child;
+
+      let stdout = '';
+      let stderr = '';
+      let timedOut = false;
+      child.stdout.on('data', (data) => { stdout += data; });
+      child.stderr.on('data', (data) => { stderr += data; });
+
+      const timer = options.timeout ? setTimeout(() => {
+        timedOut = true;
+        this._killProcessTree(child);
+      }, options.timeout) : null;
+
+      const finish = (error) => {
+        clearTimeout(timer);
+        this.activeChild = null;
+        if (this.cancelRequested) {
+          reject(this._createCancelError());
+        } else if (error) {
+          reject(error);
+        } else {
+          resolve({ stdout, stderr });
+        }
+      };
+
+      child.on('error', finish);
+      child.on('close', (code) => {
+        if (code === 0 && !timedOut) {
+          finish(null);
+          return;
+        }
+        const reason = timedOut ? 'timed out' : `exited with code ${code}`;
+        const details = stderr.trim() ? `: ${stderr.trim()}` : '';
+        finish(new Error(`${path.basename(command)} ${reason}${details}`));
+      });
+    });
+  }
+
+  /**
+   * Kill a child process together with any processes it started
+   * @private
+   * @param {ChildProcess} child - Child process to kill
+   */
+  _killProcessTree(child) {
+    if (process.platform === 'win32') {
+      execFile('taskkill', ['/pid', String(child.pid), '/T', '/F'], () => {});
+      return;
+    }
+
+    try {
+      process.kill(-child.pid, 'SIGKILL');
+    } catch (error) {
+      child.kill('SIGKILL');
+    }
+  }
+
+  /**
+   * Throw a cancellation error if cancel() has been requested
+   * @private
+   * @throws {Error} Error with cancelled flag set
+   */
+  _throwIfCancelled() {
+    if (this.cancelRequested) {
+      throw this._createCancelError();
+    }
+  }
+
+  /**
+   * Create the error used to abort a cancelled import
+   * @private
+   * @returns {Error} Error with cancelled flag set
+   */
+  _createCancelError() {
+    const error = new Error('Import cancelled');
+    error.cancelled = true;
+    return error;
+  }
+
+  /**
+   * Emit an import progress event
+   * @private
+   * @param {string} filePath - File being imported
+   * @param {string} stage - One of CONSTANTS.IMPORT_STAGES
+   * @param {number} [current] - Current step within the stage (e.g. slide number)
+   * @param {number} [total] - Total steps within the stage (0 if unknown)
+   */
+  _emitProgress(filePath, stage, current = 0, total = 0) {
+    this.emit('progress', {
+      file: path.basename(filePath),
+      stage,
+      current,
+      total
+    });
+  }
+
+  /**
+   * Check whether a path exists
+   * @private
+   * @param {string} targetPath - Path to check
+   * @returns {Promise<boolean>} True if the path exists
+   */
+  async _pathExists(targetPath) {
+    try {
+      await fs.access(targetPath);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Count pages in a PDF, asking poppler's pdfinfo first
+   * Counting page objects misses pages stored in compressed object streams,
+   * which most PDFs not written by LibreOffice use
+   * @private
+   * @param {string} pdfPath - Path to PDF file
+   * @returns {Promise<number>} Number of pages
+   */
+  async _getPdfPageCount(pdfPath) {
+    try {
+      const { stdout } = await this._execTool(this._getPdfInfoPath(), [pdfPath], {
+        timeout: CONSTANTS.TIMING.PDF_INFO_TIMEOUT_MS
+      });
+      const match = stdout.match(/^Pages:\s*(\d+)/m);
+      if (match) {
+        return parseInt(match[1], 10);
+      }
+    } catch (error) {
+      this._throwIfCancelled();
+      console.log(`pdfinfo not available, counting page objects: ${error.message}`);
+    }
+    return this._countPdfPages(pdfPath);
+  }
+
+  /**
+   * Check whether a path is a directory
+   * @private
+   * @param {string} targetPath - Path to check
+   * @returns {Promise<boolean>} True if the path exists and is a directory
+   */
+  async _isDirectory(targetPath) {
+    try {
+      return (await fs.stat(targetPath)).isDirectory();
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Count pages in a PDF by its page objects
+   * @private
+   * @param {string} pdfPath - Path to PDF file
+   * @returns {Promise<number>} Number of pages
+   */
+  async _countPdfPages(pdfPath) {
+    const data = await fs.readFile(pdfPath, 'latin1');
+    const pages = data.match(/\/Type\s*\/Page(?![s\w])/g);
+    return pages ? pages.length : 0;
+  }
+
+  /**
+   * Get PDF rasterizer (poppler pdftoppm) executable path
+   * @private
+   * @returns {string} Path to pdftoppm executable
+   */
+  _getPdfRasterizerPath() {
+    return process.platform === 'win32' ? 'pdftoppm.exe' : 'pdftoppm';
+  }
+
+  /**
+   * Get PDF info (poppler pdfinfo) executable path
+   * @private
+   * @returns {string} Path to pdfinfo executable
+   */
+  _getPdfInfoPath() {
+    return process.platform === 'win32' ? 'pdfinfo.exe' : 'pdfinfo';
+  }
+
+  /**
+   * Get platform-specific LibreOffice executable path
+   * @private
+   * @returns {string} Path to LibreOffice executable
+   */
+  _getLibreOfficePath() {
+    return process.platform === 'win32' 
+      ? 'C:\\Program Files\\LibreOffice\\program\\soffice.exe'
+      : '/usr/bin/soffice';
+  }
+
+  /**
+   * Extract embedded videos and audio from PPT file
+   * Fully implemented using ZIP extraction for PPTX files. Files keep their
+   * ppt/media name; which slides use them comes from the slide info (see _buildActs)
+   * @private
+   * @param {string} pptPath - Path to PPT file
+   * @param {string} videoDir - Directory to extract media into
+   * @returns {Promise<void>}
+   */
+  async _extractMedia(pptPath, videoDir) {
+    try {
+      const ext = path.extname(pptPath).toLowerCase();
+      
+      // Only PPTX files can be processed (they're ZIP archives)
+      if (ext !== '.pptx') {
+        console.log('Media extraction only supported for .pptx files');
+        return;
+      }
+      
+      const zip = new AdmZip(pptPath);
+      const entries = zip.getEntries();
+      
+      // Extract all video and audio files from ppt/media/ directory
+      let mediaCount = 0;
+      for (const entry of entries) {
+        if (entry.entryName.startsWith('ppt/media/') && this._isPlayableMedia(entry.entryName)) {
+          const mediaName = path.basename(entry.entryName);
+          
+          // Extract the media file
+          zip.extractEntryTo(entry, videoDir, false, true);
+          mediaCount++;
+          
+          console.log(`Extracted media: ${mediaName}`);
+        }
+      }
+      
+      if (mediaCount > 0) {
+        console.log(`Extracted ${mediaCount} media file(s) from ${path.basename(pptPath)}`);
+      }
+    } catch (error) {
+      console.error('Media extraction error:', error.message);
+    }
+  }
+
+  /**
+   * Check whether a file is video or audio StageForge can play
+   * @private
+   * @param {string} fileName - File name or path
+   * @returns {boolean} True for supported video and audio extensions
+   */
+  _isPlayableMedia(fileName) {
+    return CONSTANTS.EXTENSIONS.VIDEO.test(fileName) || CONSTANTS.EXTENSIONS.AUDIO.test(fileName);
+  }
+  
+  /**
+   * Load a program by ID
+   * Metadata from older versions is migrated to the current schema (and saved back),
+   * then validated
+   * @param {string} programId - Program identifier
+   * @returns {Promise<Object>} Program object with full metadata
+   * @throws {Error} If program not found, its metadata is corrupt, or it was written
+   *   by a newer version
+   */
+  async loadProgram(programId) {
+    try {
+      const metadataPath = path.join(this._getProgramDirs(programId).programDir, 'metadata.json');
+
+      let data;
+      try {
+        data = await fs.readFile(metadataPath, 'utf-8');
+      } catch (error) {
+        throw error.code === 'ENOENT' ? new Error('metadata.json is missing') : error;
+      }
+
+      let stored;
+      try {
+        stored = JSON.parse(data);
+      } catch (error) {
+        throw new Error(`metadata.json is not valid JSON (${error.message})`);
+      }
+      if (!stored || typeof stored !== 'object' || Array.isArray(stored)) {
+        throw new Error('metadata.json does not contain a program object');
+      }
+
+      const { program, migrated } = ProgramSchema.migrate(stored);
+      // The directory name is what every other path is derived from
+      program.id = programId;
+      ProgramSchema.validate(program);
+
+      if (migrated) {
+        try {
+          await this._saveProgram(program);
+        } catch (error) {
+          // Read-only library: keep using the migrated copy in memory
+          console.error(`Could not save migrated program ${programId}:`, error.message);
+        }
+      }
+
+      return this._rebaseProgramPaths(program, programId);
+    } catch (error) {
+      throw new Error(`Failed to load program: ${error.message}`);
+    }
+  }
+
+  /**
+   * Point a program's stored paths at the current library location
+   * Metadata keeps absolute paths; if the library was moved (another folder, a USB
+   * drive mounted under a different letter) they still name the old location.
+   * Paths of the form <anything>/programs|slides|videos/<programId>/... are rebased.
+   * @private
+   * @param {Object} program - Program object as stored
+   * @param {string} programId - Program identifier (directory name)
+   * @returns {Object} Program object with rebased paths
+   */
+  _rebaseProgramPaths(program, programId) {
+    const dirs = this._getProgramDirs(programId);
+    const folders = {
+      programDir: CONSTANTS.PATHS.PROGRAMS,
+      slideDir: CONSTANTS.PATHS.SLIDES,
+      videoDir: CONSTANTS.PATHS.VIDEOS
+    };
+    const escapedId = programId.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+    return this._mapStrings(program, (text) => {
+      // Only absolute POSIX or Windows paths
+      if (!/^(\/|[a-zA-Z]:[\\/]|\\\\)/.test(text)) {
+        return text;
+      }
+
+      for (const key of Object.keys(folders)) {
+        if (text === dirs[key] || text.startsWith(dirs[key] + path.sep)) {
+          return text;
+        }
+        const match = text.match(new RegExp(`[\\\\/]${folders[key]}[\\\\/]${escapedId}(?=[\\\\/]|$)`));
+        if (match) {
+          const rest = text.substring(match.index + match[0].length).split(/[\\/]/).filter(Boolean);
+          return path.join(dirs[key], ...rest);
+        }
+      }
+      return text;
+    });
+  }
+
+  /**
+   * Move every program from another library root into the current library
+   * Used for the one-time move out of the legacy ./data directory and when the
+   * library location is changed. Programs whose ID already exists here are left in place.
+   * @param {string} fromDir - Library root to move programs from
+   * @returns {Promise<Object>} { moved: Array<string>, skipped: Array<string> } program IDs
+   */
+  async migrateLibrary(fromDir) {
+    const source = {
+      programsDir: path.join(fromDir, CONSTANTS.PATHS.PROGRAMS),
+      slidesDir: path.join(fromDir, CONSTANTS.PATHS.SLIDES),
+      videosDir: path.join(fromDir, CONSTANTS.PATHS.VIDEOS)
+    };
+    const moved = [];
+    const skipped = [];
+
+    if (path.resolve(fromDir) === path.resolve(this.dataDir)) {
+      return { moved, skipped };
+    }
+
+    let entries;
+    try {
+      entries = await fs.readdir(source.programsDir, { withFileTypes: true });
+    } catch (error) {
+      return { moved, skipped };
+    }
+
+    for (const entry of entries) {
+      if (!this._isProgramEntry(entry)) {
+        continue;
+      }
+
+      const programId = entry.name;
+      const dirs = this._getProgramDirs(programId);
+      if (await this._pathExists(dirs.programDir)) {
+        skipped.push(programId);
+        continue;
+      }
+
+      try {
+        await this._moveDirectory(path.join(source.programsDir, programId), dirs.programDir);
+        for (const [sourceRoot, key] of [[source.slidesDir, 'slideDir'], [source.videosDir, 'videoDir']]) {
+          if (await this._pathExists(path.join(sourceRoot, programId))) {
+            await this._moveDirectory(path.join(sourceRoot, programId), dirs[key]);
+          }
+        }
+
+        // Persist the rebased paths
+        await this._saveProgram(await this.loadProgram(programId));
+        moved.push(programId);
+      } catch (error) {
+        console.error(`Error moving program ${programId}:`, error);
+        skipped.push(programId);
+      }
+    }
+
+    return { moved, skipped };
+  }
+
+  /**
+   * Move a directory, copying it when source and target are on different drives
+   * @private
+   * @param {string} fromDir - Directory to move
+   * @param {string} toDir - Target path
+   * @returns {Promise<void>}
+   */
+  async _moveDirectory(fromDir, toDir) {
+    await fs.mkdir(path.dirname(toDir), { recursive: true });
+    try {
+      await fs.rename(fromDir, toDir);
+    } catch (error) {
+      if (error.code !== 'EXDEV') {
+        throw error;
+      }
+      await fs.cp(fromDir, toDir, { recursive: true });
+      await fs.rm(fromDir, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * Report disk usage of the library, per program
+   * @returns {Promise<Object>} { dataDir, totalBytes, programs: Array<{ id, name,
+   *   deckBytes, slideBytes, videoBytes, totalBytes }> } sorted largest first
+   */
+  async getStorageUsage() {
+    const programs = await this.listPrograms();
+    const usage = await Promise.all(programs.map(async (program) => {
+      const dirs = this._getProgramDirs(program.id);
+      const [deckBytes, slideBytes, videoBytes] = await Promise.all([
+        this._getDirectorySize(dirs.programDir),
+        this._getDirectorySize(dirs.slideDir),
+        this._getDirectorySize(dirs.videoDir)
+      ]);
+      return {
+        id: program.id,
+        name: program.name,
+        deckBytes,
+        slideBytes,
+        videoBytes,
+        totalBytes: deckBytes + slideBytes + videoBytes
+      };
+    }));
+
+    usage.sort((a, b) => b.totalBytes - a.totalBytes);
+    return {
+      dataDir: this.dataDir,
+      totalBytes: usage.reduce((sum, program) => sum + program.totalBytes, 0),
+      programs: usage
+    };
+  }
+
+  /**
+   * Total size of the files in a directory tree
+   * @private
+   * @param {string} dir - Directory path
+   * @returns {Promise<number>} Size in bytes (0 if the directory does not exist)
+   */
+  async _getDirectorySize(dir) {
+    let entries;
+    try {
+      entries = await fs.readdir(dir, { withFileTypes: true });
+    } catch (error) {
+      return 0;
+    }
+
+    const sizes = await Promise.all(entries.map(async (entry) => {
+      const entryPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        return this._getDirectorySize(entryPath);
+      }
+      try {
+        return (await fs.stat(entryPath)).size;
+      } catch (error) {
+        return 0;
+      }
+    }));
+    return sizes.reduce((sum, size) => sum + size, 0);
+  }
+
+  /**
+   * List all available programs
+   * Programs that cannot be loaded are included with corrupt: true and the load error,
+   * so they can be shown (and deleted) instead of disappearing from the library
+   * @returns {Promise<Array>} Array of program summary objects
+   */
+  async listPrograms() {
+    try {
+      const entries = await fs.readdir(this.programsDir, { withFileTypes: true });
+      const programPromises = entries
+        .filter(entry => this._isProgramEntry(entry))
+        .map(async (entry) => {
+          try {
+            const program = await this.loadProgram(entry.name);
+            return {
+              id: program.id,
+              name: program.name,
+              createdAt: program.createdAt,
+              actCount: program.acts ? program.acts.length : (program.slideCount || 0),
+              slideCount: program.slideCount,
+              mode: program.mode || CONSTANTS.MODES.RENDERER,
+              canPlayLive: CONSTANTS.EXTENSIONS.PRESENTATION.test(program.filePath),
+              issues: program.validation ? program.validation.issues : []
+            };
+          } catch (error) {
+            return {
+              id: entry.name,
+              name: entry.name,
+              corrupt: true,
+              error: error.message.replace(/^Failed to load program: /, '')
+            };
+          }
+        });
+
+      return await Promise.all(programPromises);
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * Delete a program and all of its data (deck copy, slide images, videos)
+   * @param {string} programId - Program identifier
+   * @returns {Promise<void>}
+   * @throws {Error} If program ID is invalid or program not found
+   */
+  async deleteProgram(programId) {
+    const dirs = this._getProgramDirs(programId);
+    if (!await this._pathExists(dirs.programDir)) {
+      throw new Error(`Program not found: ${programId}`);
+    }
+
+    await Promise.all(Object.values(dirs).map(dir => fs.rm(dir, { recursive: true, force: true })));
+  }
+
+  /**
+   * Rename a program (display name only; the program ID and directories are unchanged)
+   * @param {string} programId - Program identifier
+   * @param {string} newName - New display name
+   * @returns {Promise<Object>} Updated program object
+   * @throws {Error} If name is empty or program cannot be loaded
+   */
+  async renameProgram(programId, newName) {
+    if (typeof newName !== 'string' || newName.trim() === '') {
+      throw new Error('Program name cannot be empty');
+    }
+
+    const program = await this.loadProgram(programId);
+    program.name = newName.trim();
+    await this._saveProgram(program);
+    return program;
+  }
+
+  /**
+   * Duplicate a program into a new program ID, copying all of its data
+   * @param {string} programId - Program identifier
+   * @returns {Promise<Object>} New program object
+   * @throws {Error} If program cannot be loaded or copied
+   */
+  async duplicateProgram(programId) {
+    const program = await this.loadProgram(programId);
+    const sourceDirs = this._getProgramDirs(programId);
+
+    // Find a free ID: <id>_copy, <id>_copy2, ...
+    let newId = `${programId}_copy`;
+    for (let n = 2; await this._pathExists(this._getProgramDirs(newId).programDir); n++) {
+      newId = `${programId}_copy${n}`;
+    }
+    const targetDirs = this._getProgramDirs(newId);
+
+    for (const key of Object.keys(sourceDirs)) {
+      if (await this._pathExists(sourceDirs[key])) {
+        await fs.cp(sourceDirs[key], targetDirs[key], { recursive: true });
+      } else {
+        await fs.mkdir(targetDirs[key], { recursive: true });
+      }
+    }
+
+    const copy = this._rewritePaths(program, Object.keys(sourceDirs).map(key => [sourceDirs[key], targetDirs[key]]));
+    copy.id = newId;
+    copy.name = `${program.name} (copy)`;
+    copy.createdAt = new Date().toISOString();
+    await this._saveProgram(copy);
+    return copy;
+  }
+
+  /**
+   * Change a program's mode
+   * Switching to scene or hybrid mode runs the act extraction that renderer-mode imports skip
+   * (emits 'progress' events while converting)
+   * @param {string} programId - Program identifier
+   * @param {string} mode - Target mode (one of CONSTANTS.MODES)
+   * @returns {Promise<Object>} Updated program object
+   * @throws {Error} If mode is invalid, the program cannot be played in it, or extraction fails
+   */
+  async setProgramMode(programId, mode) {
+    if (!Object.values(CONSTANTS.MODES).includes(mode)) {
+      throw new Error(`Invalid mode: ${mode}`);
+    }
+
+    const program = await this.loadProgram(programId);
+    if (program.mode === mode) {
+      return program;
+    }
+    if (program.mode === CONSTANTS.MODES.MEDIA || mode === CONSTANTS.MODES.MEDIA) {
+      throw new Error('Media programs cannot be switched to or from another mode');
+    }
+    if (this._playsLive(mode) && !CONSTANTS.EXTENSIONS.PRESENTATION.test(program.filePath)) {
+      throw new Error('Only presentations can be played live in LibreOffice');
+    }
+
+    if (this._usesSlideImages(mode) && !this._hasExtractedActs(program)) {
+      const { slideDir, videoDir } = this._getProgramDirs(programId);
+      await Promise.all([
+        fs.mkdir(slideDir, { recursive: true }),
+        fs.mkdir(videoDir, { recursive: true })
+      ]);
+
+      const slideInfo = await this._readSlideInfo(program.filePath);
+      program.acts = await this._extractActs(program.filePath, slideDir, videoDir, slideInfo);
+      program.slideOrder = this._buildSlideOrder(slideInfo);
+      program.slideCount = program.slideOrder.length || program.acts.length || program.slideCount;
+    }
+
+    this._throwIfCancelled();
+    program.mode = mode;
+    await this._saveProgram(program);
+    return program;
+  }
+
+  /**
+   * Create a media program: a playlist with one act per video or audio clip
+   * Clips are copied into the program's video directory in the given order
+   * (emits 'progress' events while copying)
+   * @param {Array<string>} filePaths - Clip paths in playback order
+   * @param {Object} [options] - Options
+   * @param {string} [options.name] - Display name (default: first clip's file name)
+   * @returns {Promise<Object>} Program object with metadata
+   * @throws {Error} If no clips are given, a clip is unsupported or missing, or copying fails
+   */
+  async createMediaProgram(filePaths, options = {}) {
+    if (!Array.isArray(filePaths) || filePaths.length === 0) {
+      throw new Error('No media files given');
+    }
+
+    const clips = filePaths.map(filePath => path.resolve(filePath));
+    for (const clip of clips) {
+      if (!this._isPlayableMedia(clip)) {
+        throw new Error(`Unsupported media file: ${path.basename(clip)}`);
+      }
+      if (!await this._pathExists(clip)) {
+        throw new Error(`File not accessible: ${clip}`);
+      }
+    }
+
+    const name = (typeof options.name === 'string' && options.name.trim()) ||
+      path.basename(clips[0], path.extname(clips[0]));
+    const hash = crypto.createHash('sha1');
+    for (const clip of clips) {
+      hash.update(`${await this._hashFile(clip)}\0`);
+    }
+
+    const programId = await this._generateProgramId(name, hash.digest('hex'));
+    const dirs = this._getProgramDirs(programId);
+
+    try {
+      await Promise.all(Object.values(dirs).map(dir => fs.mkdir(dir, { recursive: true })));
+
+      const acts = [];
+      for (const [index, clip] of clips.entries()) {
+        this._throwIfCancelled();
+        this._emitProgress(clip, CONSTANTS.IMPORT_STAGES.COPYING, index + 1, clips.length);
+
+        // Numbered so clips with the same name from different folders do not collide
+        const fileName = `${String(index + 1).padStart(3, '0')}_${path.basename(clip)}`;
+        const clipPath = path.join(dirs.videoDir, fileName);
+        await fs.copyFile(clip, clipPath);
+
+        const isVideo = CONSTANTS.EXTENSIONS.VIDEO.test(clip);
+        acts.push({
+          index: index,
+          name: path.basename(clip, path.extname(clip)),
+          imagePath: null,
+          notes: '',
+          videos: isVideo ? [clipPath] : [],
+          audio: isVideo ? [] : [clipPath]
+        });
+      }
+
+      const program = {
+        schemaVersion: CONSTANTS.PROGRAM_SCHEMA_VERSION,
+        id: programId,
+        name: name,
+        filePath: dirs.videoDir,
+        sourcePath: null,
+        sourceHash: null,
+        mode: CONSTANTS.MODES.MEDIA,
+        createdAt: new Date().toISOString(),
+        slideCount: acts.length,
+        slideOrder: [],
+        validation: null,
+        autoAdvance: config?.media?.autoAdvance ?? CONSTANTS.MEDIA.AUTO_ADVANCE,
+        acts: acts
+      };
+
+      this._emitProgress(dirs.videoDir, CONSTANTS.IMPORT_STAGES.SAVING);
+      await this._saveProgram(program);
+      return program;
+    } catch (error) {
+      await Promise.all(Object.values(dirs).map(dir => fs.rm(dir, { recursive: true, force: true })));
+      throw error;
+    }
+  }
+
+  /**
+   * Turn auto-advance (next clip when one finishes) on or off for a media program
+   * @param {string} programId - Program identifier
+   * @param {boolean} enabled - True to auto-advance
+   * @returns {Promise<Object>} Updated program object
+   * @throws {Error} If the program cannot be loaded or is not a media program
+   */
+  async setProgramAutoAdvance(programId, enabled) {
+    const program = await this.loadProgram(programId);
+    if (program.mode !== CONSTANTS.MODES.MEDIA) {
+      throw new Error('Auto-advance is only available for media programs');
+    }
+
+    program.autoAdvance = Boolean(enabled);
+    await this._saveProgram(program);
+    return program;
+  }
+
+  /**
+   * Flag an act as live (played in LibreOffice) or static (image scene) for hybrid mode
+   * @param {string} programId - Program identifier
+   * @param {number} actIndex - Zero-based act index
+   * @param {boolean} live - True to play the act live
+   * @returns {Promise<Object>} Updated program object
+   * @throws {Error} If the program cannot be loaded or the act does not exist
+   */
+  async setActLive(programId, actIndex, live) {
+    const program = await this.loadProgram(programId);
+    const act = Array.isArray(program.acts) ? program.acts[actIndex] : null;
+    if (!act) {
+      throw new Error(`Act ${actIndex + 1} not found`);
+    }
+
+    act.live = Boolean(live);
+    await this._saveProgram(program);
+    return program;
+  }
+
+  /**
+   * Give an act a name of the operator's own, shown instead of its slide title
+   * (kept when the program is refreshed, see CONSTANTS.ACT_OPERATOR_FIELDS)
+   * @param {string} programId - Program identifier
+   * @param {number} actIndex - Zero-based act index
+   * @param {string|null} customName - Name, or null (or blank) to show the slide title again
+   * @returns {Promise<Object>} Updated program object
+   * @throws {Error} If the name is not a string, the program cannot be loaded or the act does not exist
+   */
+  async setActName(programId, actIndex, customName) {
+    if (customName !== null && typeof customName !== 'string') {
+      throw new Error('Invalid act name');
+    }
+
+    const program = await this.loadProgram(programId);
+    const act = Array.isArray(program.acts) ? program.acts[actIndex] : null;
+    if (!act) {
+      throw new Error(`Act ${actIndex + 1} not found`);
+    }
+
+    const name = customName ? customName.trim() : '';
+    if (name) {
+      act.customName = name;
+    } else {
+      delete act.customName;
+    }
+    await this._saveProgram(program);
+    return program;
+  }
+
+  /**
+   * Set how long acts stay on air before the show advances by itself
+   * @param {string} programId - Program identifier
+   * @param {Object} durations - Milliseconds per zero-based act index; null clears an act's duration
+   * @returns {Promise<Object>} Updated program object
+   * @throws {Error} If the program cannot be loaded, an act does not exist or a duration is invalid
+   */
+  async setActDurations(programId, durations) {
+    const program = await this.loadProgram(programId);
+    const acts = Array.isArray(program.acts) ? program.acts : [];
+
+    for (const [key, duration] of Object.entries(durations)) {
+      const act = acts[Number(key)];
+      if (!act) {
+        throw new Error(`Act ${Number(key) + 1} not found`);
+      }
+      if (duration !== null && (!Number.isInteger(duration) || duration <= 0)) {
+        throw new Error(`Invalid duration for act ${Number(key) + 1}`);
+      }
+
+      const timing = { ...act.timing };
+      if (duration === null) {
+        delete timing.duration;
+      } else {
+        timing.duration = duration;
+      }
+      if (Object.keys(timing).length > 0) {
+        act.timing = timing;
+      } else {
+        delete act.timing;
+      }
+    }
+
+    await this._saveProgram(program);
+    return program;
+  }
+
+  /**
+   * Mark ranges of acts as loops (e.g. walk-in or intermission slides)
+   * Each loop is { start, end, dwell, exitTo }: start and end are zero-based act
+   * indexes (inclusive), dwell is how long each act stays on air in milliseconds
+   * unless the act has its own duration (default CONSTANTS.LOOPS.DEFAULT_DWELL_MS),
+   * and exitTo is the act to leave the loop for, CONSTANTS.LOOPS.EXIT_NEXT_PROGRAM,
+   * or null for the act after the loop
+   * @param {string} programId - Program identifier
+   * @param {Array<Object>} loops - Loops; an empty list removes them all
+   * @returns {Promise<Object>} Updated program object
+   * @throws {Error} If the program cannot be loaded or plays in renderer mode, or a loop is invalid
+   */
+  async setProgramLoops(programId, loops) {
+    const program = await this.loadProgram(programId);
+    if (program.mode === CONSTANTS.MODES.RENDERER) {
+      throw new Error('Loops are not available for renderer programs');
+    }
+
+    const actCount = Array.isArray(program.acts) ? program.acts.length : 0;
+    const isActIndex = (value) => Number.isInteger(value) && value >= 0 && value < actCount;
+    const normalized = loops
+      .map((loop, i) => {
+        const number = i + 1;
+        if (!loop || !isActIndex(loop.start) || !isActIndex(loop.end) || loop.start > loop.end) {
+          throw new Error(`Invalid act range for loop ${number}`);
+        }
+        const dwell = loop.dwell === undefined || loop.dwell === null ? CONSTANTS.LOOPS.DEFAULT_DWELL_MS : loop.dwell;
+        if (!Number.isInteger(dwell) || dwell <= 0) {
+          throw new Error(`Invalid dwell time for loop ${number}`);
+        }
+        const exitTo = loop.exitTo === undefined ? null : loop.exitTo;
+        if (exitTo !== null && exitTo !== CONSTANTS.LOOPS.EXIT_NEXT_PROGRAM &&
+          (!isActIndex(exitTo) || (exitTo >= loop.start && exitTo <= loop.end))) {
+          throw new Error(`Invalid exit for loop ${number}`);
+        }
+        return { start: loop.start, end: loop.end, dwell, exitTo };
+      })
+      .sort((a, b) => a.start - b.start);
+
+    for (let i = 1; i < normalized.length; i++) {
+      if (normalized[i].start <= normalized[i - 1].end) {
+        throw new Error('Loops cannot overlap');
+      }
+    }
+
+    if (normalized.length > 0) {
+      program.loops = normalized;
+    } else {
+      delete program.loops;
+    }
+    await this._saveProgram(program);
+    return program;
+  }
+
+  /**
+   * Compare a program with the current version of its source deck without changing anything
+   * Slides are matched on their stable slide ID (p:sldId), or on position for formats
+   * without one
+   * @param {string} programId - Program identifier
+   * @returns {Promise<Object>} Summary: { programId, sourcePath, sourceChanged,
+   *   added, removed, changed (arrays of { number, title }), unchanged (count) }
+   * @throws {Error} If the program cannot be loaded or its source deck is missing
+   */
+  async previewRefresh(programId) {
+    const program = await this.loadProgram(programId);
+    const plan = await this._planRefresh(program);
+    return plan.summary;
+  }
+
+  /**
+   * Refresh a program from the current version of its source deck
+   * Only added and changed slides are rendered again; unchanged slides keep their
+   * images, operator fields (CONSTANTS.ACT_OPERATOR_FIELDS) are carried over
+   * to the matching acts and loops move along with their acts. Media is re-extracted from the deck, which is a plain
+   * unzip. Emits 'progress' events like an import. The refreshed files are
+   * swapped in with _swapIntoPlace, so a failed refresh leaves the program as it was.
+   * @param {string} programId - Program identifier
+   * @returns {Promise<Object>} Updated program object, with the applied summary as `refresh`
+   *   (see previewRefresh), plus actMap (the new position of each old act, or -1 if its
+   *   slide was removed; cues that name acts by position are remapped with it) and
+   *   droppedLoops (loops whose acts were removed, see _remapLoops)
+   * @throws {Error} If the refresh fails; error.cancelled is set if it was cancelled
+   */
+  async refreshProgram(programId) {
+    const program = await this.loadProgram(programId);
+    const plan = await this._planRefresh(program);
+    const dirs = this._getProgramDirs(programId);
+    const staging = this._getProgramDirs(programId + CONSTANTS.PROGRAM_ID.STAGING_SUFFIX);
+    const refreshActs = this._usesSlideImages(program.mode) || this._hasExtractedActs(program);
+
+    try {
+      // Build everything in staging directories so the program stays intact
+      // until the refresh has completed
+      await Promise.all(Object.values(staging).map(async (dir) => {
+        await fs.rm(dir, { recursive: true, force: true });
+        await fs.mkdir(dir, { recursive: true });
+      }));
+
+      this._emitProgress(plan.sourcePath, CONSTANTS.IMPORT_STAGES.COPYING);
+      const deckName = path.basename(plan.sourcePath);
+      const stagedDeck = path.join(staging.programDir, deckName);
+      await this._copySource(plan.sourcePath, stagedDeck);
+
+      const images = refreshActs ? await this._refreshSlideImages(program, plan, stagedDeck, staging.slideDir) : null;
+      if (refreshActs) {
+        this._throwIfCancelled();
+        this._emitProgress(stagedDeck, CONSTANTS.IMPORT_STAGES.EXTRACTING_MEDIA);
+        await this._extractMedia(stagedDeck, staging.videoDir);
+      }
+
+      // Swap the staged deck, images and videos into place
+      this._throwIfCancelled();
+      this._emitProgress(stagedDeck, CONSTANTS.IMPORT_STAGES.SAVING);
+      const deckPath = path.join(dirs.programDir, deckName);
+      const moves = [[stagedDeck, deckPath]];
+      if (program.filePath && program.filePath !== deckPath &&
+          path.dirname(program.filePath) === dirs.programDir) {
+        moves.push([null, program.filePath]);
+      }
+      if (refreshActs) {
+        moves.push([staging.slideDir, dirs.slideDir], [staging.videoDir, dirs.videoDir]);
+      }
+
+      const actMap = this._buildActMap(this._countSlides(program), plan.matches);
+      let droppedLoops = [];
+      const refreshed = {
+        ...program,
+        filePath: deckPath,
+        sourceHash: plan.sourceHash,
+        slideCount: plan.slideInfo.length,
+        slideOrder: this._buildSlideOrder(plan.slideInfo),
+        updatedAt: new Date().toISOString()
+      };
+
+      await this._swapIntoPlace(moves, async () => {
+        refreshed.validation = this._validateDeck(deckPath);
+        if (refreshActs) {
+          const mapping = [[staging.slideDir, dirs.slideDir]];
+          const acts = await this._buildActs(plan.slideInfo, this._rewritePaths(images, mapping), dirs.videoDir);
+          refreshed.acts = this._carryOverOperatorFields(acts, program.acts || [], plan.matches);
+        }
+
+        droppedLoops = this._remapLoops(refreshed, actMap);
+        await this._saveProgram(refreshed);
+      });
+      return { ...refreshed, refresh: { ...plan.summary, actMap, droppedLoops } };
+    } finally {
+      await Promise.all(Object.values(staging).map(dir => fs.rm(dir, { recursive: true, force: true })));
+    }
+  }
+
+  /**
+   * Match the slides of a program against its source deck
+   * @private
+   * @param {Object} program - Program object
+   * @returns {Promise<Object>} { sourcePath, sourceHash, slideInfo, matches, changedPages, summary };
+   *   matches[i] is the old slide position matching new slide i, or -1 for added slides
+   * @throws {Error} If the program has no reachable source deck
+   */
+  async _planRefresh(program) {
+    const sourcePath = program.sourcePath;
+    if (!sourcePath || !await this._pathExists(sourcePath)) {
+      throw new Error(`Source deck not found: ${sourcePath || program.filePath}`);
+    }
+
+    this._emitProgress(sourcePath, CONSTANTS.IMPORT_STAGES.COUNTING);
+    const sourceHash = await this._hashSource(sourcePath);
+    const slideInfo = await this._readSlideInfo(sourcePath);
+    if (slideInfo.length === 0) {
+      throw new Error(`Could not read slides from ${path.basename(sourcePath)}`);
+    }
+
+    const oldSlides = program.slideOrder || [];
+    const matches = this._matchSlides(oldSlides, slideInfo);
+    const used = new Set(matches.filter(oldIndex => oldIndex !== -1));
+
+    const describe = (slide, index, fallbackTitle) => ({
+      number: index + 1,
+      title: slide.title || fallbackTitle || `Slide ${index + 1}`
+    });
+
+    const summary = {
+      programId: program.id,
+      sourcePath: sourcePath,
+      sourceChanged: sourceHash !== program.sourceHash,
+      added: [],
+      removed: [],
+      changed: [],
+      unchanged: 0
+    };
+    const changedPages = [];
+
+    slideInfo.forEach((info, index) => {
+      const oldIndex = matches[index];
+      if (oldIndex === -1) {
+        summary.added.push(describe(info, index));
+        changedPages.push(index + 1);
+      } else if (!info.hash || info.hash !== oldSlides[oldIndex].hash) {
+        // Slides imported before fingerprinting have no hash and count as changed
+        summary.changed.push(describe(info, index));
+        changedPages.push(index + 1);
+      } else {
+        summary.unchanged++;
+      }
+    });
+
+    oldSlides.forEach((slide, index) => {
+      if (!used.has(index)) {
+        const act = (program.acts || [])[index];
+        summary.removed.push(describe(slide, index, act && act.name));
+      }
+    });
+
+    return { sourcePath, sourceHash, slideInfo, matches, changedPages, summary };
+  }
+
+  /**
+   * Render slide images for a refresh: added and changed slides are rendered
+   * from the deck, unchanged slides reuse their existing image
+   * @private
+   * @param {Object} program - Program object before the refresh
+   * @param {Object} plan - Refresh plan from _planRefresh
+   * @param {string} deckPath - Path to the updated deck
+   * @param {string} outputDir - Directory for the new images
+   * @returns {Promise<Array<Object>>} Image results in presentation order ({ imagePath, error })
+   */
+  async _refreshSlideImages(program, plan, deckPath, outputDir) {
+    const oldActs = program.acts || [];
+    const pageCount = plan.slideInfo.length;
+    const images = new Array(pageCount).fill(null);
+
+    if (plan.changedPages.length > 0) {
+      const rendered = await this._convertSlidesToImages(deckPath, outputDir, pageCount, plan.changedPages);
+      for (const result of rendered || []) {
+        images[result.slide - 1] = result;
+      }
+    }
+
+    for (let index = 0; index < pageCount; index++) {
+      if (images[index]) {
+        continue;
+      }
+
+      // Unchanged slide: copy its image, renumbered to the new position
+      const oldAct = oldActs[plan.matches[index]];
+      const isChanged = plan.changedPages.includes(index + 1);
+      if (!isChanged && oldAct && oldAct.imagePath && await this._pathExists(oldAct.imagePath)) {
+        const extension = path.extname(oldAct.imagePath).toLowerCase();
+        const imagePath = path.join(outputDir, `slide_${String(index + 1).padStart(3, '0')}${extension}`);
+        await fs.copyFile(oldAct.imagePath, imagePath);
+        images[index] = { imagePath, error: null };
+      } else {
+        images[index] = { imagePath: null, error: 'Slide could not be rendered' };
+      }
+    }
+    return images;
+  }
+
+  /**
+   * Match the slides of a new version of a deck against the old ones, by slide ID
+   * (or by position for slides that have none)
+   * @private
+   * @param {Array<Object>} oldSlides - Previous slide order (program.slideOrder)
+   * @param {Array<Object>} slideInfo - Slides of the new version
+   * @returns {Array<number>} Old slide position matching each new slide, or -1 for added slides
+   */
+  _matchSlides(oldSlides, slideInfo) {
+    const oldIds = new Map();
+    oldSlides.forEach((slide, index) => {
+      if (slide.slideId) {
+        oldIds.set(slide.slideId, index);
+      }
+    });
+
+    return slideInfo.map((info, index) => {
+      if (info.slideId && oldIds.has(info.slideId)) {
+        return oldIds.get(info.slideId);
+      }
+      if (!info.slideId && oldSlides[index] && !oldSlides[index].slideId) {
+        return index;
+      }
+      return -1;
+    });
+  }
+
+  /**
+   * Count the slides of a program, i.e. the positions its acts can be at
+   * @private
+   * @param {Object} program - Program object
+   * @returns {number} Number of slides (or acts, if more)
+   */
+  _countSlides(program) {
+    return Math.max((program.slideOrder || []).length, (program.acts || []).length);
+  }
+
+  /**
+   * Turn slide matches around into the new position of each old act
+   * @private
+   * @param {number} oldCount - Number of slides before the change
+   * @param {Array<number>} matches - Old position for each new slide, or -1 (see _matchSlides)
+   * @returns {Array<number>} New position of each old act, or -1 if its slide was removed
+   */
+  _buildActMap(oldCount, matches) {
+    const actMap = new Array(oldCount).fill(-1);
+    matches.forEach((oldIndex, index) => {
+      if (oldIndex >= 0 && oldIndex < oldCount) {
+        actMap[oldIndex] = index;
+      }
+    });
+    return actMap;
+  }
+
+  /**
+   * Move a program's loops (act ranges) along with their acts, e.g. after the deck
+   * was refreshed. Loops are dropped if their first, last or exit act was removed,
+   * or if they no longer form a range that is clear of the other loops
+   * @private
+   * @param {Object} program - Program object, updated in place
+   * @param {Array<number>} actMap - New position of each old act, or -1 (see _buildActMap)
+   * @returns {Array<Object>} Dropped loops as they were, with act numbers ({ start, end })
+   */
+  _remapLoops(program, actMap) {
+    if (!Array.isArray(program.loops)) {
+      return [];
+    }
+
+    const remap = index => (Number.isInteger(actMap[index]) ? actMap[index] : -1);
+    const kept = [];
+    const dropped = [];
+    for (const loop of program.loops) {
+      const start = remap(loop.start);
+      const end = remap(loop.end);
+      const exitTo = Number.isInteger(loop.exitTo) ? remap(loop.exitTo) : loop.exitTo;
+      const valid = start !== -1 && end !== -1 && start <= end && exitTo !== -1 &&
+        !(Number.isInteger(exitTo) && exitTo >= start && exitTo <= end) &&
+        !kept.some(other => start <= other.end && end >= other.start);
+      if (valid) {
+        kept.push({ ...loop, start, end, exitTo });
+      } else {
+        dropped.push({ start: loop.start + 1, end: loop.end + 1 });
+      }
+    }
+
+    if (kept.length > 0) {
+      program.loops = kept.sort((a, b) => a.start - b.start);
+    } else {
+      delete program.loops;
+    }
+    return dropped;
+  }
+
+  /**
+   * Copy operator fields (CONSTANTS.ACT_OPERATOR_FIELDS) from old acts to the matching new acts
+   * @private
+   * @param {Array<Object>} acts - New acts
+   * @param {Array<Object>} oldActs - Acts before the refresh
+   * @param {Array<number>} matches - Old position for each new act, or -1
+   * @returns {Array<Object>} New acts with operator fields restored
+   */
+  _carryOverOperatorFields(acts, oldActs, matches) {
+    return acts.map((act, index) => {
+      const oldAct = oldActs[matches[index]];
+      if (!oldAct) {
+        return act;
+      }
+
+      const merged = { ...act };
+      for (const field of CONSTANTS.ACT_OPERATOR_FIELDS) {
+        if (oldAct[field] !== undefined) {
+          merged[field] = oldAct[field];
+        }
+      }
+      return merged;
+    });
+  }
+
+  /**
+   * Export a program (deck, slide images, videos and metadata) as a portable bundle
+   * Paths in the bundled metadata are stored relative to the bundle
+   * (CONSTANTS.BUNDLE.PATH_SCHEME) so it can be imported on another machine
+   * @param {string} programId - Program identifier
+   * @param {string} bundlePath - Destination .sfprog file
+   * @returns {Promise<string>} Path of the written bundle
+   * @throws {Error} If the program cannot be loaded or the bundle cannot be written
+   */
+  async exportProgram(programId, bundlePath) {
+    const program = await this.loadProgram(programId);
+    const dirs = this._getProgramDirs(programId);
+    const folders = CONSTANTS.BUNDLE.FOLDERS;
+
+    // metadata.json is replaced by the manifest's relocatable copy
+    const metadataEntry = path.join(folders.programDir, 'metadata.json');
+    const zip = new AdmZip();
+    for (const key of Object.keys(folders)) {
+      if (await this._pathExists(dirs[key])) {
+        zip.addLocalFolder(dirs[key], folders[key], (file) => file !== metadataEntry);
+      }
+    }
+
+    const manifest = {
+      format: CONSTANTS.BUNDLE.FORMAT,
+      version: CONSTANTS.BUNDLE.VERSION,
+      exportedAt: new Date().toISOString(),
+      program: this._mapStrings(program, (text) => {
+        for (const key of Object.keys(folders)) {
+          if (text === dirs[key] || text.startsWith(dirs[key] + path.sep)) {
+            const relative = text.substring(dirs[key].length).split(path.sep).join('/');
+            return `${CONSTANTS.BUNDLE.PATH_SCHEME}${folders[key]}${relative}`;
+          }
+        }
+        return text;
+      })
+    };
+    zip.addFile(CONSTANTS.BUNDLE.MANIFEST, Buffer.from(JSON.stringify(manifest, null, 2)));
+
+    await zip.writeZipPromise(bundlePath, { overwrite: true });
+    return bundlePath;
+  }
+
+  /**
+   * Import a program bundle exported by exportProgram
+   * The program keeps its ID unless that ID is already used in this library
+   * @param {string} bundlePath - Path to .sfprog file
+   * @param {Object} [options] - Import options
+   * @param {string} [options.onConflict] - 'replace' to overwrite a program with the
+   *   same ID, or 'keep-both' to import under a new ID
+   * @returns {Promise<Object>} Imported program object
+   * @throws {Error} If the bundle is invalid or from a newer version; error.conflict
+   *   ({ filePath, programId, name, resolutions }) if the program is already in the
+   *   library and no conflict resolution was given
+   */
+  async importProgramBundle(bundlePath, options = {}) {
+    const resolvedPath = path.resolve(bundlePath);
+    const onConflict = options.onConflict;
+    if (onConflict && onConflict !== CONSTANTS.IMPORT_CONFLICT.REPLACE &&
+        onConflict !== CONSTANTS.IMPORT_CONFLICT.KEEP_BOTH) {
+      throw new Error(`Invalid conflict resolution: ${onConflict}`);
+    }
+
+    let zip;
+    let manifest;
+    try {
+      zip = new AdmZip(resolvedPath);
+      manifest = JSON.parse(zip.readAsText(CONSTANTS.BUNDLE.MANIFEST) || 'null');
+    } catch (error) {
+      throw new Error(`Not a valid program bundle: ${path.basename(resolvedPath)}`);
+    }
+    if (!manifest || manifest.format !== CONSTANTS.BUNDLE.FORMAT || !manifest.program) {
+      throw new Error(`Not a valid program bundle: ${path.basename(resolvedPath)}`);
+    }
+
+    const bundled = ProgramSchema.migrate(this._migrateBundle(manifest).program).program;
+    let programId = bundled.id;
+    let existing = null;
+    try {
+      this._getProgramDirs(programId);
+      existing = await this.programExists(programId) ? await this.loadProgram(programId) : null;
+    } catch (error) {
+      // Missing or unusable ID: import under a generated one
+      programId = null;
+    }
+
+    if (existing && !onConflict) {
+      const error = new Error(`"${existing.name}" is already in the library`);
+      error.conflict = {
+        filePath: resolvedPath,
+        programId: existing.id,
+        name: existing.name,
+        resolutions: [CONSTANTS.IMPORT_CONFLICT.REPLACE, CONSTANTS.IMPORT_CONFLICT.KEEP_BOTH]
+      };
+      throw error;
+    }
+
+    if (!programId || (existing && onConflict !== CONSTANTS.IMPORT_CONFLICT.REPLACE)) {
+      const name = bundled.name || path.basename(resolvedPath, path.extname(resolvedPath));
+      programId = await this._generateProgramId(name, bundled.sourceHash || await this._hashFile(resolvedPath));
+    }
+
+    // Extracted into staging directories and swapped in with _swapIntoPlace,
+    // so a replaced program stays intact if the bundle turns out to be broken
+    // or the import cannot be saved
+    const stagingId = programId + CONSTANTS.PROGRAM_ID.STAGING_SUFFIX;
+    const stagingDirs = this._getProgramDirs(stagingId);
+    const targetDirs = this._getProgramDirs(programId);
+    try {
+      await this.deleteProgram(stagingId).catch(() => {});
+      await this._extractBundleFiles(zip, stagingDirs);
+
+      const program = this._mapStrings(bundled, text => this._resolveBundlePath(text, targetDirs));
+      program.id = programId;
+      program.importedAt = new Date().toISOString();
+      ProgramSchema.validate(program);
+
+      await this._swapIntoPlace(
+        Object.keys(targetDirs).map(key => [stagingDirs[key], targetDirs[key]]),
+        () => this._saveProgram(program)
+      );
+      return program;
+    } catch (error) {
+      await Promise.all(Object.values(stagingDirs).map(dir => fs.rm(dir, { recursive: true, force: true })));
+      throw new Error(`Failed to import program bundle: ${error.message}`);
+    }
+  }
+
+  /**
+   * Turn a path written into a bundle manifest (sfprog://<folder>/<file>) into
+   * a path inside the program's directories
+   * @private
+   * @param {string} text - String from the bundled program metadata
+   * @param {Object} dirs - Program directories (see _getProgramDirs)
+   * @returns {string} Local path, or the string unchanged if it is not a bundle path
+   */
+  _resolveBundlePath(text, dirs) {
+    if (!text.startsWith(CONSTANTS.BUNDLE.PATH_SCHEME)) {
+      return text;
+    }
+    const [folder, ...parts] = text.substring(CONSTANTS.BUNDLE.PATH_SCHEME.length).split('/');
+    const key = Object.keys(CONSTANTS.BUNDLE.FOLDERS).find(k => CONSTANTS.BUNDLE.FOLDERS[k] === folder);
+    return key ? path.join(dirs[key], ...parts) : text;
+  }
+
+  /**
+   * Bring a bundle manifest up to the current bundle version
+   * Each entry in BUNDLE_MIGRATIONS upgrades a manifest from its key's version to the next
+   * @private
+   * @param {Object} manifest - Parsed bundle manifest
+   * @returns {Object} Manifest at CONSTANTS.BUNDLE.VERSION
+   * @throws {Error} If the bundle was written by a newer version of StageForge
+   */
+  _migrateBundle(manifest) {
+    let version = Number(manifest.version) || 1;
+    if (version > CONSTANTS.BUNDLE.VERSION) {
+      throw new Error(`Program bundle version ${version} requires a newer version of StageForge`);
+    }
+
+    let migrated = manifest;
+    while (version < CONSTANTS.BUNDLE.VERSION) {
+      migrated = BUNDLE_MIGRATIONS[version](migrated);
+      version++;
+    }
+    return { ...migrated, version };
+  }
+
+  /**
+   * Extract a bundle's program, slide and video folders into a program's directories
+   * @private
+   * @param {AdmZip} zip - Opened bundle
+   * @param {Object} dirs - Program directories (see _getProgramDirs)
+   * @returns {Promise<void>}
+   * @throws {Error} If an entry would be written outside the program's directories
+   */
+  async _extractBundleFiles(zip, dirs) {
+    const folders = CONSTANTS.BUNDLE.FOLDERS;
+    await Promise.all(Object.values(dirs).map(dir => fs.mkdir(dir, { recursive: true })));
+
+    for (const entry of zip.getEntries()) {
+      if (entry.isDirectory) {
+        continue;
+      }
+
+      const [folder, ...parts] = entry.entryName.split('/');
+      const key = Object.keys(folders).find(k => folders[k] === folder);
+      if (!key) {
+        continue;
+      }
+
+      const targetPath = path.resolve(dirs[key], ...parts);
+      if (!targetPath.startsWith(dirs[key] + path.sep)) {
+        throw new Error(`Invalid path in bundle: ${entry.entryName}`);
+      }
+      await fs.mkdir(path.dirname(targetPath), { recursive: true });
+      await fs.writeFile(targetPath, entry.getData());
+    }
+  }
+
+  /**
+   * Check whether a program exists in the library
+   * @param {string} programId - Program identifier
+   * @returns {Promise<boolean>} True if the program's metadata exists
+   */
+  async programExists(programId) {
+    try {
+      return await this._pathExists(path.join(this._getProgramDirs(programId).programDir, 'metadata.json'));
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Find a program that was imported from the same source path or the same deck content
+   * Programs imported before source tracking are matched by hashing their deck copy
+   * @private
+   * @param {string} sourcePath - Resolved path of the deck being imported
+   * @param {string} sourceHash - SHA-1 of the deck being imported
+   * @returns {Promise<Object|null>} Matching program object, preferring a source path match
+   */
+  async _findExistingProgram(sourcePath, sourceHash) {
+    let entries;
+    try {
+      entries = await fs.readdir(this.programsDir, { withFileTypes: true });
+    } catch (error) {
+      return null;
+    }
+
+    let contentMatch = null;
+    for (const entry of entries) {
+      if (!this._isProgramEntry(entry)) {
+        continue;
+      }
+
+      let program;
+      try {
+        program = await this.loadProgram(entry.name);
+      } catch (error) {
+        continue;
+      }
+
+      // Media playlists are assembled from clips, not imported from a deck
+      if (program.mode === CONSTANTS.MODES.MEDIA) {
+        continue;
+      }
+
+      if (program.sourcePath === sourcePath) {
+        return program;
+      }
+      if (!contentMatch) {
+        const programHash = program.sourceHash || await this._hashSource(program.filePath).catch(() => null);
+        if (programHash === sourceHash) {
+          contentMatch = program;
+        }
+      }
+    }
+    return contentMatch;
+  }
+
+  /**
+   * Generate a unique program ID from a display name and deck hash
+   * @private
+   * @param {string} name - Display name (usually the deck file name)
+   * @param {string} hash - SHA-1 of the deck content
+   * @returns {Promise<string>} Program ID not used by any existing program
+   */
+  async _generateProgramId(name, hash) {
+    const slug = this._sanitizeName(name).substring(0, CONSTANTS.PROGRAM_ID.MAX_SLUG_LENGTH) ||
+      CONSTANTS.PROGRAM_ID.FALLBACK_SLUG;
+    const baseId = `${slug}_${hash.substring(0, CONSTANTS.PROGRAM_ID.HASH_LENGTH)}`;
+
+    // The same deck can be imported more than once ("keep both")
+    let programId = baseId;
+    for (let n = 2; await this._pathExists(this._getProgramDirs(programId).programDir); n++) {
+      programId = `${baseId}_${n}`;
+    }
+    return programId;
+  }
+
+  /**
+   * Compute the SHA-1 of an import source
+   * An image folder is hashed over its images' names and content, in slide order
+   * @private
+   * @param {string} sourcePath - Path to deck, PDF or image folder
+   * @returns {Promise<string>} Hex digest
+   */
+  async _hashSource(sourcePath) {
+    if (!await this._isDirectory(sourcePath)) {
+      return this._hashFile(sourcePath);
+    }
+
+    const hash = crypto.createHash('sha1');
+    for (const image of await this._listFolderImages(sourcePath)) {
+      hash.update(`${image}\0${await this._hashFile(path.join(sourcePath, image))}\0`);
+    }
+    return hash.digest('hex');
+  }
+
+  /**
+   * Copy an import source into a program directory
+   * Only the images of an image folder are copied, not the rest of its content
+   * @private
+   * @param {string} sourcePath - Path to deck, PDF or image folder
+   * @param {string} targetPath - Destination path
+   * @returns {Promise<void>}
+   */
+  async _copySource(sourcePath, targetPath) {
+    if (!await this._isDirectory(sourcePath)) {
+      await fs.copyFile(sourcePath, targetPath);
+      return;
+    }
+
+    await fs.mkdir(targetPath, { recursive: true });
+    for (const image of await this._listFolderImages(sourcePath)) {
+      await fs.copyFile(path.join(sourcePath, image), path.join(targetPath, image));
+    }
+  }
+
+  /**
+   * Compute the SHA-1 of a file's content
+   * @private
+   * @param {string} filePath - Path to file
+   * @returns {Promise<string>} Hex digest
+   */
+  _hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+      const hash = crypto.createHash('sha1');
+      fsSync.createReadStream(filePath)
+        .on('error', reject)
+        .on('data', chunk => hash.update(chunk))
+        .on('end', () => resolve(hash.digest('hex')));
+    });
+  }
+
+  /**
+   * Check whether a mode shows slides as OBS image scenes (and so needs extracted acts)
+   * @private
+   * @param {string} mode - Program mode
+   * @returns {boolean} True for scene and hybrid modes
+   */
+  _usesSlideImages(mode) {
+    return mode === CONSTANTS.MODES.SCENE || mode === CONSTANTS.MODES.HYBRID;
+  }
+
+  /**
+   * Check whether a mode plays slides live in LibreOffice
+   * @private
+   * @param {string} mode - Program mode
+   * @returns {boolean} True for renderer and hybrid modes
+   */
+  _playsLive(mode) {
+    return mode === CONSTANTS.MODES.RENDERER || mode === CONSTANTS.MODES.HYBRID;
+  }
+
+  /**
+   * Check whether a program already has acts with extracted slide images
+   * @private
+   * @param {Object} program - Program object
+   * @returns {boolean} True if at least one act has an image
+   */
+  _hasExtractedActs(program) {
+    return Array.isArray(program.acts) && program.acts.some(act => act.imagePath);
+  }
+
+  /**
+   * Write program metadata to disk
+   * @private
+   * @param {Object} program - Program object
+   * @returns {Promise<void>}
+   */
+  async _saveProgram(program) {
+    const metadataPath = path.join(this._getProgramDirs(program.id).programDir, 'metadata.json');
+    await fs.writeFile(metadataPath, JSON.stringify(program, null, 2));
+  }
+
+  /**
+   * Get the data directories belonging to a program
+   * @private
+   * @param {string} programId - Program identifier
+   * @returns {Object} { programDir, slideDir, videoDir }
+   * @throws {Error} If the ID could escape the data directory
+   */
+  _getProgramDirs(programId) {
+    if (typeof programId !== 'string' || programId === '' || programId === '.' ||
+        programId === '..' || programId !== path.basename(programId)) {
+      throw new Error(`Invalid program ID: ${programId}`);
+    }
+
+    return {
+      programDir: path.join(this.programsDir, programId),
+      slideDir: path.join(this.slidesDir, programId),
+      videoDir: path.join(this.videosDir, programId)
+    };
+  }
+
+  /**
+   * Deep-copy a value, rewriting path strings that start with one of the given directories
+   * @private
+   * @param {*} value - Value to copy (program metadata or part of it)
+   * @param {Array<Array<string>>} mapping - Pairs of [fromDir, toDir]
+   * @returns {*} Copied value with rewritten paths
+   */
+  _rewritePaths(value, mapping) {
+    return this._mapStrings(value, (text) => {
+      for (const [fromDir, toDir] of mapping) {
+        if (text === fromDir || text.startsWith(fromDir + path.sep)) {
+          return toDir + text.substring(fromDir.length);
+        }
+      }
+      return text;
+    });
+  }
+
+  /**
+   * Deep-copy a value, passing every string through a mapping function
+   * @private
+   * @param {*} value - Value to copy
+   * @param {Function} mapString - Called with each string, returns its replacement
+   * @returns {*} Copied value
+   */
+  _mapStrings(value, mapString) {
+    if (typeof value === 'string') {
+      return mapString(value);
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => this._mapStrings(item, mapString));
+    }
+    if (value && typeof value === 'object') {
+      const result = {};
+      for (const [key, item] of Object.entries(value)) {
+        result[key] = this._mapStrings(item, mapString);
+      }
+      return result;
     }
+    return value;
   }
 
   /**
@@ -443,9 +2519,12 @@ class PPTProcessor {
   _sanitizeName(name) {
     // Remove or replace invalid characters for filesystem
     // Allow only alphanumeric, underscore, and hyphen
+    // Names without any ASCII characters reduce to an empty string; program IDs
+    // stay unique through their content hash suffix
     return name
       .replace(/[^a-zA-Z0-9_-]/g, '_')
       .replace(/_+/g, '_') // Normalize consecutive underscores
+      .replace(/^_|_$/g, '') // Trim separators left by replaced characters
       .substring(0, 100); // Limit length to prevent issues
   }
 }
@@ -0,0 +1,131 @@
+const CONSTANTS = require('../utils/constants');
+
+/**
+ * Upgrades for program metadata, keyed by the schema version they upgrade from
+ * (0 is metadata written before schemaVersion existed). Each takes a program
+ * object and returns it in the next version's shape. Add an entry whenever
+ * CONSTANTS.PROGRAM_SCHEMA_VERSION is bumped.
+ */
+const MIGRATIONS = {
+  // v0 -> v1: mode-independent shape. Renderer programs could lack acts and
+  // slideOrder entirely, and hasVideo was only set when a video was found.
+  0: (program) => {
+    const acts = Array.isArray(program.acts) ? program.acts : [];
+    const slideOrder = Array.isArray(program.slideOrder) ? program.slideOrder : [];
+
+    return {
+      ...program,
+      mode: program.mode || CONSTANTS.MODES.RENDERER,
+      createdAt: program.createdAt || null,
+      slideCount: typeof program.slideCount === 'number'
+        ? program.slideCount
+        : (slideOrder.length || acts.length || null),
+      slideOrder: slideOrder,
+      acts: acts.map((act, index) => ({
+        ...act,
+        index: typeof act.index === 'number' ? act.index : index,
+        name: act.name || `Act ${index + 1}`,
+        imagePath: act.imagePath || null,
+        notes: act.notes || '',
+        hasVideo: Boolean(act.videoPath)
+      }))
+    };
+  },
+
+  // v1 -> v2: acts list every video and audio clip their slide uses instead of
+  // a single videoPath/audioPath guessed from file names
+  1: (program) => ({
+    ...program,
+    acts: program.acts.map(act => {
+      const { videoPath, hasVideo, audioPath, hasAudio, ...rest } = act;
+      return {
+        ...rest,
+        videos: Array.isArray(act.videos) ? act.videos : (videoPath ? [videoPath] : []),
+        audio: Array.isArray(act.audio) ? act.audio : (audioPath ? [audioPath] : [])
+      };
+    })
+  })
+};
+
+/**
+ * ProgramSchema - Versioning, migration and validation of program metadata
+ */
+class ProgramSchema {
+  /**
+   * Bring program metadata up to the current schema version
+   * @param {Object} program - Program object as read from metadata.json
+   * @returns {Object} { program, migrated } - migrated is true if anything was upgraded
+   * @throws {Error} If the metadata was written by a newer version of StageForge
+   */
+  static migrate(program) {
+    let version = typeof program.schemaVersion === 'number' ? program.schemaVersion : 0;
+    if (version > CONSTANTS.PROGRAM_SCHEMA_VERSION) {
+      throw new Error(`Schema version ${version} requires a newer version of StageForge`);
+    }
+
+    const migrated = version < CONSTANTS.PROGRAM_SCHEMA_VERSION;
+    let current = program;
+    while (version < CONSTANTS.PROGRAM_SCHEMA_VERSION) {
+      current = MIGRATIONS[version](current);
+      version++;
+    }
+    return { program: { ...current, schemaVersion: version }, migrated };
+  }
+
+  /**
+   * Check that program metadata has the current shape
+   * @param {Object} program - Migrated program object
+   * @throws {Error} Listing every problem found, if the metadata is invalid
+   */
+  static validate(program) {
+    const errors = [];
+    const expect = (condition, message) => {
+      if (!condition) {
+        errors.push(message);
+      }
+    };
+    const isString = value => typeof value === 'string';
+    const isOptionalString = value => value === null || value === undefined || isString(value);
+    const isStringList = value => Array.isArray(value) && value.every(isString);
+
+    expect(isString(program.id) && program.id !== '', 'id is missing');
+    expect(isString(program.name) && program.name !== '', 'name is missing');
+    expect(isString(program.filePath), 'filePath is missing');
+    expect(Object.values(CONSTANTS.MODES).includes(program.mode), `unknown mode "${program.mode}"`);
+    expect(program.slideCount === null || Number.isInteger(program.slideCount), 'slideCount is not a number');
+    expect(Array.isArray(program.slideOrder), 'slideOrder is not a list');
+    expect(!program.validation || Array.isArray(program.validation.issues), 'validation has no issue list');
+    expect(program.autoAdvance === undefined || typeof program.autoAdvance === 'boolean', 'autoAdvance is not a boolean');
+    expect(program.loops === undefined || (Array.isArray(program.loops) && program.loops.every(loop =>
+      loop && Number.isInteger(loop.start) && Number.isInteger(loop.end) && Number.isInteger(loop.dwell) &&
+      (loop.exitTo === null || Number.isInteger(loop.exitTo) || typeof loop.exitTo === 'string'))),
+    'loops is not a list of loops');
+
+    if (Array.isArray(program.acts)) {
+      program.acts.forEach((act, index) => {
+        if (!act || typeof act !== 'object') {
+          errors.push(`act ${index + 1} is not an object`);
+          return;
+        }
+        expect(Number.isInteger(act.index), `act ${index + 1} has no index`);
+        expect(isString(act.name), `act ${index + 1} has no name`);
+        expect(act.customName === undefined || isString(act.customName), `act ${index + 1} has an invalid custom name`);
+        expect(isOptionalString(act.imagePath), `act ${index + 1} has an invalid imagePath`);
+        expect(isStringList(act.videos), `act ${index + 1} has an invalid video list`);
+        expect(isStringList(act.audio), `act ${index + 1} has an invalid audio list`);
+        expect(act.live === undefined || typeof act.live === 'boolean', `act ${index + 1} has an invalid live flag`);
+        expect(act.timing === undefined || (act.timing && typeof act.timing === 'object' &&
+          (act.timing.duration === undefined || (Number.isInteger(act.timing.duration) && act.timing.duration > 0))),
+        `act ${index + 1} has an invalid timing`);
+      });
+    } else {
+      errors.push('acts is not a list');
+    }
+
+    if (errors.length > 0) {
+      throw new Error(`Invalid program metadata: ${errors.join('; ')}`);
+    }
+  }
+}
+
+module.exports = ProgramSchema;
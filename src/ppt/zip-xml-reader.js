@@ -0,0 +1,115 @@
+const crypto = require('crypto');
+const AdmZip = require('adm-zip');
+
+/**
+ * ZipXMLReader - Base class for reading XML parts out of ZIP-based documents
+ * (PPTX, ODP). Uses lightweight pattern matching on the XML, in the same spirit
+ * as the slide counting in PPTProcessor, so no XML parser dependency is needed
+ */
+class ZipXMLReader {
+  /**
+   * Open a ZIP-based document for reading
+   * @param {string} filePath - Path to document
+   * @throws {Error} If the file is not a readable ZIP archive
+   */
+  constructor(filePath) {
+    this.zip = new AdmZip(filePath);
+  }
+
+  /**
+   * Read a package part as UTF-8 text
+   * @protected
+   * @param {string} partName - Part name inside the archive
+   * @returns {string|null} Part content, or null if the part does not exist
+   */
+  _readText(partName) {
+    const entry = this.zip.getEntry(partName);
+    return entry ? this.zip.readAsText(entry) : null;
+  }
+
+  /**
+   * Read a package part as raw bytes
+   * @protected
+   * @param {string} partName - Part name inside the archive
+   * @returns {Buffer|null} Part content, or null if the part does not exist
+   */
+  _readBuffer(partName) {
+    const entry = this.zip.getEntry(partName);
+    return entry ? entry.getData() : null;
+  }
+
+  /**
+   * Fingerprint a set of part contents, used to detect which slides changed
+   * between two versions of a deck
+   * @protected
+   * @param {Array<string|Buffer|null>} contents - Part contents (missing parts are skipped)
+   * @returns {string} SHA-1 hex digest
+   */
+  _hashContents(contents) {
+    const hash = crypto.createHash('sha1');
+    for (const content of contents) {
+      if (content !== null && content !== undefined) {
+        hash.update(content);
+      }
+    }
+    return hash.digest('hex');
+  }
+
+  /**
+   * Find all opening (or self-closing) tags with the given name
+   * @protected
+   * @param {string} xml - XML content
+   * @param {string} name - Qualified tag name
+   * @returns {Array<string>} Matching tag strings
+   */
+  _findTags(xml, name) {
+    return xml.match(new RegExp(`<${name}(?:\\s[^>]*)?\\/?>`, 'g')) || [];
+  }
+
+  /**
+   * Find all complete elements with the given name (non-nesting, self-closing
+   * elements are skipped since they have no content)
+   * @protected
+   * @param {string} xml - XML content
+   * @param {string} name - Qualified element name
+   * @returns {Array<string>} Matching element strings
+   */
+  _findElements(xml, name) {
+    return xml.match(new RegExp(`<${name}(?:\\s[^>]*)?(?<!\\/)>[\\s\\S]*?<\\/${name}>`, 'g')) || [];
+  }
+
+  /**
+   * Parse attributes of a single tag
+   * @protected
+   * @param {string} tag - Tag string
+   * @returns {Object} Attribute name to decoded value
+   */
+  _parseAttributes(tag) {
+    const attrs = {};
+    const pattern = /([\w:.-]+)\s*=\s*"([^"]*)"/g;
+    let match;
+    while ((match = pattern.exec(tag)) !== null) {
+      attrs[match[1]] = this._decodeEntities(match[2]);
+    }
+    return attrs;
+  }
+
+  /**
+   * Decode XML character and entity references
+   * @protected
+   * @param {string} text - Encoded text
+   * @returns {string} Decoded text
+   */
+  _decodeEntities(text) {
+    return text
+      .replace(/&#x([0-9a-fA-F]+);/g, (m, hex) => String.fromCodePoint(parseInt(hex, 16)))
+      .replace(/&#(\d+);/g, (m, dec) => String.fromCodePoint(parseInt(dec, 10)))
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&apos;/g, "'")
+      .replace(/&amp;/g, '&');
+  }
+}
+
+module.exports = ZipXMLReader;
@@ -19,13 +19,45 @@ contextBridge.exposeInMainWorld('electronAPI', {
   // PPT Processing
   ppt: {
     import: (filePaths, options) => ipcRenderer.invoke('ppt:import', filePaths, options),
-    select: () => ipcRenderer.invoke('ppt:select')
+    select: () => ipcRenderer.invoke('ppt:select'),
+    selectFolder: () => ipcRenderer.invoke('ppt:select-folder'),
+    cancel: () => ipcRenderer.invoke('ppt:cancel'),
+    onImportProgress: (callback) => ipcRenderer.on('ppt:import-progress', (_event, progress) => callback(progress))
   },
 
   // Program Management
   program: {
     load: (programId) => ipcRenderer.invoke('program:load', programId),
-    list: () => ipcRenderer.invoke('program:list')
+    list: () => ipcRenderer.invoke('program:list'),
+    delete: (programId) => ipcRenderer.invoke('program:delete', programId),
+    rename: (programId, newName) => ipcRenderer.invoke('program:rename', programId, newName),
+    duplicate: (programId) => ipcRenderer.invoke('program:duplicate', programId),
+    setMode: (programId, mode) => ipcRenderer.invoke('program:set-mode', programId, mode),
+    export: (programId) => ipcRenderer.invoke('program:export', programId),
+    selectBundle: () => ipcRenderer.invoke('program:select-bundle'),
+    importBundle: (filePaths, options) => ipcRenderer.invoke('program:import-bundle', filePaths, options),
+    previewRefresh: (programId) => ipcRenderer.invoke('program:refresh-preview', programId),
+    refresh: (programId) => ipcRenderer.invoke('program:refresh', programId),
+    createMedia: (filePaths, options) => ipcRenderer.invoke('program:create-media', filePaths, options),
+    setAutoAdvance: (programId, enabled) => ipcRenderer.invoke('program:set-auto-advance', programId, enabled),
+    setActLive: (programId, actIndex, live) => ipcRenderer.invoke('program:set-act-live', programId, actIndex, live),
+    setActName: (programId, actIndex, customName) => ipcRenderer.invoke('program:set-act-name', programId, actIndex, customName),
+    setActDurations: (programId, durations) => ipcRenderer.invoke('program:set-act-durations', programId, durations),
+    setLoops: (programId, loops) => ipcRenderer.invoke('program:set-loops', programId, loops)
+  },
+
+  // Media Programs
+  media: {
+    select: () => ipcRenderer.invoke('media:select'),
+    onClipChanged: (callback) => ipcRenderer.on('media:clip-changed', (_event, index) => callback(index))
+  },
+
+  // Library Management
+  library: {
+    info: () => ipcRenderer.invoke('library:info'),
+    chooseLocation: () => ipcRenderer.invoke('library:choose-location'),
+    setLocation: (libraryPath, options) => ipcRenderer.invoke('library:set-location', libraryPath, options),
+    usage: () => ipcRenderer.invoke('library:usage')
   },
 
   // Scene Control
@@ -36,7 +68,77 @@ contextBridge.exposeInMainWorld('electronAPI', {
     start: (options) => ipcRenderer.invoke('scene:start', options),
     stop: () => ipcRenderer.invoke('scene:stop'),
     blackout: () => ipcRenderer.invoke('scene:blackout'),
-    getCurrent: () => ipcRenderer.invoke('scene:current')
+    exitLoop: () => ipcRenderer.invoke('scene:exit-loop'),
+    undo: () => ipcRenderer.invoke('scene:undo'),
+    getCurrent: () => ipcRenderer.invoke('scene:current'),
+    onLoopChanged: (callback) => ipcRenderer.on('show:loop-changed', (_event, loop) => callback(loop)),
+    onUndoAvailable: (callback) => ipcRenderer.on('scene:undo-available', (_event, canUndo) => callback(canUndo))
+  },
+
+  // Show Rundown
+  rundown: {
+    get: () => ipcRenderer.invoke('rundown:get'),
+    add: (programId, settings) => ipcRenderer.invoke('rundown:add', programId, settings),
+    remove: (entryId) => ipcRenderer.invoke('rundown:remove', entryId),
+    move: (entryId, toIndex) => ipcRenderer.invoke('rundown:move', entryId, toIndex),
+    update: (entryId, settings) => ipcRenderer.invoke('rundown:update', entryId, settings),
+    startEntry: (entryId, options) => ipcRenderer.invoke('rundown:start-entry', entryId, options),
+    onProgramChanged: (callback) => ipcRenderer.on('show:program-changed', (_event, data) => callback(data)),
+    onHandoverFailed: (callback) => ipcRenderer.on('show:handover-failed', (_event, message) => callback(message))
+  },
+
+  // Cue List
+  cues: {
+    list: () => ipcRenderer.invoke('cue:list'),
+    add: (cue, index) => ipcRenderer.invoke('cue:add', cue, index),
+    update: (cueId, changes) => ipcRenderer.invoke('cue:update', cueId, changes),
+    remove: (cueId) => ipcRenderer.invoke('cue:remove', cueId),
+    move: (cueId, toIndex) => ipcRenderer.invoke('cue:move', cueId, toIndex),
+    standby: (cueId) => ipcRenderer.invoke('cue:standby', cueId),
+    go: () => ipcRenderer.invoke('cue:go'),
+    onStatus: (callback) => ipcRenderer.on('cue:status', (_event, status) => callback(status))
+  },
+
+  // Show Files
+  show: {
+    get: () => ipcRenderer.invoke('show:get'),
+    new: () => ipcRenderer.invoke('show:new'),
+    open: () => ipcRenderer.invoke('show:open'),
+    openRecent: (filePath) => ipcRenderer.invoke('show:open-recent', filePath),
+    save: () => ipcRenderer.invoke('show:save'),
+    saveAs: () => ipcRenderer.invoke('show:save-as'),
+    setActSettings: (programId, actIndex, settings) => ipcRenderer.invoke('show:set-act-settings', programId, actIndex, settings),
+    onChanged: (callback) => ipcRenderer.on('show:changed', (_event, show) => callback(show)),
+    onAutosaveFailed: (callback) => ipcRenderer.on('show:autosave-failed', (_event, message) => callback(message))
+  },
+
+  // Auto-Advance and Rehearsal
+  autoAdvance: {
+    getStatus: () => ipcRenderer.invoke('autoadvance:status'),
+    pause: () => ipcRenderer.invoke('autoadvance:pause'),
+    resume: () => ipcRenderer.invoke('autoadvance:resume'),
+    skip: () => ipcRenderer.invoke('autoadvance:skip'),
+    onStatus: (callback) => ipcRenderer.on('autoadvance:status', (_event, status) => callback(status)),
+    onFailed: (callback) => ipcRenderer.on('autoadvance:failed', (_event, message) => callback(message))
+  },
+
+  rehearsal: {
+    start: () => ipcRenderer.invoke('rehearsal:start'),
+    stop: () => ipcRenderer.invoke('rehearsal:stop')
+  },
+
+  // Show Clock
+  clock: {
+    getStatus: () => ipcRenderer.invoke('clock:status'),
+    resetShow: () => ipcRenderer.invoke('clock:reset-show'),
+    onStatus: (callback) => ipcRenderer.on('clock:status', (_event, status) => callback(status))
+  },
+
+  // Crash Recovery
+  recovery: {
+    get: () => ipcRenderer.invoke('recovery:get'),
+    resume: (config) => ipcRenderer.invoke('recovery:resume', config),
+    dismiss: () => ipcRenderer.invoke('recovery:dismiss')
   },
 
   // Display Management
@@ -11,20 +11,113 @@ let obsConnected = false;
 let libreOfficeAvailable = false;
 let displays = [];
 let pendingImportFiles = null;
+let contextMenuProgramId = null;
+let pendingRefreshProgram = null;
+let rundownEntries = [];
+let currentEntryId = null;
+let currentShow = null;
+let autoAdvanceStatus = null;
+let autoAdvanceReceivedAt = 0;
+let autoAdvanceTicker = null;
+let rehearsalRecordings = [];
+let activeLoop = null;
+let editingLoops = [];
+let cues = [];
+let cueStatus = null;
+let editingCue = null;
+let editingCueActions = [];
+let canUndo = false;
+let clockStatus = null;
+let clockReceivedAt = 0;
+
+// Default seconds per act for new loops (CONSTANTS.LOOPS.DEFAULT_DWELL_MS)
+const DEFAULT_LOOP_DWELL_SECONDS = 8;
+const LOOP_EXIT_NEXT_PROGRAM = 'next-program';
+
+const MODE_ICONS = {
+  renderer: '🎭',
+  scene: '🎬',
+  media: '🎞️',
+  hybrid: '🔀'
+};
 
 // DOM Elements
 const elements = {
   connectOBS: document.getElementById('connectOBS'),
+  newShow: document.getElementById('newShow'),
+  openShow: document.getElementById('openShow'),
+  saveShow: document.getElementById('saveShow'),
+  saveShowAs: document.getElementById('saveShowAs'),
+  recentShows: document.getElementById('recentShows'),
+  obsAddress: document.getElementById('obsAddress'),
+  obsPassword: document.getElementById('obsPassword'),
+  recoveryDialog: document.getElementById('recoveryDialog'),
+  recoveryMessage: document.getElementById('recoveryMessage'),
+  resumeRecovery: document.getElementById('resumeRecovery'),
+  dismissRecovery: document.getElementById('dismissRecovery'),
   obsStatus: document.getElementById('obsStatus'),
   importPPT: document.getElementById('importPPT'),
+  importImages: document.getElementById('importImages'),
+  importMedia: document.getElementById('importMedia'),
+  autoAdvanceSetting: document.getElementById('autoAdvanceSetting'),
+  autoAdvanceToggle: document.getElementById('autoAdvanceToggle'),
+  importBundle: document.getElementById('importBundle'),
   programList: document.getElementById('programList'),
+  rundownList: document.getElementById('rundownList'),
   currentSceneInfo: document.getElementById('currentSceneInfo'),
   actList: document.getElementById('actList'),
   previewArea: document.getElementById('previewArea'),
   actName: document.getElementById('actName'),
   actNotes: document.getElementById('actNotes'),
+  actOperatorNotes: document.getElementById('actOperatorNotes'),
+  actDuration: document.getElementById('actDuration'),
+  autoAdvanceStatus: document.getElementById('autoAdvanceStatus'),
+  pauseAutoAdvance: document.getElementById('pauseAutoAdvance'),
+  skipAutoAdvance: document.getElementById('skipAutoAdvance'),
+  rehearseBtn: document.getElementById('rehearseBtn'),
+  rehearsalDialog: document.getElementById('rehearsalDialog'),
+  rehearsalResults: document.getElementById('rehearsalResults'),
+  discardRehearsal: document.getElementById('discardRehearsal'),
+  saveRehearsal: document.getElementById('saveRehearsal'),
+  clockTime: document.getElementById('clockTime'),
+  clockActCell: document.getElementById('clockActCell'),
+  clockAct: document.getElementById('clockAct'),
+  clockProgramCell: document.getElementById('clockProgramCell'),
+  clockProgram: document.getElementById('clockProgram'),
+  clockShow: document.getElementById('clockShow'),
+  clockNextCell: document.getElementById('clockNextCell'),
+  clockNext: document.getElementById('clockNext'),
+  clockNextName: document.getElementById('clockNextName'),
+  resetShowClock: document.getElementById('resetShowClock'),
+  cueList: document.getElementById('cueList'),
+  addCue: document.getElementById('addCue'),
+  cueStandby: document.getElementById('cueStandby'),
+  goBtn: document.getElementById('goBtn'),
+  cueDialog: document.getElementById('cueDialog'),
+  cueForm: document.getElementById('cueForm'),
+  cueNumber: document.getElementById('cueNumber'),
+  cueLabel: document.getElementById('cueLabel'),
+  cueActions: document.getElementById('cueActions'),
+  cueActionType: document.getElementById('cueActionType'),
+  cueActionParams: document.getElementById('cueActionParams'),
+  addCueAction: document.getElementById('addCueAction'),
+  cancelCue: document.getElementById('cancelCue'),
+  loopBanner: document.getElementById('loopBanner'),
+  loopInfo: document.getElementById('loopInfo'),
+  exitLoopBtn: document.getElementById('exitLoopBtn'),
+  editLoops: document.getElementById('editLoops'),
+  loopDialog: document.getElementById('loopDialog'),
+  loopList: document.getElementById('loopList'),
+  loopStart: document.getElementById('loopStart'),
+  loopEnd: document.getElementById('loopEnd'),
+  loopDwell: document.getElementById('loopDwell'),
+  loopExit: document.getElementById('loopExit'),
+  addLoop: document.getElementById('addLoop'),
+  cancelLoops: document.getElementById('cancelLoops'),
+  saveLoops: document.getElementById('saveLoops'),
   startBtn: document.getElementById('startBtn'),
   stopBtn: document.getElementById('stopBtn'),
+  undoBtn: document.getElementById('undoBtn'),
   prevBtn: document.getElementById('prevBtn'),
   nextBtn: document.getElementById('nextBtn'),
   blackoutBtn: document.getElementById('blackoutBtn'),
@@ -34,6 +127,37 @@ const elements = {
   cancelConnect: document.getElementById('cancelConnect'),
   modeDialog: document.getElementById('modeDialog'),
   cancelMode: document.getElementById('cancelMode'),
+  importDialog: document.getElementById('importDialog'),
+  importFile: document.getElementById('importFile'),
+  importProgress: document.getElementById('importProgress'),
+  importStage: document.getElementById('importStage'),
+  cancelImport: document.getElementById('cancelImport'),
+  libraryPathText: document.getElementById('libraryPathText'),
+  openLibrary: document.getElementById('openLibrary'),
+  libraryDialog: document.getElementById('libraryDialog'),
+  libraryLocation: document.getElementById('libraryLocation'),
+  changeLibrary: document.getElementById('changeLibrary'),
+  resetLibrary: document.getElementById('resetLibrary'),
+  moveLibraryPrograms: document.getElementById('moveLibraryPrograms'),
+  storageUsage: document.getElementById('storageUsage'),
+  closeLibrary: document.getElementById('closeLibrary'),
+  validationDialog: document.getElementById('validationDialog'),
+  validationProgram: document.getElementById('validationProgram'),
+  validationIssues: document.getElementById('validationIssues'),
+  closeValidation: document.getElementById('closeValidation'),
+  refreshDialog: document.getElementById('refreshDialog'),
+  refreshSource: document.getElementById('refreshSource'),
+  refreshSummary: document.getElementById('refreshSummary'),
+  cancelRefresh: document.getElementById('cancelRefresh'),
+  applyRefresh: document.getElementById('applyRefresh'),
+  conflictDialog: document.getElementById('conflictDialog'),
+  conflictMessage: document.getElementById('conflictMessage'),
+  skipConflict: document.getElementById('skipConflict'),
+  programContextMenu: document.getElementById('programContextMenu'),
+  renameDialog: document.getElementById('renameDialog'),
+  renameForm: document.getElementById('renameForm'),
+  renameInput: document.getElementById('renameInput'),
+  cancelRename: document.getElementById('cancelRename'),
   displaySelect: document.getElementById('displaySelect'),
   loStatus: document.getElementById('loStatus'),
   languageSelect: document.getElementById('languageSelect')
@@ -48,9 +172,17 @@ async function init() {
   
   await loadPrograms();
   await loadDisplays();
+  await loadShow();
+  await loadCues();
+  await updateLibraryInfo();
   await checkLibreOfficeStatus();
   setupEventListeners();
   updateUI();
+  await loadAutoAdvanceStatus();
+  await loadClockStatus();
+  // The wall clock ticks whatever is on air
+  setInterval(renderClock, 1000);
+  await checkRecovery();
 }
 
 // Load available displays
@@ -59,6 +191,7 @@ async function loadDisplays() {
   if (result.success) {
     displays = result.displays;
     renderDisplays();
+    renderRundown();
   }
 }
 
@@ -81,15 +214,71 @@ async function checkLibreOfficeStatus() {
 // Event Listeners
 function setupEventListeners() {
   elements.connectOBS.addEventListener('click', showConnectionDialog);
+  elements.newShow.addEventListener('click', handleNewShow);
+  elements.openShow.addEventListener('click', handleOpenShow);
+  elements.saveShow.addEventListener('click', () => handleSaveShow('show:save'));
+  elements.saveShowAs.addEventListener('click', () => handleSaveShow('show:save-as'));
+  elements.recentShows.addEventListener('change', handleOpenRecentShow);
+  elements.actName.addEventListener('change', handleActNameChange);
+  elements.actOperatorNotes.addEventListener('change', handleOperatorNotesChange);
+  elements.resumeRecovery.addEventListener('click', handleResumeRecovery);
+  elements.actDuration.addEventListener('change', handleActDurationChange);
+  elements.pauseAutoAdvance.addEventListener('click', handlePauseAutoAdvance);
+  elements.skipAutoAdvance.addEventListener('click', handleSkipAutoAdvance);
+  elements.rehearseBtn.addEventListener('click', handleRehearse);
+  elements.saveRehearsal.addEventListener('click', handleSaveRehearsal);
+  elements.discardRehearsal.addEventListener('click', hideRehearsalDialog);
+  elements.resetShowClock.addEventListener('click', handleResetShowClock);
+  elements.goBtn.addEventListener('click', handleGo);
+  elements.addCue.addEventListener('click', () => showCueDialog(null));
+  elements.cueForm.addEventListener('submit', handleSaveCue);
+  elements.cancelCue.addEventListener('click', hideCueDialog);
+  elements.cueActionType.addEventListener('change', renderCueActionParams);
+  elements.addCueAction.addEventListener('click', handleAddCueAction);
+  elements.exitLoopBtn.addEventListener('click', handleExitLoop);
+  elements.editLoops.addEventListener('click', showLoopDialog);
+  elements.addLoop.addEventListener('click', handleAddLoop);
+  elements.cancelLoops.addEventListener('click', hideLoopDialog);
+  elements.saveLoops.addEventListener('click', handleSaveLoops);
+  elements.dismissRecovery.addEventListener('click', handleDismissRecovery);
   elements.cancelConnect.addEventListener('click', hideConnectionDialog);
   elements.connectionForm.addEventListener('submit', handleConnect);
   elements.importPPT.addEventListener('click', handleImportPPT);
+  elements.importImages.addEventListener('click', handleImportImages);
+  elements.importMedia.addEventListener('click', handleImportMedia);
+  elements.autoAdvanceToggle.addEventListener('change', handleAutoAdvanceToggle);
+  elements.importBundle.addEventListener('click', handleImportBundle);
   elements.startBtn.addEventListener('click', handleStart);
   elements.stopBtn.addEventListener('click', handleStop);
+  elements.undoBtn.addEventListener('click', handleUndo);
   elements.prevBtn.addEventListener('click', handlePrevScene);
   elements.nextBtn.addEventListener('click', handleNextScene);
   elements.blackoutBtn.addEventListener('click', handleBlackout);
   elements.cancelMode.addEventListener('click', hideModeDialog);
+  elements.cancelImport.addEventListener('click', handleCancelImport);
+  elements.cancelRename.addEventListener('click', hideRenameDialog);
+  elements.renameForm.addEventListener('submit', handleRename);
+  elements.openLibrary.addEventListener('click', showLibraryDialog);
+  elements.closeLibrary.addEventListener('click', hideLibraryDialog);
+  elements.changeLibrary.addEventListener('click', handleChangeLibrary);
+  elements.resetLibrary.addEventListener('click', () => setLibraryLocation(null));
+  elements.closeValidation.addEventListener('click', hideValidationDialog);
+  elements.cancelRefresh.addEventListener('click', hideRefreshDialog);
+  elements.applyRefresh.addEventListener('click', handleApplyRefresh);
+
+  // Program context menu
+  elements.programContextMenu.querySelectorAll('.context-menu-item').forEach(item => {
+    item.addEventListener('click', () => handleProgramMenuAction(item.dataset.action, item.dataset.mode));
+  });
+  document.addEventListener('click', hideProgramContextMenu);
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') {
+      hideProgramContextMenu();
+    }
+    handleShowShortcut(e);
+    handleGoShortcut(e);
+    handleUndoShortcut(e);
+  });
   elements.displaySelect.addEventListener('change', handleDisplayChange);
   
   // Language selector
@@ -98,6 +287,8 @@ function setupEventListeners() {
       await i18n.setLanguage(e.target.value);
       // Re-render dynamic content
       renderProgramList();
+      renderRundown();
+      renderCues();
       updateUI();
       await checkLibreOfficeStatus();
     });
@@ -125,6 +316,81 @@ function setupEventListeners() {
     setStatus(i18n.t('messages.sceneChanged', { scene: sceneName }), 'info');
   });
   
+  // Media programs can move to the next clip on their own
+  ipcRenderer.on('media:clip-changed', (event, index) => {
+    if (currentProgram && currentProgram.acts && currentProgram.acts[index]) {
+      currentAct = currentProgram.acts[index];
+      updateUI();
+    }
+  });
+  
+  // Rundown handovers load the next program from the main process
+  ipcRenderer.on('show:program-changed', (event, { program, entryId }) => {
+    currentProgram = program;
+    currentAct = null;
+    currentEntryId = entryId;
+    activeLoop = null;
+    elements.programList.querySelectorAll('.program-item').forEach(item => {
+      item.classList.toggle('active', item.dataset.id === program.id);
+    });
+    renderActList();
+    renderRundown();
+    updateUI();
+    if (entryId) {
+      setStatus(i18n.t('messages.rundownEntryStarted', { name: program.name }), 'success');
+    }
+  });
+
+  ipcRenderer.on('show:handover-failed', (event, error) => {
+    setStatus(i18n.t('messages.error', { error }), 'error');
+  });
+  
+  // Autosave and settings changes update the dirty state and recent shows
+  ipcRenderer.on('show:changed', (event, show) => {
+    currentShow = show;
+    renderRecentShows();
+  });
+  
+  // Timed acts advance from the main process
+  ipcRenderer.on('autoadvance:status', (event, status) => {
+    applyAutoAdvanceStatus(status);
+  });
+  
+  // Loops cycle on their own until the operator exits them
+  ipcRenderer.on('show:loop-changed', (event, loop) => {
+    activeLoop = loop;
+    renderLoopBanner();
+  });
+  
+  // Timers turn to warning or overrun without the operator doing anything
+  ipcRenderer.on('clock:status', (event, status) => {
+    applyClockStatus(status);
+  });
+  
+  ipcRenderer.on('scene:undo-available', (event, available) => {
+    canUndo = available;
+    updateUI();
+  });
+  
+  // GO moves the standby pointer; wait actions finish cues later
+  ipcRenderer.on('cue:status', (event, status) => {
+    cueStatus = status;
+    renderCues();
+  });
+  
+  ipcRenderer.on('autoadvance:failed', (event, error) => {
+    setStatus(i18n.t('messages.error', { error }), 'error');
+  });
+  
+  ipcRenderer.on('show:autosave-failed', (event, error) => {
+    setStatus(i18n.t('messages.showAutosaveFailed', { error }), 'error');
+  });
+  
+  // Listen for import progress
+  ipcRenderer.on('ppt:import-progress', (event, progress) => {
+    updateImportProgress(progress);
+  });
+  
   // Listen for LibreOffice events
   ipcRenderer.on('libreoffice:started', () => {
     setStatus(i18n.t('messages.presentationStarted'), 'success');
@@ -200,6 +466,8 @@ async function loadPrograms() {
     programs = result.programs;
     renderProgramList();
   }
+  // Rundown entries show program names, which may have changed
+  await loadRundown();
 }
 
 function renderProgramList() {
@@ -209,13 +477,22 @@ function renderProgramList() {
   }
 
   elements.programList.innerHTML = programs.map(program => {
-    const modeIcon = program.mode === 'renderer' ? '🎭' : '🎬';
-    const actCount = program.acts ? program.acts.length : program.slideCount || 0;
+    if (program.corrupt) {
+      return `
+        <div class="program-item corrupt" data-id="${program.id}" title="${escapeHtml(program.error)}">
+          <div class="program-item-name">⚠️ ${escapeHtml(program.name)}</div>
+          <div class="program-item-meta">${i18n.t('sidebar.programCorrupt')}</div>
+        </div>
+      `;
+    }
+
+    const modeIcon = MODE_ICONS[program.mode] || '';
+    const actCount = program.acts ? program.acts.length : program.slideCount ?? '?';
     const modeText = i18n.t(`modes.${program.mode}`);
     const slidesText = i18n.t('units.slides');
     return `
       <div class="program-item" data-id="${program.id}">
-        <div class="program-item-name">${modeIcon} ${program.name}</div>
+        <div class="program-item-name">${modeIcon} ${program.name}${renderIssueBadge(program)}</div>
         <div class="program-item-meta">${actCount} ${slidesText} · ${modeText} mode</div>
       </div>
     `;
@@ -224,236 +501,1862 @@ function renderProgramList() {
   // Add click handlers
   elements.programList.querySelectorAll('.program-item').forEach(item => {
     item.addEventListener('click', () => loadProgram(item.dataset.id));
+    item.addEventListener('contextmenu', (e) => showProgramContextMenu(e, item.dataset.id));
+  });
+  elements.programList.querySelectorAll('.issue-badge').forEach(badge => {
+    badge.addEventListener('click', (e) => {
+      e.stopPropagation();
+      showValidationDialog(badge.closest('.program-item').dataset.id);
+    });
   });
+
+  // Keep the loaded program highlighted after re-rendering
+  if (currentProgram) {
+    elements.programList.querySelectorAll('.program-item').forEach(item => {
+      item.classList.toggle('active', item.dataset.id === currentProgram.id);
+    });
+  }
 }
 
-async function handleImportPPT() {
-  setStatus(i18n.t('messages.selectPPTFiles'), 'info');
-  
-  const selectResult = await ipcRenderer.invoke('ppt:select');
-  if (!selectResult.success) {
-    return;
+// Show Files
+async function loadShow() {
+  const result = await ipcRenderer.invoke('show:get');
+  if (result.success) {
+    applyShow(result.show);
   }
+}
 
-  // Store files and show mode selection dialog
-  pendingImportFiles = selectResult.filePaths;
-  showModeDialog();
+// Take over the settings saved with the show
+function applyShow(show) {
+  currentShow = show;
+  if (show.settings.obsAddress) {
+    elements.obsAddress.value = show.settings.obsAddress;
+  }
+  if (displays[show.settings.display]) {
+    elements.displaySelect.value = String(show.settings.display);
+  }
+  renderRecentShows();
 }
 
-function showModeDialog() {
-  elements.modeDialog.style.display = 'flex';
+function renderRecentShows() {
+  const recent = currentShow ? currentShow.recentShows : [];
+  elements.recentShows.innerHTML = `<option value="">${i18n.t('show.recent')}</option>` +
+    recent.map(filePath => {
+      const name = filePath.split(/[\\/]/).pop().replace(/\.sfshow$/i, '');
+      return `<option value="${escapeHtml(filePath)}" title="${escapeHtml(filePath)}">${escapeHtml(name)}</option>`;
+    }).join('');
+  elements.recentShows.disabled = recent.length === 0;
 }
 
-function hideModeDialog() {
-  elements.modeDialog.style.display = 'none';
-  pendingImportFiles = null;
+// Untitled shows only live in the autosave file, which New and Open replace
+function confirmDiscardShow() {
+  if (!currentShow || !currentShow.dirty || currentShow.filePath) {
+    return true;
+  }
+  return confirm(i18n.t('show.confirmDiscard'));
 }
 
-async function handleModeSelection(mode) {
-  if (!pendingImportFiles) return;
-  
-  hideModeDialog();
-  setStatus(i18n.t('messages.importingPPTFiles'), 'info');
-  
-  const result = await ipcRenderer.invoke('ppt:import', pendingImportFiles, { mode });
-  
+// A different show was opened: its rundown replaces the old one and nothing is loaded
+async function handleShowOpened(show) {
+  applyShow(show);
+  if (currentProgram) {
+    clearLoadedProgram(currentProgram.id);
+  }
+  await loadRundown();
+  await loadCues();
+  setStatus(i18n.t('messages.showOpened', { name: show.name || i18n.t('show.untitled') }), 'success');
+}
+
+async function handleNewShow() {
+  if (!confirmDiscardShow()) {
+    return;
+  }
+
+  const result = await ipcRenderer.invoke('show:new');
   if (result.success) {
-    const modeText = i18n.t(`modes.${mode}`);
-    setStatus(i18n.t('messages.importedProgramsInMode', { count: result.programs.length, mode: modeText }), 'success');
-    await loadPrograms();
+    await handleShowOpened(result.show);
   } else {
-    setStatus(i18n.t('messages.importFailed', { error: result.error }), 'error');
-    alert(i18n.t('messages.importFailed', { error: result.error }));
+    setStatus(i18n.t('messages.error', { error: result.error }), 'error');
   }
-  
-  pendingImportFiles = null;
 }
 
-async function handleDisplayChange() {
-  const displayIndex = parseInt(elements.displaySelect.value);
-  await ipcRenderer.invoke('display:set', displayIndex);
-  setStatus(i18n.t('messages.displaySet', { display: displays[displayIndex].label }), 'info');
-}
+async function handleOpenShow() {
+  if (!confirmDiscardShow()) {
+    return;
+  }
 
-async function loadProgram(programId) {
-  setStatus(i18n.t('messages.loadingProgram'), 'info');
-  
-  const result = await ipcRenderer.invoke('program:load', programId);
-  
+  const result = await ipcRenderer.invoke('show:open');
   if (result.success) {
-    currentProgram = result.program;
-    currentAct = null;
-    
-    // Update active state in program list
-    elements.programList.querySelectorAll('.program-item').forEach(item => {
-      item.classList.toggle('active', item.dataset.id === programId);
-    });
-    
-    renderActList();
-    updateUI();
-    
-    const modeText = i18n.t(`modes.${currentProgram.mode}`);
-    setStatus(i18n.t('messages.programLoaded', { mode: modeText }), 'success');
-  } else {
-    setStatus(i18n.t('messages.failedToLoadProgram', { error: result.error }), 'error');
+    await handleShowOpened(result.show);
+  } else if (!result.canceled) {
+    setStatus(i18n.t('messages.error', { error: result.error }), 'error');
   }
 }
 
-async function handleStart() {
-  if (!currentProgram) return;
-  
-  const displayIndex = parseInt(elements.displaySelect.value);
-  const result = await ipcRenderer.invoke('scene:start', { display: displayIndex });
-  
+async function handleOpenRecentShow() {
+  const filePath = elements.recentShows.value;
+  elements.recentShows.value = '';
+  if (!filePath || !confirmDiscardShow()) {
+    return;
+  }
+
+  const result = await ipcRenderer.invoke('show:open-recent', filePath);
   if (result.success) {
-    setStatus(i18n.t('messages.presentationStarted'), 'success');
-    updateUI();
+    await handleShowOpened(result.show);
   } else {
-    setStatus(i18n.t('messages.startFailed', { error: result.error }), 'error');
+    currentShow = result.show;
+    renderRecentShows();
+    setStatus(i18n.t('messages.error', { error: result.error }), 'error');
   }
 }
 
-async function handleStop() {
-  const result = await ipcRenderer.invoke('scene:stop');
-  
+async function handleSaveShow(channel) {
+  const result = await ipcRenderer.invoke(channel);
   if (result.success) {
-    setStatus(i18n.t('messages.presentationStopped'), 'info');
-    updateUI();
-  } else {
-    setStatus(i18n.t('messages.stopFailed', { error: result.error }), 'error');
+    currentShow = result.show;
+    renderRecentShows();
+    setStatus(i18n.t('messages.showSaved', { name: result.show.name }), 'success');
+  } else if (!result.canceled) {
+    setStatus(i18n.t('messages.error', { error: result.error }), 'error');
   }
 }
 
-function renderActList() {
-  if (!currentProgram || !currentProgram.acts || currentProgram.acts.length === 0) {
-    elements.actList.innerHTML = '<div class="empty-state">No acts in this program</div>';
+// Ctrl/Cmd+N, O, S and Shift+S work like in any document-based app
+function handleShowShortcut(e) {
+  if (!(e.ctrlKey || e.metaKey) || e.altKey) {
     return;
   }
 
-  elements.actList.innerHTML = currentProgram.acts.map((act, index) => `
-    <div class="act-item" data-index="${index}">
-      <span class="act-number">Act ${index + 1}</span>
-      <span class="act-name">${act.name}</span>
-    </div>
-  `).join('');
-
-  // Add click handlers
-  elements.actList.querySelectorAll('.act-item').forEach(item => {
-    item.addEventListener('click', () => jumpToAct(parseInt(item.dataset.index)));
-  });
+  const key = e.key.toLowerCase();
+  if (key === 'n' && !e.shiftKey) {
+    e.preventDefault();
+    handleNewShow();
+  } else if (key === 'o' && !e.shiftKey) {
+    e.preventDefault();
+    handleOpenShow();
+  } else if (key === 's') {
+    e.preventDefault();
+    handleSaveShow(e.shiftKey ? 'show:save-as' : 'show:save');
+  }
 }
 
-// Scene Control
-async function handlePrevScene() {
-  if (!currentProgram) return;
-  
-  const result = await ipcRenderer.invoke('scene:prev');
+// Custom act names are kept with the program, like act durations
+async function handleActNameChange() {
+  if (!currentProgram || !currentAct) {
+    return;
+  }
+
+  const customName = elements.actName.value.trim();
+  const result = await ipcRenderer.invoke('program:set-act-name', currentProgram.id, currentAct.index,
+    customName || null);
   if (result.success) {
-    setStatus(i18n.t('messages.previousScene'), 'info');
+    if (customName) {
+      currentAct.customName = customName;
+    } else {
+      delete currentAct.customName;
+    }
+    renderActList();
   } else {
     setStatus(i18n.t('messages.error', { error: result.error }), 'error');
   }
 }
 
-async function handleNextScene() {
-  if (!currentProgram) return;
-  
-  const result = await ipcRenderer.invoke('scene:next');
+// Operator notes are kept with the show, not the program
+async function handleOperatorNotesChange() {
+  if (!currentProgram || !currentAct) {
+    return;
+  }
+
+  const operatorNotes = elements.actOperatorNotes.value.trim();
+  const result = await ipcRenderer.invoke('show:set-act-settings', currentProgram.id, currentAct.index,
+    { operatorNotes: operatorNotes || null });
   if (result.success) {
-    setStatus(i18n.t('messages.nextScene'), 'info');
+    if (operatorNotes) {
+      currentAct.operatorNotes = operatorNotes;
+    } else {
+      delete currentAct.operatorNotes;
+    }
   } else {
     setStatus(i18n.t('messages.error', { error: result.error }), 'error');
   }
 }
 
-async function handleBlackout() {
-  if (!obsConnected) return;
-  
-  const result = await ipcRenderer.invoke('scene:blackout');
+// Auto-Advance and Rehearsal
+async function loadAutoAdvanceStatus() {
+  const result = await ipcRenderer.invoke('autoadvance:status');
   if (result.success) {
-    currentAct = null;
-    updateUI();
-    setStatus(i18n.t('messages.blackoutActivated'), 'info');
-  } else {
-    setStatus(i18n.t('messages.error', { error: result.error }), 'error');
+    applyAutoAdvanceStatus(result.status);
   }
 }
 
-async function jumpToAct(actIndex) {
-  if (!currentProgram) return;
-  
-  const result = await ipcRenderer.invoke('scene:jump', actIndex);
-  if (result.success) {
-    setStatus(i18n.t('messages.jumpedToAct', { act: actIndex + 1 }), 'info');
-    if (currentProgram.acts && currentProgram.acts[actIndex]) {
-      currentAct = currentProgram.acts[actIndex];
+function applyAutoAdvanceStatus(status) {
+  autoAdvanceStatus = status;
+  autoAdvanceReceivedAt = Date.now();
+
+  // Follow the act on air, which may have changed without the operator
+  if (currentProgram && status.programId === currentProgram.id && currentProgram.acts) {
+    const act = currentProgram.acts[status.actIndex] || null;
+    if (act && act !== currentAct) {
+      currentAct = act;
       updateUI();
     }
-  } else {
-    setStatus(i18n.t('messages.error', { error: result.error }), 'error');
   }
+
+  // Count down (or up, in rehearsal) between status updates
+  const ticking = status.running || status.rehearsing;
+  if (ticking && !autoAdvanceTicker) {
+    autoAdvanceTicker = setInterval(renderAutoAdvance, 250);
+  } else if (!ticking && autoAdvanceTicker) {
+    clearInterval(autoAdvanceTicker);
+    autoAdvanceTicker = null;
+  }
+  renderAutoAdvance();
 }
 
-// UI Updates
-function updateUI() {
-  // Update scene info
-  if (currentProgram) {
-    const sceneDiv = elements.currentSceneInfo.querySelector('.scene-name');
-    const numberDiv = elements.currentSceneInfo.querySelector('.scene-number');
-    const modeIcon = currentProgram.mode === 'renderer' ? '🎭' : '🎬';
-    const modeText = i18n.t(`modes.${currentProgram.mode}`);
-    const slidesText = i18n.t('units.slides');
-    sceneDiv.textContent = currentProgram.name;
-    numberDiv.textContent = `${modeIcon} ${modeText} · ${currentProgram.slideCount || currentProgram.acts.length} ${slidesText}`;
-  } else {
-    const sceneDiv = elements.currentSceneInfo.querySelector('.scene-name');
-    const numberDiv = elements.currentSceneInfo.querySelector('.scene-number');
-    sceneDiv.textContent = i18n.t('controls.noProgramLoaded');
-    numberDiv.textContent = '-';
+function renderAutoAdvance() {
+  const status = autoAdvanceStatus;
+  if (!status) {
+    return;
   }
 
-  // Update control buttons based on mode and connections
-  const canControl = currentProgram !== null;
-  const needsOBS = currentProgram && currentProgram.mode === 'scene';
-  const needsLO = currentProgram && currentProgram.mode === 'renderer';
-  
-  elements.startBtn.disabled = !canControl || (needsOBS && !obsConnected) || (needsLO && !libreOfficeAvailable);
-  elements.stopBtn.disabled = !canControl;
-  elements.prevBtn.disabled = !canControl;
-  elements.nextBtn.disabled = !canControl;
-  elements.blackoutBtn.disabled = !obsConnected;
+  const sinceUpdate = Date.now() - autoAdvanceReceivedAt;
+  let text = i18n.t('timing.manual');
+  let state = '';
+  if (status.rehearsing) {
+    text = i18n.t('timing.rehearsing', { time: formatDuration(status.elapsed + sinceUpdate) });
+    state = 'rehearsing';
+  } else if (status.running) {
+    text = i18n.t('timing.nextIn', { time: formatDuration(Math.max(status.remaining - sinceUpdate, 0)) });
+    state = 'running';
+  } else if (status.paused) {
+    text = status.remaining !== null
+      ? i18n.t('timing.pausedWithTime', { time: formatDuration(status.remaining) })
+      : i18n.t('timing.paused');
+    state = 'paused';
+  }
 
-  // Update active act in list
-  elements.actList.querySelectorAll('.act-item').forEach(item => {
-    const index = parseInt(item.dataset.index);
-    item.classList.toggle('active', currentAct && currentAct.index === index);
-  });
+  elements.autoAdvanceStatus.textContent = text;
+  elements.autoAdvanceStatus.className = `auto-advance-status ${state}`;
+  elements.pauseAutoAdvance.innerHTML = status.paused
+    ? `▶️ <span>${i18n.t('timing.resume')}</span>`
+    : `⏸️ <span>${i18n.t('timing.pause')}</span>`;
+  elements.pauseAutoAdvance.disabled = status.rehearsing;
+  elements.skipAutoAdvance.disabled = !currentProgram;
+  elements.rehearseBtn.innerHTML = status.rehearsing
+    ? `⏹️ <span>${i18n.t('timing.stopRehearsal')}</span>`
+    : `⏺️ <span>${i18n.t('timing.rehearse')}</span>`;
+}
 
-  // Update preview
-  if (currentAct && currentAct.imagePath) {
-    elements.previewArea.innerHTML = `<img src="file://${currentAct.imagePath}" alt="Preview">`;
-  } else {
-    elements.previewArea.innerHTML = '<div class="empty-state">No preview available</div>';
+// Show Clock
+async function loadClockStatus() {
+  const result = await ipcRenderer.invoke('clock:status');
+  if (result.success) {
+    applyClockStatus(result.status);
   }
+}
 
-  // Update act details
-  if (currentAct) {
-    elements.actName.textContent = currentAct.name;
-    elements.actNotes.textContent = currentAct.notes || '-';
+function applyClockStatus(status) {
+  const previous = clockStatus;
+  clockStatus = status;
+  clockReceivedAt = Date.now();
+
+  // Say so once when a timer runs over
+  const ranOver = (key) => status[key] && status[key].state === 'overrun' &&
+    !(previous && previous[key] && previous[key].state === 'overrun');
+  if (ranOver('act')) {
+    setStatus(i18n.t('messages.actOverrun', { act: status.act.actIndex + 1 }), 'warning');
+  } else if (ranOver('program')) {
+    setStatus(i18n.t('messages.programOverrun'), 'warning');
+  } else if (ranOver('nextSegment')) {
+    setStatus(i18n.t('messages.segmentLate', { time: status.nextSegment.startTime }), 'warning');
+  }
+  renderClock();
+}
+
+// Counts on from the last status; the main process reports every change of state
+function renderClock() {
+  elements.clockTime.textContent = new Date().toLocaleTimeString(i18n.getLanguage(), { hour12: false });
+
+  const status = clockStatus;
+  if (!status) {
+    return;
+  }
+
+  const sinceUpdate = Date.now() - clockReceivedAt;
+  const runningTime = (timer) => {
+    const elapsed = formatClockTime(timer.elapsed + sinceUpdate);
+    return timer.planned !== null ? `${elapsed} / ${formatClockTime(timer.planned)}` : elapsed;
+  };
+
+  elements.clockAct.textContent = status.act ? runningTime(status.act) : '-';
+  elements.clockActCell.className = `clock-cell ${status.act ? status.act.state : ''}`;
+  elements.clockProgram.textContent = status.program ? runningTime(status.program) : '-';
+  elements.clockProgramCell.className = `clock-cell ${status.program ? status.program.state : ''}`;
+  elements.clockShow.textContent = status.show.running ? formatClockTime(status.show.elapsed + sinceUpdate) : '-';
+
+  const next = status.nextSegment;
+  if (next) {
+    const countdown = next.countdown - sinceUpdate;
+    const entry = rundownEntries.find(e => e.id === next.entryId);
+    elements.clockNext.textContent = countdown >= 0
+      ? formatClockTime(countdown)
+      : i18n.t('clock.late', { time: formatClockTime(-countdown) });
+    elements.clockNextName.textContent = i18n.t('clock.segmentAt', {
+      name: entry ? entry.programName : next.programId,
+      time: next.startTime
+    });
   } else {
-    elements.actName.textContent = '-';
-    elements.actNotes.textContent = '-';
+    elements.clockNext.textContent = '-';
+    elements.clockNextName.textContent = '';
   }
+  elements.clockNextCell.className = `clock-cell ${next ? next.state : ''}`;
 }
 
-function setStatus(message, type = 'info') {
-  elements.statusMessage.textContent = message;
-  elements.statusMessage.style.color = {
-    'info': '#999',
-    'success': '#4CAF50',
-    'error': '#f44336',
-    'warning': '#ff9800'
-  }[type] || '#999';
+async function handleResetShowClock() {
+  const result = await ipcRenderer.invoke('clock:reset-show');
+  if (result.success) {
+    applyClockStatus(result.status);
+  }
+}
+
+// h:mm:ss (m:ss under an hour), rounded down like a stopwatch
+function formatClockTime(ms) {
+  const totalSeconds = Math.floor(ms / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor(totalSeconds / 60) % 60;
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+  return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}` : `${minutes}:${seconds}`;
+}
+
+// m:ss, rounded up so a countdown reaches 0:00 as the act changes
+function formatDuration(ms) {
+  const totalSeconds = Math.ceil(ms / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return `${minutes}:${String(seconds).padStart(2, '0')}`;
+}
+
+async function handlePauseAutoAdvance() {
+  const channel = autoAdvanceStatus && autoAdvanceStatus.paused ? 'autoadvance:resume' : 'autoadvance:pause';
+  const result = await ipcRenderer.invoke(channel);
+  if (result.success) {
+    applyAutoAdvanceStatus(result.status);
+  }
+}
+
+async function handleSkipAutoAdvance() {
+  const result = await ipcRenderer.invoke('autoadvance:skip');
+  if (!result.success) {
+    setStatus(i18n.t('messages.error', { error: result.error }), 'error');
+  }
+}
+
+async function handleRehearse() {
+  if (!autoAdvanceStatus || !autoAdvanceStatus.rehearsing) {
+    await ipcRenderer.invoke('rehearsal:start');
+    setStatus(i18n.t('messages.rehearsalStarted'), 'info');
+    return;
+  }
+
+  const result = await ipcRenderer.invoke('rehearsal:stop');
+  if (!result.success) {
+    setStatus(i18n.t('messages.error', { error: result.error }), 'error');
+    return;
+  }
+  if (result.recordings.length === 0) {
+    setStatus(i18n.t('messages.rehearsalEmpty'), 'info');
+    return;
+  }
+  showRehearsalDialog(result.recordings);
+}
+
+function showRehearsalDialog(recordings) {
+  rehearsalRecordings = recordings;
+  elements.rehearsalResults.innerHTML = recordings.map(recording => `
+    <li>${escapeHtml(recording.programName)} · ${escapeHtml(recording.actName)}: <strong>${formatDuration(recording.duration)}</strong></li>
+  `).join('');
+  elements.rehearsalDialog.style.display = 'flex';
+}
+
+function hideRehearsalDialog() {
+  elements.rehearsalDialog.style.display = 'none';
+  rehearsalRecordings = [];
+}
+
+async function handleSaveRehearsal() {
+  // One update per program
+  const byProgram = new Map();
+  for (const recording of rehearsalRecordings) {
+    const durations = byProgram.get(recording.programId) || {};
+    durations[recording.actIndex] = recording.duration;
+    byProgram.set(recording.programId, durations);
+  }
+  hideRehearsalDialog();
+
+  for (const [programId, durations] of byProgram) {
+    const result = await ipcRenderer.invoke('program:set-act-durations', programId, durations);
+    if (!result.success) {
+      setStatus(i18n.t('messages.error', { error: result.error }), 'error');
+      return;
+    }
+    updateLoadedActTimings(result.program);
+  }
+  setStatus(i18n.t('messages.timingsSaved'), 'success');
+}
+
+// Durations are edited per act; blank waits for the operator
+async function handleActDurationChange() {
+  if (!currentProgram || !currentAct) {
+    return;
+  }
+
+  const seconds = parseFloat(elements.actDuration.value);
+  const duration = seconds > 0 ? Math.round(seconds * 1000) : null;
+  const result = await ipcRenderer.invoke('program:set-act-durations', currentProgram.id, { [currentAct.index]: duration });
+  if (result.success) {
+    updateLoadedActTimings(result.program);
+  } else {
+    setStatus(i18n.t('messages.error', { error: result.error }), 'error');
+  }
+}
+
+function updateLoadedActTimings(program) {
+  if (!currentProgram || currentProgram.id !== program.id) {
+    return;
+  }
+  currentProgram.acts.forEach((act, index) => {
+    const timing = program.acts[index] && program.acts[index].timing;
+    if (timing) {
+      act.timing = timing;
+    } else {
+      delete act.timing;
+    }
+  });
+  renderActList();
+  updateUI();
+}
+
+// Crash Recovery
+// Offer to put back on air what was live when the app last quit unexpectedly
+async function checkRecovery() {
+  const result = await ipcRenderer.invoke('recovery:get');
+  if (!result.success || !result.state) {
+    return;
+  }
+
+  const { programName, actIndex } = result.state;
+  elements.recoveryMessage.textContent = i18n.t('recovery.message', { program: programName, act: actIndex + 1 });
+  elements.recoveryDialog.style.display = 'flex';
+}
+
+function hideRecoveryDialog() {
+  elements.recoveryDialog.style.display = 'none';
+}
+
+async function handleResumeRecovery() {
+  elements.resumeRecovery.disabled = true;
+  setStatus(i18n.t('messages.resumingShow'), 'info');
+
+  // OBS is reconnected with the address from the connection dialog (filled in from the show)
+  const result = await ipcRenderer.invoke('recovery:resume', {
+    address: elements.obsAddress.value,
+    password: elements.obsPassword.value
+  });
+  elements.resumeRecovery.disabled = false;
+
+  if (result.success) {
+    hideRecoveryDialog();
+    currentProgram = result.program;
+    currentAct = result.blackout ? null : (result.program.acts || [])[result.actIndex] || null;
+    renderActList();
+    updateUI();
+    // Resuming may have reopened the show the program belongs to
+    await loadRundown();
+    await loadCues();
+    setStatus(i18n.t('messages.showResumed', { name: result.program.name, act: result.actIndex + 1 }), 'success');
+  } else {
+    // The dialog stays open so the operator can fix OBS and try again
+    setStatus(i18n.t('messages.error', { error: result.error }), 'error');
+  }
+}
+
+async function handleDismissRecovery() {
+  hideRecoveryDialog();
+  await ipcRenderer.invoke('recovery:dismiss');
+}
+
+// Show Rundown
+async function loadRundown() {
+  const result = await ipcRenderer.invoke('rundown:get');
+  if (result.success) {
+    rundownEntries = result.entries;
+    currentEntryId = result.currentEntryId;
+    renderRundown();
+  }
+}
+
+function renderRundown() {
+  if (rundownEntries.length === 0) {
+    elements.rundownList.innerHTML = `<div class="empty-state" data-i18n="rundown.empty">${i18n.t('rundown.empty')}</div>`;
+    return;
+  }
+
+  const displayOptions = displays.map((d, i) => `<option value="${i}">${escapeHtml(d.label)}</option>`).join('');
+  elements.rundownList.innerHTML = rundownEntries.map((entry, index) => `
+    <div class="rundown-item${entry.id === currentEntryId ? ' active' : ''}${entry.missing ? ' missing' : ''}" data-id="${entry.id}">
+      <div class="rundown-item-name">${index + 1}. ${MODE_ICONS[entry.mode] || '⚠️'} ${escapeHtml(entry.programName)}</div>
+      <div class="rundown-item-controls">
+        <button class="btn btn-small" data-action="start" title="${i18n.t('rundown.start')}"${entry.missing ? ' disabled' : ''}>▶</button>
+        <button class="btn btn-small" data-action="up" title="${i18n.t('rundown.moveUp')}"${index === 0 ? ' disabled' : ''}>↑</button>
+        <button class="btn btn-small" data-action="down" title="${i18n.t('rundown.moveDown')}"${index === rundownEntries.length - 1 ? ' disabled' : ''}>↓</button>
+        <button class="btn btn-small" data-action="remove" title="${i18n.t('rundown.remove')}">✕</button>
+        <label title="${i18n.t('rundown.autoContinueHint')}">
+          <input type="checkbox" data-setting="autoContinue"${entry.autoContinue ? ' checked' : ''}>
+          ${i18n.t('rundown.autoContinue')}
+        </label>
+        <select class="form-input" data-setting="display" title="${i18n.t('rundown.display')}">
+          <option value="">${i18n.t('rundown.sidebarDisplay')}</option>
+          ${displayOptions}
+        </select>
+        <label title="${i18n.t('rundown.startTimeHint')}">
+          ${i18n.t('rundown.startTime')}
+          <input type="time" class="form-input" data-setting="startTime" value="${entry.startTime || ''}">
+        </label>
+        <label title="${i18n.t('rundown.plannedMinutesHint')}">
+          <input type="number" class="form-input" data-setting="plannedDuration" min="1" step="1" value="${entry.plannedDuration ? entry.plannedDuration / 60000 : ''}">
+          ${i18n.t('rundown.plannedMinutes')}
+        </label>
+      </div>
+    </div>
+  `).join('');
+
+  elements.rundownList.querySelectorAll('.rundown-item').forEach(item => {
+    const entry = rundownEntries.find(e => e.id === item.dataset.id);
+    item.querySelector('[data-setting="display"]').value = entry.display === null ? '' : String(entry.display);
+    item.querySelectorAll('button').forEach(button => {
+      button.addEventListener('click', () => handleRundownAction(button.dataset.action, entry));
+    });
+    item.querySelector('[data-setting="autoContinue"]').addEventListener('change', (e) => {
+      updateRundownEntry(entry, { autoContinue: e.target.checked });
+    });
+    item.querySelector('[data-setting="display"]').addEventListener('change', (e) => {
+      updateRundownEntry(entry, { display: e.target.value === '' ? null : parseInt(e.target.value) });
+    });
+    item.querySelector('[data-setting="startTime"]').addEventListener('change', (e) => {
+      updateRundownEntry(entry, { startTime: e.target.value || null });
+    });
+    item.querySelector('[data-setting="plannedDuration"]').addEventListener('change', (e) => {
+      const minutes = parseFloat(e.target.value);
+      updateRundownEntry(entry, { plannedDuration: minutes > 0 ? Math.round(minutes * 60000) : null });
+    });
+  });
+}
+
+async function handleRundownAction(action, entry) {
+  const index = rundownEntries.indexOf(entry);
+  let result;
+
+  if (action === 'start') {
+    const displayIndex = parseInt(elements.displaySelect.value);
+    setStatus(i18n.t('messages.loadingProgram'), 'info');
+    result = await ipcRenderer.invoke('rundown:start-entry', entry.id, { display: displayIndex });
+  } else if (action === 'up' || action === 'down') {
+    result = await ipcRenderer.invoke('rundown:move', entry.id, action === 'up' ? index - 1 : index + 1);
+  } else if (action === 'remove') {
+    result = await ipcRenderer.invoke('rundown:remove', entry.id);
+  } else {
+    return;
+  }
+
+  if (!result.success) {
+    setStatus(i18n.t('messages.error', { error: result.error }), 'error');
+  }
+  await loadRundown();
+}
+
+async function updateRundownEntry(entry, settings) {
+  const result = await ipcRenderer.invoke('rundown:update', entry.id, settings);
+  if (result.success) {
+    Object.assign(entry, result.entry);
+  } else {
+    setStatus(i18n.t('messages.error', { error: result.error }), 'error');
+    renderRundown();
+  }
+}
+
+async function addToRundown(program) {
+  const result = await ipcRenderer.invoke('rundown:add', program.id);
+  if (result.success) {
+    setStatus(i18n.t('messages.addedToRundown', { name: program.name }), 'success');
+    await loadRundown();
+  } else {
+    setStatus(i18n.t('messages.error', { error: result.error }), 'error');
+  }
+}
+
+// Cue List
+async function loadCues() {
+  const result = await ipcRenderer.invoke('cue:list');
+  if (result.success) {
+    cues = result.cues;
+    cueStatus = result.status;
+    renderCues();
+  }
+}
+
+function renderCues() {
+  const standbyId = cueStatus ? cueStatus.standbyId : null;
+  const running = cueStatus ? cueStatus.running : [];
+  const standby = cues.find(cue => cue.id === standbyId);
+  elements.cueStandby.textContent = standby ? formatCueName(standby) : i18n.t('cues.noStandby');
+  elements.goBtn.disabled = !standby;
+
+  if (cues.length === 0) {
+    elements.cueList.innerHTML = `<div class="empty-state" data-i18n="cues.empty">${i18n.t('cues.empty')}</div>`;
+    return;
+  }
+
+  elements.cueList.innerHTML = cues.map((cue, index) => `
+    <div class="cue-item${cue.id === standbyId ? ' standby' : ''}${running.includes(cue.id) ? ' running' : ''}" data-id="${cue.id}" title="${escapeHtml(cue.actions.map(describeCueAction).join('\n'))}">
+      <span class="cue-number">${cue.number}</span>
+      <span class="cue-label">${escapeHtml(cue.label)}</span>
+      <button class="btn btn-small" data-action="edit" title="${i18n.t('cues.edit')}">✎</button>
+      <button class="btn btn-small" data-action="up" title="${i18n.t('rundown.moveUp')}"${index === 0 ? ' disabled' : ''}>↑</button>
+      <button class="btn btn-small" data-action="down" title="${i18n.t('rundown.moveDown')}"${index === cues.length - 1 ? ' disabled' : ''}>↓</button>
+      <button class="btn btn-small" data-action="remove" title="${i18n.t('cues.remove')}">✕</button>
+    </div>
+  `).join('');
+
+  elements.cueList.querySelectorAll('.cue-item').forEach(item => {
+    const cue = cues.find(c => c.id === item.dataset.id);
+    // Clicking a cue puts it in standby
+    item.addEventListener('click', () => handleCueAction('standby', cue));
+    item.querySelectorAll('button').forEach(button => {
+      button.addEventListener('click', (e) => {
+        e.stopPropagation();
+        handleCueAction(button.dataset.action, cue);
+      });
+    });
+  });
+}
+
+function formatCueName(cue) {
+  const number = i18n.t('cues.cueNumber', { number: cue.number });
+  return cue.label ? `${number} · ${cue.label}` : number;
+}
+
+function describeCueAction(action) {
+  const seconds = (ms) => Math.round(ms / 100) / 10;
+  switch (action.type) {
+    case 'act':
+      return i18n.t('cues.describeAct', { act: action.act + 1 });
+    case 'start-program': {
+      let target = i18n.t('cues.currentProgram');
+      if (action.entryId) {
+        const entry = rundownEntries.find(e => e.id === action.entryId);
+        target = entry ? entry.programName : i18n.t('cues.missingTarget');
+      } else if (action.programId) {
+        const program = programs.find(p => p.id === action.programId);
+        target = program ? program.name : i18n.t('cues.missingTarget');
+      }
+      const start = i18n.t('cues.describeStartProgram', { name: target });
+      return action.act !== undefined ? `${start} (${i18n.t('cues.describeAct', { act: action.act + 1 })})` : start;
+    }
+    case 'play-media': {
+      const program = programs.find(p => p.id === action.programId);
+      const play = i18n.t('cues.describePlayMedia', { name: program ? program.name : i18n.t('cues.missingTarget') });
+      return action.clip !== undefined ? `${play} (${i18n.t('cues.describeClip', { clip: action.clip + 1 })})` : play;
+    }
+    case 'transition':
+      return action.duration !== undefined
+        ? i18n.t('cues.describeTransitionDuration', { name: action.name, seconds: seconds(action.duration) })
+        : i18n.t('cues.describeTransition', { name: action.name });
+    case 'wait':
+      return i18n.t('cues.describeWait', { seconds: seconds(action.duration) });
+    default:
+      return elements.cueActionType.querySelector(`option[value="${action.type}"]`)?.textContent || action.type;
+  }
+}
+
+async function handleCueAction(action, cue) {
+  const index = cues.indexOf(cue);
+  let result;
+
+  if (action === 'standby') {
+    result = await ipcRenderer.invoke('cue:standby', cue.id);
+  } else if (action === 'edit') {
+    showCueDialog(cue);
+    return;
+  } else if (action === 'up' || action === 'down') {
+    result = await ipcRenderer.invoke('cue:move', cue.id, action === 'up' ? index - 1 : index + 1);
+  } else if (action === 'remove') {
+    result = await ipcRenderer.invoke('cue:remove', cue.id);
+  } else {
+    return;
+  }
+
+  if (!result.success) {
+    setStatus(i18n.t('messages.error', { error: result.error }), 'error');
+  }
+  await loadCues();
+}
+
+async function handleGo() {
+  const standby = cues.find(cue => cueStatus && cue.id === cueStatus.standbyId);
+  if (!standby) return;
+
+  setStatus(i18n.t('messages.cueGo', { cue: formatCueName(standby) }), 'info');
+  const result = await ipcRenderer.invoke('cue:go');
+  if (!result.success) {
+    setStatus(i18n.t('messages.cueFailed', { cue: formatCueName(standby), error: result.error }), 'error');
+  }
+}
+
+// Space is GO, unless the operator is typing
+function handleGoShortcut(e) {
+  if (e.key !== ' ' || e.ctrlKey || e.metaKey || e.altKey || e.target.matches('input, textarea, select')) {
+    return;
+  }
+  e.preventDefault();
+  handleGo();
+}
+
+function showCueDialog(cue) {
+  editingCue = cue;
+  editingCueActions = cue ? cue.actions.map(action => ({ ...action })) : [];
+  const lastNumber = cues.reduce((max, c) => Math.max(max, c.number), 0);
+  elements.cueNumber.value = cue ? cue.number : Math.floor(lastNumber) + 1;
+  elements.cueLabel.value = cue ? cue.label : '';
+  renderCueActions();
+  renderCueActionParams();
+  elements.cueDialog.style.display = 'flex';
+  elements.cueLabel.focus();
+}
+
+function hideCueDialog() {
+  elements.cueDialog.style.display = 'none';
+  editingCue = null;
+  editingCueActions = [];
+}
+
+function renderCueActions() {
+  if (editingCueActions.length === 0) {
+    elements.cueActions.innerHTML = `<li class="empty-state">${i18n.t('cues.noActions')}</li>`;
+    return;
+  }
+
+  elements.cueActions.innerHTML = editingCueActions.map((action, index) => `
+    <li>
+      ${escapeHtml(describeCueAction(action))}
+      <button type="button" class="btn btn-small" data-index="${index}" title="${i18n.t('cues.removeAction')}">✕</button>
+    </li>
+  `).join('');
+  elements.cueActions.querySelectorAll('button').forEach(button => {
+    button.addEventListener('click', () => {
+      editingCueActions.splice(parseInt(button.dataset.index), 1);
+      renderCueActions();
+    });
+  });
+}
+
+// Parameter fields for the action type picked in the cue dialog
+function renderCueActionParams() {
+  const type = elements.cueActionType.value;
+  const programOption = (program) => `<option value="program:${program.id}">${MODE_ICONS[program.mode] || ''} ${escapeHtml(program.name)}</option>`;
+  const listed = programs.filter(program => !program.corrupt);
+  let html = '';
+
+  if (type === 'act') {
+    html = `<input type="number" class="form-input" data-param="act" min="1" step="1" placeholder="${i18n.t('cues.paramAct')}">`;
+  } else if (type === 'start-program') {
+    html = `
+      <select class="form-input" data-param="target">
+        <option value="">${i18n.t('cues.currentProgram')}</option>
+        ${rundownEntries.filter(entry => !entry.missing).map((entry, index) =>
+          `<option value="entry:${entry.id}">${i18n.t('cues.rundownEntry', { position: index + 1, name: escapeHtml(entry.programName) })}</option>`).join('')}
+        ${listed.map(programOption).join('')}
+      </select>
+      <input type="number" class="form-input" data-param="act" min="1" step="1" placeholder="${i18n.t('cues.paramStartAt')}">
+    `;
+  } else if (type === 'play-media') {
+    html = `
+      <select class="form-input" data-param="target">
+        ${listed.filter(program => program.mode === 'media').map(programOption).join('')}
+      </select>
+      <input type="number" class="form-input" data-param="clip" min="1" step="1" placeholder="${i18n.t('cues.paramClip')}">
+    `;
+  } else if (type === 'transition') {
+    html = `
+      <input type="text" class="form-input" data-param="name" placeholder="${i18n.t('cues.paramTransition')}">
+      <input type="number" class="form-input" data-param="seconds" min="0.1" step="0.1" placeholder="${i18n.t('cues.paramTransitionSeconds')}">
+    `;
+  } else if (type === 'wait') {
+    html = `<input type="number" class="form-input" data-param="seconds" min="0.1" step="0.1" placeholder="${i18n.t('cues.paramSeconds')}">`;
+  }
+  elements.cueActionParams.innerHTML = html;
+}
+
+// Actions are checked by the main process when the cue is saved
+function handleAddCueAction() {
+  const type = elements.cueActionType.value;
+  const param = (name) => {
+    const field = elements.cueActionParams.querySelector(`[data-param="${name}"]`);
+    return field ? field.value.trim() : '';
+  };
+  const index = (name) => param(name) === '' ? undefined : parseInt(param(name)) - 1;
+  const milliseconds = (name) => param(name) === '' ? undefined : Math.round(parseFloat(param(name)) * 1000);
+  const action = { type };
+
+  if (type === 'act') {
+    action.act = index('act');
+  } else if (type === 'start-program' || type === 'play-media') {
+    const [kind, id] = param('target').split(':');
+    if (kind === 'entry') {
+      action.entryId = id;
+    } else if (kind === 'program') {
+      action.programId = id;
+    }
+    if (type === 'start-program') {
+      action.act = index('act');
+    } else {
+      action.clip = index('clip');
+    }
+  } else if (type === 'transition') {
+    action.name = param('name');
+    action.duration = milliseconds('seconds');
+  } else if (type === 'wait') {
+    action.duration = milliseconds('seconds');
+  }
+
+  // Leave out parameters that were not filled in
+  Object.keys(action).forEach(key => action[key] === undefined && delete action[key]);
+  editingCueActions.push(action);
+  renderCueActions();
+  renderCueActionParams();
+}
+
+async function handleSaveCue(e) {
+  e.preventDefault();
+
+  const cue = {
+    number: parseFloat(elements.cueNumber.value),
+    label: elements.cueLabel.value.trim(),
+    actions: editingCueActions
+  };
+  const result = editingCue
+    ? await ipcRenderer.invoke('cue:update', editingCue.id, cue)
+    : await ipcRenderer.invoke('cue:add', cue);
+
+  if (result.success) {
+    hideCueDialog();
+    await loadCues();
+  } else {
+    setStatus(i18n.t('messages.error', { error: result.error }), 'error');
+  }
+}
+
+// Deck Validation
+function renderIssueBadge(program) {
+  const issues = program.issues || [];
+  if (issues.length === 0) return '';
+
+  const hasError = issues.some(issue => issue.severity === 'error');
+  const tooltip = issues.map(formatIssue).join('\n');
+  return `<span class="issue-badge ${hasError ? 'issue-error' : 'issue-warning'}" title="${escapeHtml(tooltip)}">⚠ ${issues.length}</span>`;
+}
+
+function formatIssue(issue) {
+  return i18n.t(`validation.${issue.code}`, issue.params);
+}
+
+function showValidationDialog(programId) {
+  const program = programs.find(p => p.id === programId);
+  if (!program) return;
+
+  elements.validationProgram.textContent = program.name;
+  elements.validationIssues.innerHTML = (program.issues || []).map(issue => `
+    <li class="validation-issue issue-${issue.severity}">${escapeHtml(formatIssue(issue))}</li>
+  `).join('');
+  elements.validationDialog.style.display = 'flex';
+}
+
+function hideValidationDialog() {
+  elements.validationDialog.style.display = 'none';
+}
+
+// Program Context Menu
+function showProgramContextMenu(e, programId) {
+  e.preventDefault();
+  e.stopPropagation();
+  contextMenuProgramId = programId;
+
+  // Only offer switching to modes the program is not already in
+  // Corrupt programs can only be deleted
+  const program = programs.find(p => p.id === programId);
+  elements.programContextMenu.querySelectorAll('.context-menu-item').forEach(item => {
+    let visible = !program || !program.corrupt || item.dataset.action === 'delete';
+    if (item.dataset.action === 'set-mode' && program && program.mode === item.dataset.mode) {
+      visible = false;
+    }
+    // Media programs have no source deck and no other mode to switch to
+    const isMedia = program && program.mode === 'media';
+    if (isMedia && (item.dataset.action === 'set-mode' || item.dataset.action === 'refresh')) {
+      visible = false;
+    }
+    // PDFs and image folders cannot be played in LibreOffice
+    const playsLive = item.dataset.mode === 'renderer' || item.dataset.mode === 'hybrid';
+    if (playsLive && program && !program.canPlayLive) {
+      visible = false;
+    }
+    item.style.display = visible ? '' : 'none';
+  });
+  elements.programContextMenu.querySelectorAll('.context-menu-separator').forEach(separator => {
+    separator.style.display = program && program.corrupt ? 'none' : '';
+  });
+
+  const menu = elements.programContextMenu;
+  menu.style.display = 'block';
+  menu.style.left = `${Math.min(e.clientX, window.innerWidth - menu.offsetWidth)}px`;
+  menu.style.top = `${Math.min(e.clientY, window.innerHeight - menu.offsetHeight)}px`;
+}
+
+function hideProgramContextMenu() {
+  elements.programContextMenu.style.display = 'none';
+}
+
+async function handleProgramMenuAction(action, mode) {
+  hideProgramContextMenu();
+  const programId = contextMenuProgramId;
+  const program = programs.find(p => p.id === programId);
+  if (!program) return;
+
+  if (action === 'rename') {
+    showRenameDialog(program);
+  } else if (action === 'duplicate') {
+    await duplicateProgram(program);
+  } else if (action === 'refresh') {
+    await previewRefresh(program);
+  } else if (action === 'export') {
+    await exportProgram(program);
+  } else if (action === 'add-to-rundown') {
+    await addToRundown(program);
+  } else if (action === 'set-mode') {
+    await setProgramMode(program, mode);
+  } else if (action === 'delete') {
+    await deleteProgram(program);
+  }
+}
+
+function showRenameDialog(program) {
+  contextMenuProgramId = program.id;
+  elements.renameInput.value = program.name;
+  elements.renameDialog.style.display = 'flex';
+  elements.renameInput.focus();
+  elements.renameInput.select();
+}
+
+function hideRenameDialog() {
+  elements.renameDialog.style.display = 'none';
+}
+
+async function handleRename(e) {
+  e.preventDefault();
+
+  const newName = elements.renameInput.value.trim();
+  if (!newName) return;
+
+  const result = await ipcRenderer.invoke('program:rename', contextMenuProgramId, newName);
+  if (result.success) {
+    hideRenameDialog();
+    if (currentProgram && currentProgram.id === contextMenuProgramId) {
+      currentProgram.name = result.program.name;
+      updateUI();
+    }
+    setStatus(i18n.t('messages.programRenamed', { name: result.program.name }), 'success');
+    await loadPrograms();
+  } else {
+    setStatus(i18n.t('messages.error', { error: result.error }), 'error');
+  }
+}
+
+async function duplicateProgram(program) {
+  const result = await ipcRenderer.invoke('program:duplicate', program.id);
+  if (result.success) {
+    setStatus(i18n.t('messages.programDuplicated', { name: result.program.name }), 'success');
+    await loadPrograms();
+  } else {
+    setStatus(i18n.t('messages.error', { error: result.error }), 'error');
+  }
+}
+
+// Program Library
+async function updateLibraryInfo() {
+  const info = await ipcRenderer.invoke('library:info');
+  elements.libraryPathText.textContent = info.path;
+  elements.libraryPathText.title = info.path;
+  elements.libraryLocation.textContent = info.path;
+  elements.resetLibrary.disabled = info.isDefault;
+}
+
+async function showLibraryDialog() {
+  elements.libraryDialog.style.display = 'flex';
+  await updateLibraryInfo();
+  await renderStorageUsage();
+}
+
+function hideLibraryDialog() {
+  elements.libraryDialog.style.display = 'none';
+}
+
+async function renderStorageUsage() {
+  elements.storageUsage.innerHTML = `<div class="empty-state">${i18n.t('library.calculating')}</div>`;
+
+  const result = await ipcRenderer.invoke('library:usage');
+  if (!result.success) {
+    elements.storageUsage.innerHTML = `<div class="empty-state">${escapeHtml(result.error)}</div>`;
+    return;
+  }
+
+  const usage = result.usage;
+  if (usage.programs.length === 0) {
+    elements.storageUsage.innerHTML = `<div class="empty-state">${i18n.t('sidebar.noProgramsYet')}</div>`;
+    return;
+  }
+
+  const rows = usage.programs.map(program => `
+    <tr>
+      <td>${escapeHtml(program.name)}</td>
+      <td>${formatBytes(program.deckBytes)}</td>
+      <td>${formatBytes(program.slideBytes)}</td>
+      <td>${formatBytes(program.videoBytes)}</td>
+      <td>${formatBytes(program.totalBytes)}</td>
+    </tr>
+  `).join('');
+
+  elements.storageUsage.innerHTML = `
+    <table>
+      <thead>
+        <tr>
+          <th>${i18n.t('library.program')}</th>
+          <th>${i18n.t('library.deck')}</th>
+          <th>${i18n.t('library.slides')}</th>
+          <th>${i18n.t('library.videos')}</th>
+          <th>${i18n.t('library.total')}</th>
+        </tr>
+      </thead>
+      <tbody>${rows}</tbody>
+      <tfoot>
+        <tr><td colspan="4">${i18n.t('library.total')}</td><td>${formatBytes(usage.totalBytes)}</td></tr>
+      </tfoot>
+    </table>
+  `;
+}
+
+async function handleChangeLibrary() {
+  const result = await ipcRenderer.invoke('library:choose-location');
+  if (result.success) {
+    await setLibraryLocation(result.path);
+  }
+}
+
+async function setLibraryLocation(libraryPath) {
+  const moveExisting = elements.moveLibraryPrograms.checked;
+  setStatus(i18n.t('messages.changingLibrary'), 'info');
+
+  const result = await ipcRenderer.invoke('library:set-location', libraryPath, { moveExisting });
+  if (result.success) {
+    if (currentProgram) {
+      clearLoadedProgram(currentProgram.id);
+    }
+    setStatus(i18n.t('messages.libraryChanged', { path: result.path, count: result.moved.length }), 'success');
+    if (result.skipped.length > 0) {
+      alert(i18n.t('messages.libraryProgramsSkipped', { ids: result.skipped.join(', ') }));
+    }
+    await loadPrograms();
+    await updateLibraryInfo();
+    await renderStorageUsage();
+  } else {
+    setStatus(i18n.t('messages.error', { error: result.error }), 'error');
+  }
+}
+
+function formatBytes(bytes) {
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+}
+
+async function exportProgram(program) {
+  const result = await ipcRenderer.invoke('program:export', program.id);
+  if (result.success) {
+    setStatus(i18n.t('messages.programExported', { name: program.name, path: result.filePath }), 'success');
+  } else if (!result.canceled) {
+    setStatus(i18n.t('messages.error', { error: result.error }), 'error');
+  }
+}
+
+async function previewRefresh(program) {
+  const result = await ipcRenderer.invoke('program:refresh-preview', program.id);
+  if (!result.success) {
+    setStatus(i18n.t('messages.error', { error: result.error }), 'error');
+    return;
+  }
+
+  const summary = result.summary;
+  if (!summary.sourceChanged && summary.added.length === 0 &&
+      summary.removed.length === 0 && summary.changed.length === 0) {
+    setStatus(i18n.t('messages.programUpToDate', { name: program.name }), 'info');
+    return;
+  }
+
+  pendingRefreshProgram = program;
+  elements.refreshSource.textContent = summary.sourcePath;
+  elements.refreshSummary.innerHTML = `
+    ${renderRefreshGroup('added', summary.added)}
+    ${renderRefreshGroup('changed', summary.changed)}
+    ${renderRefreshGroup('removed', summary.removed)}
+    <div class="refresh-unchanged">${i18n.t('refresh.unchanged', { count: summary.unchanged })}</div>
+  `;
+  elements.refreshDialog.style.display = 'flex';
+}
+
+function renderRefreshGroup(kind, slides) {
+  if (slides.length === 0) return '';
+
+  const items = slides.map(slide =>
+    `<li>${slide.number}. ${escapeHtml(slide.title)}</li>`
+  ).join('');
+  return `
+    <div class="refresh-group refresh-${kind}">
+      <div class="refresh-group-title">${i18n.t(`refresh.${kind}`, { count: slides.length })}</div>
+      <ul>${items}</ul>
+    </div>
+  `;
+}
+
+function hideRefreshDialog() {
+  elements.refreshDialog.style.display = 'none';
+  pendingRefreshProgram = null;
+}
+
+async function handleApplyRefresh() {
+  const program = pendingRefreshProgram;
+  if (!program) return;
+  hideRefreshDialog();
+
+  setStatus(i18n.t('messages.refreshingProgram', { name: program.name }), 'info');
+  showImportDialog();
+  const result = await ipcRenderer.invoke('program:refresh', program.id);
+  hideImportDialog();
+
+  if (result.success) {
+    clearLoadedProgram(program.id);
+    setStatus(i18n.t('messages.programRefreshed', { name: program.name }), 'success');
+    reportDroppedAfterRefresh(program.name, result.program.refresh.droppedLoops, result.droppedCues);
+    await loadPrograms();
+    await loadCues();
+  } else if (result.cancelled) {
+    setStatus(i18n.t('messages.refreshCancelled'), 'warning');
+  } else {
+    setStatus(i18n.t('messages.error', { error: result.error }), 'error');
+  }
+}
+
+// Loops and cues that used slides removed from the deck are gone; tell the operator which
+function reportDroppedAfterRefresh(name, droppedLoops, droppedCues) {
+  const items = [
+    ...(droppedLoops || []).map(loop => i18n.t('refresh.droppedLoop', loop)),
+    ...(droppedCues || []).map(cue => i18n.t('refresh.droppedCue', cue))
+  ];
+  if (items.length > 0) {
+    alert(i18n.t('refresh.dropped', { name, items: items.map(item => `• ${item}`).join('\n') }));
+  }
+}
+
+async function setProgramMode(program, mode) {
+  const modeText = i18n.t(`modes.${mode}`);
+  setStatus(i18n.t('messages.changingMode', { name: program.name, mode: modeText }), 'info');
+
+  // Switching to scene or hybrid mode extracts slides, which reports progress like an import
+  showImportDialog();
+  const result = await ipcRenderer.invoke('program:set-mode', program.id, mode);
+  hideImportDialog();
+
+  if (result.success) {
+    clearLoadedProgram(program.id);
+    setStatus(i18n.t('messages.modeChanged', { name: program.name, mode: modeText }), 'success');
+    await loadPrograms();
+  } else if (result.cancelled) {
+    setStatus(i18n.t('messages.modeChangeCancelled'), 'warning');
+  } else {
+    setStatus(i18n.t('messages.error', { error: result.error }), 'error');
+  }
+}
+
+async function deleteProgram(program) {
+  if (!confirm(i18n.t('messages.confirmDeleteProgram', { name: program.name }))) {
+    return;
+  }
+
+  const result = await ipcRenderer.invoke('program:delete', program.id);
+  if (result.success) {
+    clearLoadedProgram(program.id);
+    setStatus(i18n.t('messages.programDeleted', { name: program.name }), 'info');
+    await loadPrograms();
+  } else {
+    setStatus(i18n.t('messages.error', { error: result.error }), 'error');
+  }
+}
+
+// Drop the loaded program from the UI if the main process unloaded it
+function clearLoadedProgram(programId) {
+  if (currentProgram && currentProgram.id === programId) {
+    currentProgram = null;
+    currentAct = null;
+    currentEntryId = null;
+    renderActList();
+    updateUI();
+  }
+}
+
+async function handleImportPPT() {
+  setStatus(i18n.t('messages.selectPPTFiles'), 'info');
+  
+  const selectResult = await ipcRenderer.invoke('ppt:select');
+  if (!selectResult.success) {
+    return;
+  }
+
+  // Store files and show mode selection dialog
+  // PDFs can only become Scene mode programs, so there is nothing to ask
+  pendingImportFiles = selectResult.filePaths;
+  if (pendingImportFiles.every(filePath => /\.pdf$/i.test(filePath))) {
+    await handleModeSelection('scene');
+    return;
+  }
+  showModeDialog();
+}
+
+async function handleImportMedia() {
+  const selectResult = await ipcRenderer.invoke('media:select');
+  if (!selectResult.success) {
+    return;
+  }
+
+  setStatus(i18n.t('messages.creatingMediaProgram'), 'info');
+  showImportDialog();
+  const result = await ipcRenderer.invoke('program:create-media', selectResult.filePaths);
+  hideImportDialog();
+
+  if (result.success) {
+    setStatus(i18n.t('messages.mediaProgramCreated', {
+      name: result.program.name,
+      count: result.program.acts.length
+    }), 'success');
+  } else if (result.cancelled) {
+    setStatus(i18n.t('messages.importCancelled', { count: 0 }), 'warning');
+  } else {
+    setStatus(i18n.t('messages.importFailed', { error: result.error }), 'error');
+    alert(i18n.t('messages.importFailed', { error: result.error }));
+  }
+  await loadPrograms();
+}
+
+async function handleAutoAdvanceToggle() {
+  if (!currentProgram) return;
+
+  const enabled = elements.autoAdvanceToggle.checked;
+  const result = await ipcRenderer.invoke('program:set-auto-advance', currentProgram.id, enabled);
+  if (result.success) {
+    currentProgram.autoAdvance = enabled;
+  } else {
+    elements.autoAdvanceToggle.checked = !enabled;
+    setStatus(i18n.t('messages.error', { error: result.error }), 'error');
+  }
+}
+
+async function handleImportImages() {
+  const selectResult = await ipcRenderer.invoke('ppt:select-folder');
+  if (!selectResult.success) {
+    return;
+  }
+
+  // Image folders are always imported as Scene mode programs
+  pendingImportFiles = selectResult.filePaths;
+  await handleModeSelection('scene');
+}
+
+function showModeDialog() {
+  elements.modeDialog.style.display = 'flex';
+}
+
+function hideModeDialog() {
+  elements.modeDialog.style.display = 'none';
+  pendingImportFiles = null;
+}
+
+async function handleModeSelection(mode) {
+  if (!pendingImportFiles) return;
+  
+  const filePaths = pendingImportFiles;
+  hideModeDialog();
+  setStatus(i18n.t('messages.importingPPTFiles'), 'info');
+  showImportDialog();
+  
+  const result = await ipcRenderer.invoke('ppt:import', filePaths, { mode });
+  hideImportDialog();
+  
+  if (result.success) {
+    const imported = await resolveImportConflicts(result.conflicts, (filePath, onConflict) =>
+      ipcRenderer.invoke('ppt:import', [filePath], { mode, onConflict }));
+    const count = result.programs.length + imported;
+    const modeText = i18n.t(`modes.${mode}`);
+    setStatus(i18n.t('messages.importedProgramsInMode', { count, mode: modeText }), 'success');
+    await loadPrograms();
+  } else if (result.cancelled) {
+    setStatus(i18n.t('messages.importCancelled', { count: result.programs.length }), 'warning');
+    await loadPrograms();
+  } else {
+    setStatus(i18n.t('messages.importFailed', { error: result.error }), 'error');
+    alert(i18n.t('messages.importFailed', { error: result.error }));
+  }
+  
+  pendingImportFiles = null;
+}
+
+async function handleImportBundle() {
+  const selectResult = await ipcRenderer.invoke('program:select-bundle');
+  if (!selectResult.success) {
+    return;
+  }
+
+  const result = await ipcRenderer.invoke('program:import-bundle', selectResult.filePaths);
+  if (result.success) {
+    if (result.unloadedProgramId) {
+      clearLoadedProgram(result.unloadedProgramId);
+    }
+    const imported = await resolveImportConflicts(result.conflicts, (filePath, onConflict) =>
+      ipcRenderer.invoke('program:import-bundle', [filePath], { onConflict }));
+    setStatus(i18n.t('messages.importedBundles', { count: result.programs.length + imported }), 'success');
+  } else {
+    setStatus(i18n.t('messages.importFailed', { error: result.error }), 'error');
+    alert(i18n.t('messages.importFailed', { error: result.error }));
+  }
+  await loadPrograms();
+}
+
+// Import Conflicts
+// Ask how to handle each file that is already in the library, then import it again
+// with that resolution via importWith(filePath, resolution). Returns the number of
+// programs imported.
+async function resolveImportConflicts(conflicts, importWith) {
+  let imported = 0;
+
+  for (const conflict of conflicts || []) {
+    const resolution = await askImportConflict(conflict);
+    if (!resolution) continue;
+
+    showImportDialog();
+    const result = await importWith(conflict.filePath, resolution);
+    hideImportDialog();
+
+    if (result.success) {
+      imported += result.programs.length;
+      // The loaded program may have been replaced or updated
+      if (result.unloadedProgramId) {
+        clearLoadedProgram(result.unloadedProgramId);
+      }
+      for (const program of result.programs.filter(p => p.refresh)) {
+        reportDroppedAfterRefresh(program.name, program.refresh.droppedLoops, result.droppedCues);
+      }
+      if (result.droppedCues) {
+        await loadCues();
+      }
+    } else if (result.cancelled) {
+      break;
+    } else {
+      setStatus(i18n.t('messages.importFailed', { error: result.error }), 'error');
+      alert(i18n.t('messages.importFailed', { error: result.error }));
+    }
+  }
+
+  return imported;
+}
+
+function askImportConflict(conflict) {
+  elements.conflictMessage.textContent = i18n.t('dialogs.importConflictMessage', { name: conflict.name });
+  elements.conflictDialog.style.display = 'flex';
+
+  // Not every import supports every resolution (bundles cannot be updated in place)
+  const buttons = elements.conflictDialog.querySelectorAll('.conflict-option');
+  buttons.forEach(button => {
+    const allowed = !conflict.resolutions || conflict.resolutions.includes(button.dataset.resolution);
+    button.style.display = allowed ? '' : 'none';
+  });
+
+  return new Promise(resolve => {
+    const finish = (resolution) => {
+      buttons.forEach(button => button.removeEventListener('click', onChoose));
+      elements.skipConflict.removeEventListener('click', onSkip);
+      elements.conflictDialog.style.display = 'none';
+      resolve(resolution);
+    };
+    const onChoose = (e) => finish(e.currentTarget.dataset.resolution);
+    const onSkip = () => finish(null);
+
+    buttons.forEach(button => button.addEventListener('click', onChoose));
+    elements.skipConflict.addEventListener('click', onSkip);
+  });
+}
+
+// Import Progress Dialog
+function showImportDialog() {
+  elements.importFile.textContent = '-';
+  elements.importStage.textContent = i18n.t('importProgress.starting');
+  elements.importProgress.removeAttribute('value');
+  elements.cancelImport.disabled = false;
+  elements.importDialog.style.display = 'flex';
+}
+
+function hideImportDialog() {
+  elements.importDialog.style.display = 'none';
+}
+
+function updateImportProgress(progress) {
+  elements.importFile.textContent = i18n.t('importProgress.file', {
+    index: progress.fileIndex + 1,
+    count: progress.fileCount,
+    name: progress.file
+  });
+
+  if (progress.stage === 'converting' && progress.current > 0) {
+    elements.importStage.textContent = i18n.t('importProgress.convertingSlide', {
+      current: progress.current,
+      total: progress.total
+    });
+  } else {
+    elements.importStage.textContent = i18n.t(`importProgress.${progress.stage}`);
+  }
+
+  // Determinate bar only while slides are being rasterized; indeterminate otherwise
+  if (progress.total > 0 && progress.current > 0) {
+    elements.importProgress.max = progress.total;
+    elements.importProgress.value = progress.current;
+  } else {
+    elements.importProgress.removeAttribute('value');
+  }
+}
+
+async function handleCancelImport() {
+  elements.cancelImport.disabled = true;
+  elements.importStage.textContent = i18n.t('importProgress.cancelling');
+  await ipcRenderer.invoke('ppt:cancel');
+}
+
+async function handleDisplayChange() {
+  const displayIndex = parseInt(elements.displaySelect.value);
+  await ipcRenderer.invoke('display:set', displayIndex);
+  setStatus(i18n.t('messages.displaySet', { display: displays[displayIndex].label }), 'info');
+}
+
+async function loadProgram(programId) {
+  const listed = programs.find(p => p.id === programId);
+  if (listed && listed.corrupt) {
+    setStatus(i18n.t('messages.programCorrupt', { name: listed.name, error: listed.error }), 'error');
+    return;
+  }
+
+  setStatus(i18n.t('messages.loadingProgram'), 'info');
+  
+  const result = await ipcRenderer.invoke('program:load', programId);
+  
+  if (result.success) {
+    currentProgram = result.program;
+    currentAct = null;
+    
+    // Update active state in program list
+    elements.programList.querySelectorAll('.program-item').forEach(item => {
+      item.classList.toggle('active', item.dataset.id === programId);
+    });
+    
+    renderActList();
+    updateUI();
+    
+    const modeText = i18n.t(`modes.${currentProgram.mode}`);
+    setStatus(i18n.t('messages.programLoaded', { mode: modeText }), 'success');
+  } else {
+    setStatus(i18n.t('messages.failedToLoadProgram', { error: result.error }), 'error');
+  }
+}
+
+async function handleStart() {
+  if (!currentProgram) return;
+  
+  const displayIndex = parseInt(elements.displaySelect.value);
+  const result = await ipcRenderer.invoke('scene:start', { display: displayIndex });
+  
+  if (result.success) {
+    setStatus(i18n.t('messages.presentationStarted'), 'success');
+    updateUI();
+  } else {
+    setStatus(i18n.t('messages.startFailed', { error: result.error }), 'error');
+  }
+}
+
+async function handleStop() {
+  const result = await ipcRenderer.invoke('scene:stop');
+  
+  if (result.success) {
+    setStatus(i18n.t('messages.presentationStopped'), 'info');
+    updateUI();
+  } else {
+    setStatus(i18n.t('messages.stopFailed', { error: result.error }), 'error');
+  }
+}
+
+// The operator's own name for an act, or its slide title
+function getActName(act) {
+  return act.customName || act.name;
+}
+
+function renderActList() {
+  if (!currentProgram || !currentProgram.acts || currentProgram.acts.length === 0) {
+    elements.actList.innerHTML = '<div class="empty-state">No acts in this program</div>';
+    return;
+  }
+
+  const isHybrid = currentProgram.mode === 'hybrid';
+  const loops = currentProgram.loops || [];
+  elements.actList.innerHTML = currentProgram.acts.map((act, index) => `
+    <div class="act-item${act.hidden ? ' hidden-slide' : ''}" data-index="${index}">
+      <span class="act-number">Act ${index + 1}</span>
+      <span class="act-name">${escapeHtml(getActName(act))}</span>
+      ${act.hidden ? `<span class="act-tag">${i18n.t('controls.hidden')}</span>` : ''}
+      ${act.imageError ? `<span class="act-tag act-tag-error" title="${act.imageError}">${i18n.t('controls.imageFailed')}</span>` : ''}
+      ${act.timing && act.timing.duration ? `<span class="act-tag act-tag-duration">⏱ ${formatDuration(act.timing.duration)}</span>` : ''}
+      ${loops.some(loop => index >= loop.start && index <= loop.end) ? `<span class="act-tag act-tag-loop" title="${i18n.t('loops.inLoop')}">🔁</span>` : ''}
+      ${isHybrid ? `<span class="act-tag act-live-toggle${act.live ? ' live' : ''}" title="${i18n.t('controls.toggleLive')}">${i18n.t(act.live ? 'controls.live' : 'controls.static')}</span>` : ''}
+    </div>
+  `).join('');
+
+  // Add click handlers
+  elements.actList.querySelectorAll('.act-item').forEach(item => {
+    item.addEventListener('click', () => jumpToAct(parseInt(item.dataset.index)));
+  });
+  elements.actList.querySelectorAll('.act-live-toggle').forEach(toggle => {
+    toggle.addEventListener('click', (e) => {
+      e.stopPropagation();
+      toggleActLive(parseInt(toggle.closest('.act-item').dataset.index));
+    });
+  });
+}
+
+async function toggleActLive(actIndex) {
+  if (!currentProgram || !currentProgram.acts[actIndex]) return;
+
+  const live = !currentProgram.acts[actIndex].live;
+  const result = await ipcRenderer.invoke('program:set-act-live', currentProgram.id, actIndex, live);
+  if (result.success) {
+    currentProgram.acts[actIndex].live = live;
+    renderActList();
+    updateUI();
+  } else {
+    setStatus(i18n.t('messages.error', { error: result.error }), 'error');
+  }
+}
+
+// Loops
+function renderLoopBanner() {
+  elements.loopBanner.style.display = activeLoop ? '' : 'none';
+  if (!activeLoop) {
+    return;
+  }
+
+  elements.loopBanner.classList.toggle('held', activeLoop.held === true);
+  const range = i18n.t(activeLoop.held ? 'loops.heldRange' : 'loops.range', {
+    from: activeLoop.start + 1,
+    to: activeLoop.end + 1
+  });
+  elements.loopInfo.textContent = `${range} · ${describeLoopExit(activeLoop)}`;
+}
+
+function describeLoopExit(loop) {
+  if (loop.exitTo === LOOP_EXIT_NEXT_PROGRAM) {
+    return i18n.t('loops.exitNextProgram');
+  }
+  if (Number.isInteger(loop.exitTo)) {
+    return i18n.t('loops.exitAct', { act: loop.exitTo + 1 });
+  }
+  return i18n.t('loops.exitAfter');
+}
+
+async function handleExitLoop() {
+  const result = await ipcRenderer.invoke('scene:exit-loop');
+  if (result.success) {
+    setStatus(i18n.t('messages.loopExited'), 'info');
+  } else {
+    setStatus(i18n.t('messages.error', { error: result.error }), 'error');
+  }
+}
+
+function showLoopDialog() {
+  if (!currentProgram || !currentProgram.acts || currentProgram.acts.length === 0) return;
+
+  editingLoops = (currentProgram.loops || []).map(loop => ({ ...loop }));
+  const actOptions = currentProgram.acts.map((act, index) =>
+    `<option value="${index}">${index + 1}. ${escapeHtml(getActName(act))}</option>`
+  ).join('');
+  elements.loopStart.innerHTML = actOptions;
+  elements.loopEnd.innerHTML = actOptions;
+  elements.loopEnd.value = String(currentProgram.acts.length - 1);
+  elements.loopExit.innerHTML = `
+    <option value="">${i18n.t('loops.exitAfter')}</option>
+    ${actOptions}
+    <option value="${LOOP_EXIT_NEXT_PROGRAM}">${i18n.t('loops.exitNextProgram')}</option>
+  `;
+  elements.loopDwell.value = DEFAULT_LOOP_DWELL_SECONDS;
+  renderLoopList();
+  elements.loopDialog.style.display = 'flex';
+}
+
+function hideLoopDialog() {
+  elements.loopDialog.style.display = 'none';
+  editingLoops = [];
+}
+
+function renderLoopList() {
+  if (editingLoops.length === 0) {
+    elements.loopList.innerHTML = `<li class="empty-state">${i18n.t('loops.none')}</li>`;
+    return;
+  }
+
+  elements.loopList.innerHTML = editingLoops.map((loop, index) => `
+    <li>
+      ${i18n.t('loops.range', { from: loop.start + 1, to: loop.end + 1 })} ·
+      ${i18n.t('loops.dwellSeconds', { seconds: loop.dwell / 1000 })} ·
+      ${describeLoopExit(loop)}
+      <button class="btn btn-small" data-index="${index}" title="${i18n.t('loops.remove')}">✕</button>
+    </li>
+  `).join('');
+  elements.loopList.querySelectorAll('button').forEach(button => {
+    button.addEventListener('click', () => {
+      editingLoops.splice(parseInt(button.dataset.index), 1);
+      renderLoopList();
+    });
+  });
+}
+
+// Loops are checked when saved; adding only collects them
+function handleAddLoop() {
+  const start = parseInt(elements.loopStart.value);
+  const end = parseInt(elements.loopEnd.value);
+  const seconds = parseFloat(elements.loopDwell.value);
+  const exitValue = elements.loopExit.value;
+  let exitTo = null;
+  if (exitValue === LOOP_EXIT_NEXT_PROGRAM) {
+    exitTo = LOOP_EXIT_NEXT_PROGRAM;
+  } else if (exitValue !== '') {
+    exitTo = parseInt(exitValue);
+  }
+
+  editingLoops.push({
+    start: Math.min(start, end),
+    end: Math.max(start, end),
+    dwell: Math.round((seconds > 0 ? seconds : DEFAULT_LOOP_DWELL_SECONDS) * 1000),
+    exitTo
+  });
+  editingLoops.sort((a, b) => a.start - b.start);
+  renderLoopList();
+}
+
+async function handleSaveLoops() {
+  if (!currentProgram) return;
+
+  const result = await ipcRenderer.invoke('program:set-loops', currentProgram.id, editingLoops);
+  if (result.success) {
+    hideLoopDialog();
+    currentProgram.loops = result.program.loops || [];
+    renderActList();
+    updateUI();
+    setStatus(i18n.t('messages.loopsSaved'), 'success');
+  } else {
+    setStatus(i18n.t('messages.error', { error: result.error }), 'error');
+  }
+}
+
+// Scene Control
+async function handlePrevScene() {
+  if (!currentProgram) return;
+  
+  const result = await ipcRenderer.invoke('scene:prev');
+  if (result.success) {
+    setStatus(i18n.t('messages.previousScene'), 'info');
+  } else {
+    setStatus(i18n.t('messages.error', { error: result.error }), 'error');
+  }
+}
+
+async function handleNextScene() {
+  if (!currentProgram) return;
+  
+  const result = await ipcRenderer.invoke('scene:next');
+  if (result.success) {
+    setStatus(i18n.t('messages.nextScene'), 'info');
+  } else {
+    setStatus(i18n.t('messages.error', { error: result.error }), 'error');
+  }
+}
+
+async function handleBlackout() {
+  if (!obsConnected) return;
+  
+  const result = await ipcRenderer.invoke('scene:blackout');
+  if (result.success) {
+    currentAct = null;
+    updateUI();
+    setStatus(i18n.t('messages.blackoutActivated'), 'info');
+  } else {
+    setStatus(i18n.t('messages.error', { error: result.error }), 'error');
+  }
+}
+
+// Goes back to the act (or blackout) on air before the last transition
+async function handleUndo() {
+  if (!canUndo) return;
+  
+  const result = await ipcRenderer.invoke('scene:undo');
+  if (result.success) {
+    currentProgram = result.program;
+    currentAct = result.blackout ? null : (result.program.acts || [])[result.actIndex] || null;
+    updateUI();
+    setStatus(result.blackout
+      ? i18n.t('messages.undoneToBlackout')
+      : i18n.t('messages.undone', { name: result.program.name, act: result.actIndex + 1 }), 'info');
+  } else {
+    setStatus(i18n.t('messages.error', { error: result.error }), 'error');
+  }
+}
+
+// Ctrl/Cmd+Z is undo, except in text fields where it undoes typing
+function handleUndoShortcut(e) {
+  if (!(e.ctrlKey || e.metaKey) || e.altKey || e.shiftKey || e.key.toLowerCase() !== 'z' ||
+      e.target.matches('input, textarea, select')) {
+    return;
+  }
+  e.preventDefault();
+  handleUndo();
+}
+
+async function jumpToAct(actIndex) {
+  if (!currentProgram) return;
+  
+  const result = await ipcRenderer.invoke('scene:jump', actIndex);
+  if (result.success) {
+    setStatus(i18n.t('messages.jumpedToAct', { act: actIndex + 1 }), 'info');
+    if (currentProgram.acts && currentProgram.acts[actIndex]) {
+      currentAct = currentProgram.acts[actIndex];
+      updateUI();
+    }
+  } else {
+    setStatus(i18n.t('messages.error', { error: result.error }), 'error');
+  }
+}
+
+// UI Updates
+function updateUI() {
+  // Update scene info
+  if (currentProgram) {
+    const sceneDiv = elements.currentSceneInfo.querySelector('.scene-name');
+    const numberDiv = elements.currentSceneInfo.querySelector('.scene-number');
+    const modeIcon = MODE_ICONS[currentProgram.mode] || '';
+    const modeText = i18n.t(`modes.${currentProgram.mode}`);
+    const slidesText = i18n.t('units.slides');
+    sceneDiv.textContent = currentProgram.name;
+    numberDiv.textContent = `${modeIcon} ${modeText} · ${currentProgram.slideCount ?? '?'} ${slidesText}`;
+  } else {
+    const sceneDiv = elements.currentSceneInfo.querySelector('.scene-name');
+    const numberDiv = elements.currentSceneInfo.querySelector('.scene-number');
+    sceneDiv.textContent = i18n.t('controls.noProgramLoaded');
+    numberDiv.textContent = '-';
+  }
+
+  // Update control buttons based on mode and connections
+  const canControl = currentProgram !== null;
+  const needsOBS = currentProgram && ['scene', 'media', 'hybrid'].includes(currentProgram.mode);
+  const needsLO = currentProgram && (currentProgram.mode === 'renderer' ||
+    (currentProgram.mode === 'hybrid' && (currentProgram.acts || []).some(act => act.live)));
+  
+  elements.startBtn.disabled = !canControl || (needsOBS && !obsConnected) || (needsLO && !libreOfficeAvailable);
+  elements.stopBtn.disabled = !canControl;
+  elements.prevBtn.disabled = !canControl;
+  elements.nextBtn.disabled = !canControl;
+  elements.blackoutBtn.disabled = !obsConnected;
+  elements.undoBtn.disabled = !canControl || !canUndo;
+  elements.editLoops.disabled = !canControl || currentProgram.mode === 'renderer' ||
+    !currentProgram.acts || currentProgram.acts.length === 0;
+
+  const isMedia = currentProgram !== null && currentProgram.mode === 'media';
+  elements.autoAdvanceSetting.style.display = isMedia ? '' : 'none';
+  elements.autoAdvanceToggle.checked = isMedia && currentProgram.autoAdvance === true;
+
+  // Update active act in list
+  elements.actList.querySelectorAll('.act-item').forEach(item => {
+    const index = parseInt(item.dataset.index);
+    item.classList.toggle('active', currentAct && currentAct.index === index);
+  });
+
+  // Update preview
+  if (currentAct && currentAct.imagePath) {
+    elements.previewArea.innerHTML = `<img src="file://${currentAct.imagePath}" alt="Preview">`;
+  } else {
+    elements.previewArea.innerHTML = '<div class="empty-state">No preview available</div>';
+  }
+
+  // Update act details
+  if (currentAct) {
+    elements.actNotes.textContent = currentAct.notes || '-';
+  } else {
+    elements.actNotes.textContent = '-';
+  }
+  if (document.activeElement !== elements.actName) {
+    elements.actName.value = currentAct ? currentAct.customName || '' : '';
+  }
+  elements.actName.placeholder = currentAct ? currentAct.name : '';
+  elements.actName.disabled = !currentAct;
+  // Leave the notes alone while the operator is typing in them
+  if (document.activeElement !== elements.actOperatorNotes) {
+    elements.actOperatorNotes.value = currentAct ? currentAct.operatorNotes || '' : '';
+  }
+  elements.actOperatorNotes.disabled = !currentAct;
+  if (document.activeElement !== elements.actDuration) {
+    const duration = currentAct && currentAct.timing ? currentAct.timing.duration : null;
+    elements.actDuration.value = duration ? duration / 1000 : '';
+  }
+  elements.actDuration.disabled = !currentAct;
+  renderAutoAdvance();
+  renderLoopBanner();
+}
+
+function setStatus(message, type = 'info') {
+  elements.statusMessage.textContent = message;
+  elements.statusMessage.style.color = {
+    'info': '#999',
+    'success': '#4CAF50',
+    'error': '#f44336',
+    'warning': '#ff9800'
+  }[type] || '#999';
+}
+
+// Escape text from decks (slide titles) before inserting it as HTML
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML;
 }
 
 // Start the app
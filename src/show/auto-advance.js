@@ -0,0 +1,235 @@
+const EventEmitter = require('events');
+
+/**
+ * AutoAdvance - Moves the show on by itself after each act's planned duration
+ * Acts with a duration (act.timing.duration, in milliseconds) advance through
+ * ShowController#next when it runs out, whatever mode is on air; acts without
+ * one wait for the operator. Manual transitions restart the countdown, and the
+ * countdown holds while paused or while the blackout scene is on air, and is
+ * off inside a loop, which steps through its acts by itself (see SceneMode).
+ * In rehearsal the countdown is off and the time spent on each act is recorded
+ * instead, so it can be saved as the acts' durations.
+ * Emits 'changed' with getStatus() on every change and 'advance-failed' with the error
+ */
+class AutoAdvance extends EventEmitter {
+  /**
+   * Create an auto-advance engine driving a show controller
+   * @param {ShowController} showController - Show controller to advance
+   */
+  constructor(showController) {
+    super();
+    this.show = showController;
+    this.paused = false;
+    this.rehearsing = false;
+    this.current = null;
+    this.actStartedAt = null;
+    this.remaining = null;
+    this.deadline = null;
+    this.timer = null;
+    this.recordings = new Map();
+    this.show.on('state-changed', () => this._sync());
+  }
+
+  /**
+   * Hold the countdown of the act on air
+   */
+  pause() {
+    if (!this.paused) {
+      this.paused = true;
+      this._update();
+    }
+  }
+
+  /**
+   * Continue the countdown where it was paused
+   */
+  resume() {
+    if (this.paused) {
+      this.paused = false;
+      this._update();
+    }
+  }
+
+  /**
+   * Advance now instead of waiting for the countdown
+   * @returns {Promise<void>}
+   * @throws {Error} If no program is loaded
+   */
+  async skip() {
+    await this.show.next();
+  }
+
+  /**
+   * Pick up changed act durations; the act on air starts its countdown again
+   */
+  reload() {
+    if (this.current) {
+      this._clearTimer();
+      this.remaining = this._getDuration();
+    }
+    this._update();
+  }
+
+  /**
+   * Start recording how long each act stays on air (the countdown is off meanwhile)
+   * Earlier recordings are discarded
+   */
+  startRehearsal() {
+    this.rehearsing = true;
+    this.recordings = new Map();
+    this.actStartedAt = this.current ? Date.now() : null;
+    this._update();
+  }
+
+  /**
+   * Stop recording and return what was recorded
+   * Times are rounded to whole seconds; an act visited more than once keeps its last visit
+   * @returns {Array<Object>} Recordings of { programId, actIndex, duration } in the order first visited
+   */
+  stopRehearsal() {
+    this._recordVisit();
+    this.rehearsing = false;
+    this.actStartedAt = this.current ? Date.now() : null;
+    this._update();
+
+    return Array.from(this.recordings.values());
+  }
+
+  /**
+   * Get the state of the countdown
+   * @returns {Object} { paused, rehearsing, running, programId, actIndex, duration,
+   *   remaining (ms, null without a countdown), elapsed (ms on the current act) }
+   */
+  getStatus() {
+    const running = this.timer !== null;
+    return {
+      paused: this.paused,
+      rehearsing: this.rehearsing,
+      running,
+      programId: this.current ? this.current.programId : null,
+      actIndex: this.current ? this.current.actIndex : -1,
+      duration: this.current ? this._getDuration() : null,
+      remaining: running ? Math.max(this.deadline - Date.now(), 0) : this.remaining,
+      elapsed: this.actStartedAt ? Date.now() - this.actStartedAt : 0
+    };
+  }
+
+  /**
+   * Follow the show: a different act on air starts a fresh countdown
+   * @private
+   */
+  _sync() {
+    const status = this.show.getStatus();
+    const actIndex = this.show.getCurrentActIndex();
+    const current = status && status.onAir && actIndex !== -1
+      ? { programId: status.programId, entryId: status.entryId, actIndex }
+      : null;
+
+    if (!this._isSameAct(current, this.current)) {
+      this._recordVisit();
+      this._clearTimer();
+      this.current = current;
+      this.actStartedAt = current ? Date.now() : null;
+      this.remaining = current ? this._getDuration() : null;
+    }
+    this._update();
+  }
+
+  /**
+   * Start or hold the countdown to match the current state, then report it
+   * @private
+   */
+  _update() {
+    const status = this.show.getStatus();
+    const shouldRun = this.current !== null && this.remaining !== null &&
+      !this.paused && !this.rehearsing && !(status && (status.blackout || status.loop));
+
+    if (shouldRun && !this.timer) {
+      this.deadline = Date.now() + this.remaining;
+      this.timer = setTimeout(() => this._advance(), this.remaining);
+    } else if (!shouldRun && this.timer) {
+      this.remaining = Math.max(this.deadline - Date.now(), 0);
+      this._clearTimer();
+    }
+
+    this.emit('changed', this.getStatus());
+  }
+
+  /**
+   * The countdown ran out: move on, unless this is the end of the show
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _advance() {
+    this.timer = null;
+    this.deadline = null;
+    this.remaining = null;
+
+    try {
+      if (this.show.canAdvance()) {
+        await this.show.next();
+      }
+    } catch (error) {
+      console.error('Error auto-advancing:', error);
+      this.emit('advance-failed', error);
+    }
+    this._update();
+  }
+
+  /**
+   * Record how long the act that is leaving the air stayed on it
+   * @private
+   */
+  _recordVisit() {
+    if (!this.rehearsing || !this.current || !this.actStartedAt) {
+      return;
+    }
+
+    const { programId, actIndex } = this.current;
+    const key = `${programId}:${actIndex}`;
+    const seconds = Math.max(Math.round((Date.now() - this.actStartedAt) / 1000), 1);
+    this.recordings.set(key, { programId, actIndex, duration: seconds * 1000 });
+  }
+
+  /**
+   * Planned duration of the act on air
+   * @private
+   * @returns {number|null} Milliseconds, or null if the act waits for the operator
+   */
+  _getDuration() {
+    const program = this.show.currentProgram;
+    const act = program && this.current && program.id === this.current.programId
+      ? (program.acts || [])[this.current.actIndex]
+      : null;
+    const duration = act && act.timing ? act.timing.duration : null;
+    return Number.isInteger(duration) && duration > 0 ? duration : null;
+  }
+
+  /**
+   * Compare two on-air positions
+   * @private
+   * @param {Object|null} a - Position ({ programId, entryId, actIndex })
+   * @param {Object|null} b - Position
+   * @returns {boolean} True if both are the same act of the same rundown entry
+   */
+  _isSameAct(a, b) {
+    if (!a || !b) {
+      return a === b;
+    }
+    return a.programId === b.programId && a.entryId === b.entryId && a.actIndex === b.actIndex;
+  }
+
+  /**
+   * Cancel the countdown timer
+   * @private
+   */
+  _clearTimer() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    this.deadline = null;
+  }
+}
+
+module.exports = AutoAdvance;
@@ -0,0 +1,281 @@
+const EventEmitter = require('events');
+const CONSTANTS = require('../utils/constants');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// setTimeout fires straight away for delays beyond a signed 32-bit int
+const MAX_TIMER_MS = 0x7fffffff;
+
+/**
+ * ShowClock - Running times of the act, program and show, and the countdown to
+ * the next scheduled segment
+ * The act timer restarts whenever another act goes on air, the program timer
+ * whenever another program (or rundown entry) does, and the show timer runs from
+ * the first program put on air until reset (e.g. when another show is opened).
+ * Acts are planned by their duration (act.timing.duration), rundown entries by
+ * plannedDuration; segments are the rundown entries with a startTime ("HH:MM").
+ * Each timer is 'ok', 'warning' (within CONSTANTS.CLOCK.WARNING_MS of its planned
+ * end or start) or 'overrun'. Emits 'changed' with getStatus() on every change,
+ * including when a timer crosses into warning or overrun; elapsed times in between
+ * are left to the receiver to count on
+ */
+class ShowClock extends EventEmitter {
+  /**
+   * Create a clock following a show controller
+   * @param {ShowController} showController - Show controller to follow
+   */
+  constructor(showController) {
+    super();
+    this.show = showController;
+    this.rundown = showController.rundown;
+    this.currentAct = null;
+    this.actStartedAt = null;
+    this.currentProgram = null;
+    this.programStartedAt = null;
+    this.showStartedAt = null;
+    this.timer = null;
+    this.show.on('state-changed', () => this._sync());
+    // Start times and planned durations may change while a program is on air
+    this.rundown.on('changed', () => this._update());
+  }
+
+  /**
+   * Start the show timer over; it runs again from the next program put on air
+   * (or straight away if one is on air)
+   */
+  resetShow() {
+    this.showStartedAt = this.currentProgram ? Date.now() : null;
+    this._update();
+  }
+
+  /**
+   * Pick up changed act durations
+   */
+  refresh() {
+    this._update();
+  }
+
+  /**
+   * Get all timers
+   * @returns {Object} { now, act, program, show, nextSegment } — act is
+   *   { programId, actIndex, elapsed, planned, state } and program is
+   *   { programId, entryId, elapsed, planned, state } (null when nothing is on air),
+   *   show is { running, elapsed } and nextSegment is { entryId, programId,
+   *   startTime, countdown, state } (null without a scheduled segment ahead);
+   *   times in milliseconds, a negative countdown meaning the segment is late
+   */
+  getStatus() {
+    const now = Date.now();
+    const act = this.currentAct && {
+      programId: this.currentAct.programId,
+      actIndex: this.currentAct.actIndex,
+      elapsed: now - this.actStartedAt,
+      planned: this._getActPlan()
+    };
+    const program = this.currentProgram && {
+      programId: this.currentProgram.programId,
+      entryId: this.currentProgram.entryId,
+      elapsed: now - this.programStartedAt,
+      planned: this._getProgramPlan()
+    };
+    const nextSegment = this._findNextSegment(now);
+
+    return {
+      now,
+      act: act && { ...act, state: this._judgeRunningTime(act.elapsed, act.planned) },
+      program: program && { ...program, state: this._judgeRunningTime(program.elapsed, program.planned) },
+      show: {
+        running: this.showStartedAt !== null,
+        elapsed: this.showStartedAt !== null ? now - this.showStartedAt : 0
+      },
+      nextSegment: nextSegment && { ...nextSegment, state: this._judgeCountdown(nextSegment.countdown) }
+    };
+  }
+
+  /**
+   * Follow the show: restart the timers of whatever changed on air
+   * @private
+   */
+  _sync() {
+    const status = this.show.getStatus();
+    const onAir = status && status.onAir;
+    const actIndex = this.show.getCurrentActIndex();
+    const now = Date.now();
+
+    const program = onAir ? { programId: status.programId, entryId: status.entryId } : null;
+    if (!this._isSameProgram(program, this.currentProgram)) {
+      this.currentProgram = program;
+      this.programStartedAt = program ? now : null;
+      if (program && this.showStartedAt === null) {
+        this.showStartedAt = now;
+      }
+    }
+
+    const act = onAir && actIndex !== -1 ? { ...program, actIndex } : null;
+    if (!this._isSameProgram(act, this.currentAct) || (act && act.actIndex !== this.currentAct.actIndex)) {
+      this.currentAct = act;
+      this.actStartedAt = act ? now : null;
+    }
+    this._update();
+  }
+
+  /**
+   * Report the timers and wake up for the next warning or overrun
+   * @private
+   */
+  _update() {
+    this._clearTimer();
+    const status = this.getStatus();
+    const next = this._getNextChangeIn(status);
+    if (next !== null) {
+      this.timer = setTimeout(() => this._update(), Math.min(next, MAX_TIMER_MS));
+    }
+    this.emit('changed', status);
+  }
+
+  /**
+   * Time until the first timer changes state
+   * @private
+   * @param {Object} status - Timers (see getStatus)
+   * @returns {number|null} Milliseconds, or null if no timer will change by itself
+   */
+  _getNextChangeIn(status) {
+    const warning = CONSTANTS.CLOCK.WARNING_MS;
+    const remaining = [];
+    for (const timer of [status.act, status.program]) {
+      if (timer && timer.planned !== null) {
+        const left = timer.planned - timer.elapsed;
+        remaining.push(left - warning, left);
+      }
+    }
+    if (status.nextSegment) {
+      remaining.push(status.nextSegment.countdown - warning, status.nextSegment.countdown);
+    }
+
+    const upcoming = remaining.filter(ms => ms > 0);
+    // A little late rather than early, so the state has changed when it fires
+    return upcoming.length > 0 ? Math.min(...upcoming) + 1 : null;
+  }
+
+  /**
+   * Planned duration of the act on air
+   * @private
+   * @returns {number|null} Milliseconds, or null if the act has none
+   */
+  _getActPlan() {
+    const program = this.show.currentProgram;
+    const act = program && program.id === this.currentAct.programId
+      ? (program.acts || [])[this.currentAct.actIndex]
+      : null;
+    const duration = act && act.timing ? act.timing.duration : null;
+    return Number.isInteger(duration) && duration > 0 ? duration : null;
+  }
+
+  /**
+   * Planned running time of the rundown entry on air
+   * @private
+   * @returns {number|null} Milliseconds, or null if the program has none (or is not in the rundown)
+   */
+  _getProgramPlan() {
+    const entry = this.currentProgram.entryId
+      ? this.rundown.getEntry(this.rundown.indexOf(this.currentProgram.entryId))
+      : null;
+    return entry ? entry.plannedDuration : null;
+  }
+
+  /**
+   * Find the first rundown entry with a start time after the one on air
+   * (from the top of the rundown while no entry is on air)
+   * @private
+   * @param {number} now - Current time
+   * @returns {Object|null} { entryId, programId, startTime, countdown }, or null if there is none
+   */
+  _findNextSegment(now) {
+    const current = this.currentProgram && this.currentProgram.entryId
+      ? this.rundown.indexOf(this.currentProgram.entryId)
+      : -1;
+    const entry = this.rundown.entries.slice(current + 1).find(e => e.startTime);
+    if (!entry) {
+      return null;
+    }
+
+    return {
+      entryId: entry.id,
+      programId: entry.programId,
+      startTime: entry.startTime,
+      countdown: this._getScheduledTime(entry.startTime, now) - now
+    };
+  }
+
+  /**
+   * Turn a start time into the moment it refers to: the nearest occurrence, so
+   * a show running past midnight looks ahead to tomorrow or back to yesterday
+   * @private
+   * @param {string} startTime - Time of day ("HH:MM")
+   * @param {number} now - Current time
+   * @returns {number} Timestamp
+   */
+  _getScheduledTime(startTime, now) {
+    const [hours, minutes] = startTime.split(':').map(Number);
+    const scheduled = new Date(now);
+    scheduled.setHours(hours, minutes, 0, 0);
+    const time = scheduled.getTime();
+    if (now - time > DAY_MS / 2) {
+      return time + DAY_MS;
+    }
+    return time - now > DAY_MS / 2 ? time - DAY_MS : time;
+  }
+
+  /**
+   * Judge a running time against its plan
+   * @private
+   * @param {number} elapsed - Milliseconds on air
+   * @param {number|null} planned - Planned milliseconds
+   * @returns {string} 'ok', 'warning' or 'overrun'
+   */
+  _judgeRunningTime(elapsed, planned) {
+    if (planned === null) {
+      return 'ok';
+    }
+    return this._judgeCountdown(planned - elapsed);
+  }
+
+  /**
+   * Judge the time left before a deadline
+   * @private
+   * @param {number} remaining - Milliseconds left (negative once past)
+   * @returns {string} 'ok', 'warning' or 'overrun'
+   */
+  _judgeCountdown(remaining) {
+    if (remaining < 0) {
+      return 'overrun';
+    }
+    return remaining <= CONSTANTS.CLOCK.WARNING_MS ? 'warning' : 'ok';
+  }
+
+  /**
+   * Compare two on-air programs
+   * @private
+   * @param {Object|null} a - Program ({ programId, entryId })
+   * @param {Object|null} b - Program
+   * @returns {boolean} True if both are the same program as the same rundown entry
+   */
+  _isSameProgram(a, b) {
+    if (!a || !b) {
+      return a === b;
+    }
+    return a.programId === b.programId && a.entryId === b.entryId;
+  }
+
+  /**
+   * Cancel the wake-up timer
+   * @private
+   */
+  _clearTimer() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+module.exports = ShowClock;
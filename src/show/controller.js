@@ -0,0 +1,574 @@
+const EventEmitter = require('events');
+const CONSTANTS = require('../utils/constants');
+
+/**
+ * ShowController - Runs the loaded program and hands over between rundown entries
+ * Each program gets its own mode controller, so the next entry's OBS scenes can
+ * be built while the current one is still on air. Next on the last act of an
+ * entry starts the following entry (unless the entry's autoContinue is off)
+ * Emits 'state-changed' on every transition of what is on air (see getStatus),
+ * so it can be journaled for crash recovery
+ */
+class ShowController extends EventEmitter {
+  /**
+   * Create a show controller
+   * @param {PPTProcessor} processor - Program library
+   * @param {ShowDocument} show - Open show (rundown and per-act settings)
+   * @param {Function} createMode - Returns a new mode controller for a program mode
+   */
+  constructor(processor, show, createMode) {
+    super();
+    this.processor = processor;
+    this.show = show;
+    this.rundown = show.rundown;
+    this.createMode = createMode;
+    this.currentProgram = null;
+    this.currentMode = null;
+    this.currentEntryId = null;
+    this.preloaded = null;
+    this.startOptions = {};
+    this.onAir = false;
+    this.blackout = false;
+    this._onSceneChanged = (index) => {
+      // Switching scenes leaves the blackout scene
+      this.blackout = false;
+      this.emit('scene-changed', index);
+      this.emit('state-changed');
+    };
+    this._onSlideChanged = () => this.emit('state-changed');
+    this._onLoopChanged = (loop) => {
+      this.emit('loop-changed', loop);
+      this.emit('state-changed');
+    };
+    this._onPlaylistEnded = () => this._handlePlaylistEnded();
+  }
+
+  /**
+   * Load a program outside the rundown (or as a given entry) without starting it
+   * @param {string} programId - Program identifier
+   * @param {string|null} [entryId] - Rundown entry the program is played as
+   * @returns {Promise<Object>} Loaded program object
+   * @throws {Error} If the program cannot be loaded
+   */
+  async loadProgram(programId, entryId = null) {
+    await this.unload();
+
+    const { program, mode } = this._takePreloaded(programId) || await this._prepare(programId);
+    this._activate(program, mode, entryId);
+    return program;
+  }
+
+  /**
+   * Stop and unload the current program
+   * @returns {Promise<void>}
+   */
+  async unload() {
+    const wasLoaded = this.currentMode !== null;
+    await this._stopMode(this.currentMode);
+    this._detachMode(this.currentMode);
+    this.currentMode = null;
+    this.currentProgram = null;
+    this.currentEntryId = null;
+    this.onAir = false;
+    this.blackout = false;
+    if (wasLoaded) {
+      this.emit('state-changed');
+    }
+  }
+
+  /**
+   * Start the current program
+   * The entry's display setting, when set, wins over the one in options
+   * @param {Object} [options] - Start options passed to the mode ({ display, startAt })
+   * @returns {Promise<void>}
+   * @throws {Error} If no program is loaded
+   */
+  async start(options = {}) {
+    if (!this.currentMode) {
+      throw new Error('No program loaded');
+    }
+
+    const { startAt, ...startOptions } = options;
+    this.startOptions = startOptions;
+    const entry = this.rundown.getEntry(this.getCurrentEntryIndex());
+    const display = entry && entry.display !== null ? entry.display : options.display;
+    // On air already while starting, so the first scene change is journaled as live
+    this.onAir = true;
+    this.blackout = false;
+    try {
+      await this.currentMode.start({ ...startOptions, display, startAt });
+    } catch (error) {
+      this.onAir = false;
+      throw error;
+    } finally {
+      this.emit('state-changed');
+    }
+  }
+
+  /**
+   * Stop the current program
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (this.currentMode) {
+      await this.currentMode.stop();
+      this.onAir = false;
+      this.blackout = false;
+      this.emit('state-changed');
+    }
+  }
+
+  /**
+   * Note that the blackout scene was put on air over the current program
+   * It stays on air until the program switches scenes or is stopped; a loop
+   * on air holds meanwhile
+   */
+  markBlackout() {
+    this.blackout = true;
+    if (this.currentMode && this.currentMode.holdLoop) {
+      this.currentMode.holdLoop();
+    }
+    this.emit('state-changed');
+  }
+
+  /**
+   * Bring back a program that was on air when the app last quit unexpectedly
+   * Its OBS scenes are reused where they still exist, and it goes back on air at the
+   * act it was on (unless it was only loaded)
+   * @param {Object} state - Journaled state ({ programId, entryId, actIndex, onAir })
+   * @param {Object} [options] - Start options passed to the mode ({ display })
+   * @returns {Promise<Object>} Resumed program object
+   * @throws {Error} If the program cannot be loaded or started
+   */
+  async resume(state, options = {}) {
+    await this.unload();
+
+    const { program, mode } = await this._prepare(state.programId, { reuseScenes: true });
+    // The entry may have been removed from the rundown since
+    const entryId = state.entryId && this.rundown.indexOf(state.entryId) !== -1 ? state.entryId : null;
+    this._activate(program, mode, entryId);
+
+    if (state.onAir) {
+      await this.start({ ...options, startAt: state.actIndex });
+    }
+    if (entryId) {
+      await this._preloadEntry(this.getCurrentEntryIndex() + 1);
+    }
+    return program;
+  }
+
+  /**
+   * Advance to the next act, or to the next rundown entry from the last act
+   * @returns {Promise<void>}
+   * @throws {Error} If no program is loaded
+   */
+  async next() {
+    if (!this.currentMode) {
+      throw new Error('No program loaded');
+    }
+
+    const nextIndex = this._getContinuationIndex();
+    if (nextIndex !== -1 && this.currentMode.isAtEnd()) {
+      await this.startEntry(nextIndex);
+      return;
+    }
+    await this.currentMode.next();
+  }
+
+  /**
+   * Go back to the previous act of the current program
+   * @returns {Promise<void>}
+   * @throws {Error} If no program is loaded
+   */
+  async prev() {
+    if (!this.currentMode) {
+      throw new Error('No program loaded');
+    }
+    await this.currentMode.prev();
+  }
+
+  /**
+   * Jump to an act of the current program
+   * @param {number} sceneIndex - Zero-based act index
+   * @returns {Promise<void>}
+   * @throws {Error} If the current mode cannot jump
+   */
+  async jumpToScene(sceneIndex) {
+    if (!this.currentMode || !this.currentMode.jumpToScene) {
+      throw new Error('Jump not supported in current mode');
+    }
+    await this.currentMode.jumpToScene(sceneIndex);
+  }
+
+  /**
+   * Leave the loop on air for its exit act, or for the next rundown entry when
+   * the loop exits to the next program
+   * @returns {Promise<void>}
+   * @throws {Error} If no loop is on air, or it exits to a next program the rundown does not have
+   */
+  async exitLoop() {
+    if (!this.currentMode || !this.currentMode.exitLoop) {
+      throw new Error('Loops not supported in current mode');
+    }
+    if (await this.currentMode.exitLoop()) {
+      return;
+    }
+
+    const index = this.getCurrentEntryIndex();
+    if (index === -1 || !this.rundown.getEntry(index + 1)) {
+      throw new Error('No next program in the rundown');
+    }
+    await this.startEntry(index + 1);
+  }
+
+  /**
+   * Load and start a rundown entry, handing over from the current program
+   * (see _handOver). The entry after it is then preloaded
+   * @param {number} index - Zero-based rundown position
+   * @param {Object} [options] - Start options (default: those of the last start)
+   * @returns {Promise<Object>} Started program object
+   * @throws {Error} If the entry does not exist or its program cannot be loaded or started
+   */
+  async startEntry(index, options = this.startOptions) {
+    const entry = this.rundown.getEntry(index);
+    if (!entry) {
+      throw new Error('Rundown entry not found');
+    }
+
+    const program = await this._handOver(entry.programId, entry.id, options);
+    await this._preloadEntry(index + 1);
+    return program;
+  }
+
+  /**
+   * Go back to an earlier live state (undo)
+   * A program that is no longer the current one is handed over to the way a
+   * rundown entry is, so the show stays on air; then the state's act is brought
+   * back. Putting the blackout scene or another OBS scene back on air is left to the caller
+   * @param {Object} state - Live state ({ programId, entryId, actIndex })
+   * @returns {Promise<Object>} Program on air
+   * @throws {Error} If the program cannot be loaded or the act cannot be shown
+   */
+  async restore(state) {
+    if (!this.currentProgram || this.currentProgram.id !== state.programId || this.currentEntryId !== state.entryId) {
+      // The entry may have been removed from the rundown since
+      const entryId = state.entryId && this.rundown.indexOf(state.entryId) !== -1 ? state.entryId : null;
+      const program = await this._handOver(state.programId, entryId, { ...this.startOptions, startAt: state.actIndex });
+      if (entryId) {
+        await this._preloadEntry(this.getCurrentEntryIndex() + 1);
+      }
+      return program;
+    }
+
+    // Showing the act again also leaves the blackout scene and resumes a held loop
+    if (this.getCurrentActIndex() !== state.actIndex || this.blackout) {
+      this.blackout = false;
+      await this._goToAct(state.actIndex);
+    }
+    return this.currentProgram;
+  }
+
+  /**
+   * Drop a preloaded program whose metadata changed since it was preloaded
+   * @param {string} [programId] - Program identifier (default: whatever is preloaded)
+   */
+  discardPreloaded(programId) {
+    if (this.preloaded && (!programId || this.preloaded.program.id === programId)) {
+      this.preloaded = null;
+    }
+  }
+
+  /**
+   * Preload whatever now follows the current entry after the rundown was edited
+   * Keeps the existing preload if the following program did not change
+   * @returns {Promise<void>}
+   */
+  async refreshPreload() {
+    const index = this.getCurrentEntryIndex();
+    if (index === -1) {
+      this.preloaded = null;
+      return;
+    }
+
+    const next = this.rundown.getEntry(index + 1);
+    if (this.preloaded && next && this.preloaded.program.id === next.programId) {
+      return;
+    }
+    await this._preloadEntry(index + 1);
+  }
+
+  /**
+   * Get the act on air in the current program
+   * @returns {number} Zero-based act index, or -1 if nothing is loaded or started
+   */
+  getCurrentActIndex() {
+    if (!this.currentMode) {
+      return -1;
+    }
+    const status = this.currentMode.getStatus();
+    const index = this.currentProgram.mode === CONSTANTS.MODES.RENDERER ? status.currentSlide : status.currentScene;
+    return Number.isInteger(index) ? index : -1;
+  }
+
+  /**
+   * Check whether next() would move anywhere: to a later act, or to the next rundown entry
+   * @returns {boolean} True if the show can advance
+   */
+  canAdvance() {
+    return this.currentMode !== null &&
+      (!this.currentMode.isAtEnd() || this._getContinuationIndex() !== -1);
+  }
+
+  /**
+   * Get the rundown position of the current program
+   * @returns {number} Zero-based position, or -1 if the program was not started from the rundown
+   */
+  getCurrentEntryIndex() {
+    return this.currentEntryId ? this.rundown.indexOf(this.currentEntryId) : -1;
+  }
+
+  /**
+   * Get current status of the show
+   * @returns {Object|null} Mode status plus rundown position, or null if nothing is loaded
+   */
+  getStatus() {
+    if (!this.currentMode) {
+      return null;
+    }
+    return {
+      ...this.currentMode.getStatus(),
+      programId: this.currentProgram.id,
+      entryId: this.currentEntryId,
+      entryIndex: this.getCurrentEntryIndex(),
+      onAir: this.onAir,
+      blackout: this.blackout
+    };
+  }
+
+  /**
+   * Load a program, with the show's act settings applied, into a new mode controller
+   * @private
+   * @param {string} programId - Program identifier
+   * @param {Object} [options] - Load options passed to the mode ({ reuseScenes })
+   * @returns {Promise<Object>} { program, mode }
+   */
+  async _prepare(programId, options = {}) {
+    const program = this.show.applyActSettings(await this.processor.loadProgram(programId));
+    const mode = this.createMode(program.mode);
+    await mode.loadProgram(program, options);
+    return { program, mode };
+  }
+
+  /**
+   * Put a program on air in place of the current one
+   * When the new program needs LibreOffice the old one is stopped first (they share
+   * the one LibreOffice process); otherwise the new program goes on air before the
+   * old one stops, so there is no gap. If the new program fails to start, the old
+   * one is made current again (still on air if it was not stopped for LibreOffice)
+   * @private
+   * @param {string} programId - Program identifier
+   * @param {string|null} entryId - Rundown entry the program is played as
+   * @param {Object} options - Start options ({ display, startAt })
+   * @returns {Promise<Object>} Started program object
+   * @throws {Error} If the program cannot be loaded or started
+   */
+  async _handOver(programId, entryId, options) {
+    const { program, mode } = this._takePreloaded(programId) || await this._prepare(programId);
+    const previous = {
+      program: this.currentProgram,
+      mode: this.currentMode,
+      entryId: this.currentEntryId,
+      onAir: this.onAir,
+      blackout: this.blackout,
+      startOptions: this.startOptions
+    };
+    const usesLibreOffice = this._usesLibreOffice(program);
+
+    if (usesLibreOffice) {
+      await this._stopMode(previous.mode);
+    }
+    this._detachMode(previous.mode);
+    this._activate(program, mode, entryId);
+
+    try {
+      await this.start(options);
+    } catch (error) {
+      await this._restorePrevious(mode, previous, !usesLibreOffice);
+      throw error;
+    }
+    if (!usesLibreOffice) {
+      await this._stopMode(previous.mode);
+    }
+    return program;
+  }
+
+  /**
+   * Go back to the program that was current before a handover that failed to start
+   * @private
+   * @param {EventEmitter} failedMode - Mode controller of the program that failed
+   * @param {Object} previous - Earlier state ({ program, mode, entryId, onAir, blackout, startOptions })
+   * @param {boolean} stillRunning - True if the earlier program was left running
+   * @returns {Promise<void>}
+   */
+  async _restorePrevious(failedMode, previous, stillRunning) {
+    this._detachMode(failedMode);
+    await this._stopMode(failedMode);
+
+    this.startOptions = previous.startOptions;
+    if (previous.mode) {
+      this._activate(previous.program, previous.mode, previous.entryId);
+    } else {
+      this.currentProgram = null;
+      this.currentMode = null;
+      this.currentEntryId = null;
+    }
+    this.onAir = stillRunning && previous.onAir;
+    this.blackout = stillRunning && previous.blackout;
+    this.emit('state-changed');
+  }
+
+  /**
+   * Show an act of the current program, in any mode
+   * @private
+   * @param {number} actIndex - Zero-based act index
+   * @returns {Promise<void>}
+   */
+  async _goToAct(actIndex) {
+    if (this.currentMode.jumpToScene) {
+      await this.currentMode.jumpToScene(actIndex);
+    } else {
+      await this.currentMode.goToSlide(actIndex);
+    }
+  }
+
+  /**
+   * Build the OBS scenes of a rundown entry ahead of time
+   * Skipped when the entry plays the program already on air, since rebuilding
+   * its scenes would remove the ones in use. Failures only cost the head start
+   * @private
+   * @param {number} index - Zero-based rundown position
+   * @returns {Promise<void>}
+   */
+  async _preloadEntry(index) {
+    this.preloaded = null;
+    const entry = this.rundown.getEntry(index);
+    if (!entry || (this.currentProgram && entry.programId === this.currentProgram.id)) {
+      return;
+    }
+
+    try {
+      this.preloaded = await this._prepare(entry.programId);
+    } catch (error) {
+      console.error('Error preloading next rundown entry:', error);
+    }
+  }
+
+  /**
+   * Use the preloaded program if it is the one asked for
+   * @private
+   * @param {string} programId - Program identifier
+   * @returns {Object|null} { program, mode }, or null if something else (or nothing) is preloaded
+   */
+  _takePreloaded(programId) {
+    const preloaded = this.preloaded;
+    this.preloaded = null;
+    return preloaded && preloaded.program.id === programId ? preloaded : null;
+  }
+
+  /**
+   * Make a loaded program the current one
+   * @private
+   * @param {Object} program - Program object
+   * @param {EventEmitter} mode - Mode controller holding the program
+   * @param {string|null} entryId - Rundown entry, if any
+   */
+  _activate(program, mode, entryId) {
+    this.currentProgram = program;
+    this.currentMode = mode;
+    this.currentEntryId = entryId;
+    mode.on('scene-changed', this._onSceneChanged);
+    mode.on('slide-changed', this._onSlideChanged);
+    mode.on('loop-changed', this._onLoopChanged);
+    mode.on('playlist-ended', this._onPlaylistEnded);
+    this.emit('program-changed', program, entryId);
+  }
+
+  /**
+   * Stop listening to a mode controller
+   * @private
+   * @param {EventEmitter|null} mode - Mode controller
+   */
+  _detachMode(mode) {
+    if (mode) {
+      mode.removeListener('scene-changed', this._onSceneChanged);
+      mode.removeListener('slide-changed', this._onSlideChanged);
+      mode.removeListener('loop-changed', this._onLoopChanged);
+      mode.removeListener('playlist-ended', this._onPlaylistEnded);
+    }
+  }
+
+  /**
+   * Stop a mode controller, logging rather than throwing
+   * @private
+   * @param {EventEmitter|null} mode - Mode controller
+   * @returns {Promise<void>}
+   */
+  async _stopMode(mode) {
+    if (!mode) {
+      return;
+    }
+    try {
+      await mode.stop();
+    } catch (error) {
+      console.error('Error stopping current mode:', error);
+    }
+  }
+
+  /**
+   * Find the entry the show continues with after the current one
+   * @private
+   * @returns {number} Zero-based rundown position, or -1 if the show does not continue
+   */
+  _getContinuationIndex() {
+    const index = this.getCurrentEntryIndex();
+    const entry = this.rundown.getEntry(index);
+    if (!entry || !entry.autoContinue || !this.rundown.getEntry(index + 1)) {
+      return -1;
+    }
+    return index + 1;
+  }
+
+  /**
+   * Continue with the next entry when an auto-advancing media playlist runs out
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _handlePlaylistEnded() {
+    const nextIndex = this._getContinuationIndex();
+    if (nextIndex === -1) {
+      return;
+    }
+
+    try {
+      await this.startEntry(nextIndex);
+    } catch (error) {
+      console.error('Error starting next rundown entry:', error);
+      this.emit('handover-failed', error);
+    }
+  }
+
+  /**
+   * Check whether a program needs LibreOffice while it plays
+   * @private
+   * @param {Object} program - Program object
+   * @returns {boolean} True for renderer programs and hybrid programs with live acts
+   */
+  _usesLibreOffice(program) {
+    if (program.mode === CONSTANTS.MODES.RENDERER) {
+      return true;
+    }
+    return program.mode === CONSTANTS.MODES.HYBRID && (program.acts || []).some(act => act.live);
+  }
+}
+
+module.exports = ShowController;
@@ -0,0 +1,139 @@
+const EventEmitter = require('events');
+const CONSTANTS = require('../utils/constants');
+
+/**
+ * CueEngine - Runs the show's cue list with standby/GO semantics
+ * One cue is in standby: GO runs its actions in order and puts the following
+ * cue in standby straight away, so the next GO does not wait for a cue that is
+ * still running (e.g. on a wait action). Actions are dispatched to handlers
+ * registered per type (CONSTANTS.CUES.ACTIONS); the scene:* IPC handlers
+ * dispatch through the same handlers, so a cue does exactly what the buttons do.
+ * A failing action stops the rest of its cue. Emits 'changed' with getStatus()
+ * on every change
+ */
+class CueEngine extends EventEmitter {
+  /**
+   * Create a cue engine for a cue list
+   * @param {CueList} cueList - Cue list to run
+   */
+  constructor(cueList) {
+    super();
+    this.cueList = cueList;
+    this.handlers = new Map();
+    this.standbyId = null;
+    this.lastCueId = null;
+    this.running = new Set();
+    this.registerAction(CONSTANTS.CUES.ACTIONS.WAIT, ({ duration }) =>
+      new Promise(resolve => setTimeout(resolve, duration)));
+    this.cueList.on('changed', () => this._syncStandby());
+    this.reset();
+  }
+
+  /**
+   * Set the function that carries out an action type
+   * @param {string} type - Action type (see CONSTANTS.CUES.ACTIONS)
+   * @param {Function} handler - Called with the action; may return a promise
+   */
+  registerAction(type, handler) {
+    this.handlers.set(type, handler);
+  }
+
+  /**
+   * Carry out one action
+   * @param {Object} action - Action ({ type, ...params })
+   * @returns {Promise<void>}
+   * @throws {Error} If the type has no handler or the action fails
+   */
+  async dispatch(action) {
+    const handler = this.handlers.get(action && action.type);
+    if (!handler) {
+      throw new Error(`Unknown cue action: ${action && action.type}`);
+    }
+    await handler(action);
+  }
+
+  /**
+   * Run the cue in standby and put the next one in standby
+   * @returns {Promise<Object>} The cue that ran
+   * @throws {Error} If no cue is in standby or one of its actions fails
+   */
+  async go() {
+    const index = this.cueList.indexOf(this.standbyId);
+    if (index === -1) {
+      throw new Error('No cue in standby');
+    }
+
+    const cue = this.cueList.getCue(index);
+    const next = this.cueList.getCue(index + 1);
+    this.lastCueId = cue.id;
+    this.standbyId = next ? next.id : null;
+    this.running.add(cue.id);
+    this.emit('changed', this.getStatus());
+
+    try {
+      for (const action of cue.actions) {
+        await this.dispatch(action);
+      }
+      return cue;
+    } catch (error) {
+      console.error(`Error running cue ${cue.number}:`, error);
+      throw error;
+    } finally {
+      this.running.delete(cue.id);
+      this.emit('changed', this.getStatus());
+    }
+  }
+
+  /**
+   * Put a cue in standby, e.g. to skip ahead or go back
+   * @param {string|null} cueId - Cue identifier, or null for none
+   * @throws {Error} If the cue does not exist
+   */
+  setStandby(cueId) {
+    if (cueId !== null && this.cueList.indexOf(cueId) === -1) {
+      throw new Error(`Cue not found: ${cueId}`);
+    }
+    this.standbyId = cueId;
+    this.emit('changed', this.getStatus());
+  }
+
+  /**
+   * Start the cue list over: the first cue goes in standby
+   * (e.g. after another show was opened)
+   */
+  reset() {
+    const first = this.cueList.getCue(0);
+    this.standbyId = first ? first.id : null;
+    this.lastCueId = null;
+    this.emit('changed', this.getStatus());
+  }
+
+  /**
+   * Get the cue engine's state
+   * @returns {Object} { standbyId, standbyIndex, lastCueId, running (cue IDs) }
+   */
+  getStatus() {
+    return {
+      standbyId: this.standbyId,
+      standbyIndex: this.cueList.indexOf(this.standbyId),
+      lastCueId: this.lastCueId,
+      running: [...this.running]
+    };
+  }
+
+  /**
+   * Keep a valid cue in standby after the cue list was edited
+   * If the standby cue was removed, the cue after the last one run takes its place
+   * @private
+   */
+  _syncStandby() {
+    if (this.standbyId === null || this.cueList.indexOf(this.standbyId) === -1) {
+      const lastIndex = this.cueList.indexOf(this.lastCueId);
+      const next = this.cueList.getCue(lastIndex + 1);
+      this.standbyId = next ? next.id : null;
+    }
+    this.emit('changed', this.getStatus());
+  }
+}
+
+module.exports = CueEngine;
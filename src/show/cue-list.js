@@ -0,0 +1,245 @@
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const CONSTANTS = require('../utils/constants');
+
+const ACTIONS = CONSTANTS.CUES.ACTIONS;
+
+/**
+ * CueList - The show's numbered cues, in the order they are called
+ * Each cue is { id, number, label, actions }; actions are { type, ...params }
+ * with a type from CONSTANTS.CUES.ACTIONS and are run in order by the cue
+ * engine (see src/show/cue-engine.js). The cue list is saved as part of the
+ * show document (see src/show/document.js); every change emits 'changed'
+ */
+class CueList extends EventEmitter {
+  /**
+   * Create an empty cue list
+   */
+  constructor() {
+    super();
+    this.cues = [];
+  }
+
+  /**
+   * Replace all cues, e.g. with those of an opened show
+   * Cues that are not valid are dropped
+   * @param {Array<Object>} cues - Saved cues
+   */
+  setCues(cues) {
+    this.cues = (Array.isArray(cues) ? cues : [])
+      .filter(cue => {
+        try {
+          this._validateCue(cue);
+          return true;
+        } catch (error) {
+          console.error('Dropping invalid cue:', error.message);
+          return false;
+        }
+      })
+      .map(cue => ({ ...this._pickCue(cue), id: cue.id || crypto.randomUUID() }));
+  }
+
+  /**
+   * Get the cue at a position
+   * @param {number} index - Zero-based position
+   * @returns {Object|null} Cue, or null if out of range
+   */
+  getCue(index) {
+    return this.cues[index] || null;
+  }
+
+  /**
+   * Find the position of a cue
+   * @param {string} cueId - Cue identifier
+   * @returns {number} Zero-based position, or -1 if not found
+   */
+  indexOf(cueId) {
+    return this.cues.findIndex(cue => cue.id === cueId);
+  }
+
+  /**
+   * Add a cue at the end of the list (or insert it at a position)
+   * @param {Object} cue - Cue fields ({ number, label, actions })
+   * @param {number} [index] - Position to insert at (default: end)
+   * @returns {Object} Created cue
+   * @throws {Error} If the cue is invalid
+   */
+  addCue(cue, index = this.cues.length) {
+    this._validateCue(cue);
+
+    const created = { id: crypto.randomUUID(), ...this._pickCue(cue) };
+    this.cues.splice(this._clampPosition(index, this.cues.length), 0, created);
+    this.emit('changed');
+    return created;
+  }
+
+  /**
+   * Change a cue's number, label or actions
+   * @param {string} cueId - Cue identifier
+   * @param {Object} changes - Fields to change
+   * @returns {Object} Updated cue
+   * @throws {Error} If the cue does not exist or the result is invalid
+   */
+  updateCue(cueId, changes) {
+    const index = this._requireIndex(cueId);
+    const updated = { ...this.cues[index], ...this._pickCue(changes || {}) };
+    this._validateCue(updated);
+
+    this.cues[index] = updated;
+    this.emit('changed');
+    return updated;
+  }
+
+  /**
+   * Remove a cue
+   * @param {string} cueId - Cue identifier
+   * @throws {Error} If the cue does not exist
+   */
+  removeCue(cueId) {
+    this.cues.splice(this._requireIndex(cueId), 1);
+    this.emit('changed');
+  }
+
+  /**
+   * Move a cue to a new position
+   * @param {string} cueId - Cue identifier
+   * @param {number} toIndex - Zero-based target position
+   * @throws {Error} If the cue does not exist
+   */
+  moveCue(cueId, toIndex) {
+    const [cue] = this.cues.splice(this._requireIndex(cueId), 1);
+    this.cues.splice(this._clampPosition(toIndex, this.cues.length), 0, cue);
+    this.emit('changed');
+  }
+
+  /**
+   * Serializable form of the cue list
+   * @returns {Object} Cue list data ({ version, cues })
+   */
+  toJSON() {
+    return {
+      version: CONSTANTS.SHOW.CUE_LIST_VERSION,
+      cues: this.cues
+    };
+  }
+
+  /**
+   * Find a cue's position or fail
+   * @private
+   * @param {string} cueId - Cue identifier
+   * @returns {number} Zero-based position
+   * @throws {Error} If the cue does not exist
+   */
+  _requireIndex(cueId) {
+    const index = this.indexOf(cueId);
+    if (index === -1) {
+      throw new Error(`Cue not found: ${cueId}`);
+    }
+    return index;
+  }
+
+  /**
+   * Keep only the editable cue fields that are present
+   * @private
+   * @param {Object} cue - Cue object
+   * @returns {Object} { number, label, actions } (those present)
+   */
+  _pickCue(cue) {
+    const picked = {};
+    if (cue.number !== undefined) {
+      picked.number = cue.number;
+    }
+    if (cue.label !== undefined) {
+      picked.label = cue.label;
+    }
+    if (cue.actions !== undefined) {
+      picked.actions = cue.actions.map(action => ({ ...action }));
+    }
+    return picked;
+  }
+
+  /**
+   * Check a cue and its actions
+   * @private
+   * @param {Object} cue - Cue object
+   * @throws {Error} If a field or action is invalid
+   */
+  _validateCue(cue) {
+    if (!cue || typeof cue !== 'object') {
+      throw new Error('Invalid cue');
+    }
+    if (typeof cue.number !== 'number' || !Number.isFinite(cue.number) || cue.number < 0) {
+      throw new Error('Invalid cue number');
+    }
+    if (typeof cue.label !== 'string') {
+      throw new Error(`Invalid label for cue ${cue.number}`);
+    }
+    if (!Array.isArray(cue.actions)) {
+      throw new Error(`Invalid actions for cue ${cue.number}`);
+    }
+    cue.actions.forEach((action, index) => this._validateAction(action, `cue ${cue.number} action ${index + 1}`));
+  }
+
+  /**
+   * Check a cue action's type and parameters
+   * @private
+   * @param {Object} action - Action object ({ type, ...params })
+   * @param {string} where - Position of the action, for error messages
+   * @throws {Error} If the type is unknown or a parameter is invalid
+   */
+  _validateAction(action, where) {
+    const isIndex = (value) => Number.isInteger(value) && value >= 0;
+    const isOptionalIndex = (value) => value === undefined || isIndex(value);
+    const isId = (value) => typeof value === 'string' && value.trim() !== '';
+    const expect = (condition, message) => {
+      if (!condition) {
+        throw new Error(`Invalid ${where}: ${message}`);
+      }
+    };
+
+    expect(action && typeof action === 'object', 'not an object');
+    switch (action.type) {
+      case ACTIONS.NEXT:
+      case ACTIONS.PREV:
+      case ACTIONS.BLACKOUT:
+      case ACTIONS.STOP_PROGRAM:
+        break;
+      case ACTIONS.ACT:
+        expect(isIndex(action.act), 'act is not an act index');
+        break;
+      case ACTIONS.START_PROGRAM:
+        expect(action.entryId === undefined || isId(action.entryId), 'entryId is not an ID');
+        expect(action.programId === undefined || isId(action.programId), 'programId is not an ID');
+        expect(isOptionalIndex(action.act), 'act is not an act index');
+        expect(isOptionalIndex(action.display), 'display is not a display index');
+        break;
+      case ACTIONS.PLAY_MEDIA:
+        expect(isId(action.programId), 'programId is not an ID');
+        expect(isOptionalIndex(action.clip), 'clip is not a clip index');
+        break;
+      case ACTIONS.TRANSITION:
+        expect(isId(action.name), 'name is not a transition name');
+        expect(action.duration === undefined || (Number.isInteger(action.duration) && action.duration > 0),
+          'duration is not a number of milliseconds');
+        break;
+      case ACTIONS.WAIT:
+        expect(Number.isInteger(action.duration) && action.duration > 0, 'duration is not a number of milliseconds');
+        break;
+      default:
+        expect(false, `unknown action type ${action.type}`);
+    }
+  }
+
+  /**
+   * Clamp a position into the range 0..length
+   * @private
+   * @param {number} index - Requested position
+   * @param {number} length - Number of cues
+   * @returns {number} Clamped position
+   */
+  _clampPosition(index, length) {
+    return Number.isInteger(index) ? Math.min(Math.max(index, 0), length) : length;
+  }
+}
+
+module.exports = CueList;
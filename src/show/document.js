@@ -0,0 +1,475 @@
+const EventEmitter = require('events');
+const fs = require('fs').promises;
+const path = require('path');
+const CONSTANTS = require('../utils/constants');
+const Rundown = require('./rundown');
+const CueList = require('./cue-list');
+
+const ACTIONS = CONSTANTS.CUES.ACTIONS;
+
+/**
+ * ShowDocument - A saved show (.sfshow): rundown, cue list, show settings and per-act settings
+ * Changes are autosaved after a short delay: to the show's file once it has one,
+ * otherwise to an autosave file so an untitled show survives a restart.
+ * The document is dirty until it has been written to its own file.
+ * Emits 'changed' whenever its contents, file or dirty state change
+ */
+class ShowDocument extends EventEmitter {
+  /**
+   * Create an empty, untitled show
+   * @param {string} autosavePath - Where untitled shows are autosaved
+   */
+  constructor(autosavePath) {
+    super();
+    this.autosavePath = autosavePath;
+    this.rundown = new Rundown();
+    this.rundown.on('changed', () => this._markDirty());
+    this.cueList = new CueList();
+    this.cueList.on('changed', () => this._markDirty());
+    this._autosaveTimer = null;
+    this._reset();
+  }
+
+  /**
+   * Display name: the file name without extension, or null for an untitled show
+   * @returns {string|null} Show name
+   */
+  get name() {
+    return this.filePath ? path.basename(this.filePath, `.${CONSTANTS.SHOW.EXTENSION}`) : null;
+  }
+
+  /**
+   * Start a new, untitled show
+   * Pending changes to the current show file are saved first; an autosaved
+   * untitled show is discarded
+   * @returns {Promise<void>}
+   */
+  async create() {
+    await this.flush();
+    this._reset();
+    await this._removeAutosave();
+    this.emit('changed');
+  }
+
+  /**
+   * Open a show file
+   * Pending changes to the current show file are saved first; an autosaved
+   * untitled show is discarded
+   * @param {string} filePath - Path to the .sfshow file
+   * @returns {Promise<void>}
+   * @throws {Error} If the file cannot be read or is not a supported show file
+   */
+  async open(filePath) {
+    const data = await this._read(filePath);
+    await this.flush();
+    this._apply(data);
+    this.filePath = filePath;
+    this.dirty = false;
+    await this._removeAutosave();
+    this.emit('changed');
+  }
+
+  /**
+   * Reopen the untitled show left behind by the last session, if any
+   * @returns {Promise<boolean>} True if an autosaved show was restored
+   */
+  async restoreAutosave() {
+    let data;
+    try {
+      data = await this._read(this.autosavePath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('Error restoring autosaved show:', error.message);
+      }
+      return false;
+    }
+
+    this._cancelAutosave();
+    this._apply(data);
+    this.filePath = null;
+    this.dirty = true;
+    this.emit('changed');
+    return true;
+  }
+
+  /**
+   * Save the show to its file
+   * @returns {Promise<void>}
+   * @throws {Error} If the show has no file yet or writing fails
+   */
+  async save() {
+    if (!this.filePath) {
+      throw new Error('Show has not been saved yet');
+    }
+
+    this._cancelAutosave();
+    await this._write(this.filePath);
+    this.dirty = false;
+    this.emit('changed');
+  }
+
+  /**
+   * Save the show under a new file name, which becomes its file
+   * @param {string} filePath - Path to the .sfshow file
+   * @returns {Promise<void>}
+   * @throws {Error} If writing fails
+   */
+  async saveAs(filePath) {
+    this._cancelAutosave();
+    await this._write(filePath);
+    const wasUntitled = !this.filePath;
+    this.filePath = filePath;
+    this.dirty = false;
+    if (wasUntitled) {
+      await this._removeAutosave();
+    }
+    this.emit('changed');
+  }
+
+  /**
+   * Write a pending autosave now (e.g. before quitting)
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    if (this._autosaveTimer) {
+      this._cancelAutosave();
+      await this._autosave();
+    }
+  }
+
+  /**
+   * Change a show setting (see CONSTANTS.SHOW.SETTINGS_DEFAULTS)
+   * @param {string} key - Setting name
+   * @param {*} value - New value
+   * @throws {Error} If the setting is unknown
+   */
+  setSetting(key, value) {
+    if (!(key in CONSTANTS.SHOW.SETTINGS_DEFAULTS)) {
+      throw new Error(`Unknown show setting: ${key}`);
+    }
+    if (this.settings[key] === value) {
+      return;
+    }
+
+    this.settings[key] = value;
+    this._markDirty();
+  }
+
+  /**
+   * Get the show's settings for an act
+   * @param {string} programId - Program identifier
+   * @param {Object} act - Act object
+   * @returns {Object} Act settings (only fields that were set)
+   */
+  getActSettings(programId, act) {
+    const programActs = this.acts[programId] || {};
+    return programActs[this._actKey(act)] || {};
+  }
+
+  /**
+   * Change the show's settings for an act
+   * Fields set to null are removed, falling back to the program's own value
+   * @param {string} programId - Program identifier
+   * @param {Object} act - Act object
+   * @param {Object} settings - Fields to change (see CONSTANTS.SHOW.ACT_FIELDS)
+   * @returns {Object} Act settings after the change
+   * @throws {Error} If a field is unknown
+   */
+  setActSettings(programId, act, settings) {
+    const unknown = Object.keys(settings).filter(key => !CONSTANTS.SHOW.ACT_FIELDS.includes(key));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown act setting: ${unknown.join(', ')}`);
+    }
+
+    const key = this._actKey(act);
+    const current = { ...this.getActSettings(programId, act) };
+    for (const [field, value] of Object.entries(settings)) {
+      if (value === null) {
+        delete current[field];
+      } else {
+        current[field] = value;
+      }
+    }
+
+    this.acts[programId] = { ...this.acts[programId], [key]: current };
+    if (Object.keys(current).length === 0) {
+      delete this.acts[programId][key];
+    }
+    if (Object.keys(this.acts[programId]).length === 0) {
+      delete this.acts[programId];
+    }
+
+    this._markDirty();
+    return current;
+  }
+
+  /**
+   * Lay the show's act settings (operator notes) over a program's acts
+   * @param {Object} program - Program object (modified in place)
+   * @returns {Object} The same program object
+   */
+  applyActSettings(program) {
+    for (const act of program.acts || []) {
+      Object.assign(act, this.getActSettings(program.id, act));
+    }
+    return program;
+  }
+
+  /**
+   * Forget a program (rundown entries and act settings), e.g. after it was deleted
+   * @param {string} programId - Program identifier
+   */
+  removeProgram(programId) {
+    const hadActs = programId in this.acts;
+    delete this.acts[programId];
+    if (!this.rundown.removeProgram(programId) && hadActs) {
+      this._markDirty();
+    }
+  }
+
+  /**
+   * Follow a program's acts to their new positions after it was refreshed or
+   * updated from a new version of its deck (see PPTProcessor.refreshProgram).
+   * Cue actions naming one of its acts by position are remapped: START_PROGRAM
+   * actions for the program (directly or through their rundown entry), and ACT
+   * actions after the program was started by an earlier action in cue order.
+   * Cues naming an act whose slide was removed are removed, and so are the act
+   * settings kept for it by position
+   * @param {string} programId - Program identifier
+   * @param {Array<number>} actMap - New position of each old act, or -1 if its slide was removed
+   * @returns {Array<Object>} Removed cues ({ id, number, label })
+   */
+  remapProgramActs(programId, actMap) {
+    const remap = index => (Number.isInteger(actMap[index]) ? actMap[index] : -1);
+    const removed = [];
+    let started = null;
+
+    for (const cue of [...this.cueList.cues]) {
+      let lost = false;
+      const actions = cue.actions.map((action) => {
+        if (action.type === ACTIONS.START_PROGRAM) {
+          started = this._getStartedProgramId(action);
+        } else if (action.type === ACTIONS.PLAY_MEDIA) {
+          started = action.programId;
+        } else if (action.type === ACTIONS.STOP_PROGRAM) {
+          started = null;
+        }
+
+        const namesAct = action.type === ACTIONS.START_PROGRAM || action.type === ACTIONS.ACT;
+        if (!namesAct || started !== programId || !Number.isInteger(action.act)) {
+          return action;
+        }
+        const act = remap(action.act);
+        lost = lost || act === -1;
+        return { ...action, act };
+      });
+
+      if (lost) {
+        this.cueList.removeCue(cue.id);
+        removed.push({ id: cue.id, number: cue.number, label: cue.label });
+      } else if (actions.some((action, index) => action.act !== cue.actions[index].act)) {
+        this.cueList.updateCue(cue.id, { actions });
+      }
+    }
+
+    const programActs = this.acts[programId];
+    if (programActs) {
+      const remapped = {};
+      for (const [key, settings] of Object.entries(programActs)) {
+        const position = key.startsWith('#') ? remap(Number(key.substring(1))) : null;
+        if (position !== -1) {
+          remapped[position === null ? key : `#${position}`] = settings;
+        }
+      }
+      if (JSON.stringify(remapped) !== JSON.stringify(programActs)) {
+        this.acts[programId] = remapped;
+        if (Object.keys(remapped).length === 0) {
+          delete this.acts[programId];
+        }
+        this._markDirty();
+      }
+    }
+
+    return removed;
+  }
+
+  /**
+   * Serializable form of the show
+   * @returns {Object} Show data
+   */
+  toJSON() {
+    return {
+      format: CONSTANTS.SHOW.FORMAT,
+      version: CONSTANTS.SHOW.VERSION,
+      savedAt: new Date().toISOString(),
+      settings: this.settings,
+      rundown: this.rundown.toJSON(),
+      cues: this.cueList.toJSON(),
+      acts: this.acts
+    };
+  }
+
+  /**
+   * Reset to an empty, untitled show
+   * @private
+   */
+  _reset() {
+    this.filePath = null;
+    this.dirty = false;
+    this.settings = { ...CONSTANTS.SHOW.SETTINGS_DEFAULTS };
+    this.acts = {};
+    this.rundown.setEntries([]);
+    this.cueList.setCues([]);
+  }
+
+  /**
+   * Take over the contents of saved show data
+   * @private
+   * @param {Object} data - Show data (see toJSON)
+   */
+  _apply(data) {
+    this.settings = { ...CONSTANTS.SHOW.SETTINGS_DEFAULTS, ...data.settings };
+    this.acts = this._readActSettings(data.acts);
+    this.rundown.setEntries(data.rundown && data.rundown.entries);
+    this.cueList.setCues(data.cues && data.cues.cues);
+  }
+
+  /**
+   * Keep the known act settings (CONSTANTS.SHOW.ACT_FIELDS) of saved show data,
+   * dropping fields that shows no longer store
+   * @private
+   * @param {Object} acts - Saved act settings by program ID and act key
+   * @returns {Object} Act settings
+   */
+  _readActSettings(acts) {
+    const result = {};
+    for (const [programId, programActs] of Object.entries(acts && typeof acts === 'object' ? acts : {})) {
+      for (const [key, settings] of Object.entries(programActs || {})) {
+        const known = Object.fromEntries(Object.entries(settings || {})
+          .filter(([field]) => CONSTANTS.SHOW.ACT_FIELDS.includes(field)));
+        if (Object.keys(known).length > 0) {
+          result[programId] = { ...result[programId], [key]: known };
+        }
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Find the program a START_PROGRAM cue action starts
+   * @private
+   * @param {Object} action - Cue action ({ entryId, programId })
+   * @returns {string|null} Program ID, or null for the loaded program (not known ahead)
+   */
+  _getStartedProgramId(action) {
+    if (action.entryId) {
+      const entry = this.rundown.entries.find(e => e.id === action.entryId);
+      return entry ? entry.programId : null;
+    }
+    return action.programId || null;
+  }
+
+  /**
+   * Key an act by its stable slide ID, or its position for decks without one
+   * @private
+   * @param {Object} act - Act object
+   * @returns {string} Act key
+   */
+  _actKey(act) {
+    return act.slideId ? String(act.slideId) : `#${act.index}`;
+  }
+
+  /**
+   * Read and check a show file
+   * @private
+   * @param {string} filePath - Path to the .sfshow file
+   * @returns {Promise<Object>} Show data
+   * @throws {Error} If the file cannot be read or is not a supported show file
+   */
+  async _read(filePath) {
+    const text = await fs.readFile(filePath, 'utf-8');
+
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Not a StageForge show file: ${path.basename(filePath)}`);
+    }
+    if (!data || data.format !== CONSTANTS.SHOW.FORMAT) {
+      throw new Error(`Not a StageForge show file: ${path.basename(filePath)}`);
+    }
+    if (!Number.isInteger(data.version) || data.version > CONSTANTS.SHOW.VERSION) {
+      throw new Error(`Unsupported show file version: ${data.version}`);
+    }
+    return data;
+  }
+
+  /**
+   * Write the show to a file
+   * Writes a temporary file first so a crash cannot leave a truncated show
+   * @private
+   * @param {string} filePath - Target path
+   * @returns {Promise<void>}
+   */
+  async _write(filePath) {
+    const tempPath = `${filePath}.tmp`;
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(tempPath, JSON.stringify(this.toJSON(), null, 2));
+    await fs.rename(tempPath, filePath);
+  }
+
+  /**
+   * Mark the show as changed and schedule an autosave
+   * @private
+   */
+  _markDirty() {
+    this.dirty = true;
+    this._cancelAutosave();
+    this._autosaveTimer = setTimeout(() => {
+      this._autosaveTimer = null;
+      this._autosave();
+    }, CONSTANTS.SHOW.AUTOSAVE_DELAY_MS);
+    this.emit('changed');
+  }
+
+  /**
+   * Write the show to its file, or to the autosave file while it is untitled
+   * Failures are logged and reported with 'autosave-failed'; the show stays dirty
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _autosave() {
+    try {
+      if (this.filePath) {
+        await this.save();
+      } else {
+        await this._write(this.autosavePath);
+      }
+    } catch (error) {
+      console.error('Error autosaving show:', error);
+      this.emit('autosave-failed', error);
+    }
+  }
+
+  /**
+   * Cancel a scheduled autosave
+   * @private
+   */
+  _cancelAutosave() {
+    if (this._autosaveTimer) {
+      clearTimeout(this._autosaveTimer);
+      this._autosaveTimer = null;
+    }
+  }
+
+  /**
+   * Delete the autosave file of an untitled show
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _removeAutosave() {
+    await fs.rm(this.autosavePath, { force: true });
+  }
+}
+
+module.exports = ShowDocument;
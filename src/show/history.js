@@ -0,0 +1,92 @@
+const EventEmitter = require('events');
+const CONSTANTS = require('../utils/constants');
+
+/**
+ * LiveHistory - Stack of earlier live states, for undoing operator transitions
+ * A state is what was on air before a transition ({ programId, entryId, mode,
+ * actIndex, blackout, obsScene }); undo takes the most recent one off the stack.
+ * Only the last CONSTANTS.UNDO.HISTORY_LIMIT states are kept. Emits 'changed'
+ * with canUndo() whenever that changes
+ */
+class LiveHistory extends EventEmitter {
+  /**
+   * Create an empty history
+   * @param {number} [limit] - Number of states kept (default: CONSTANTS.UNDO.HISTORY_LIMIT)
+   */
+  constructor(limit = CONSTANTS.UNDO.HISTORY_LIMIT) {
+    super();
+    this.limit = limit;
+    this.states = [];
+  }
+
+  /**
+   * Remember the state a transition left
+   * Nothing is remembered when the transition changed nothing (e.g. Next on the last act)
+   * @param {Object} before - Live state before the transition
+   * @param {Object} after - Live state after it
+   */
+  record(before, after) {
+    if (this._isSameState(before, after)) {
+      return;
+    }
+
+    this.states.push(before);
+    if (this.states.length > this.limit) {
+      this.states.shift();
+    }
+    this._emitChanged();
+  }
+
+  /**
+   * Take the most recent state off the stack
+   * @returns {Object|null} Live state, or null if there is nothing to undo
+   */
+  pop() {
+    const state = this.states.pop() || null;
+    this._emitChanged();
+    return state;
+  }
+
+  /**
+   * Forget all states, e.g. when the program is stopped or another one is started
+   */
+  clear() {
+    if (this.states.length > 0) {
+      this.states = [];
+      this._emitChanged();
+    }
+  }
+
+  /**
+   * Check whether there is a state to go back to
+   * @returns {boolean} True if undo is possible
+   */
+  canUndo() {
+    return this.states.length > 0;
+  }
+
+  /**
+   * Compare two live states
+   * @private
+   * @param {Object} a - Live state
+   * @param {Object} b - Live state
+   * @returns {boolean} True if the same thing is on air in both
+   */
+  _isSameState(a, b) {
+    return a.programId === b.programId &&
+      a.entryId === b.entryId &&
+      a.actIndex === b.actIndex &&
+      a.blackout === b.blackout &&
+      a.obsScene === b.obsScene;
+  }
+
+  /**
+   * Report whether undo is possible
+   * @private
+   */
+  _emitChanged() {
+    this.emit('changed', this.canUndo());
+  }
+}
+
+module.exports = LiveHistory;
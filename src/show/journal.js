@@ -0,0 +1,93 @@
+const fs = require('fs').promises;
+const path = require('path');
+const CONSTANTS = require('../utils/constants');
+
+/**
+ * ShowJournal - On-disk record of what is on air, for crash recovery
+ * Every transition overwrites the journal; a clean exit removes it. Writes are
+ * queued so they land in the order they were made, and each one replaces the
+ * file atomically so a crash mid-write leaves the previous state
+ */
+class ShowJournal {
+  /**
+   * Create a journal
+   * @param {string} filePath - Journal file path
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+    this._queue = Promise.resolve();
+  }
+
+  /**
+   * Read the state journaled by the last session
+   * @returns {Promise<Object|null>} Journaled state, or null if there is none (clean exit)
+   */
+  async load() {
+    let data;
+    try {
+      data = JSON.parse(await fs.readFile(this.filePath, 'utf-8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('Error reading live journal:', error.message);
+      }
+      return null;
+    }
+
+    if (!data || data.version !== CONSTANTS.SHOW.JOURNAL_VERSION || typeof data.programId !== 'string') {
+      console.error('Ignoring live journal in an unknown format');
+      return null;
+    }
+    return data;
+  }
+
+  /**
+   * Journal the current live state
+   * @param {Object} state - Live state ({ showFile, programId, programName, entryId, mode,
+   *   actIndex, onAir, blackout, display })
+   * @returns {Promise<void>} Resolves once this state is on disk
+   */
+  record(state) {
+    const data = {
+      version: CONSTANTS.SHOW.JOURNAL_VERSION,
+      ...state,
+      updatedAt: new Date().toISOString()
+    };
+    return this._enqueue(() => this._write(data));
+  }
+
+  /**
+   * Remove the journal (nothing on air, or a clean exit)
+   * @returns {Promise<void>} Resolves once the journal is gone
+   */
+  clear() {
+    return this._enqueue(() => fs.rm(this.filePath, { force: true }));
+  }
+
+  /**
+   * Run a journal operation after the ones before it, logging rather than throwing
+   * @private
+   * @param {Function} operation - Returns a promise
+   * @returns {Promise<void>}
+   */
+  _enqueue(operation) {
+    this._queue = this._queue.then(operation).catch(error => {
+      console.error('Error writing live journal:', error);
+    });
+    return this._queue;
+  }
+
+  /**
+   * Write the journal through a temporary file
+   * @private
+   * @param {Object} data - Journal data
+   * @returns {Promise<void>}
+   */
+  async _write(data) {
+    const tempPath = `${this.filePath}.tmp`;
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.writeFile(tempPath, JSON.stringify(data, null, 2));
+    await fs.rename(tempPath, this.filePath);
+  }
+}
+
+module.exports = ShowJournal;
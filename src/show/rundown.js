@@ -0,0 +1,214 @@
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const CONSTANTS = require('../utils/constants');
+
+/**
+ * Rundown - Ordered list of the programs in a show
+ * Entries reference programs by ID and carry per-entry settings
+ * (CONSTANTS.SHOW.ENTRY_DEFAULTS). The rundown is saved as part of the show
+ * document (see src/show/document.js); every change emits 'changed'
+ */
+class Rundown extends EventEmitter {
+  /**
+   * Create an empty rundown
+   */
+  constructor() {
+    super();
+    this.entries = [];
+  }
+
+  /**
+   * Replace all entries, e.g. with those of an opened show
+   * Entries without a program ID are dropped; missing settings get their defaults
+   * @param {Array<Object>} entries - Saved entries
+   */
+  setEntries(entries) {
+    this.entries = (Array.isArray(entries) ? entries : [])
+      .filter(entry => entry && typeof entry.programId === 'string')
+      .map(entry => ({
+        ...CONSTANTS.SHOW.ENTRY_DEFAULTS,
+        ...entry,
+        id: entry.id || crypto.randomUUID()
+      }));
+  }
+
+  /**
+   * Get the entry at a position
+   * @param {number} index - Zero-based position
+   * @returns {Object|null} Entry, or null if out of range
+   */
+  getEntry(index) {
+    return this.entries[index] || null;
+  }
+
+  /**
+   * Find the position of an entry
+   * @param {string} entryId - Entry identifier
+   * @returns {number} Zero-based position, or -1 if not found
+   */
+  indexOf(entryId) {
+    return this.entries.findIndex(entry => entry.id === entryId);
+  }
+
+  /**
+   * Append a program to the rundown (or insert it at a position)
+   * The same program may appear more than once
+   * @param {string} programId - Program identifier
+   * @param {Object} [settings] - Entry settings (see CONSTANTS.SHOW.ENTRY_DEFAULTS)
+   * @param {number} [index] - Position to insert at (default: end)
+   * @returns {Object} Created entry
+   * @throws {Error} If the program ID or settings are invalid
+   */
+  addEntry(programId, settings = {}, index = this.entries.length) {
+    if (typeof programId !== 'string' || programId.trim() === '') {
+      throw new Error('Invalid program ID');
+    }
+    this._validateSettings(settings);
+
+    const entry = {
+      id: crypto.randomUUID(),
+      programId,
+      ...CONSTANTS.SHOW.ENTRY_DEFAULTS,
+      ...this._pickSettings(settings)
+    };
+    this.entries.splice(this._clampPosition(index, this.entries.length), 0, entry);
+    this.emit('changed');
+    return entry;
+  }
+
+  /**
+   * Remove an entry
+   * @param {string} entryId - Entry identifier
+   * @throws {Error} If the entry does not exist
+   */
+  removeEntry(entryId) {
+    this.entries.splice(this._requireIndex(entryId), 1);
+    this.emit('changed');
+  }
+
+  /**
+   * Move an entry to a new position
+   * @param {string} entryId - Entry identifier
+   * @param {number} toIndex - Zero-based target position
+   * @throws {Error} If the entry does not exist
+   */
+  moveEntry(entryId, toIndex) {
+    const [entry] = this.entries.splice(this._requireIndex(entryId), 1);
+    this.entries.splice(this._clampPosition(toIndex, this.entries.length), 0, entry);
+    this.emit('changed');
+  }
+
+  /**
+   * Change the settings of an entry
+   * @param {string} entryId - Entry identifier
+   * @param {Object} settings - Settings to change (see CONSTANTS.SHOW.ENTRY_DEFAULTS)
+   * @returns {Object} Updated entry
+   * @throws {Error} If the entry does not exist or the settings are invalid
+   */
+  updateEntry(entryId, settings) {
+    const index = this._requireIndex(entryId);
+    this._validateSettings(settings);
+
+    this.entries[index] = { ...this.entries[index], ...this._pickSettings(settings) };
+    this.emit('changed');
+    return this.entries[index];
+  }
+
+  /**
+   * Drop every entry that references a program (e.g. after it was deleted)
+   * @param {string} programId - Program identifier
+   * @returns {boolean} True if any entry was removed
+   */
+  removeProgram(programId) {
+    const remaining = this.entries.filter(entry => entry.programId !== programId);
+    if (remaining.length === this.entries.length) {
+      return false;
+    }
+
+    this.entries = remaining;
+    this.emit('changed');
+    return true;
+  }
+
+  /**
+   * Serializable form of the rundown
+   * @returns {Object} Rundown data ({ version, entries })
+   */
+  toJSON() {
+    return {
+      version: CONSTANTS.SHOW.RUNDOWN_VERSION,
+      entries: this.entries
+    };
+  }
+
+  /**
+   * Find an entry's position or fail
+   * @private
+   * @param {string} entryId - Entry identifier
+   * @returns {number} Zero-based position
+   * @throws {Error} If the entry does not exist
+   */
+  _requireIndex(entryId) {
+    const index = this.indexOf(entryId);
+    if (index === -1) {
+      throw new Error(`Rundown entry not found: ${entryId}`);
+    }
+    return index;
+  }
+
+  /**
+   * Keep only known entry settings
+   * @private
+   * @param {Object} settings - Settings object
+   * @returns {Object} Known settings that are present
+   */
+  _pickSettings(settings) {
+    const picked = {};
+    for (const key of Object.keys(CONSTANTS.SHOW.ENTRY_DEFAULTS)) {
+      if (settings[key] !== undefined) {
+        picked[key] = settings[key];
+      }
+    }
+    return picked;
+  }
+
+  /**
+   * Check entry settings
+   * @private
+   * @param {Object} settings - Settings object
+   * @throws {Error} If a setting has the wrong type
+   */
+  _validateSettings(settings) {
+    if (!settings || typeof settings !== 'object') {
+      throw new Error('Invalid rundown entry settings');
+    }
+    if (settings.display !== undefined && settings.display !== null &&
+      (!Number.isInteger(settings.display) || settings.display < 0)) {
+      throw new Error('Invalid display index');
+    }
+    if (settings.autoContinue !== undefined && typeof settings.autoContinue !== 'boolean') {
+      throw new Error('Invalid auto-continue flag');
+    }
+    if (settings.startTime !== undefined && settings.startTime !== null &&
+      (typeof settings.startTime !== 'string' || !CONSTANTS.CLOCK.START_TIME_PATTERN.test(settings.startTime))) {
+      throw new Error('Invalid start time (expected HH:MM)');
+    }
+    if (settings.plannedDuration !== undefined && settings.plannedDuration !== null &&
+      (!Number.isInteger(settings.plannedDuration) || settings.plannedDuration <= 0)) {
+      throw new Error('Invalid planned duration');
+    }
+  }
+
+  /**
+   * Clamp a position into the range 0..length
+   * @private
+   * @param {number} index - Requested position
+   * @param {number} length - Number of entries
+   * @returns {number} Clamped position
+   */
+  _clampPosition(index, length) {
+    return Number.isInteger(index) ? Math.min(Math.max(index, 0), length) : length;
+  }
+}
+
+module.exports = Rundown;
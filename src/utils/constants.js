@@ -19,6 +19,9 @@ module.exports = {
     DEFAULT_HEIGHT: 1080,
     ALIGNMENT_CENTER: 5,
     BLACK_COLOR: 0xFF000000,
+    // Playback of slide audio; overridable via config.scene.audio
+    AUDIO_LOOPING: false,
+    AUDIO_RESTART_ON_ACTIVATE: true,
   },
   
   // Timing
@@ -27,6 +30,21 @@ module.exports = {
     LO_GRACEFUL_SHUTDOWN_MS: 1000,
     LO_FORCE_KILL_MS: 3000,
     LO_CONVERSION_TIMEOUT_MS: 60000,
+    SLIDE_RASTERIZE_TIMEOUT_MS: 30000,
+    PDF_INFO_TIMEOUT_MS: 10000,
+    FONT_LIST_TIMEOUT_MS: 10000,
+  },
+  
+  // LibreOffice headless conversion
+  LIBREOFFICE: {
+    // Include hidden slides so PDF page N always corresponds to slide N
+    PDF_EXPORT_FILTER: 'pdf:impress_pdf_Export:{"ExportHiddenSlides":{"type":"boolean","value":"true"}}',
+    CONVERSION_PROFILE_DIR: 'stageforge-lo-profile',
+  },
+  
+  // Slide image export
+  SLIDES: {
+    DEFAULT_IMAGE_WIDTH: 1920,
   },
   
   // Keyboard keys
@@ -43,20 +61,190 @@ module.exports = {
   EXTENSIONS: {
     IMAGE: /\.(png|jpg|jpeg)$/i,
     VIDEO: /\.(mp4|avi|mov|mkv|webm)$/i,
+    AUDIO: /\.(mp3|wav|m4a|aac|ogg|flac)$/i,
     PRESENTATION: /\.(ppt|pptx|odp)$/i,
+    PDF: /\.pdf$/i,
+  },
+  
+  // Pre-show deck validation (see src/ppt/deck-validator.js)
+  VALIDATION: {
+    TARGET_ASPECT_RATIO: 16 / 9,
+    ASPECT_RATIO_TOLERANCE: 0.01,
+    MAX_IMAGE_BYTES: 10 * 1024 * 1024,
+    MAX_VIDEO_BYTES: 1024 * 1024 * 1024,
+    // Office theme fonts every show machine has, or LibreOffice swaps for a
+    // metric-compatible font; never reported as missing
+    STANDARD_FONTS: [
+      'Arial', 'Calibri', 'Calibri Light', 'Cambria', 'Cambria Math',
+      'Courier New', 'Symbol', 'Times New Roman', 'Wingdings',
+    ],
+    SEVERITY: {
+      ERROR: 'error',
+      WARNING: 'warning',
+    },
+    CODES: {
+      LINKED_MEDIA: 'linked-media',
+      FONTS_NOT_EMBEDDED: 'fonts-not-embedded',
+      SLIDE_SIZE: 'slide-size',
+      LARGE_MEDIA: 'large-media',
+      UNSUPPORTED_MEDIA: 'unsupported-media',
+    },
+  },
+  
+  // Import progress stages (PPTProcessor 'progress' events)
+  IMPORT_STAGES: {
+    COPYING: 'copying',
+    COUNTING: 'counting',
+    VALIDATING: 'validating',
+    CONVERTING: 'converting',
+    EXTRACTING_MEDIA: 'extracting-media',
+    SAVING: 'saving',
+  },
+  
+  // How to handle importing a deck that is already in the library
+  IMPORT_CONFLICT: {
+    REPLACE: 'replace',
+    KEEP_BOTH: 'keep-both',
+    UPDATE: 'update',
+  },
+  
+  // Version of the program metadata.json shape (see src/ppt/program-schema.js)
+  PROGRAM_SCHEMA_VERSION: 2,
+  
+  // Portable program bundles (.sfprog)
+  BUNDLE: {
+    EXTENSION: 'sfprog',
+    FORMAT: 'stageforge-program',
+    VERSION: 1,
+    MANIFEST: 'manifest.json',
+    // Paths inside the bundle are stored as sfprog://<folder>/<file>
+    PATH_SCHEME: 'sfprog://',
+    FOLDERS: {
+      programDir: 'program',
+      slideDir: 'slides',
+      videoDir: 'videos',
+    },
+  },
+  
+  // Per-act fields set by the operator rather than read from the deck;
+  // kept when a program is refreshed from an updated deck
+  // (live starts out from the slide's animations but the operator has the last word)
+  ACT_OPERATOR_FIELDS: ['customName', 'operatorNotes', 'timing', 'live'],
+  
+  // Program IDs: <slug>_<first N hex chars of the deck's SHA-1>
+  PROGRAM_ID: {
+    HASH_LENGTH: 8,
+    MAX_SLUG_LENGTH: 60,
+    FALLBACK_SLUG: 'program',
+    STAGING_SUFFIX: '.updating',
+    BACKUP_SUFFIX: '.replaced',
   },
   
   // Modes
   MODES: {
     RENDERER: 'renderer',
     SCENE: 'scene',
+    MEDIA: 'media',
+    HYBRID: 'hybrid',
+  },
+
+  // Media playlist programs (see src/modes/media.js); overridable via config.media
+  MEDIA: {
+    AUTO_ADVANCE: false,
+  },
+
+  // Looping act ranges (walk-in, intermission), see SceneMode
+  LOOPS: {
+    // Dwell per act when neither the act nor the loop sets one
+    DEFAULT_DWELL_MS: 8000,
+    // exitTo value that leaves the loop for the next program in the rundown
+    EXIT_NEXT_PROGRAM: 'next-program',
   },
   
   // Paths
   PATHS: {
     DATA: 'data',
+    LIBRARY: 'library',
     PROGRAMS: 'programs',
     SLIDES: 'slides',
     VIDEOS: 'videos',
   },
+  
+  // User settings (settings.json in Electron's userData directory)
+  SETTINGS: {
+    FILE: 'settings.json',
+    DEFAULTS: {
+      // Program library root; null uses <userData>/library
+      libraryPath: null,
+      // Set once the pre-userData ./data library has been moved
+      legacyDataMigrated: false,
+      // Recently opened .sfshow files, most recent first
+      recentShows: [],
+    },
+  },
+  
+  // Cue lists (see src/show/cue-list.js and src/show/cue-engine.js)
+  CUES: {
+    // Action types a cue can run; the scene:* IPC handlers dispatch the same actions
+    ACTIONS: {
+      NEXT: 'next',
+      PREV: 'prev',
+      ACT: 'act',
+      BLACKOUT: 'blackout',
+      START_PROGRAM: 'start-program',
+      STOP_PROGRAM: 'stop-program',
+      PLAY_MEDIA: 'play-media',
+      TRANSITION: 'transition',
+      WAIT: 'wait',
+    },
+  },
+
+  // Show clock and segment timers (see src/show/clock.js)
+  CLOCK: {
+    // A timer turns to a warning this long before its planned end or scheduled start
+    WARNING_MS: 60000,
+    // Scheduled start times are local wall-clock times of day
+    START_TIME_PATTERN: /^([01]\d|2[0-3]):[0-5]\d$/,
+  },
+
+  // Undo of live transitions (see src/show/history.js)
+  UNDO: {
+    HISTORY_LIMIT: 50,
+  },
+
+  // Show documents (.sfshow, see src/show/document.js), their rundown
+  // (the ordered programs of an event, see src/show/rundown.js) and cue list
+  SHOW: {
+    EXTENSION: 'sfshow',
+    FORMAT: 'stageforge-show',
+    VERSION: 1,
+    // Untitled shows are autosaved here (in userData) until saved under a name
+    AUTOSAVE_FILE: 'untitled.sfshow',
+    AUTOSAVE_DELAY_MS: 1500,
+    MAX_RECENT: 10,
+    SETTINGS_DEFAULTS: {
+      // OBS WebSocket address; null uses OBS.DEFAULT_ADDRESS
+      obsAddress: null,
+      display: 0,
+    },
+    // Per-act settings kept in the show and laid over the program's acts
+    // (act timing belongs to the program, see PPTProcessor.setActDurations)
+    ACT_FIELDS: ['operatorNotes'],
+    RUNDOWN_VERSION: 1,
+    CUE_LIST_VERSION: 1,
+    ENTRY_DEFAULTS: {
+      // Display for LibreOffice; null uses the display chosen in the sidebar
+      display: null,
+      // Next on the last act starts the following entry
+      autoContinue: true,
+      // Scheduled start ("HH:MM", local time); null for none
+      startTime: null,
+      // Planned running time in milliseconds; null for none
+      plannedDuration: null,
+    },
+    // What was on air, journaled on every transition (in userData) and removed
+    // on a clean exit; if it is still there at launch the app did not quit cleanly
+    JOURNAL_FILE: 'live-journal.json',
+    JOURNAL_VERSION: 1,
+  },
 };
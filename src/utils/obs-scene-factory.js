@@ -177,7 +177,42 @@ class OBSSceneFactory {
   }
 
   /**
-   * Create a subscene for video playback
+   * Add audio source (media source without video) to scene
+   * Looping and restart-on-activate come from config.scene.audio unless overridden
+   * @param {string} sceneName - Scene to add audio to
+   * @param {string} audioPath - Path to audio file
+   * @param {Object} [options] - Playback options
+   * @param {boolean} [options.looping] - Loop the clip while the scene is active
+   * @param {boolean} [options.restartOnActivate] - Restart from the top whenever the scene becomes active
+   * @param {string} [inputName] - Optional custom input name
+   * @returns {Promise<string>} Created input name
+   */
+  async addAudioSource(sceneName, audioPath, options = {}, inputName = null) {
+    const inputNameFinal = inputName || `${sceneName}_Audio`;
+    const settings = this.config?.scene?.audio || {};
+    
+    try {
+      await this.obs.call('CreateInput', {
+        sceneName,
+        inputName: inputNameFinal,
+        inputKind: 'ffmpeg_source',
+        inputSettings: {
+          local_file: audioPath,
+          looping: options.looping ?? settings.looping ?? CONSTANTS.OBS.AUDIO_LOOPING,
+          restart_on_activate: options.restartOnActivate ?? settings.restartOnActivate ?? CONSTANTS.OBS.AUDIO_RESTART_ON_ACTIVATE,
+          clear_on_media_end: false
+        }
+      });
+    } catch (err) {
+      console.error('Error creating audio source:', err);
+    }
+    
+    return inputNameFinal;
+  }
+
+  /**
+   * Create a subscene for video playback, nested in its parent scene so the
+   * video plays whenever the parent scene is live
    * @param {string} parentSceneName - Parent scene name
    * @param {string} videoPath - Path to video file
    * @param {number} [subsceneIndex] - Subscene index (default: 0)
@@ -192,9 +227,27 @@ class OBSSceneFactory {
     // Add video to subscene
     await this.addVideoSource(subsceneName, videoPath);
     
+    // Show the subscene in the parent scene, above what is already there
+    await this.addSceneItem(parentSceneName, subsceneName);
+    
     return subsceneName;
   }
 
+  /**
+   * Add an existing source (or scene, nested) to a scene
+   * @param {string} sceneName - Scene to add the item to
+   * @param {string} sourceName - Source or scene to add
+   * @returns {Promise<number>} Created scene item ID
+   */
+  async addSceneItem(sceneName, sourceName) {
+    const { sceneItemId } = await this.obs.call('CreateSceneItem', {
+      sceneName,
+      sourceName,
+      sceneItemEnabled: true
+    });
+    return sceneItemId;
+  }
+
   /**
    * Switch to a scene (make it the current program scene)
    * @param {string} sceneName - Scene to switch to
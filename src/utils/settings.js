@@ -0,0 +1,72 @@
+const fs = require('fs').promises;
+const path = require('path');
+const CONSTANTS = require('./constants');
+
+/**
+ * SettingsStore - Persists user settings as a JSON file
+ * Kept in Electron's userData directory so settings survive app updates and
+ * work in packaged (read-only) builds
+ */
+class SettingsStore {
+  /**
+   * Create a settings store
+   * @param {string} filePath - Path to the settings JSON file
+   * @param {Object} [defaults] - Default values for missing settings
+   */
+  constructor(filePath, defaults = CONSTANTS.SETTINGS.DEFAULTS) {
+    this.filePath = filePath;
+    this.defaults = defaults;
+    this.values = { ...defaults };
+  }
+
+  /**
+   * Load settings from disk, falling back to defaults if the file is missing or unreadable
+   * @returns {Promise<Object>} Loaded settings
+   */
+  async load() {
+    try {
+      const data = await fs.readFile(this.filePath, 'utf-8');
+      this.values = { ...this.defaults, ...JSON.parse(data) };
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('Error loading settings, using defaults:', error.message);
+      }
+      this.values = { ...this.defaults };
+    }
+    return this.values;
+  }
+
+  /**
+   * Get a setting
+   * @param {string} key - Setting name
+   * @returns {*} Setting value
+   */
+  get(key) {
+    return this.values[key];
+  }
+
+  /**
+   * Change a setting and save
+   * @param {string} key - Setting name
+   * @param {*} value - New value
+   * @returns {Promise<void>}
+   */
+  async set(key, value) {
+    this.values[key] = value;
+    await this.save();
+  }
+
+  /**
+   * Write settings to disk
+   * Writes a temporary file first so a crash cannot leave a truncated settings file
+   * @returns {Promise<void>}
+   */
+  async save() {
+    const tempPath = `${this.filePath}.tmp`;
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.writeFile(tempPath, JSON.stringify(this.values, null, 2));
+    await fs.rename(tempPath, this.filePath);
+  }
+}
+
+module.exports = SettingsStore;
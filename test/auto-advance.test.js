@@ -0,0 +1,173 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const EventEmitter = require('events');
+const AutoAdvance = require('../src/show/auto-advance');
+
+/**
+ * Show controller stand-in playing one program whose acts last the given times
+ */
+class FakeShow extends EventEmitter {
+  /**
+   * @param {Array<number|null>} durations - Planned duration of each act, null to wait for the operator
+   */
+  constructor(durations) {
+    super();
+    this.currentProgram = {
+      id: 'concert',
+      acts: durations.map(duration => (duration ? { timing: { duration } } : {}))
+    };
+    this.actIndex = -1;
+    this.blackout = false;
+    this.loop = null;
+  }
+
+  getStatus() {
+    return this.actIndex === -1 ? null : {
+      programId: 'concert', entryId: 'e1', onAir: true, blackout: this.blackout, loop: this.loop
+    };
+  }
+
+  getCurrentActIndex() {
+    return this.actIndex;
+  }
+
+  canAdvance() {
+    return this.actIndex < this.currentProgram.acts.length - 1;
+  }
+
+  async next() {
+    this.goTo(this.actIndex + 1);
+  }
+
+  /**
+   * Put an act on air
+   * @param {number} actIndex - Zero-based act index
+   */
+  goTo(actIndex) {
+    this.actIndex = actIndex;
+    this.emit('state-changed');
+  }
+
+  /**
+   * Switch the blackout scene on or off
+   * @param {boolean} blackout - Whether the blackout scene is on air
+   */
+  setBlackout(blackout) {
+    this.blackout = blackout;
+    this.emit('state-changed');
+  }
+}
+
+/**
+ * Auto-advance over a fake show, with the clock mocked
+ * @param {Object} t - Test context
+ * @param {Array<number|null>} durations - Planned duration of each act
+ * @returns {Object} { show, autoAdvance }
+ */
+function setUp(t, durations) {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: new Date('2026-05-01T19:00:00Z') });
+  const show = new FakeShow(durations);
+  return { show, autoAdvance: new AutoAdvance(show) };
+}
+
+test('acts with a duration move on when it runs out, and the others wait', async (t) => {
+  const { show, autoAdvance } = setUp(t, [3000, null, 2000]);
+  show.goTo(0);
+  assert.strictEqual(autoAdvance.getStatus().running, true);
+
+  t.mock.timers.tick(2999);
+  assert.strictEqual(show.actIndex, 0);
+  t.mock.timers.tick(1);
+  assert.strictEqual(show.actIndex, 1);
+  assert.strictEqual(autoAdvance.getStatus().running, false);
+  assert.strictEqual(autoAdvance.getStatus().remaining, null);
+
+  await autoAdvance.skip();
+  t.mock.timers.tick(2000);
+  assert.strictEqual(show.actIndex, 2);
+  assert.strictEqual(autoAdvance.getStatus().running, false);
+});
+
+test('a manual transition restarts the countdown', (t) => {
+  const { show, autoAdvance } = setUp(t, [3000, 3000]);
+  show.goTo(1);
+  t.mock.timers.tick(2000);
+  show.goTo(0);
+
+  assert.strictEqual(autoAdvance.getStatus().remaining, 3000);
+  t.mock.timers.tick(2999);
+  assert.strictEqual(show.actIndex, 0);
+});
+
+test('pausing and the blackout scene hold the countdown where it was', (t) => {
+  const { show, autoAdvance } = setUp(t, [5000, 5000]);
+  show.goTo(0);
+  t.mock.timers.tick(1000);
+
+  autoAdvance.pause();
+  t.mock.timers.tick(10000);
+  assert.strictEqual(show.actIndex, 0);
+  assert.deepStrictEqual([autoAdvance.getStatus().running, autoAdvance.getStatus().remaining], [false, 4000]);
+
+  autoAdvance.resume();
+  t.mock.timers.tick(1000);
+  show.setBlackout(true);
+  t.mock.timers.tick(10000);
+  assert.strictEqual(show.actIndex, 0);
+  assert.strictEqual(autoAdvance.getStatus().remaining, 3000);
+
+  show.setBlackout(false);
+  t.mock.timers.tick(3000);
+  assert.strictEqual(show.actIndex, 1);
+});
+
+test('changed durations restart the countdown of the act on air', (t) => {
+  const { show, autoAdvance } = setUp(t, [5000, null]);
+  show.goTo(0);
+  t.mock.timers.tick(4000);
+
+  show.currentProgram.acts[0].timing.duration = 2000;
+  autoAdvance.reload();
+  t.mock.timers.tick(1999);
+  assert.strictEqual(show.actIndex, 0);
+  t.mock.timers.tick(1);
+  assert.strictEqual(show.actIndex, 1);
+});
+
+test('a rehearsal records the time on each act instead of advancing', (t) => {
+  const { show, autoAdvance } = setUp(t, [1000, null, null]);
+  show.goTo(0);
+  autoAdvance.startRehearsal();
+
+  t.mock.timers.tick(4400);
+  assert.strictEqual(show.actIndex, 0);
+  show.goTo(1);
+  t.mock.timers.tick(200);
+  show.goTo(0);
+  t.mock.timers.tick(2600);
+  show.goTo(2);
+  t.mock.timers.tick(7000);
+
+  assert.deepStrictEqual(autoAdvance.stopRehearsal(), [
+    { programId: 'concert', actIndex: 0, duration: 3000 },
+    { programId: 'concert', actIndex: 1, duration: 1000 },
+    { programId: 'concert', actIndex: 2, duration: 7000 }
+  ]);
+  assert.strictEqual(autoAdvance.getStatus().rehearsing, false);
+  assert.strictEqual(autoAdvance.getStatus().elapsed, 0);
+});
+
+test('a failed advance is reported', async (t) => {
+  const { show, autoAdvance } = setUp(t, [1000, null]);
+  t.mock.method(console, 'error', () => {});
+  t.mock.method(show, 'next', async () => {
+    throw new Error('OBS disconnected');
+  });
+  const failed = new Promise(resolve => autoAdvance.once('advance-failed', resolve));
+  show.goTo(0);
+
+  t.mock.timers.tick(1000);
+
+  assert.match((await failed).message, /OBS disconnected/);
+  assert.strictEqual(autoAdvance.getStatus().running, false);
+});
@@ -0,0 +1,121 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const EventEmitter = require('events');
+const CONSTANTS = require('../src/utils/constants');
+const Rundown = require('../src/show/rundown');
+const ShowClock = require('../src/show/clock');
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Stand-in for the show controller, with nothing on air
+ * @returns {EventEmitter} Show controller
+ */
+function createShow() {
+  const show = new EventEmitter();
+  show.rundown = new Rundown();
+  show.currentProgram = null;
+  show.getStatus = () => ({ onAir: false });
+  show.getCurrentActIndex = () => -1;
+  return show;
+}
+
+/**
+ * Local time on a day without a daylight saving change
+ * @param {number} hours - Hour of day
+ * @param {number} minutes - Minutes
+ * @returns {number} Timestamp
+ */
+function at(hours, minutes) {
+  return new Date(2026, 0, 15, hours, minutes).getTime();
+}
+
+test('a start time refers to its nearest occurrence', () => {
+  const clock = new ShowClock(createShow());
+
+  assert.strictEqual(clock._getScheduledTime('20:00', at(19, 30)), at(20, 0));
+  assert.strictEqual(clock._getScheduledTime('19:00', at(19, 30)), at(19, 0));
+  // Shows running past midnight look ahead to tomorrow or back to yesterday
+  assert.strictEqual(clock._getScheduledTime('00:15', at(23, 30)), at(24, 15));
+  assert.strictEqual(clock._getScheduledTime('23:50', at(0, 30)), at(-1, 50));
+});
+
+test('countdowns turn to a warning and then an overrun', () => {
+  const clock = new ShowClock(createShow());
+  const warning = CONSTANTS.CLOCK.WARNING_MS;
+
+  assert.strictEqual(clock._judgeCountdown(warning + 1), 'ok');
+  assert.strictEqual(clock._judgeCountdown(warning), 'warning');
+  assert.strictEqual(clock._judgeCountdown(0), 'warning');
+  assert.strictEqual(clock._judgeCountdown(-1), 'overrun');
+});
+
+test('running times are judged against their plan', () => {
+  const clock = new ShowClock(createShow());
+
+  assert.strictEqual(clock._judgeRunningTime(90 * MINUTE, null), 'ok');
+  assert.strictEqual(clock._judgeRunningTime(MINUTE, 10 * MINUTE), 'ok');
+  assert.strictEqual(clock._judgeRunningTime(9.5 * MINUTE, 10 * MINUTE), 'warning');
+  assert.strictEqual(clock._judgeRunningTime(11 * MINUTE, 10 * MINUTE), 'overrun');
+});
+
+test('the next segment is the first scheduled entry after the one on air', (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  const show = createShow();
+  const clock = new ShowClock(show);
+  const opening = show.rundown.addEntry('opening');
+  const speech = show.rundown.addEntry('speech', { startTime: '20:00' });
+  show.rundown.addEntry('awards', { startTime: '21:00' });
+
+  assert.deepStrictEqual(clock._findNextSegment(at(19, 30)), {
+    entryId: speech.id, programId: 'speech', startTime: '20:00', countdown: 30 * MINUTE
+  });
+
+  show.getStatus = () => ({ onAir: true, programId: 'speech', entryId: speech.id });
+  show.emit('state-changed');
+  assert.strictEqual(clock._findNextSegment(at(19, 30)).programId, 'awards');
+  assert.strictEqual(clock.getStatus().program.entryId, speech.id);
+  assert.strictEqual(clock.getStatus().show.running, true);
+
+  show.getStatus = () => ({ onAir: true, programId: 'opening', entryId: opening.id });
+  show.emit('state-changed');
+  assert.strictEqual(clock._findNextSegment(at(19, 30)).programId, 'speech');
+  clock._clearTimer();
+});
+
+test('the program timer follows the planned duration of its rundown entry', (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  const show = createShow();
+  const clock = new ShowClock(show);
+  const entry = show.rundown.addEntry('speech', { plannedDuration: 10 * MINUTE });
+  const statuses = [];
+  clock.on('changed', status => statuses.push(status));
+
+  show.getStatus = () => ({ onAir: true, programId: 'speech', entryId: entry.id });
+  show.emit('state-changed');
+  assert.strictEqual(statuses.at(-1).program.planned, 10 * MINUTE);
+  assert.strictEqual(statuses.at(-1).program.state, 'ok');
+  assert.strictEqual(statuses.at(-1).act, null);
+
+  show.getStatus = () => ({ onAir: false });
+  show.emit('state-changed');
+  assert.strictEqual(statuses.at(-1).program, null);
+  assert.strictEqual(statuses.at(-1).show.running, true);
+
+  clock.resetShow();
+  assert.strictEqual(statuses.at(-1).show.running, false);
+  clock._clearTimer();
+});
+
+test('rundown entries accept a start time and a planned duration', () => {
+  const rundown = new Rundown();
+  const entry = rundown.addEntry('speech', { startTime: '09:05', plannedDuration: 15 * MINUTE });
+
+  assert.strictEqual(entry.startTime, '09:05');
+  assert.strictEqual(entry.plannedDuration, 15 * MINUTE);
+  assert.strictEqual(rundown.updateEntry(entry.id, { startTime: null }).startTime, null);
+  assert.throws(() => rundown.addEntry('a', { startTime: '9:05' }), /Invalid start time/);
+  assert.throws(() => rundown.addEntry('a', { startTime: '24:00' }), /Invalid start time/);
+  assert.throws(() => rundown.addEntry('a', { plannedDuration: 0 }), /Invalid planned duration/);
+  assert.throws(() => rundown.addEntry('a', { plannedDuration: 1.5 }), /Invalid planned duration/);
+});
@@ -0,0 +1,112 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const CONSTANTS = require('../src/utils/constants');
+const CueList = require('../src/show/cue-list');
+const CueEngine = require('../src/show/cue-engine');
+
+const ACTIONS = CONSTANTS.CUES.ACTIONS;
+
+/**
+ * Build a cue list and an engine that records the actions it carries out
+ * @param {Array<Array<Object>>} cueActions - Actions of each cue, numbered 1, 2, ...
+ * @returns {Object} { cueList, engine, done } - done lists the dispatched action types
+ */
+function setUp(cueActions) {
+  const cueList = new CueList();
+  cueActions.forEach((actions, index) => cueList.addCue({ number: index + 1, label: '', actions }));
+  const engine = new CueEngine(cueList);
+  const done = [];
+  for (const type of [ACTIONS.NEXT, ACTIONS.PREV, ACTIONS.BLACKOUT]) {
+    engine.registerAction(type, () => done.push(type));
+  }
+  return { cueList, engine, done };
+}
+
+test('the first cue starts in standby', () => {
+  const { cueList, engine } = setUp([[], []]);
+
+  assert.deepStrictEqual(engine.getStatus(), {
+    standbyId: cueList.cues[0].id, standbyIndex: 0, lastCueId: null, running: []
+  });
+  assert.strictEqual(new CueEngine(new CueList()).getStatus().standbyId, null);
+});
+
+test('GO runs the standby cue in order and puts the next one in standby', async () => {
+  const { cueList, engine, done } = setUp([[{ type: ACTIONS.NEXT }, { type: ACTIONS.BLACKOUT }], [{ type: ACTIONS.PREV }]]);
+
+  const first = await engine.go();
+  assert.strictEqual(first, cueList.cues[0]);
+  assert.deepStrictEqual(done, [ACTIONS.NEXT, ACTIONS.BLACKOUT]);
+  assert.strictEqual(engine.getStatus().standbyIndex, 1);
+  assert.strictEqual(engine.getStatus().lastCueId, first.id);
+
+  await engine.go();
+  assert.deepStrictEqual(done, [ACTIONS.NEXT, ACTIONS.BLACKOUT, ACTIONS.PREV]);
+  assert.strictEqual(engine.getStatus().standbyId, null);
+  await assert.rejects(engine.go(), /No cue in standby/);
+});
+
+test('the next cue is in standby while a cue is still running', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  const { cueList, engine, done } = setUp([[{ type: ACTIONS.WAIT, duration: 5000 }, { type: ACTIONS.NEXT }], []]);
+
+  const running = engine.go();
+  await Promise.resolve();
+  assert.deepStrictEqual(engine.getStatus().running, [cueList.cues[0].id]);
+  assert.strictEqual(engine.getStatus().standbyIndex, 1);
+  assert.deepStrictEqual(done, []);
+
+  t.mock.timers.tick(5000);
+  await running;
+  assert.deepStrictEqual(done, [ACTIONS.NEXT]);
+  assert.deepStrictEqual(engine.getStatus().running, []);
+});
+
+test('a failing action stops the rest of its cue', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const { cueList, engine, done } = setUp([[{ type: ACTIONS.BLACKOUT }, { type: ACTIONS.STOP_PROGRAM }, { type: ACTIONS.NEXT }], []]);
+  engine.registerAction(ACTIONS.STOP_PROGRAM, () => {
+    throw new Error('Nothing on air');
+  });
+
+  await assert.rejects(engine.go(), /Nothing on air/);
+  assert.deepStrictEqual(done, [ACTIONS.BLACKOUT]);
+  assert.strictEqual(engine.getStatus().standbyId, cueList.cues[1].id);
+  assert.deepStrictEqual(engine.getStatus().running, []);
+});
+
+test('actions without a handler are refused', async () => {
+  const { engine } = setUp([]);
+
+  await assert.rejects(engine.dispatch({ type: ACTIONS.PLAY_MEDIA, programId: 'p1' }), /Unknown cue action: play-media/);
+});
+
+test('any cue can be put in standby, and reset starts over', async () => {
+  const { cueList, engine } = setUp([[], [], []]);
+
+  engine.setStandby(cueList.cues[2].id);
+  await engine.go();
+  assert.strictEqual(engine.getStatus().standbyId, null);
+  assert.throws(() => engine.setStandby('missing'), /Cue not found: missing/);
+
+  engine.reset();
+  assert.deepStrictEqual(engine.getStatus(), {
+    standbyId: cueList.cues[0].id, standbyIndex: 0, lastCueId: null, running: []
+  });
+});
+
+test('removing the standby cue puts the cue after the last one run in standby', async () => {
+  const { cueList, engine } = setUp([[], [], []]);
+  const [first, second, third] = cueList.cues;
+
+  await engine.go();
+  assert.strictEqual(engine.getStatus().standbyId, second.id);
+  cueList.removeCue(second.id);
+  assert.strictEqual(engine.getStatus().standbyId, third.id);
+
+  await engine.go();
+  const added = cueList.addCue({ number: 4, label: '', actions: [] });
+  assert.strictEqual(engine.getStatus().standbyId, added.id);
+  assert.strictEqual(engine.getStatus().lastCueId, third.id);
+  assert.notStrictEqual(first.id, added.id);
+});
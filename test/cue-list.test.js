@@ -0,0 +1,101 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const CONSTANTS = require('../src/utils/constants');
+const CueList = require('../src/show/cue-list');
+
+const ACTIONS = CONSTANTS.CUES.ACTIONS;
+
+test('cues get an ID and keep only their own fields', () => {
+  const cueList = new CueList();
+  let changes = 0;
+  cueList.on('changed', () => changes++);
+
+  const actions = [{ type: ACTIONS.NEXT }];
+  const cue = cueList.addCue({ number: 1, label: 'Open', actions, color: 'red' });
+  actions.push({ type: ACTIONS.BLACKOUT });
+
+  assert.ok(cue.id);
+  assert.deepStrictEqual(cue, { id: cue.id, number: 1, label: 'Open', actions: [{ type: ACTIONS.NEXT }] });
+  assert.strictEqual(cueList.getCue(0), cue);
+  assert.strictEqual(cueList.indexOf(cue.id), 0);
+  assert.strictEqual(changes, 1);
+});
+
+test('cues can be inserted, moved, updated and removed', () => {
+  const cueList = new CueList();
+  const one = cueList.addCue({ number: 1, label: 'One', actions: [] });
+  const two = cueList.addCue({ number: 2, label: 'Two', actions: [] });
+  const half = cueList.addCue({ number: 1.5, label: 'Half', actions: [] }, 1);
+
+  assert.deepStrictEqual(cueList.cues.map(c => c.number), [1, 1.5, 2]);
+  cueList.moveCue(one.id, 5);
+  assert.deepStrictEqual(cueList.cues.map(c => c.number), [1.5, 2, 1]);
+
+  const updated = cueList.updateCue(half.id, { label: 'Walk-in', id: 'ignored' });
+  assert.strictEqual(updated.id, half.id);
+  assert.strictEqual(updated.label, 'Walk-in');
+  assert.strictEqual(updated.number, 1.5);
+
+  cueList.removeCue(two.id);
+  assert.deepStrictEqual(cueList.cues.map(c => c.id), [half.id, one.id]);
+  assert.throws(() => cueList.removeCue(two.id), /Cue not found/);
+});
+
+test('every action type is checked', () => {
+  const cueList = new CueList();
+  const valid = [
+    { type: ACTIONS.NEXT },
+    { type: ACTIONS.PREV },
+    { type: ACTIONS.BLACKOUT },
+    { type: ACTIONS.STOP_PROGRAM },
+    { type: ACTIONS.ACT, act: 0 },
+    { type: ACTIONS.START_PROGRAM, entryId: 'e1', act: 2, display: 1 },
+    { type: ACTIONS.START_PROGRAM, programId: 'p1' },
+    { type: ACTIONS.PLAY_MEDIA, programId: 'p1', clip: 3 },
+    { type: ACTIONS.TRANSITION, name: 'Fade', duration: 500 },
+    { type: ACTIONS.WAIT, duration: 1000 }
+  ];
+  assert.doesNotThrow(() => cueList.addCue({ number: 1, label: 'All', actions: valid }));
+
+  const invalid = [
+    [{ type: ACTIONS.ACT, act: -1 }, /act is not an act index/],
+    [{ type: ACTIONS.START_PROGRAM, entryId: ' ' }, /entryId is not an ID/],
+    [{ type: ACTIONS.PLAY_MEDIA }, /programId is not an ID/],
+    [{ type: ACTIONS.TRANSITION, name: 'Fade', duration: 0 }, /duration is not a number of milliseconds/],
+    [{ type: ACTIONS.WAIT }, /duration is not a number of milliseconds/],
+    [{ type: 'fireworks' }, /unknown action type fireworks/],
+    [null, /not an object/]
+  ];
+  for (const [action, message] of invalid) {
+    assert.throws(() => cueList.addCue({ number: 2, label: 'Bad', actions: [action] }), message);
+  }
+  assert.strictEqual(cueList.cues.length, 1);
+});
+
+test('cue fields are checked', () => {
+  const cueList = new CueList();
+
+  assert.throws(() => cueList.addCue(null), /Invalid cue/);
+  assert.throws(() => cueList.addCue({ number: -1, label: '', actions: [] }), /Invalid cue number/);
+  assert.throws(() => cueList.addCue({ number: 1, actions: [] }), /Invalid label for cue 1/);
+  assert.throws(() => cueList.addCue({ number: 1, label: '' }), /Invalid actions for cue 1/);
+
+  const cue = cueList.addCue({ number: 1, label: '', actions: [] });
+  assert.throws(() => cueList.updateCue(cue.id, { number: 'one' }), /Invalid cue number/);
+  assert.strictEqual(cueList.getCue(0).number, 1);
+});
+
+test('saved cues are restored, dropping invalid ones', (t) => {
+  t.mock.method(console, 'error', () => {});
+  const cueList = new CueList();
+  cueList.setCues([
+    { id: 'c1', number: 1, label: 'Open', actions: [{ type: ACTIONS.NEXT }] },
+    { number: 2, label: 'Close', actions: [] },
+    { number: 3, label: 'Broken', actions: [{ type: 'fireworks' }] }
+  ]);
+
+  assert.deepStrictEqual(cueList.cues.map(c => c.number), [1, 2]);
+  assert.strictEqual(cueList.cues[0].id, 'c1');
+  assert.ok(cueList.cues[1].id);
+  assert.deepStrictEqual(cueList.toJSON(), { version: CONSTANTS.SHOW.CUE_LIST_VERSION, cues: cueList.cues });
+});
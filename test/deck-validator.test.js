@@ -0,0 +1,153 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AdmZip = require('adm-zip');
+const CONSTANTS = require('../src/utils/constants');
+const DeckValidator = require('../src/ppt/deck-validator');
+
+const REL_TYPES = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const CODES = CONSTANTS.VALIDATION.CODES;
+
+let rootDir;
+let deckCount = 0;
+
+/**
+ * Relationships part
+ * @param {Array<Array<string>>} rels - [id, type, target, targetMode] entries
+ * @returns {string} Relationships XML
+ */
+function relsXml(rels) {
+  return `<Relationships>${rels.map(([id, type, target, mode]) =>
+    `<Relationship Id="${id}" Type="${REL_TYPES}/${type}" Target="${target}"${mode ? ` TargetMode="${mode}"` : ''}/>`).join('')
+  }</Relationships>`;
+}
+
+/**
+ * Write a PPTX archive
+ * @param {Object} deck - Deck contents
+ * @param {Array<Object>} deck.slides - { xml, rels } slide body XML and relationships
+ * @param {string} [deck.size] - p:sldSz attributes (default: 16:9)
+ * @param {string} [deck.embeddedFonts] - p:embeddedFontLst contents
+ * @param {Object} [deck.media] - Media file contents keyed by name, stored under ppt/media
+ * @returns {string} Path to the archive
+ */
+function writeDeck({ slides, size = 'cx="12192000" cy="6858000"', embeddedFonts = '', media = {} }) {
+  const zip = new AdmZip();
+  const add = (name, contents) => zip.addFile(name, Buffer.isBuffer(contents) ? contents : Buffer.from(contents, 'utf-8'));
+
+  add('ppt/presentation.xml', `<p:presentation><p:sldIdLst>${
+    slides.map((slide, index) => `<p:sldId id="${256 + index}" r:id="rId${index + 1}"/>`).join('')
+  }</p:sldIdLst><p:sldSz ${size}/><p:embeddedFontLst>${embeddedFonts}</p:embeddedFontLst></p:presentation>`);
+  add('ppt/_rels/presentation.xml.rels',
+    relsXml(slides.map((slide, index) => [`rId${index + 1}`, 'slide', `slides/slide${index + 1}.xml`])));
+  slides.forEach((slide, index) => {
+    add(`ppt/slides/slide${index + 1}.xml`, `<p:sld><p:cSld><p:spTree>${slide.xml || ''}</p:spTree></p:cSld></p:sld>`);
+    add(`ppt/slides/_rels/slide${index + 1}.xml.rels`, relsXml(slide.rels || []));
+  });
+  for (const [name, contents] of Object.entries(media)) {
+    add(`ppt/media/${name}`, contents);
+  }
+
+  const filePath = path.join(rootDir, `deck-${++deckCount}.pptx`);
+  zip.writeZip(filePath);
+  return filePath;
+}
+
+/**
+ * Validate a deck as if the given fonts were installed
+ * @param {Object} t - Test context
+ * @param {string} filePath - Path to the deck
+ * @param {Array<string>} [installed] - Installed font families, lower case
+ * @returns {Array<Object>} Issues
+ */
+function validate(t, filePath, installed = []) {
+  const validator = new DeckValidator(filePath);
+  t.mock.method(validator, '_getInstalledFonts', () => new Set(installed));
+  return validator.getReport().issues;
+}
+
+before(() => {
+  rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'stageforge-validate-'));
+});
+
+after(() => {
+  fs.rmSync(rootDir, { recursive: true, force: true });
+});
+
+test('a 16:9 deck with embedded media and standard fonts has no issues', (t) => {
+  const filePath = writeDeck({
+    slides: [{
+      xml: '<a:rPr><a:latin typeface="Calibri"/><a:ea typeface="+mn-ea"/></a:rPr><a:videoFile r:link="rId2"/>',
+      rels: [['rId1', 'image', '../media/image1.png'], ['rId2', 'video', '../media/media1.mp4']]
+    }],
+    media: { 'image1.png': 'png', 'media1.mp4': 'mp4' }
+  });
+
+  const validator = new DeckValidator(filePath);
+  t.mock.method(validator, '_getInstalledFonts', () => new Set());
+  const report = validator.getReport();
+
+  assert.deepStrictEqual(report.issues, []);
+  assert.ok(!Number.isNaN(Date.parse(report.checkedAt)));
+});
+
+test('media linked from outside the deck is an error', (t) => {
+  const filePath = writeDeck({
+    slides: [{}, {
+      rels: [
+        ['rId1', 'video', 'file:///C:/Show/intro.mp4', 'External'],
+        ['rId2', 'hyperlink', 'https://example.com', 'External']
+      ]
+    }]
+  });
+
+  assert.deepStrictEqual(validate(t, filePath), [{
+    code: CODES.LINKED_MEDIA,
+    severity: CONSTANTS.VALIDATION.SEVERITY.ERROR,
+    params: { slide: 2, target: 'file:///C:/Show/intro.mp4' }
+  }]);
+});
+
+test('fonts that are neither standard, embedded nor installed are listed together', (t) => {
+  const filePath = writeDeck({
+    slides: [{
+      xml: ['Brand Sans', 'Calibri', 'Noto Sans JP', 'Script Pro', 'DejaVu Sans', 'Brand Sans']
+        .map(font => `<a:latin typeface="${font}"/>`).join('')
+    }],
+    embeddedFonts: '<p:embeddedFont><p:font typeface="Script Pro"/></p:embeddedFont>'
+  });
+
+  assert.deepStrictEqual(validate(t, filePath, ['dejavu sans']), [{
+    code: CODES.FONTS_NOT_EMBEDDED,
+    severity: CONSTANTS.VALIDATION.SEVERITY.WARNING,
+    params: { fonts: 'Brand Sans, Noto Sans JP' }
+  }]);
+});
+
+test('a slide size other than 16:9 is named by its ratio', (t) => {
+  const ratio = size => validate(t, writeDeck({ slides: [{}], size })).map(issue => [issue.code, issue.params.ratio]);
+
+  assert.deepStrictEqual(ratio('cx="9144000" cy="6858000"'), [[CODES.SLIDE_SIZE, '4:3']]);
+  assert.deepStrictEqual(ratio('cx="10000000" cy="5000000"'), [[CODES.SLIDE_SIZE, '2.00:1']]);
+  assert.deepStrictEqual(ratio('cx="12192000" cy="6858000"'), []);
+});
+
+test('media that cannot be played or is too large is reported', (t) => {
+  const filePath = writeDeck({
+    slides: [{ xml: '<a:videoFile r:link="rId1"/>', rels: [['rId1', 'video', '../media/media1.swf']] }],
+    media: { 'media1.swf': 'swf', 'image1.png': Buffer.alloc(2048) }
+  });
+  const limit = CONSTANTS.VALIDATION.MAX_IMAGE_BYTES;
+  CONSTANTS.VALIDATION.MAX_IMAGE_BYTES = 1024;
+  t.after(() => {
+    CONSTANTS.VALIDATION.MAX_IMAGE_BYTES = limit;
+  });
+
+  const issues = validate(t, filePath).map(issue => [issue.code, issue.params]).sort();
+  assert.deepStrictEqual(issues, [
+    [CODES.LARGE_MEDIA, { file: 'image1.png', sizeMB: 0 }],
+    [CODES.UNSUPPORTED_MEDIA, { file: 'media1.swf', slide: 1 }]
+  ]);
+});
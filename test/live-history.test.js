@@ -0,0 +1,129 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const EventEmitter = require('events');
+const CONSTANTS = require('../src/utils/constants');
+const Rundown = require('../src/show/rundown');
+const ShowController = require('../src/show/controller');
+const LiveHistory = require('../src/show/history');
+
+/**
+ * Live state with the given act of a program on air
+ * @param {number} actIndex - Zero-based act index
+ * @param {Object} [fields] - Other fields of the state
+ * @returns {Object} Live state
+ */
+function liveState(actIndex, fields = {}) {
+  return { programId: 'concert', entryId: 'e1', mode: CONSTANTS.MODES.SCENE, actIndex, blackout: false, obsScene: null, ...fields };
+}
+
+/**
+ * Mode controller stand-in that plays a program of three acts
+ */
+class FakeMode extends EventEmitter {
+  async loadProgram(program) {
+    this.program = program;
+    this.scene = -1;
+  }
+
+  async start(options) {
+    this.scene = Number.isInteger(options.startAt) ? options.startAt : 0;
+  }
+
+  async stop() {
+    this.scene = -1;
+  }
+
+  async next() {
+    this.scene++;
+  }
+
+  async jumpToScene(index) {
+    this.scene = index;
+  }
+
+  getStatus() {
+    return { currentScene: this.scene };
+  }
+}
+
+/**
+ * Show controller over a library of scene programs with three acts each
+ * @returns {ShowController} Show controller
+ */
+function createController() {
+  const processor = {
+    loadProgram: async (programId) => ({ id: programId, name: programId, mode: CONSTANTS.MODES.SCENE, acts: [{}, {}, {}] })
+  };
+  const show = { rundown: new Rundown(), applyActSettings: program => program };
+  return new ShowController(processor, show, () => new FakeMode());
+}
+
+test('undo goes back through the states transitions left, most recent first', () => {
+  const history = new LiveHistory();
+  const changes = [];
+  history.on('changed', canUndo => changes.push(canUndo));
+
+  history.record(liveState(0), liveState(1));
+  history.record(liveState(1), liveState(1, { blackout: true }));
+  history.record(liveState(1, { blackout: true }), liveState(1, { blackout: true }));
+
+  assert.strictEqual(history.canUndo(), true);
+  assert.deepStrictEqual(history.pop(), liveState(1));
+  assert.deepStrictEqual(history.pop(), liveState(0));
+  assert.strictEqual(history.pop(), null);
+  assert.deepStrictEqual(changes, [true, true, true, false, false]);
+});
+
+test('only the most recent states are kept, and clearing forgets them all', () => {
+  const history = new LiveHistory(2);
+  for (let actIndex = 0; actIndex < 3; actIndex++) {
+    history.record(liveState(actIndex), liveState(actIndex + 1));
+  }
+  assert.deepStrictEqual(history.states.map(state => state.actIndex), [1, 2]);
+
+  const changes = [];
+  history.on('changed', canUndo => changes.push(canUndo));
+  history.clear();
+  history.clear();
+  assert.strictEqual(history.canUndo(), false);
+  assert.deepStrictEqual(changes, [false]);
+  assert.strictEqual(new LiveHistory().limit, CONSTANTS.UNDO.HISTORY_LIMIT);
+});
+
+test('restoring a state of the program on air brings its act back and leaves the blackout', async () => {
+  const controller = createController();
+  const entry = controller.rundown.addEntry('concert');
+  await controller.startEntry(0);
+  await controller.next();
+  await controller.next();
+  controller.blackout = true;
+
+  await controller.restore(liveState(0, { entryId: entry.id }));
+
+  assert.strictEqual(controller.getCurrentActIndex(), 0);
+  assert.strictEqual(controller.blackout, false);
+  assert.strictEqual(controller.currentEntryId, entry.id);
+});
+
+test('restoring a state of another program hands over to it at its act', async () => {
+  const controller = createController();
+  const concert = controller.rundown.addEntry('concert');
+  controller.rundown.addEntry('speech');
+  controller.rundown.addEntry('awards');
+  await controller.startEntry(1, { display: 1 });
+
+  const program = await controller.restore(liveState(2, { entryId: concert.id }));
+
+  assert.strictEqual(program.id, 'concert');
+  assert.strictEqual(controller.currentEntryId, concert.id);
+  assert.strictEqual(controller.getCurrentActIndex(), 2);
+  assert.strictEqual(controller.onAir, true);
+  assert.strictEqual(controller.preloaded.program.id, 'speech');
+
+  // A state whose entry was removed since is played outside the rundown
+  controller.rundown.removeEntry(concert.id);
+  await controller.restore(liveState(1, { programId: 'speech', entryId: concert.id }));
+  assert.strictEqual(controller.currentProgram.id, 'speech');
+  assert.strictEqual(controller.currentEntryId, null);
+  assert.strictEqual(controller.getCurrentActIndex(), 1);
+});
@@ -0,0 +1,89 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AdmZip = require('adm-zip');
+const ODPReader = require('../src/ppt/odp-reader');
+const PPTProcessor = require('../src/ppt/processor');
+
+let rootDir;
+
+/**
+ * Frame of a presentation class holding the given paragraphs
+ * @param {string} presentationClass - presentation:class value
+ * @param {Array<string>} paragraphs - Paragraph XML contents
+ * @returns {string} Frame XML
+ */
+function frame(presentationClass, paragraphs) {
+  return `<draw:frame presentation:class="${presentationClass}"><draw:text-box>${
+    paragraphs.map(text => `<text:p>${text}</text:p>`).join('')
+  }</draw:text-box></draw:frame>`;
+}
+
+/**
+ * Write an ODP archive whose content.xml holds the given styles and pages
+ * @param {string} name - File name
+ * @param {string} styles - Automatic styles XML
+ * @param {Array<string>} pages - draw:page elements
+ * @returns {string} Path to the archive
+ */
+function writeDeck(name, styles, pages) {
+  const zip = new AdmZip();
+  zip.addFile('content.xml', Buffer.from(`<?xml version="1.0" encoding="UTF-8"?><office:document-content>
+<office:automatic-styles>${styles}</office:automatic-styles>
+<office:body><office:presentation>${pages.join('\n')}</office:presentation></office:body>
+</office:document-content>`, 'utf-8'));
+  const filePath = path.join(rootDir, name);
+  zip.writeZip(filePath);
+  return filePath;
+}
+
+before(() => {
+  rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'stageforge-odp-'));
+});
+
+after(() => {
+  fs.rmSync(rootDir, { recursive: true, force: true });
+});
+
+test('pages are read in order with their titles, notes and hidden flags', () => {
+  const filePath = writeDeck('concert.odp',
+    '<style:style style:name="dp1" style:family="drawing-page"><style:drawing-page-properties presentation:visibility="hidden"/></style:style>' +
+    '<style:style style:name="dp2" style:family="drawing-page"><style:drawing-page-properties/></style:style>',
+    [
+      `<draw:page draw:name="page1" draw:style-name="dp2" xml:id="intro">${
+        frame('title', ['Spring<text:s text:c="2"/>Concert']) +
+        frame('outline', ['Not a title']) +
+        `<presentation:notes>${frame('title', ['Slide image'])}${frame('notes', ['CUE: lights down', 'Wait for<text:line-break/>applause'])}</presentation:notes>`
+      }</draw:page>`,
+      `<draw:page draw:name="page2" draw:style-name="dp1">${frame('title', ['Backup &amp; extras'])}</draw:page>`,
+      '<draw:page draw:name="page3" draw:style-name="dp2"><anim:par presentation:node-type="timing-root"/></draw:page>'
+    ]);
+
+  const slides = new ODPReader(filePath).getSlides();
+
+  assert.deepStrictEqual(slides.map(slide => [slide.slideId, slide.title, slide.notes, slide.hidden, slide.animated]), [
+    ['intro', 'Spring Concert', 'CUE: lights down\nWait for\napplause', false, false],
+    [null, 'Backup & extras', '', true, false],
+    [null, '', '', false, true]
+  ]);
+  assert.notStrictEqual(slides[1].hash, slides[2].hash);
+});
+
+test('the slide count of an ODP deck is its number of pages', async () => {
+  const processor = new PPTProcessor(path.join(rootDir, 'library'));
+  const pages = [1, 2, 3].map(number => `<draw:page draw:name="page${number}">${frame('title', [`Slide ${number}`])}</draw:page>`);
+  const filePath = writeDeck('talk.odp', '', pages);
+
+  assert.strictEqual(await processor._getSlideCount(filePath), 3);
+});
+
+test('an ODP deck that cannot be read has an unknown slide count', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const processor = new PPTProcessor(path.join(rootDir, 'library'));
+  const filePath = path.join(rootDir, 'broken.odp');
+  fs.writeFileSync(filePath, 'not a zip archive');
+
+  assert.strictEqual(await processor._getSlideCount(filePath), null);
+});
@@ -0,0 +1,126 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AdmZip = require('adm-zip');
+const PPTXReader = require('../src/ppt/pptx-reader');
+
+const REL_TYPES = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+
+let rootDir;
+let deckCount = 0;
+
+/**
+ * Relationships part listing the given targets
+ * @param {Array<Array<string>>} rels - [id, type, target] triples
+ * @returns {string} Relationships XML
+ */
+function relsXml(rels) {
+  return `<?xml version="1.0" encoding="UTF-8"?><Relationships>${
+    rels.map(([id, type, target]) => `<Relationship Id="${id}" Type="${REL_TYPES}/${type}" Target="${target}"/>`).join('')
+  }</Relationships>`;
+}
+
+/**
+ * Shape holding a placeholder's paragraphs
+ * @param {string} type - Placeholder type
+ * @param {Array<string>} paragraphs - Paragraph XML contents (runs)
+ * @returns {string} Shape XML
+ */
+function placeholder(type, paragraphs) {
+  return `<p:sp><p:nvSpPr><p:nvPr><p:ph type="${type}"/></p:nvPr></p:nvSpPr><p:txBody>${
+    paragraphs.map(runs => `<a:p>${runs}</a:p>`).join('')
+  }</p:txBody></p:sp>`;
+}
+
+/**
+ * Write a PPTX archive with one slide part per entry of slides
+ * @param {Array<Object>} slides - { xml, notes, hidden } slide body XML, notes shapes and hidden flag
+ * @param {Array<number>} [order] - Slide part numbers in presentation order (default: part order)
+ * @returns {string} Path to the archive
+ */
+function writeDeck(slides, order = slides.map((slide, index) => index + 1)) {
+  const zip = new AdmZip();
+  const add = (name, text) => zip.addFile(name, Buffer.from(text, 'utf-8'));
+
+  add('ppt/presentation.xml', `<p:presentation><p:sldIdLst>${
+    order.map(number => `<p:sldId id="${255 + number}" r:id="rId${number}"/>`).join('')
+  }</p:sldIdLst></p:presentation>`);
+  add('ppt/_rels/presentation.xml.rels',
+    relsXml(slides.map((slide, index) => [`rId${index + 1}`, 'slide', `slides/slide${index + 1}.xml`])));
+
+  slides.forEach((slide, index) => {
+    const number = index + 1;
+    add(`ppt/slides/slide${number}.xml`, `<p:sld${slide.hidden ? ' show="0"' : ''}><p:cSld><p:spTree>${slide.xml || ''}</p:spTree></p:cSld></p:sld>`);
+    if (slide.notes) {
+      add(`ppt/slides/_rels/slide${number}.xml.rels`,
+        relsXml([['rId1', 'notesSlide', `../notesSlides/notesSlide${number}.xml`]]));
+      add(`ppt/notesSlides/notesSlide${number}.xml`, `<p:notes><p:cSld><p:spTree>${slide.notes}</p:spTree></p:cSld></p:notes>`);
+    }
+  });
+
+  const filePath = path.join(rootDir, `deck-${++deckCount}.pptx`);
+  zip.writeZip(filePath);
+  return filePath;
+}
+
+before(() => {
+  rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'stageforge-pptx-'));
+});
+
+after(() => {
+  fs.rmSync(rootDir, { recursive: true, force: true });
+});
+
+test('slides get the text of their title placeholder', () => {
+  const filePath = writeDeck([
+    { xml: placeholder('ctrTitle', ['<a:r><a:t>Spring</a:t></a:r><a:r><a:t> Concert</a:t></a:r>']) },
+    { xml: placeholder('body', ['<a:r><a:t>Not a title</a:t></a:r>']) + placeholder('title', ['<a:r><a:t>Q&amp;A</a:t></a:r>']) },
+    { xml: placeholder('title', ['<a:r><a:t>Thank</a:t></a:r>', '<a:r><a:t>you  &#x1F44F;</a:t></a:r>']) },
+    { xml: placeholder('body', ['<a:r><a:t>Untitled</a:t></a:r>']) }
+  ]);
+
+  const slides = new PPTXReader(filePath).getSlides();
+
+  assert.deepStrictEqual(slides.map(slide => slide.title), ['Spring Concert', 'Q&A', 'Thank you 👏', '']);
+});
+
+test('speaker notes come from the body placeholder of the notes slide', () => {
+  const filePath = writeDeck([
+    {
+      notes: placeholder('sldImg', []) +
+        placeholder('body', ['<a:r><a:t>CUE: lights down</a:t></a:r>', '<a:r><a:t>Wait for</a:t></a:r><a:br/><a:r><a:t>applause</a:t></a:r>']) +
+        placeholder('sldNum', ['<a:r><a:t>1</a:t></a:r>'])
+    },
+    {}
+  ]);
+
+  const slides = new PPTXReader(filePath).getSlides();
+
+  assert.strictEqual(slides[0].notes, 'CUE: lights down\nWait for\napplause');
+  assert.strictEqual(slides[0].file, 'ppt/slides/slide1.xml');
+  assert.strictEqual(slides[1].notes, '');
+});
+
+test('slides follow the presentation order, not their part numbers, and keep their hidden flag', () => {
+  const title = text => ({ xml: placeholder('title', [`<a:r><a:t>${text}</a:t></a:r>`]) });
+  const filePath = writeDeck([title('Welcome'), { ...title('Backup'), hidden: true }, title('Agenda')], [1, 3, 2]);
+
+  const slides = new PPTXReader(filePath).getSlides();
+
+  assert.deepStrictEqual(slides.map(slide => [slide.slideId, slide.file, slide.title, slide.hidden]), [
+    ['256', 'ppt/slides/slide1.xml', 'Welcome', false],
+    ['258', 'ppt/slides/slide3.xml', 'Agenda', false],
+    ['257', 'ppt/slides/slide2.xml', 'Backup', true]
+  ]);
+});
+
+test('a file without a presentation part has no slides', () => {
+  const zip = new AdmZip();
+  zip.addFile('word/document.xml', Buffer.from('<w:document/>'));
+  const filePath = path.join(rootDir, 'letter.pptx');
+  zip.writeZip(filePath);
+
+  assert.deepStrictEqual(new PPTXReader(filePath).getSlides(), []);
+});
@@ -0,0 +1,140 @@
+const { test, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AdmZip = require('adm-zip');
+const CONSTANTS = require('../src/utils/constants');
+const PPTProcessor = require('../src/ppt/processor');
+
+let rootDir;
+let dataDir;
+let processor;
+let bundleCount = 0;
+
+/**
+ * Write a bundle holding one slide image and the given program metadata
+ * @param {Object} program - Bundled program metadata
+ * @param {string} [image] - Contents of the slide image
+ * @returns {string} Bundle path
+ */
+function writeBundle(program, image = 'slide image') {
+  const zip = new AdmZip();
+  zip.addFile(`${CONSTANTS.BUNDLE.FOLDERS.slideDir}/slide1.png`, Buffer.from(image));
+  zip.addFile(CONSTANTS.BUNDLE.MANIFEST, Buffer.from(JSON.stringify({
+    format: CONSTANTS.BUNDLE.FORMAT,
+    version: CONSTANTS.BUNDLE.VERSION,
+    program
+  })));
+  const bundlePath = path.join(dataDir, `bundle-${++bundleCount}.${CONSTANTS.BUNDLE.EXTENSION}`);
+  zip.writeZip(bundlePath);
+  return bundlePath;
+}
+
+/**
+ * Bundled program metadata in the current schema
+ * @param {Object} [overrides] - Fields to replace
+ * @returns {Object} Program metadata
+ */
+function bundledProgram(overrides = {}) {
+  return {
+    id: 'concert',
+    name: 'Concert',
+    filePath: '',
+    mode: CONSTANTS.MODES.SCENE,
+    slideCount: 1,
+    slideOrder: [],
+    schemaVersion: CONSTANTS.PROGRAM_SCHEMA_VERSION,
+    acts: [{
+      index: 0,
+      name: 'Act 1',
+      imagePath: `${CONSTANTS.BUNDLE.PATH_SCHEME}${CONSTANTS.BUNDLE.FOLDERS.slideDir}/slide1.png`,
+      videos: [],
+      audio: []
+    }],
+    ...overrides
+  };
+}
+
+// The processor creates its directories in the background, so they are only
+// removed once every test is done
+before(() => {
+  rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'stageforge-bundle-'));
+});
+
+beforeEach(() => {
+  dataDir = fs.mkdtempSync(path.join(rootDir, 'library-'));
+  processor = new PPTProcessor(dataDir);
+});
+
+after(() => {
+  fs.rmSync(rootDir, { recursive: true, force: true });
+});
+
+test('bundle paths map onto the program directories', () => {
+  const dirs = processor._getProgramDirs('concert');
+  const scheme = CONSTANTS.BUNDLE.PATH_SCHEME;
+  const folders = CONSTANTS.BUNDLE.FOLDERS;
+
+  assert.strictEqual(processor._resolveBundlePath(`${scheme}${folders.slideDir}/a/slide1.png`, dirs),
+    path.join(dirs.slideDir, 'a', 'slide1.png'));
+  assert.strictEqual(processor._resolveBundlePath(`${scheme}${folders.videoDir}/clip.mp4`, dirs),
+    path.join(dirs.videoDir, 'clip.mp4'));
+  assert.strictEqual(processor._resolveBundlePath(`${scheme}unknown/file`, dirs), `${scheme}unknown/file`);
+  assert.strictEqual(processor._resolveBundlePath('Act 1', dirs), 'Act 1');
+});
+
+test('an imported bundle points at the extracted files', async () => {
+  const program = await processor.importProgramBundle(writeBundle(bundledProgram()));
+  const dirs = processor._getProgramDirs('concert');
+
+  assert.strictEqual(program.id, 'concert');
+  assert.strictEqual(program.acts[0].imagePath, path.join(dirs.slideDir, 'slide1.png'));
+  assert.strictEqual(fs.readFileSync(program.acts[0].imagePath, 'utf8'), 'slide image');
+  assert.deepStrictEqual((await processor.loadProgram('concert')).acts, program.acts);
+  assert.ok(!fs.existsSync(processor._getProgramDirs('concert' + CONSTANTS.PROGRAM_ID.STAGING_SUFFIX).programDir));
+});
+
+test('replacing a program swaps in the bundled one', async () => {
+  await processor.importProgramBundle(writeBundle(bundledProgram({ name: 'Old' })));
+  const program = await processor.importProgramBundle(writeBundle(bundledProgram({ name: 'New' })),
+    { onConflict: CONSTANTS.IMPORT_CONFLICT.REPLACE });
+
+  assert.strictEqual(program.id, 'concert');
+  assert.strictEqual((await processor.loadProgram('concert')).name, 'New');
+});
+
+test('a conflicting import without a resolution reports the conflict', async () => {
+  await processor.importProgramBundle(writeBundle(bundledProgram()));
+
+  await assert.rejects(processor.importProgramBundle(writeBundle(bundledProgram())),
+    error => error.conflict && error.conflict.programId === 'concert');
+});
+
+test('a broken bundle leaves the program it would replace intact', async () => {
+  const original = await processor.importProgramBundle(writeBundle(bundledProgram({ name: 'Old' }), 'old image'));
+  const broken = writeBundle(bundledProgram({ name: 'New', acts: 'not a list' }), 'new image');
+
+  await assert.rejects(processor.importProgramBundle(broken, { onConflict: CONSTANTS.IMPORT_CONFLICT.REPLACE }),
+    /Failed to import program bundle: Invalid program metadata/);
+
+  const kept = await processor.loadProgram('concert');
+  assert.strictEqual(kept.name, 'Old');
+  assert.strictEqual(fs.readFileSync(original.acts[0].imagePath, 'utf8'), 'old image');
+  assert.ok(!fs.existsSync(processor._getProgramDirs('concert' + CONSTANTS.PROGRAM_ID.STAGING_SUFFIX).slideDir));
+});
+
+test('a replacement that cannot be saved restores the program it would replace', async (t) => {
+  const original = await processor.importProgramBundle(writeBundle(bundledProgram({ name: 'Old' }), 'old image'));
+  t.mock.method(processor, '_saveProgram', async () => {
+    throw new Error('Disk full');
+  });
+
+  await assert.rejects(processor.importProgramBundle(writeBundle(bundledProgram({ name: 'New' }), 'new image'),
+    { onConflict: CONSTANTS.IMPORT_CONFLICT.REPLACE }), /Failed to import program bundle: Disk full/);
+
+  assert.deepStrictEqual(await processor.loadProgram('concert'), original);
+  assert.strictEqual(fs.readFileSync(original.acts[0].imagePath, 'utf8'), 'old image');
+  assert.deepStrictEqual(fs.readdirSync(processor.programsDir), ['concert']);
+  assert.deepStrictEqual(fs.readdirSync(processor.slidesDir), ['concert']);
+});
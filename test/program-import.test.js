@@ -0,0 +1,123 @@
+const { test, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CONSTANTS = require('../src/utils/constants');
+const PPTProcessor = require('../src/ppt/processor');
+
+let rootDir;
+let dataDir;
+let processor;
+
+/**
+ * Write an image folder deck, one image per slide
+ * @param {string} name - Folder name
+ * @param {Object} images - Image contents keyed by file name
+ * @returns {string} Folder path
+ */
+function writeImageFolder(name, images) {
+  const folder = path.join(dataDir, name);
+  fs.mkdirSync(folder, { recursive: true });
+  for (const file of fs.readdirSync(folder)) {
+    fs.rmSync(path.join(folder, file));
+  }
+  for (const [file, contents] of Object.entries(images)) {
+    fs.writeFileSync(path.join(folder, file), contents);
+  }
+  return folder;
+}
+
+// The processor creates its directories in the background, so they are only
+// removed once every test is done
+before(() => {
+  rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'stageforge-import-'));
+});
+
+beforeEach(() => {
+  dataDir = fs.mkdtempSync(path.join(rootDir, 'library-'));
+  processor = new PPTProcessor(dataDir);
+});
+
+after(() => {
+  fs.rmSync(rootDir, { recursive: true, force: true });
+});
+
+test('program IDs combine the deck name with its content hash', async () => {
+  const hash = 'a1b2c3d4e5f60718293a4b5c6d7e8f9012345678';
+
+  assert.strictEqual(await processor._generateProgramId('Spring Concert!', hash), 'Spring_Concert_a1b2c3d4');
+  assert.strictEqual(await processor._generateProgramId('春の演奏会', hash),
+    `${CONSTANTS.PROGRAM_ID.FALLBACK_SLUG}_a1b2c3d4`);
+
+  fs.mkdirSync(processor._getProgramDirs('Spring_Concert_a1b2c3d4').programDir, { recursive: true });
+  assert.strictEqual(await processor._generateProgramId('Spring Concert', hash), 'Spring_Concert_a1b2c3d4_2');
+});
+
+test('importing a deck that is already in the library needs a conflict resolution', async () => {
+  const folder = writeImageFolder('concert', { '01.png': 'one', '02.png': 'two' });
+  const program = await processor.processFile(folder);
+
+  assert.match(program.id, /^concert_[0-9a-f]{8}$/);
+  assert.strictEqual(program.mode, CONSTANTS.MODES.SCENE);
+  assert.strictEqual(program.acts.length, 2);
+
+  await assert.rejects(processor.processFile(folder), (error) => {
+    assert.deepStrictEqual(error.conflict, { filePath: folder, programId: program.id, name: 'concert' });
+    return true;
+  });
+
+  const copy = await processor.processFile(folder, { onConflict: CONSTANTS.IMPORT_CONFLICT.KEEP_BOTH });
+  assert.strictEqual(copy.id, `${program.id}_2`);
+
+  const replacement = await processor.processFile(folder, { onConflict: CONSTANTS.IMPORT_CONFLICT.REPLACE });
+  const ids = (await processor.listPrograms()).map(p => p.id).sort();
+  assert.deepStrictEqual(ids, [copy.id, replacement.id].sort());
+  assert.ok(!ids.includes(program.id));
+});
+
+test('updating in place keeps the program and what the operator set up', async () => {
+  const folder = writeImageFolder('concert', { '01.png': 'one', '02.png': 'two' });
+  const program = await processor.processFile(folder);
+  await processor.renameProgram(program.id, 'Spring Concert');
+  await processor.setActDurations(program.id, [5000, 7000]);
+
+  writeImageFolder('concert', { '00.png': 'zero', '02.png': 'two, edited' });
+  const updated = await processor.processFile(folder, { onConflict: CONSTANTS.IMPORT_CONFLICT.UPDATE });
+
+  assert.strictEqual(updated.id, program.id);
+  assert.strictEqual(updated.name, 'Spring Concert');
+  assert.strictEqual(updated.createdAt, program.createdAt);
+  assert.ok(updated.updatedAt);
+  assert.deepStrictEqual(updated.acts.map(act => act.slideId), ['00.png', '02.png']);
+  assert.strictEqual(updated.acts[0].timing, undefined);
+  assert.deepStrictEqual(updated.acts[1].timing, { duration: 7000 });
+  assert.strictEqual(fs.readFileSync(updated.acts[1].imagePath, 'utf-8'), 'two, edited');
+  assert.deepStrictEqual(updated.refresh, { actMap: [-1, 1], droppedLoops: [] });
+  const { refresh, ...saved } = updated;
+  assert.deepStrictEqual(await processor.loadProgram(program.id), saved);
+  assert.deepStrictEqual((await processor.listPrograms()).map(p => p.id), [program.id]);
+});
+
+test('a failed update leaves the program exactly as it was', async (t) => {
+  const folder = writeImageFolder('concert', { '01.png': 'one' });
+  const program = await processor.processFile(folder);
+  const dirs = processor._getProgramDirs(program.id);
+
+  writeImageFolder('concert', { '01.png': 'one, edited', '02.png': 'two' });
+  const saveProgram = processor._saveProgram.bind(processor);
+  t.mock.method(processor, '_saveProgram', async (saved) => {
+    if (saved.id === program.id) {
+      throw new Error('Disk full');
+    }
+    return saveProgram(saved);
+  });
+
+  await assert.rejects(processor.processFile(folder, { onConflict: CONSTANTS.IMPORT_CONFLICT.UPDATE }), /Disk full/);
+
+  assert.deepStrictEqual(await processor.loadProgram(program.id), program);
+  assert.strictEqual(fs.readFileSync(program.acts[0].imagePath, 'utf-8'), 'one');
+  assert.deepStrictEqual(fs.readdirSync(dirs.slideDir), [path.basename(program.acts[0].imagePath)]);
+  assert.deepStrictEqual(fs.readdirSync(processor.programsDir), [program.id]);
+  assert.deepStrictEqual(fs.readdirSync(processor.slidesDir), [program.id]);
+});
@@ -0,0 +1,69 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CONSTANTS = require('../src/utils/constants');
+const PPTProcessor = require('../src/ppt/processor');
+
+let rootDir;
+
+// The processor creates its directories in the background, so they are only
+// removed once every test is done
+before(() => {
+  rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'stageforge-loops-'));
+});
+
+after(() => {
+  fs.rmSync(rootDir, { recursive: true, force: true });
+});
+
+/**
+ * Import an image folder deck of four slides into a library of its own
+ * @returns {Promise<Object>} { processor, program }
+ */
+async function importDeck() {
+  const dataDir = fs.mkdtempSync(path.join(rootDir, 'library-'));
+  const folder = path.join(dataDir, 'intermission');
+  fs.mkdirSync(folder);
+  for (const number of [1, 2, 3, 4]) {
+    fs.writeFileSync(path.join(folder, `0${number}.png`), `slide ${number}`);
+  }
+
+  const processor = new PPTProcessor(dataDir);
+  return { processor, program: await processor.processFile(folder) };
+}
+
+test('loops are saved sorted, with the default dwell and exit filled in', async () => {
+  const { processor, program } = await importDeck();
+
+  const updated = await processor.setProgramLoops(program.id, [
+    { start: 3, end: 3, exitTo: CONSTANTS.LOOPS.EXIT_NEXT_PROGRAM },
+    { start: 0, end: 1, dwell: 3000, exitTo: 2 }
+  ]);
+
+  assert.deepStrictEqual(updated.loops, [
+    { start: 0, end: 1, dwell: 3000, exitTo: 2 },
+    { start: 3, end: 3, dwell: CONSTANTS.LOOPS.DEFAULT_DWELL_MS, exitTo: CONSTANTS.LOOPS.EXIT_NEXT_PROGRAM }
+  ]);
+  assert.deepStrictEqual((await processor.loadProgram(program.id)).loops, updated.loops);
+
+  await processor.setProgramLoops(program.id, []);
+  assert.strictEqual((await processor.loadProgram(program.id)).loops, undefined);
+});
+
+test('invalid loops are refused and leave the saved ones alone', async () => {
+  const { processor, program } = await importDeck();
+  await processor.setProgramLoops(program.id, [{ start: 0, end: 0 }]);
+  const set = loops => processor.setProgramLoops(program.id, loops);
+
+  await assert.rejects(set([{ start: 0, end: 0 }, { start: 2, end: 4 }]), /Invalid act range for loop 2/);
+  await assert.rejects(set([{ start: 2, end: 1 }]), /Invalid act range for loop 1/);
+  await assert.rejects(set([{ start: 0, end: 1, dwell: 0 }]), /Invalid dwell time for loop 1/);
+  await assert.rejects(set([{ start: 0, end: 1, exitTo: 1 }]), /Invalid exit for loop 1/);
+  await assert.rejects(set([{ start: 0, end: 1, exitTo: 'later' }]), /Invalid exit for loop 1/);
+  await assert.rejects(set([{ start: 2, end: 3 }, { start: 0, end: 2 }]), /Loops cannot overlap/);
+
+  assert.deepStrictEqual((await processor.loadProgram(program.id)).loops,
+    [{ start: 0, end: 0, dwell: CONSTANTS.LOOPS.DEFAULT_DWELL_MS, exitTo: null }]);
+});
@@ -0,0 +1,153 @@
+const { test, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CONSTANTS = require('../src/utils/constants');
+const PPTProcessor = require('../src/ppt/processor');
+
+let rootDir;
+let dataDir;
+let processor;
+
+/**
+ * Write an image folder deck, one image per slide, replacing what was in it
+ * @param {Object} images - Image contents keyed by file name
+ * @returns {string} Folder path
+ */
+function writeDeck(images) {
+  const folder = path.join(dataDir, 'concert');
+  fs.rmSync(folder, { recursive: true, force: true });
+  fs.mkdirSync(folder, { recursive: true });
+  for (const [file, contents] of Object.entries(images)) {
+    fs.writeFileSync(path.join(folder, file), contents);
+  }
+  return folder;
+}
+
+// The processor creates its directories in the background, so they are only
+// removed once every test is done
+before(() => {
+  rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'stageforge-refresh-'));
+});
+
+beforeEach(() => {
+  dataDir = fs.mkdtempSync(path.join(rootDir, 'library-'));
+  processor = new PPTProcessor(dataDir);
+});
+
+after(() => {
+  fs.rmSync(rootDir, { recursive: true, force: true });
+});
+
+test('slides are matched on their ID, or on position when they have none', () => {
+  const old = [{ slideId: 'a' }, { slideId: 'b' }, { slideId: 'c' }];
+
+  assert.deepStrictEqual(processor._matchSlides(old, [{ slideId: 'c' }, { slideId: 'x' }, { slideId: 'a' }]), [2, -1, 0]);
+  assert.deepStrictEqual(processor._matchSlides([{}, {}], [{}, {}, {}]), [0, 1, -1]);
+  assert.deepStrictEqual(processor._matchSlides([{ slideId: 'a' }], [{}]), [-1]);
+});
+
+test('a refresh preview lists added, removed and changed slides', async () => {
+  const program = await processor.processFile(writeDeck({ '01.png': 'one', '02.png': 'two', '03.png': 'three' }));
+  writeDeck({ '01.png': 'one', '02.png': 'two, edited', '04.png': 'four' });
+
+  const summary = await processor.previewRefresh(program.id);
+
+  assert.strictEqual(summary.sourceChanged, true);
+  assert.deepStrictEqual(summary.added, [{ number: 3, title: '04' }]);
+  assert.deepStrictEqual(summary.removed, [{ number: 3, title: '03' }]);
+  assert.deepStrictEqual(summary.changed, [{ number: 2, title: '02' }]);
+  assert.strictEqual(summary.unchanged, 1);
+});
+
+test('a refresh renders new slides and keeps the images of unchanged ones', async () => {
+  const program = await processor.processFile(writeDeck({ '01.png': 'one', '02.png': 'two' }));
+  writeDeck({ '00.png': 'zero', '01.png': 'one', '02.png': 'two, edited' });
+
+  const refreshed = await processor.refreshProgram(program.id);
+
+  assert.deepStrictEqual(refreshed.acts.map(act => fs.readFileSync(act.imagePath, 'utf-8')),
+    ['zero', 'one', 'two, edited']);
+  assert.strictEqual(refreshed.slideCount, 3);
+  assert.strictEqual(refreshed.refresh.unchanged, 1);
+  const { refresh, ...saved } = refreshed;
+  assert.deepStrictEqual(await processor.loadProgram(program.id), saved);
+  assert.deepStrictEqual(fs.readdirSync(processor.programsDir), [program.id]);
+});
+
+test('a refresh that cannot be saved leaves the program exactly as it was', async (t) => {
+  const program = await processor.processFile(writeDeck({ '01.png': 'one', '02.png': 'two' }));
+  const dirs = processor._getProgramDirs(program.id);
+  writeDeck({ '01.png': 'one, edited' });
+  t.mock.method(processor, '_saveProgram', async () => {
+    throw new Error('Disk full');
+  });
+
+  await assert.rejects(processor.refreshProgram(program.id), /Disk full/);
+
+  assert.deepStrictEqual(await processor.loadProgram(program.id), program);
+  assert.deepStrictEqual(program.acts.map(act => fs.readFileSync(act.imagePath, 'utf-8')), ['one', 'two']);
+  assert.deepStrictEqual(fs.readdirSync(program.filePath).sort(), ['01.png', '02.png']);
+  assert.deepStrictEqual(fs.readdirSync(dirs.programDir).sort(), ['concert', 'metadata.json']);
+  assert.deepStrictEqual(fs.readdirSync(processor.programsDir), [program.id]);
+  assert.deepStrictEqual(fs.readdirSync(processor.slidesDir), [program.id]);
+});
+
+test('a refresh keeps custom names and timings on the acts whose slides are still there', async () => {
+  const program = await processor.processFile(writeDeck({ '01.png': 'one', '02.png': 'two', '03.png': 'three' }));
+  await processor.setActName(program.id, 1, '  Sponsor reel ');
+  await processor.setActName(program.id, 2, 'Closing');
+  await processor.setActDurations(program.id, { 1: 5000 });
+  writeDeck({ '02.png': 'two, edited', '01.png': 'one' });
+
+  const refreshed = await processor.refreshProgram(program.id);
+
+  assert.deepStrictEqual(refreshed.acts.map(act => act.customName), [undefined, 'Sponsor reel']);
+  assert.deepStrictEqual(refreshed.acts[1].timing, { duration: 5000 });
+  assert.strictEqual(refreshed.acts[1].name, '02');
+
+  const renamed = await processor.setActName(program.id, 1, ' ');
+  assert.strictEqual(renamed.acts[1].customName, undefined);
+  await assert.rejects(processor.setActName(program.id, 5, 'Missing'), /Act 6 not found/);
+});
+
+test('loops follow their acts, and loops on removed slides are dropped', () => {
+  // Old acts 0..5; old act 1 was removed and old act 4 moved to the front
+  const actMap = processor._buildActMap(6, [4, 0, 2, 3, 5]);
+  assert.deepStrictEqual(actMap, [1, -1, 2, 3, 0, 4]);
+
+  const program = {
+    loops: [
+      { start: 0, end: 0, dwell: 1000, exitTo: 5 },
+      { start: 1, end: 2, dwell: 1000, exitTo: null },
+      { start: 2, end: 3, dwell: 1000, exitTo: CONSTANTS.LOOPS.EXIT_NEXT_PROGRAM },
+      { start: 4, end: 5, dwell: 1000, exitTo: null }
+    ]
+  };
+  const dropped = processor._remapLoops(program, actMap);
+
+  assert.deepStrictEqual(program.loops, [
+    { start: 1, end: 1, dwell: 1000, exitTo: 4 },
+    { start: 2, end: 3, dwell: 1000, exitTo: CONSTANTS.LOOPS.EXIT_NEXT_PROGRAM }
+  ]);
+  // Act 2 is gone, and acts 5 and 6 now span the other loops
+  assert.deepStrictEqual(dropped, [{ start: 2, end: 3 }, { start: 5, end: 6 }]);
+
+  const single = { loops: [{ start: 1, end: 1, dwell: 1000, exitTo: null }] };
+  assert.deepStrictEqual(processor._remapLoops(single, actMap), [{ start: 2, end: 2 }]);
+  assert.strictEqual(single.loops, undefined);
+});
+
+test('a refresh reports where each act went and the loops it dropped', async () => {
+  const program = await processor.processFile(writeDeck({ '01.png': 'one', '02.png': 'two', '03.png': 'three' }));
+  await processor.setProgramLoops(program.id, [{ start: 1, end: 1 }, { start: 2, end: 2 }]);
+  writeDeck({ '00.png': 'zero', '01.png': 'one', '03.png': 'three' });
+
+  const refreshed = await processor.refreshProgram(program.id);
+
+  assert.deepStrictEqual(refreshed.refresh.actMap, [1, -1, 2]);
+  assert.deepStrictEqual(refreshed.refresh.droppedLoops, [{ start: 2, end: 2 }]);
+  assert.deepStrictEqual(refreshed.loops.map(loop => [loop.start, loop.end]), [[2, 2]]);
+  assert.deepStrictEqual((await processor.loadProgram(program.id)).loops, refreshed.loops);
+});
@@ -0,0 +1,108 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const CONSTANTS = require('../src/utils/constants');
+const ProgramSchema = require('../src/ppt/program-schema');
+
+/**
+ * Program metadata in the current schema
+ * @param {Object} [overrides] - Fields to replace
+ * @returns {Object} Program metadata
+ */
+function currentProgram(overrides = {}) {
+  return {
+    id: 'concert_1a2b3c4d',
+    name: 'Concert',
+    filePath: '/library/programs/concert_1a2b3c4d/concert.pptx',
+    mode: CONSTANTS.MODES.SCENE,
+    slideCount: 1,
+    slideOrder: [],
+    schemaVersion: CONSTANTS.PROGRAM_SCHEMA_VERSION,
+    acts: [{ index: 0, name: 'Act 1', imagePath: null, videos: [], audio: [] }],
+    ...overrides
+  };
+}
+
+test('metadata without a schema version is migrated to the current shape', () => {
+  const { program, migrated } = ProgramSchema.migrate({
+    id: 'old',
+    name: 'Old',
+    filePath: '/old.pptx',
+    acts: [{ videoPath: '/videos/clip.mp4' }, { name: 'Finale', audioPath: '/videos/song.mp3' }]
+  });
+
+  assert.strictEqual(migrated, true);
+  assert.strictEqual(program.schemaVersion, CONSTANTS.PROGRAM_SCHEMA_VERSION);
+  assert.strictEqual(program.mode, CONSTANTS.MODES.RENDERER);
+  assert.strictEqual(program.slideCount, 2);
+  assert.deepStrictEqual(program.slideOrder, []);
+  assert.deepStrictEqual(program.acts[0], {
+    index: 0, name: 'Act 1', imagePath: null, notes: '', videos: ['/videos/clip.mp4'], audio: []
+  });
+  assert.strictEqual(program.acts[1].name, 'Finale');
+  assert.deepStrictEqual(program.acts[1].audio, ['/videos/song.mp3']);
+  assert.doesNotThrow(() => ProgramSchema.validate(program));
+});
+
+test('renderer metadata without acts gets an empty act list', () => {
+  const { program } = ProgramSchema.migrate({ id: 'deck', name: 'Deck', filePath: '/deck.pptx', slideCount: 12 });
+
+  assert.deepStrictEqual(program.acts, []);
+  assert.strictEqual(program.slideCount, 12);
+});
+
+test('current metadata is left alone', () => {
+  const stored = currentProgram();
+  const { program, migrated } = ProgramSchema.migrate(stored);
+
+  assert.strictEqual(migrated, false);
+  assert.deepStrictEqual(program, stored);
+});
+
+test('metadata from a newer version is refused', () => {
+  assert.throws(() => ProgramSchema.migrate(currentProgram({ schemaVersion: CONSTANTS.PROGRAM_SCHEMA_VERSION + 1 })),
+    /requires a newer version/);
+});
+
+test('valid metadata passes validation', () => {
+  assert.doesNotThrow(() => ProgramSchema.validate(currentProgram({
+    autoAdvance: true,
+    loops: [{ start: 0, end: 0, dwell: 5000, exitTo: null }]
+  })));
+});
+
+test('validation lists every problem it finds', () => {
+  const program = currentProgram({ name: '', mode: 'projector', slideOrder: null });
+
+  assert.throws(() => ProgramSchema.validate(program), (error) => {
+    assert.match(error.message, /^Invalid program metadata: /);
+    assert.match(error.message, /name is missing/);
+    assert.match(error.message, /unknown mode "projector"/);
+    assert.match(error.message, /slideOrder is not a list/);
+    return true;
+  });
+});
+
+test('validation checks acts', () => {
+  const acts = [
+    { index: 0, name: 'Act 1', imagePath: 7, videos: [], audio: [] },
+    { index: 1, name: 'Act 2', imagePath: null, videos: [1], audio: [], live: 'yes' },
+    { index: 2, name: 'Act 3', imagePath: null, videos: [], audio: [], timing: { duration: -5 } },
+    null
+  ];
+
+  assert.throws(() => ProgramSchema.validate(currentProgram({ acts })), (error) => {
+    assert.match(error.message, /act 1 has an invalid imagePath/);
+    assert.match(error.message, /act 2 has an invalid video list/);
+    assert.match(error.message, /act 2 has an invalid live flag/);
+    assert.match(error.message, /act 3 has an invalid timing/);
+    assert.match(error.message, /act 4 is not an object/);
+    return true;
+  });
+  assert.throws(() => ProgramSchema.validate(currentProgram({ acts: 'none' })), /acts is not a list/);
+});
+
+test('validation checks loops and auto-advance', () => {
+  assert.throws(() => ProgramSchema.validate(currentProgram({ autoAdvance: 'on' })), /autoAdvance is not a boolean/);
+  assert.throws(() => ProgramSchema.validate(currentProgram({ loops: [{ start: 0, end: 1 }] })),
+    /loops is not a list of loops/);
+});
@@ -0,0 +1,55 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const RendererMode = require('../src/modes/renderer');
+
+/**
+ * Renderer mode without OBS, over a LibreOffice stand-in that logs the slide commands it gets
+ * @param {Array<boolean>} hidden - Hidden flag of each slide
+ * @returns {Promise<Object>} { mode, commands }
+ */
+async function setUp(hidden) {
+  const commands = [];
+  const lo = {};
+  for (const command of ['nextSlide', 'prevSlide', 'goToSlide', 'firstSlide', 'lastSlide']) {
+    lo[command] = async (...args) => commands.push([command, ...args].join(' '));
+  }
+
+  const mode = new RendererMode(lo, null);
+  await mode.loadProgram({
+    id: 'concert',
+    slideCount: hidden.length,
+    slideOrder: hidden.map((isHidden, index) => ({ slideId: String(256 + index), hidden: isHidden }))
+  });
+  return { mode, commands };
+}
+
+test('the tracked slide skips hidden slides the way LibreOffice does', async () => {
+  const { mode, commands } = await setUp([true, false, true, false, true]);
+  assert.strictEqual(mode.currentSlideIndex, 1);
+
+  await mode.next();
+  assert.strictEqual(mode.currentSlideIndex, 3);
+  assert.strictEqual(mode.isAtEnd(), true);
+  await mode.prev();
+  assert.strictEqual(mode.currentSlideIndex, 1);
+
+  // Nothing visible before the first visible slide: LibreOffice is left alone
+  await mode.prev();
+  assert.strictEqual(mode.currentSlideIndex, 1);
+  assert.deepStrictEqual(commands, ['nextSlide', 'prevSlide']);
+
+  await mode.last();
+  assert.strictEqual(mode.currentSlideIndex, 3);
+  await mode.first();
+  assert.strictEqual(mode.currentSlideIndex, 1);
+});
+
+test('hidden slides cannot be gone to, since LibreOffice would show them', async () => {
+  const { mode, commands } = await setUp([false, true, false]);
+
+  await assert.rejects(mode.goToSlide(1), /Invalid slide index/);
+  await mode.goToSlide(2);
+
+  assert.strictEqual(mode.currentSlideIndex, 2);
+  assert.deepStrictEqual(commands, ['goToSlide 3']);
+});
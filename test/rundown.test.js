@@ -0,0 +1,104 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const CONSTANTS = require('../src/utils/constants');
+const Rundown = require('../src/show/rundown');
+
+/**
+ * Count the 'changed' events a rundown emits
+ * @param {Rundown} rundown - Rundown to watch
+ * @returns {Function} Returns the number of events so far
+ */
+function countChanges(rundown) {
+  let count = 0;
+  rundown.on('changed', () => count++);
+  return () => count;
+}
+
+test('entries get an ID and the default settings', () => {
+  const rundown = new Rundown();
+  const changes = countChanges(rundown);
+  const entry = rundown.addEntry('opening', { autoContinue: false });
+
+  assert.ok(entry.id);
+  assert.deepStrictEqual(entry, { ...CONSTANTS.SHOW.ENTRY_DEFAULTS, id: entry.id, programId: 'opening', autoContinue: false });
+  assert.strictEqual(rundown.getEntry(0), entry);
+  assert.strictEqual(rundown.indexOf(entry.id), 0);
+  assert.strictEqual(changes(), 1);
+});
+
+test('the same program can appear more than once, at any position', () => {
+  const rundown = new Rundown();
+  const first = rundown.addEntry('anthem');
+  const last = rundown.addEntry('awards');
+  const middle = rundown.addEntry('anthem', {}, 1);
+  rundown.addEntry('intro', {}, -3);
+
+  assert.deepStrictEqual(rundown.entries.map(e => e.id).slice(1), [first.id, middle.id, last.id]);
+  assert.strictEqual(rundown.entries[0].programId, 'intro');
+  assert.notStrictEqual(first.id, middle.id);
+});
+
+test('entries can be moved, updated and removed', () => {
+  const rundown = new Rundown();
+  const a = rundown.addEntry('a');
+  const b = rundown.addEntry('b');
+  const c = rundown.addEntry('c');
+  const changes = countChanges(rundown);
+
+  rundown.moveEntry(c.id, 0);
+  assert.deepStrictEqual(rundown.entries.map(e => e.programId), ['c', 'a', 'b']);
+  rundown.moveEntry(c.id, 99);
+  assert.deepStrictEqual(rundown.entries.map(e => e.programId), ['a', 'b', 'c']);
+
+  const updated = rundown.updateEntry(b.id, { display: 1, programId: 'ignored' });
+  assert.strictEqual(updated.display, 1);
+  assert.strictEqual(updated.programId, 'b');
+
+  rundown.removeEntry(a.id);
+  assert.deepStrictEqual(rundown.entries.map(e => e.programId), ['b', 'c']);
+  assert.strictEqual(changes(), 4);
+});
+
+test('unknown entries and invalid settings are refused', () => {
+  const rundown = new Rundown();
+  const entry = rundown.addEntry('a');
+
+  assert.throws(() => rundown.addEntry(''), /Invalid program ID/);
+  assert.throws(() => rundown.addEntry('b', { display: -1 }), /Invalid display index/);
+  assert.throws(() => rundown.updateEntry(entry.id, { autoContinue: 'yes' }), /Invalid auto-continue flag/);
+  assert.throws(() => rundown.removeEntry('missing'), /Rundown entry not found: missing/);
+  assert.throws(() => rundown.moveEntry('missing', 0), /Rundown entry not found/);
+  assert.strictEqual(rundown.getEntry(5), null);
+  assert.strictEqual(rundown.indexOf('missing'), -1);
+});
+
+test('removing a program drops all of its entries', () => {
+  const rundown = new Rundown();
+  rundown.addEntry('a');
+  rundown.addEntry('b');
+  rundown.addEntry('a');
+  const changes = countChanges(rundown);
+
+  assert.strictEqual(rundown.removeProgram('a'), true);
+  assert.deepStrictEqual(rundown.entries.map(e => e.programId), ['b']);
+  assert.strictEqual(rundown.removeProgram('a'), false);
+  assert.strictEqual(changes(), 1);
+});
+
+test('saved entries are restored with their IDs and missing defaults', () => {
+  const rundown = new Rundown();
+  rundown.setEntries([
+    { id: 'e1', programId: 'a', autoContinue: false },
+    { programId: 'b' },
+    { id: 'broken' },
+    null
+  ]);
+
+  assert.strictEqual(rundown.entries.length, 2);
+  assert.deepStrictEqual(rundown.entries[0], { ...CONSTANTS.SHOW.ENTRY_DEFAULTS, id: 'e1', programId: 'a', autoContinue: false });
+  assert.ok(rundown.entries[1].id);
+  assert.deepStrictEqual(rundown.toJSON(), { version: CONSTANTS.SHOW.RUNDOWN_VERSION, entries: rundown.entries });
+
+  rundown.setEntries(undefined);
+  assert.deepStrictEqual(rundown.entries, []);
+});
@@ -0,0 +1,184 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const CONSTANTS = require('../src/utils/constants');
+const SceneMode = require('../src/modes/scene');
+
+/**
+ * Stand-in for the OBS WebSocket client, keeping scenes and their items in memory
+ */
+class FakeOBS {
+  constructor() {
+    this.scenes = new Map();
+    this.programScene = null;
+    this._nextItemId = 1;
+  }
+
+  /**
+   * Handle a request the way OBS would
+   * @param {string} request - Request type
+   * @param {Object} params - Request data
+   * @returns {Promise<Object>} Response data
+   */
+  async call(request, params) {
+    const items = this.scenes.get(params.sceneName);
+    switch (request) {
+      case 'CreateScene':
+        this.scenes.set(params.sceneName, []);
+        return {};
+      case 'RemoveScene':
+      case 'GetSceneItemList':
+        if (!items) {
+          throw new Error(`No source was found by the name of \`${params.sceneName}\``);
+        }
+        if (request === 'RemoveScene') {
+          this.scenes.delete(params.sceneName);
+          return {};
+        }
+        return { sceneItems: items };
+      case 'CreateInput':
+        items.push({ sourceName: params.inputName, inputKind: params.inputKind, sceneItemId: this._nextItemId++ });
+        return {};
+      case 'CreateSceneItem':
+        items.push({ sourceName: params.sourceName, sceneItemId: this._nextItemId });
+        return { sceneItemId: this._nextItemId++ };
+      case 'SetCurrentProgramScene':
+        this.programScene = params.sceneName;
+        return {};
+      default:
+        return {};
+    }
+  }
+}
+
+/**
+ * Scene mode connected to a fake OBS
+ * @returns {Object} { mode, obs }
+ */
+function setUp() {
+  const obs = new FakeOBS();
+  const mode = new SceneMode({ connected: true, obs });
+  return { mode, obs };
+}
+
+/**
+ * Program with one act per entry of acts
+ * @param {Array<Object>} acts - Act fields
+ * @returns {Object} Program object
+ */
+function createProgram(acts) {
+  return {
+    id: 'concert',
+    name: 'Concert',
+    mode: CONSTANTS.MODES.SCENE,
+    acts: acts.map((act, index) => ({
+      index, name: `Act ${index + 1}`, imagePath: `/slides/${index + 1}.png`, videos: [], audio: [], ...act
+    }))
+  };
+}
+
+test('the videos of a slide play inside its scene', async () => {
+  const { mode, obs } = setUp();
+  await mode.loadProgram(createProgram([{ videos: ['/videos/intro.mp4', '/videos/reel.mov'] }, {}]));
+
+  const sceneName = `${CONSTANTS.SCENE_PREFIX}concert${CONSTANTS.ACT_PREFIX}1`;
+  assert.deepStrictEqual(obs.scenes.get(sceneName).map(item => item.sourceName),
+    [`${sceneName}_Image`, `${sceneName}_Video1`, `${sceneName}_Video2`]);
+  assert.deepStrictEqual(obs.scenes.get(`${sceneName}_Video1`).map(item => item.inputKind), ['ffmpeg_source']);
+  assert.deepStrictEqual(mode.scenes[0].videoSubscenes, [`${sceneName}_Video1`, `${sceneName}_Video2`]);
+  assert.strictEqual(obs.scenes.get(`${CONSTANTS.SCENE_PREFIX}concert${CONSTANTS.ACT_PREFIX}2`).length, 1);
+});
+
+test('next and previous skip hidden slides, which can still be jumped to', async () => {
+  const { mode, obs } = setUp();
+  await mode.loadProgram(createProgram([{ hidden: true }, {}, { hidden: true }, { hidden: true }, {}, { hidden: true }]));
+  const sceneName = index => `${CONSTANTS.SCENE_PREFIX}concert${CONSTANTS.ACT_PREFIX}${index + 1}`;
+
+  await mode.start();
+  assert.strictEqual(mode.currentSceneIndex, 1);
+  await mode.prev();
+  assert.strictEqual(mode.currentSceneIndex, 1);
+  await mode.next();
+  assert.strictEqual(mode.currentSceneIndex, 4);
+  assert.strictEqual(obs.programScene, sceneName(4));
+  assert.strictEqual(mode.isAtEnd(), true);
+  await mode.next();
+  assert.strictEqual(mode.currentSceneIndex, 4);
+
+  await mode.jumpToScene(3);
+  assert.strictEqual(obs.programScene, sceneName(3));
+  await mode.prev();
+  assert.strictEqual(mode.currentSceneIndex, 1);
+  await mode.last();
+  assert.strictEqual(mode.currentSceneIndex, 4);
+  await mode.first();
+  assert.strictEqual(mode.currentSceneIndex, 1);
+});
+
+/**
+ * Let a scene change started by a timer reach OBS
+ * @returns {Promise<void>}
+ */
+function settle() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+test('a loop cycles through its visible acts, each for its own dwell', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  const { mode } = setUp();
+  const program = createProgram([{}, {}, { timing: { duration: 2000 } }, { hidden: true }, {}, {}]);
+  program.loops = [{ start: 1, end: 3, dwell: 5000, exitTo: null }];
+  await mode.loadProgram(program);
+  const loops = [];
+  mode.on('loop-changed', loop => loops.push(loop && [loop.start, loop.held]));
+
+  await mode.start({ startAt: 1 });
+  t.mock.timers.tick(4999);
+  assert.strictEqual(mode.currentSceneIndex, 1);
+  t.mock.timers.tick(1);
+  await settle();
+  assert.strictEqual(mode.currentSceneIndex, 2);
+  t.mock.timers.tick(2000);
+  await settle();
+  assert.strictEqual(mode.currentSceneIndex, 1);
+
+  await mode.next();
+  await mode.next();
+  assert.strictEqual(mode.currentSceneIndex, 1);
+  assert.strictEqual(mode.isAtEnd(), false);
+
+  mode.holdLoop();
+  t.mock.timers.tick(10000);
+  assert.strictEqual(mode.currentSceneIndex, 1);
+  assert.strictEqual(mode.getStatus().loop.held, true);
+
+  assert.strictEqual(await mode.exitLoop(), true);
+  assert.strictEqual(mode.currentSceneIndex, 4);
+  assert.strictEqual(mode.getStatus().loop, null);
+  assert.deepStrictEqual(loops, [[1, false], [1, true], null]);
+  await assert.rejects(mode.exitLoop(), /Not in a loop/);
+});
+
+test('a loop exits to its chosen act, or leaves the next program to the show', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  const { mode } = setUp();
+  const program = createProgram([{}, {}, {}, {}]);
+  program.loops = [
+    { start: 0, end: 1, dwell: 5000, exitTo: 3 },
+    { start: 2, end: 2, dwell: 5000, exitTo: CONSTANTS.LOOPS.EXIT_NEXT_PROGRAM }
+  ];
+  await mode.loadProgram(program);
+
+  await mode.start();
+  assert.strictEqual(await mode.exitLoop(), true);
+  assert.strictEqual(mode.currentSceneIndex, 3);
+
+  await mode.jumpToScene(2);
+  // A loop of one act has nowhere to step to
+  t.mock.timers.tick(5000);
+  assert.strictEqual(await mode.exitLoop(), false);
+  assert.strictEqual(mode.currentSceneIndex, 2);
+
+  mode.setLoops([]);
+  assert.strictEqual(mode.getStatus().loop, null);
+  assert.strictEqual(program.loops.length, 0);
+});
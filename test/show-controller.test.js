@@ -0,0 +1,193 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const EventEmitter = require('events');
+const CONSTANTS = require('../src/utils/constants');
+const Rundown = require('../src/show/rundown');
+const ShowController = require('../src/show/controller');
+
+/**
+ * Mode controller stand-in that logs what it is asked to do
+ */
+class FakeMode extends EventEmitter {
+  /**
+   * @param {Array<string>} log - Shared log of calls, as '<call> <programId>'
+   * @param {Set<string>} failing - Programs whose start fails
+   */
+  constructor(log, failing) {
+    super();
+    this.log = log;
+    this.failing = failing;
+    this.scene = -1;
+  }
+
+  async loadProgram(program) {
+    this.program = program;
+    this.log.push(`load ${program.id}`);
+  }
+
+  async start(options) {
+    this.log.push(`start ${this.program.id}`);
+    if (this.failing.has(this.program.id)) {
+      throw new Error(`Cannot start ${this.program.id}`);
+    }
+    this.scene = Number.isInteger(options.startAt) ? options.startAt : 0;
+  }
+
+  async stop() {
+    this.log.push(`stop ${this.program.id}`);
+    this.scene = -1;
+  }
+
+  async next() {
+    this.scene++;
+  }
+
+  isAtEnd() {
+    return this.scene === this.program.acts.length - 1;
+  }
+
+  getStatus() {
+    return { currentScene: this.scene };
+  }
+}
+
+/**
+ * Show controller over a library of two-act programs; renderer programs are
+ * those whose ID starts with "deck"
+ * @returns {Object} { controller, log, failing }
+ */
+function setUp() {
+  const log = [];
+  const failing = new Set();
+  const processor = {
+    loadProgram: async (programId) => ({
+      id: programId,
+      name: programId,
+      mode: programId.startsWith('deck') ? CONSTANTS.MODES.RENDERER : CONSTANTS.MODES.SCENE,
+      acts: [{}, {}]
+    })
+  };
+  const show = { rundown: new Rundown(), applyActSettings: program => program };
+  const controller = new ShowController(processor, show, () => new FakeMode(log, failing));
+  return { controller, log, failing };
+}
+
+test('the next entry is preloaded and goes on air before the old one stops', async () => {
+  const { controller, log } = setUp();
+  controller.rundown.addEntry('opening');
+  controller.rundown.addEntry('speech');
+
+  await controller.startEntry(0, { display: 1 });
+  assert.deepStrictEqual(log, ['load opening', 'start opening', 'load speech']);
+  assert.strictEqual(controller.preloaded.program.id, 'speech');
+
+  log.length = 0;
+  await controller.next();
+  await controller.next();
+  assert.deepStrictEqual(log, ['start speech', 'stop opening']);
+  assert.strictEqual(controller.currentProgram.id, 'speech');
+  assert.strictEqual(controller.getStatus().entryIndex, 1);
+  assert.deepStrictEqual(controller.startOptions, { display: 1 });
+  assert.strictEqual(controller.canAdvance(), true);
+  await controller.next();
+  assert.strictEqual(controller.canAdvance(), false);
+});
+
+test('a program that needs LibreOffice waits for the old one to stop', async () => {
+  const { controller, log } = setUp();
+  controller.rundown.addEntry('opening');
+  controller.rundown.addEntry('deck');
+
+  await controller.startEntry(0);
+  log.length = 0;
+  await controller.startEntry(1);
+
+  assert.deepStrictEqual(log, ['stop opening', 'start deck']);
+});
+
+test('entries that do not continue automatically wait for the operator', async () => {
+  const { controller } = setUp();
+  controller.rundown.addEntry('opening', { autoContinue: false });
+  controller.rundown.addEntry('speech');
+
+  await controller.startEntry(0);
+  await controller.next();
+  assert.strictEqual(controller.canAdvance(), false);
+  await controller.next();
+  assert.strictEqual(controller.currentProgram.id, 'opening');
+});
+
+test('the preload follows rundown edits and is only used for its own program', async () => {
+  const { controller, log } = setUp();
+  const opening = controller.rundown.addEntry('opening');
+  controller.rundown.addEntry('speech');
+
+  await controller.startEntry(0);
+  const awards = controller.rundown.addEntry('awards', {}, 1);
+  await controller.refreshPreload();
+  assert.strictEqual(controller.preloaded.program.id, 'awards');
+
+  log.length = 0;
+  await controller.refreshPreload();
+  assert.deepStrictEqual(log, []);
+
+  controller.discardPreloaded('speech');
+  assert.strictEqual(controller.preloaded.program.id, 'awards');
+  controller.discardPreloaded('awards');
+  assert.strictEqual(controller.preloaded, null);
+
+  // An entry playing the program on air is not preloaded: that would rebuild its scenes
+  controller.rundown.removeEntry(awards.id);
+  controller.rundown.addEntry('opening', {}, 1);
+  await controller.refreshPreload();
+  assert.deepStrictEqual(log, []);
+  assert.strictEqual(controller.preloaded, null);
+  assert.strictEqual(controller.currentEntryId, opening.id);
+});
+
+test('a handover that fails to start goes back to the program on air', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const { controller, log, failing } = setUp();
+  const opening = controller.rundown.addEntry('opening');
+  controller.rundown.addEntry('speech');
+  failing.add('speech');
+  const programs = [];
+  controller.on('program-changed', program => programs.push(program.id));
+
+  await controller.startEntry(0);
+  await controller.next();
+  await assert.rejects(controller.next(), /Cannot start speech/);
+
+  assert.deepStrictEqual(programs, ['opening', 'speech', 'opening']);
+  assert.strictEqual(controller.currentProgram.id, 'opening');
+  assert.strictEqual(controller.currentEntryId, opening.id);
+  assert.strictEqual(controller.onAir, true);
+  assert.strictEqual(controller.getCurrentActIndex(), 1);
+  assert.ok(!log.includes('stop opening'));
+  assert.strictEqual(log.at(-1), 'stop speech');
+});
+
+test('a failed handover after stopping for LibreOffice leaves the old program loaded but off air', async () => {
+  const { controller, failing } = setUp();
+  controller.rundown.addEntry('opening');
+  controller.rundown.addEntry('deck');
+  failing.add('deck');
+
+  await controller.startEntry(0);
+  await assert.rejects(controller.startEntry(1), /Cannot start deck/);
+
+  assert.strictEqual(controller.currentProgram.id, 'opening');
+  assert.strictEqual(controller.onAir, false);
+  assert.strictEqual(controller.blackout, false);
+});
+
+test('a failed first start leaves nothing loaded', async () => {
+  const { controller, failing } = setUp();
+  controller.rundown.addEntry('speech');
+  failing.add('speech');
+
+  await assert.rejects(controller.startEntry(0), /Cannot start speech/);
+
+  assert.strictEqual(controller.currentProgram, null);
+  assert.strictEqual(controller.getStatus(), null);
+});
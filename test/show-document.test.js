@@ -0,0 +1,190 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CONSTANTS = require('../src/utils/constants');
+const ShowDocument = require('../src/show/document');
+
+const ACTIONS = CONSTANTS.CUES.ACTIONS;
+
+let rootDir;
+let showCount = 0;
+
+/**
+ * Create an untitled show in a directory of its own; tests that change it
+ * mock setTimeout so it is only autosaved when they say so
+ * @returns {ShowDocument} Show
+ */
+function createShow() {
+  const dir = path.join(rootDir, `show-${++showCount}`);
+  fs.mkdirSync(dir);
+  return new ShowDocument(path.join(dir, CONSTANTS.SHOW.AUTOSAVE_FILE));
+}
+
+/**
+ * Let the scheduled autosave run and wait for it to be written
+ * @param {Object} t - Test context, with setTimeout mocked
+ * @param {ShowDocument} show - Show
+ * @returns {Promise<void>}
+ */
+async function runAutosave(t, show) {
+  const autosave = t.mock.method(show, '_autosave');
+  t.mock.timers.tick(CONSTANTS.SHOW.AUTOSAVE_DELAY_MS);
+  assert.strictEqual(autosave.mock.callCount(), 1);
+  await autosave.mock.calls[0].result;
+  autosave.mock.restore();
+}
+
+before(() => {
+  rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'stageforge-show-'));
+});
+
+after(() => {
+  fs.rmSync(rootDir, { recursive: true, force: true });
+});
+
+test('an untitled show is autosaved shortly after a change and restored after a restart', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  const show = createShow();
+  show.rundown.addEntry('concert');
+  show.setSetting('display', 2);
+  t.mock.timers.tick(CONSTANTS.SHOW.AUTOSAVE_DELAY_MS - 1);
+  assert.ok(!fs.existsSync(show.autosavePath));
+
+  await runAutosave(t, show);
+  assert.strictEqual(show.dirty, true);
+
+  const restored = new ShowDocument(show.autosavePath);
+  assert.strictEqual(await restored.restoreAutosave(), true);
+  assert.strictEqual(restored.filePath, null);
+  assert.strictEqual(restored.dirty, true);
+  assert.strictEqual(restored.settings.display, 2);
+  assert.deepStrictEqual(restored.rundown.entries.map(entry => entry.programId), ['concert']);
+  assert.strictEqual(await createShow().restoreAutosave(), false);
+});
+
+test('saving an untitled show under a name discards its autosave', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  const show = createShow();
+  show.rundown.addEntry('concert');
+  await show.flush();
+  assert.ok(fs.existsSync(show.autosavePath));
+
+  const filePath = path.join(path.dirname(show.autosavePath), `Gala.${CONSTANTS.SHOW.EXTENSION}`);
+  await show.saveAs(filePath);
+
+  assert.strictEqual(show.name, 'Gala');
+  assert.strictEqual(show.dirty, false);
+  assert.ok(!fs.existsSync(show.autosavePath));
+  assert.deepStrictEqual(fs.readdirSync(path.dirname(filePath)), [`Gala.${CONSTANTS.SHOW.EXTENSION}`]);
+});
+
+test('a show with a file is autosaved to it, and pending changes are saved before opening another', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  const show = createShow();
+  const dir = path.dirname(show.autosavePath);
+  const gala = path.join(dir, `Gala.${CONSTANTS.SHOW.EXTENSION}`);
+  const recital = path.join(dir, `Recital.${CONSTANTS.SHOW.EXTENSION}`);
+  await show.saveAs(recital);
+  await show.saveAs(gala);
+
+  show.rundown.addEntry('concert');
+  await runAutosave(t, show);
+  assert.strictEqual(show.dirty, false);
+  assert.ok(!fs.existsSync(show.autosavePath));
+
+  show.rundown.addEntry('speech');
+  await show.open(recital);
+  assert.deepStrictEqual(show.rundown.entries, []);
+  assert.strictEqual(show.dirty, false);
+
+  await show.open(gala);
+  assert.deepStrictEqual(show.rundown.entries.map(entry => entry.programId), ['concert', 'speech']);
+  await assert.rejects(new ShowDocument(show.autosavePath).save(), /not been saved yet/);
+});
+
+test('a failed autosave is reported and leaves the show dirty', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  t.mock.method(console, 'error', () => {});
+  const show = createShow();
+  // A directory in the way of the temporary file makes the write fail
+  fs.mkdirSync(`${show.autosavePath}.tmp`);
+  const failures = [];
+  show.on('autosave-failed', error => failures.push(error));
+
+  show.rundown.addEntry('concert');
+  await runAutosave(t, show);
+
+  assert.strictEqual(failures.length, 1);
+  assert.strictEqual(show.dirty, true);
+});
+
+test('show files are checked when opened, and unknown act settings are dropped', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  const show = createShow();
+  const dir = path.dirname(show.autosavePath);
+  const write = (name, data) => {
+    const filePath = path.join(dir, name);
+    fs.writeFileSync(filePath, typeof data === 'string' ? data : JSON.stringify(data));
+    return filePath;
+  };
+  const format = CONSTANTS.SHOW.FORMAT;
+
+  await assert.rejects(show.open(write('broken.sfshow', '{')), /Not a StageForge show file: broken.sfshow/);
+  await assert.rejects(show.open(write('other.sfshow', { format: 'other', version: 1 })), /Not a StageForge show file/);
+  await assert.rejects(show.open(write('newer.sfshow', { format, version: CONSTANTS.SHOW.VERSION + 1 })),
+    /Unsupported show file version/);
+
+  await show.open(write('old.sfshow', {
+    format,
+    version: CONSTANTS.SHOW.VERSION,
+    acts: {
+      concert: { 256: { operatorNotes: 'Cue the band', timing: { duration: 5000 } }, '#1': { live: true } }
+    }
+  }));
+  assert.deepStrictEqual(show.acts, { concert: { 256: { operatorNotes: 'Cue the band' } } });
+  assert.deepStrictEqual(show.settings, CONSTANTS.SHOW.SETTINGS_DEFAULTS);
+  assert.throws(() => show.setSetting('theme', 'dark'), /Unknown show setting: theme/);
+  assert.throws(() => show.setActSettings('concert', { index: 0 }, { live: true }), /Unknown act setting: live/);
+});
+
+test('cues follow the acts of a refreshed program', (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  const show = createShow();
+  const entry = show.rundown.addEntry('concert');
+  const add = (number, actions) => show.cueList.addCue({ number, label: `Cue ${number}`, actions });
+  add(1, [{ type: ACTIONS.START_PROGRAM, entryId: entry.id, act: 2 }]);
+  add(2, [{ type: ACTIONS.ACT, act: 0 }]);
+  add(3, [{ type: ACTIONS.ACT, act: 1 }, { type: ACTIONS.BLACKOUT }]);
+  add(4, [{ type: ACTIONS.START_PROGRAM, programId: 'other', act: 1 }, { type: ACTIONS.ACT, act: 1 }]);
+  add(5, [{ type: ACTIONS.START_PROGRAM, programId: 'concert' }, { type: ACTIONS.STOP_PROGRAM }, { type: ACTIONS.ACT, act: 1 }]);
+
+  const removed = show.remapProgramActs('concert', [1, -1, 0]);
+
+  const cue3 = removed[0];
+  assert.deepStrictEqual(removed, [{ id: cue3.id, number: 3, label: 'Cue 3' }]);
+  assert.deepStrictEqual(show.cueList.cues.map(cue => cue.actions), [
+    [{ type: ACTIONS.START_PROGRAM, entryId: entry.id, act: 0 }],
+    [{ type: ACTIONS.ACT, act: 1 }],
+    [{ type: ACTIONS.START_PROGRAM, programId: 'other', act: 1 }, { type: ACTIONS.ACT, act: 1 }],
+    [{ type: ACTIONS.START_PROGRAM, programId: 'concert' }, { type: ACTIONS.STOP_PROGRAM }, { type: ACTIONS.ACT, act: 1 }]
+  ]);
+  assert.strictEqual(show.dirty, true);
+});
+
+test('act settings kept by position follow their acts', (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  const show = createShow();
+  show.setActSettings('concert', { index: 0 }, { operatorNotes: 'Cue the band' });
+  show.setActSettings('concert', { index: 1 }, { operatorNotes: 'Gone' });
+  show.setActSettings('concert', { index: 2, slideId: '256' }, { operatorNotes: 'By ID' });
+
+  show.remapProgramActs('concert', [2, -1, 0]);
+
+  assert.deepStrictEqual(show.acts.concert, {
+    '#2': { operatorNotes: 'Cue the band' },
+    256: { operatorNotes: 'By ID' }
+  });
+  assert.deepStrictEqual(show.remapProgramActs('elsewhere', [-1]), []);
+});
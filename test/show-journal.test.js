@@ -0,0 +1,147 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const EventEmitter = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CONSTANTS = require('../src/utils/constants');
+const Rundown = require('../src/show/rundown');
+const ShowController = require('../src/show/controller');
+const ShowJournal = require('../src/show/journal');
+
+let rootDir;
+let journalCount = 0;
+
+/**
+ * Journal in a file of its own
+ * @returns {ShowJournal} Journal
+ */
+function createJournal() {
+  return new ShowJournal(path.join(rootDir, `journal-${++journalCount}`, 'live.json'));
+}
+
+/**
+ * Mode controller stand-in that plays a program of three acts
+ */
+class FakeMode extends EventEmitter {
+  async loadProgram(program, options) {
+    this.program = program;
+    this.loadOptions = options;
+    this.scene = -1;
+  }
+
+  async start(options) {
+    this.startOptions = options;
+    this.scene = Number.isInteger(options.startAt) ? options.startAt : 0;
+  }
+
+  async stop() {
+    this.scene = -1;
+  }
+
+  getStatus() {
+    return { currentScene: this.scene };
+  }
+}
+
+/**
+ * Show controller over a library of scene programs with three acts each
+ * @returns {ShowController} Show controller
+ */
+function createController() {
+  const processor = {
+    loadProgram: async (programId) => ({ id: programId, name: programId, mode: CONSTANTS.MODES.SCENE, acts: [{}, {}, {}] })
+  };
+  const show = { rundown: new Rundown(), applyActSettings: program => program };
+  return new ShowController(processor, show, () => new FakeMode());
+}
+
+before(() => {
+  rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'stageforge-journal-'));
+});
+
+after(() => {
+  fs.rmSync(rootDir, { recursive: true, force: true });
+});
+
+test('a clean exit leaves no journal to resume', async () => {
+  const journal = createJournal();
+  assert.strictEqual(await journal.load(), null);
+
+  await journal.record({ programId: 'concert', actIndex: 1, onAir: true });
+  await journal.clear();
+  assert.strictEqual(await journal.load(), null);
+  assert.deepStrictEqual(fs.readdirSync(path.dirname(journal.filePath)), []);
+});
+
+test('the journal holds the last state recorded', async () => {
+  const journal = createJournal();
+
+  journal.record({ programId: 'concert', actIndex: 0, onAir: true });
+  journal.record({ programId: 'concert', actIndex: 1, onAir: true });
+  await journal.record({ programId: 'speech', entryId: 'e2', actIndex: 2, onAir: true, blackout: true });
+
+  const state = await journal.load();
+  assert.strictEqual(state.version, CONSTANTS.SHOW.JOURNAL_VERSION);
+  assert.strictEqual(state.programId, 'speech');
+  assert.strictEqual(state.actIndex, 2);
+  assert.strictEqual(state.blackout, true);
+  assert.ok(!Number.isNaN(Date.parse(state.updatedAt)));
+  assert.deepStrictEqual(fs.readdirSync(path.dirname(journal.filePath)), ['live.json']);
+});
+
+test('a journal that cannot be read is ignored', async (t) => {
+  const errors = t.mock.method(console, 'error', () => {});
+  const journal = createJournal();
+  fs.mkdirSync(path.dirname(journal.filePath));
+
+  fs.writeFileSync(journal.filePath, '{"version":');
+  assert.strictEqual(await journal.load(), null);
+  fs.writeFileSync(journal.filePath, JSON.stringify({ version: CONSTANTS.SHOW.JOURNAL_VERSION + 1, programId: 'concert' }));
+  assert.strictEqual(await journal.load(), null);
+  assert.strictEqual(errors.mock.callCount(), 2);
+});
+
+test('failed writes are logged and later ones still land', async (t) => {
+  const errors = t.mock.method(console, 'error', () => {});
+  const journal = createJournal();
+  fs.mkdirSync(path.dirname(journal.filePath));
+  // A directory in the way of the temporary file makes the first write fail
+  fs.mkdirSync(`${journal.filePath}.tmp`);
+
+  await journal.record({ programId: 'concert', actIndex: 0, onAir: true });
+  assert.strictEqual(errors.mock.callCount(), 1);
+
+  fs.rmdirSync(`${journal.filePath}.tmp`);
+  await journal.record({ programId: 'concert', actIndex: 1, onAir: true });
+  assert.strictEqual((await journal.load()).actIndex, 1);
+});
+
+test('a journaled program is resumed at its act, reusing its scenes', async () => {
+  const controller = createController();
+  const entry = controller.rundown.addEntry('concert');
+  controller.rundown.addEntry('speech');
+
+  const program = await controller.resume({ programId: 'concert', entryId: entry.id, actIndex: 2, onAir: true },
+    { display: 1 });
+
+  assert.strictEqual(program.id, 'concert');
+  assert.deepStrictEqual(controller.currentMode.loadOptions, { reuseScenes: true });
+  assert.deepStrictEqual(controller.currentMode.startOptions, { display: 1, startAt: 2 });
+  assert.strictEqual(controller.getCurrentActIndex(), 2);
+  assert.strictEqual(controller.getStatus().entryId, entry.id);
+  assert.strictEqual(controller.getStatus().onAir, true);
+  assert.strictEqual(controller.preloaded.program.id, 'speech');
+});
+
+test('a program that was only loaded is resumed without starting it', async () => {
+  const controller = createController();
+
+  await controller.resume({ programId: 'concert', entryId: 'removed', actIndex: 1, onAir: false });
+
+  assert.strictEqual(controller.currentProgram.id, 'concert');
+  assert.strictEqual(controller.currentEntryId, null);
+  assert.strictEqual(controller.onAir, false);
+  assert.strictEqual(controller.getCurrentActIndex(), -1);
+  assert.strictEqual(controller.preloaded, null);
+});